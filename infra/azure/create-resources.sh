@@ -243,6 +243,7 @@ az webapp config appsettings set \
         PORT=8080 \
         DEPLOYMENT_TYPE=production \
         LOG_LEVEL=info \
+        TRUST_PROXY=1 \
         WEBSITES_PORT=3000
 
 print_success "Application settings configured"
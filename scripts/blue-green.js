@@ -0,0 +1,10 @@
+#!/usr/bin/env node
+/**
+ * Release to the idle slot, swap it into production and roll back on failure
+ * See `node scripts/blue-green.js --help`.
+ */
+const { main } = require('../src/blue-green');
+
+main(process.argv.slice(2)).then((code) => {
+  process.exitCode = code;
+});
@@ -0,0 +1,10 @@
+#!/usr/bin/env node
+/**
+ * Compare /metrics from a stable and a canary deployment and print a verdict
+ * See `node scripts/canary-analysis.js --help`.
+ */
+const { main } = require('../src/canary-analysis');
+
+main(process.argv.slice(2)).then((code) => {
+  process.exitCode = code;
+});
@@ -0,0 +1,8 @@
+#!/usr/bin/env node
+/**
+ * Generate the Grafana dashboards and recording rules from the metric catalogue
+ * See `node scripts/dashboards.js --help`.
+ */
+const { main } = require('../src/dashboards');
+
+process.exitCode = main(process.argv.slice(2));
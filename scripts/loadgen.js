@@ -0,0 +1,10 @@
+#!/usr/bin/env node
+/**
+ * Put a weighted mix of requests on one or more deployments and compare them
+ * See `node scripts/loadgen.js --help`.
+ */
+const { main } = require('../src/loadgen');
+
+main(process.argv.slice(2)).then((code) => {
+  process.exitCode = code;
+});
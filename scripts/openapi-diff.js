@@ -0,0 +1,10 @@
+#!/usr/bin/env node
+/**
+ * Report breaking changes between two versions of the OpenAPI document
+ * See `node scripts/openapi-diff.js --help`.
+ */
+const { main } = require('../src/openapi-diff');
+
+main(process.argv.slice(2)).then((code) => {
+  process.exitCode = code;
+});
@@ -0,0 +1,11 @@
+#!/usr/bin/env node
+/**
+ * Weighted traffic-splitting proxy for local stable/canary/blue/green setups
+ * See `node scripts/proxy.js --help`.
+ */
+const { main } = require('../src/proxy');
+
+main(process.argv.slice(2)).catch((error) => {
+  process.stderr.write(`${error.message}\n`);
+  process.exitCode = 3;
+});
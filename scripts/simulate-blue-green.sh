@@ -18,6 +18,9 @@ NC='\033[0m' # No Color
 BLUE_PORT=3001
 GREEN_PORT=3002
 NGINX_PORT=3000
+# Viewer key for the smoke checks of /health and /metrics; local use only
+SIM_API_KEY=local-simulation-viewer-key
+AUTH_API_KEYS="[{\"name\":\"simulation\",\"role\":\"viewer\",\"key\":\"$SIM_API_KEY\"}]"
 
 echo -e "${BLUE}Step 1: Building Docker image...${NC}"
 docker build -t gas-app:latest -f docker/Dockerfile .
@@ -33,7 +36,7 @@ echo "Waiting for Blue environment to be ready..."
 sleep 5
 
 # Health check for Blue
-if curl -f http://localhost:$BLUE_PORT/health > /dev/null 2>&1; then
+if curl -f http://localhost:$BLUE_PORT/health/ready > /dev/null 2>&1; then
   echo -e "${GREEN}✅ Blue environment is healthy${NC}"
 else
   echo -e "${YELLOW}⚠️  Blue environment health check failed${NC}"
@@ -44,21 +47,22 @@ docker run -d --name gas-green \
   -p $GREEN_PORT:3000 \
   -e DEPLOYMENT_TYPE=green \
   -e NODE_ENV=production \
+  -e AUTH_API_KEYS="$AUTH_API_KEYS" \
   gas-app:latest
 
 echo "Waiting for Green environment to be ready..."
 sleep 5
 
 # Health check for Green
-if curl -f http://localhost:$GREEN_PORT/health > /dev/null 2>&1; then
+if curl -f http://localhost:$GREEN_PORT/health/ready > /dev/null 2>&1; then
   echo -e "${GREEN}✅ Green environment is healthy${NC}"
 else
   echo -e "${YELLOW}⚠️  Green environment health check failed${NC}"
   exit 1
 fi
 
-echo -e "${BLUE}Step 4: Running tests on Green environment...${NC}"
-TEST_URL=http://localhost:$GREEN_PORT npm run test:e2e
+echo -e "${BLUE}Step 4: Running smoke tests on Green environment...${NC}"
+node scripts/smoke.js --url green=http://localhost:$GREEN_PORT --header "X-API-Key: $SIM_API_KEY" > /dev/null
 
 echo -e "${GREEN}Step 5: Simulating traffic switch...${NC}"
 echo "In production, this would update the load balancer to route traffic to Green"
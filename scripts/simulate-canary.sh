@@ -36,7 +36,7 @@ echo "Waiting for Stable environment to be ready..."
 sleep 5
 
 # Health check for Stable
-if curl -f http://localhost:$STABLE_PORT/health > /dev/null 2>&1; then
+if curl -f http://localhost:$STABLE_PORT/health/ready > /dev/null 2>&1; then
   echo -e "${GREEN}✅ Stable environment is healthy${NC}"
 else
   echo -e "${YELLOW}⚠️  Stable environment health check failed${NC}"
@@ -53,7 +53,7 @@ echo "Waiting for Canary environment to be ready..."
 sleep 5
 
 # Health check for Canary
-if curl -f http://localhost:$CANARY_PORT/health > /dev/null 2>&1; then
+if curl -f http://localhost:$CANARY_PORT/health/ready > /dev/null 2>&1; then
   echo -e "${GREEN}✅ Canary environment is healthy${NC}"
 else
   echo -e "${YELLOW}⚠️  Canary environment health check failed${NC}"
@@ -0,0 +1,8 @@
+#!/usr/bin/env node
+/**
+ * Generate Prometheus alerting rules from the SLO definitions
+ * See `node scripts/slo-rules.js --help`.
+ */
+const { main } = require('../src/slo');
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,10 @@
+#!/usr/bin/env node
+/**
+ * Run the declarative smoke suite against deployed instances
+ * See `node scripts/smoke.js --help`.
+ */
+const { main } = require('../src/smoke');
+
+main(process.argv.slice(2)).then((code) => {
+  process.exitCode = code;
+});
@@ -0,0 +1,10 @@
+#!/usr/bin/env node
+/**
+ * Compare /version across instances and report commit drift
+ * See `node scripts/version-drift.js --help`.
+ */
+const { main } = require('../src/version-drift');
+
+main(process.argv.slice(2)).then((code) => {
+  process.exitCode = code;
+});
@@ -0,0 +1,48 @@
+const crypto = require('crypto');
+
+/**
+ * Constant-time comparison of two secrets
+ */
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Middleware factory protecting admin routes with a bearer token
+ * `getToken` returns the configured token; admin routes are disabled (403)
+ * while no token is configured.
+ */
+function requireAdminToken(getToken) {
+  return (req, res, next) => {
+    const expected = getToken();
+
+    if (!expected) {
+      res.status(403).json({
+        error: 'Forbidden',
+        message: 'Admin API is disabled: no admin token configured',
+        timestamp: new Date().toISOString()
+      });
+      return;
+    }
+
+    const [scheme, token] = (req.get('authorization') || '').split(' ');
+    if (scheme !== 'Bearer' || !token || !safeEqual(token, expected)) {
+      res.set('WWW-Authenticate', 'Bearer');
+      res.status(401).json({
+        error: 'Unauthorized',
+        message: 'A valid admin bearer token is required',
+        timestamp: new Date().toISOString()
+      });
+      return;
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  requireAdminToken,
+  safeEqual
+};
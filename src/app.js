@@ -0,0 +1,354 @@
+const cluster = require('cluster');
+const express = require('express');
+const { getConfig, resolveConfig, createConfigHandler } = require('./config');
+const { getBuildInfo, createVersionHandler } = require('./build-info');
+const { createHealth, livenessProbe } = require('./health');
+const {
+  register, getSharedHttpMetrics, createHttpMetrics, createMetricsHandler
+} = require('./metrics');
+const { createAuth } = require('./auth');
+const { createFlags } = require('./flags');
+const { createChaos } = require('./chaos');
+const { createLimits } = require('./limits');
+const { createSlos } = require('./slo');
+const { createStore } = require('./storage');
+const { runMigrations } = require('./migrations');
+const { createDataRouter } = require('./data-api');
+const openapi = require('./openapi');
+const { createCompressionMiddleware } = require('./compression');
+const { createCacheControlMiddleware } = require('./cache-control');
+const { clusterMetricsHandler, clusterStatusHandler } = require('./cluster');
+const { requestContextMiddleware } = require('./request-context');
+const {
+  createLogger, createRequestLogger, createLogLevelHandlers, resolveLogFormat
+} = require('./logger');
+const packageJson = require('../package.json');
+
+/**
+ * Structured logger for a configuration: JSON in production, every line
+ * tagged with the instance
+ */
+function createAppLogger(config) {
+  const buildInfo = getBuildInfo(config);
+
+  return createLogger({
+    level: config.LOG_LEVEL,
+    format: resolveLogFormat(config.LOG_FORMAT, config.NODE_ENV),
+    redact: (config.LOG_REDACT || '').split(',').map((field) => field.trim()).filter(Boolean),
+    fields: {
+      service: packageJson.name,
+      version: buildInfo.version,
+      deploymentType: buildInfo.deploymentType,
+      slot: buildInfo.slot,
+      ...(cluster.isWorker ? { worker: process.env.GAS_CLUSTER_SLOT } : {})
+    }
+  });
+}
+
+/**
+ * Create the Express application, without listening (see startServer)
+ *
+ * Options:
+ *  - config: validated settings (loadConfig, getConfig or resolveConfig);
+ *    plain objects are validated with resolveConfig. Defaults to the process
+ *    configuration.
+ *  - logger: defaults to a structured logger built from `config`
+ *  - registry: prom-client registry for the app's HTTP and build metrics and
+ *    its /metrics endpoint. The shared register (the default) also carries the
+ *    process metrics; a separate registry keeps instances apart.
+ *
+ * Each app has its own feature flags, chaos rules, SLOs, request limits,
+ * readiness checks and health history, loaded from `config`. The app's
+ * resources are in `app.locals`: `config`, `logger`, `store`, `ready`
+ * (resolves once the store is migrated), `flags`, `chaos`, `limits`, `slos`,
+ * `health`, `setDraining` and the `onClose` hooks that startServer runs on
+ * stop. Throws on invalid settings.
+ */
+function createApp({ config: settings = getConfig(), logger: givenLogger, registry = register } = {}) {
+  const config = resolveConfig(settings);
+  const logger = givenLogger || createAppLogger(config);
+  const { DEPLOYMENT_TYPE: deploymentType } = config;
+
+  // Feature flag definitions, fault-injection rules, SLOs and request limits
+  const flags = createFlags({ file: config.FLAGS_CONFIG, deploymentType });
+  flags.loadFlags();
+  const chaos = createChaos({ deploymentType });
+  chaos.loadChaosConfig(config);
+  const slos = createSlos({ file: config.SLO_CONFIG, deploymentType });
+  slos.loadSlos();
+  const limits = createLimits({ file: config.LIMITS_CONFIG });
+  limits.loadLimits();
+
+  // Readiness checks, health history and the thresholds of the degraded state;
+  // the extended-health-details flag adds resource usage to /health
+  const health = createHealth({
+    historySize: config.HEALTH_HISTORY_SIZE,
+    eventLoopLagMs: config.HEALTH_EVENT_LOOP_LAG_MS,
+    heapUsedPercent: config.HEALTH_HEAP_USED_PERCENT,
+    errorRatePercent: config.HEALTH_ERROR_RATE_PERCENT,
+    environment: config.NODE_ENV,
+    showResources: (req) => flags.isEnabled('extended-health-details', req),
+    logger
+  });
+
+  // API contract, served at /api/openapi.json and checked on /api requests
+  const spec = openapi.loadSpec();
+  const openApiHandlers = openapi.createOpenApiHandlers(spec);
+
+  // Apps on the shared register share its set of HTTP metrics. Each app feeds
+  // its own SLOs and error rate with the requests it served. Requests rejected
+  // before routing are labelled with their documented path
+  const httpMetrics = registry === register ? getSharedHttpMetrics(config) : createHttpMetrics(registry, config);
+  const httpMetricsMiddleware = httpMetrics.createMiddleware((observation) => {
+    slos.recordRequest(observation);
+    health.recordRequest(observation);
+  }, {
+    documentedRoute: (req) => openapi.routeTemplate(spec, req.originalUrl.split('?')[0])
+  });
+
+  // API keys and JWTs for operational endpoints
+  let auth;
+  try {
+    auth = createAuth({
+      apiKeys: config.AUTH_API_KEYS ? JSON.parse(config.AUTH_API_KEYS) : [],
+      jwt: {
+        secret: config.AUTH_JWT_SECRET,
+        jwksFile: config.AUTH_JWKS_FILE,
+        issuer: config.AUTH_JWT_ISSUER,
+        audience: config.AUTH_JWT_AUDIENCE,
+        rolesClaim: config.AUTH_JWT_ROLES_CLAIM
+      },
+      getAdminToken: () => config.ADMIN_TOKEN,
+      logger
+    });
+  } catch (error) {
+    throw new Error(`Invalid authentication settings: ${error.message}`);
+  }
+
+  // Open the data store and bring its schema up to date; /api/data waits for this
+  const store = createStore(config);
+  const storageReady = store.init()
+    .then(() => runMigrations(store, { logger }))
+    .then(({ from, to }) => logger.info(`Data store (${store.driver}) ready at schema version ${to}`, { from, to }));
+  storageReady.catch((error) => logger.error('Data store initialization failed', { error: error.message }));
+  health.registerReadinessCheck('storage', async () => {
+    await storageReady;
+    await store.ping();
+  });
+
+  // Cache-Control by path prefix
+  let cacheControlMiddleware;
+  try {
+    cacheControlMiddleware = createCacheControlMiddleware(config.CACHE_CONTROL ? JSON.parse(config.CACHE_CONTROL) : {});
+  } catch (error) {
+    throw new Error(`Invalid CACHE_CONTROL: ${error.message}`);
+  }
+
+  const logLevel = createLogLevelHandlers(logger);
+
+  // Create Express app
+  const app = express();
+
+  Object.assign(app.locals, {
+    config,
+    logger,
+    store,
+    ready: storageReady,
+    flags,
+    chaos,
+    limits,
+    slos,
+    health,
+    setDraining: health.setDraining,
+    onClose: [() => store.close()]
+  });
+
+  // Client IPs for rate limits come from X-Forwarded-For only behind trusted proxies
+  app.set('trust proxy', config.TRUST_PROXY);
+
+  // res.send tags GET responses and answers a matching If-None-Match with a 304
+  app.set('etag', config.HTTP_ETAG === 'off' ? false : config.HTTP_ETAG);
+
+  // Middleware
+  // Request/trace IDs come first so every later log line and response carries them
+  app.use(requestContextMiddleware);
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+
+  // Request logging; successful requests are sampled, failures always logged
+  app.use(createRequestLogger(logger, { samplePercent: config.LOG_SAMPLE_PERCENT }));
+
+  // Apply metrics middleware to all routes
+  app.use(httpMetricsMiddleware);
+
+  // Caching headers and compression; after the metrics, which then see the
+  // compressed size of each response along with the original one
+  app.use(cacheControlMiddleware);
+  if (config.COMPRESSION !== 'off') {
+    app.use(createCompressionMiddleware({ encodings: config.COMPRESSION, minBytes: config.COMPRESSION_MIN_BYTES }));
+  }
+
+  // Rate limits and load shedding; rejections still show up in the HTTP metrics.
+  // `apiKey` limits need the verified caller, which routes check again later
+  app.use(auth.attachPrincipal);
+  app.use(limits.createLimitsMiddleware());
+
+  // Fault injection (inactive unless configured)
+  app.use(chaos.createChaosMiddleware());
+
+  // Requests that break the API contract get a 400; with OPENAPI_VALIDATION=all
+  // (used by the tests) responses that break it are replaced with a 500
+  if (config.OPENAPI_VALIDATION !== 'off') {
+    app.use('/api', openapi.createOpenApiValidator(spec, {
+      responses: config.OPENAPI_VALIDATION === 'all',
+      logger
+    }));
+  }
+
+  // Health check endpoints; probes stay anonymous, details need the viewer role
+  app.get('/health', auth.requireRole('viewer'), health.healthCheck);
+  app.get('/health/history', auth.requireRole('viewer'), health.healthHistoryHandler);
+  app.get('/health/live', livenessProbe);
+  app.get('/health/ready', auth.authenticate, health.createReadinessProbe({
+    showChecks: (req) => Boolean(req.principal)
+  }));
+
+  // Metrics endpoint; in cluster mode the primary combines the metrics of all workers
+  const metricsHandler = cluster.isWorker
+    ? clusterMetricsHandler
+    : createMetricsHandler(registry, { onScrape: slos.updateSloMetrics });
+  app.get('/metrics', auth.requireRole('viewer'), metricsHandler);
+
+  // Service level objectives and error budgets; like /metrics, viewer only
+  app.get('/slo', auth.requireRole('viewer'), slos.sloHandler);
+
+  // Build and deployment metadata; public, since smoke tests, version-drift and
+  // slot swaps poll it without credentials and `/` already shows the version
+  app.get('/version', createVersionHandler(config));
+
+  // Root endpoint
+  app.get('/', (req, res) => {
+    const { version, gitSha } = getBuildInfo(config);
+
+    res.json({
+      message: 'GAS Project - GitHub Actions Staging',
+      version,
+      gitSha,
+      deploymentType,
+      timestamp: new Date().toISOString(),
+      endpoints: {
+        health: '/health',
+        liveness: '/health/live',
+        readiness: '/health/ready',
+        healthHistory: '/health/history',
+        metrics: '/metrics',
+        slo: '/slo',
+        version: '/version',
+        api: '/api',
+        flags: '/api/flags',
+        openapi: '/api/openapi.json',
+        docs: '/api/docs'
+      }
+    });
+  });
+
+  // API endpoints
+  app.get('/api', (req, res) => {
+    res.json({
+      message: 'API is working',
+      version: packageJson.version,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  // Feature flags evaluated for the calling request
+  app.get('/api/flags', flags.flagsHandler);
+
+  // OpenAPI document and its HTML reference
+  app.get('/api/openapi.json', openApiHandlers.specHandler);
+  app.get('/api/docs', openApiHandlers.docsHandler);
+
+  // Admin endpoints; everything under /admin requires the operator role
+  app.use('/admin', auth.requireRole('operator'));
+  app.get('/admin/flags', flags.listFlagsHandler);
+  app.post('/admin/flags/reload', flags.reloadFlagsHandler);
+  app.put('/admin/flags/:name', flags.putFlagHandler);
+  app.patch('/admin/flags/:name', flags.patchFlagHandler);
+  app.get('/admin/chaos', chaos.getChaosHandler);
+  app.put('/admin/chaos', chaos.putChaosHandler);
+  app.delete('/admin/chaos', chaos.deleteChaosHandler);
+  app.get('/admin/config', createConfigHandler(config));
+  app.get('/admin/limits', limits.getLimitsHandler);
+  app.get('/admin/log-level', logLevel.getLogLevelHandler);
+  app.put('/admin/log-level', logLevel.putLogLevelHandler);
+  if (cluster.isWorker) {
+    app.get('/admin/cluster', clusterStatusHandler);
+  }
+
+  // Sample resource with CRUD, pagination and optimistic concurrency
+  app.use('/api/data', createDataRouter(store, { ready: storageReady }));
+
+  // Error simulation endpoint (for testing)
+  app.get('/api/error', (req, res) => {
+    logger.error('Simulated error endpoint called');
+    res.status(500).json({
+      error: 'Simulated error',
+      message: 'This is a test error endpoint',
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  // Slow endpoint (for testing latency), capped so callers cannot pin the server
+  app.get('/api/slow', async (req, res) => {
+    const requested = Number(req.query.delay || '2000');
+    if (!Number.isInteger(requested) || requested < 0) {
+      res.status(400).json({
+        error: 'Bad Request',
+        message: 'delay must be a non-negative integer number of milliseconds',
+        requestId: req.id,
+        timestamp: new Date().toISOString()
+      });
+      return;
+    }
+
+    const delay = Math.min(requested, config.SLOW_MAX_DELAY_MS);
+    logger.info(`Slow endpoint called with delay: ${delay}ms`, { requested });
+
+    await new Promise((resolve) => setTimeout(resolve, delay));
+
+    res.json({
+      message: 'Slow response completed',
+      delay: `${delay}ms`,
+      capped: delay < requested,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  // 404 handler; the request logger already records these at warn level
+  app.use((req, res) => {
+    res.status(404).json({
+      error: 'Not Found',
+      message: `Cannot ${req.method} ${req.path}`,
+      requestId: req.id,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  // Error handler
+  app.use((err, req, res, _next) => {
+    logger.error('Unhandled error:', err);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: config.NODE_ENV === 'production' ? 'An error occurred' : err.message,
+      requestId: req.id,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  return app;
+}
+
+module.exports = {
+  createApp,
+  createAppLogger
+};
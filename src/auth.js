@@ -0,0 +1,301 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { safeEqual } = require('./admin-auth');
+const { recordAuthFailure } = require('./metrics');
+
+// Each role includes the ones before it
+const ROLES = ['viewer', 'operator', 'admin'];
+const API_KEY_HEADER = 'x-api-key';
+const JWT_PATTERN = /^[\w-]+\.[\w-]+\.[\w-]*$/;
+const DEFAULT_CLOCK_TOLERANCE_SEC = 30;
+// Failure reasons verifyJwt reports; anything else it throws counts as invalid_token
+const JWT_FAILURES = ['invalid_token', 'expired'];
+
+function authError(code, message, method) {
+  const error = new Error(message);
+  error.code = code;
+  error.method = method;
+  return error;
+}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(String(value)).digest('hex');
+}
+
+/**
+ * Validate API key definitions
+ * Each key has a `name`, a `role` and either the `key` itself or its hex
+ * `sha256`, so config files need not hold usable secrets.
+ */
+function normalizeApiKeys(apiKeys) {
+  if (!Array.isArray(apiKeys)) {
+    throw new Error('API keys must be an array');
+  }
+
+  const keys = apiKeys.map((entry, index) => {
+    const name = entry && entry.name;
+    if (!name || typeof name !== 'string') {
+      throw new Error(`API key #${index} needs a name`);
+    }
+    if (!ROLES.includes(entry.role)) {
+      throw new Error(`API key "${name}": role must be one of ${ROLES.join(', ')}`);
+    }
+    if (entry.sha256 !== undefined && !/^[0-9a-f]{64}$/i.test(entry.sha256)) {
+      throw new Error(`API key "${name}": sha256 must be a hex SHA-256 digest`);
+    }
+    if (entry.sha256 === undefined && (typeof entry.key !== 'string' || entry.key.length < 16)) {
+      throw new Error(`API key "${name}": key must be a string of at least 16 characters, or give its sha256`);
+    }
+    return { name, role: entry.role, sha256: (entry.sha256 || sha256(entry.key)).toLowerCase() };
+  });
+
+  if (new Set(keys.map(({ name }) => name)).size !== keys.length) {
+    throw new Error('API key names must be unique');
+  }
+  return keys;
+}
+
+/**
+ * Read RS256 verification keys from a local JWKS file, keyed by `kid`
+ */
+function loadJwks(file) {
+  const { keys } = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!Array.isArray(keys)) {
+    throw new Error(`JWKS file ${file} must contain a "keys" array`);
+  }
+
+  return new Map(keys
+    .filter((jwk) => jwk.kty === 'RSA' && (!jwk.alg || jwk.alg === 'RS256') && jwk.use !== 'enc')
+    .map((jwk, index) => [jwk.kid || `key-${index}`, crypto.createPublicKey({ key: jwk, format: 'jwk' })]));
+}
+
+function decodeSegment(segment) {
+  try {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw authError('invalid_token', 'Token is not a well-formed JWT');
+  }
+}
+
+/**
+ * Verify a compact JWT and return its claims
+ * HS256 needs `secret`, RS256 needs `keys` (a map of kid to public key). Other
+ * algorithms, `none` included, are refused. Throws an error whose `code` is
+ * `invalid_token` or `expired`.
+ */
+function verifyJwt(token, {
+  secret, keys = new Map(), issuer, audience, clockToleranceSec = DEFAULT_CLOCK_TOLERANCE_SEC, now = Date.now
+}) {
+  const [encodedHeader, encodedPayload, encodedSignature] = token.split('.');
+  const header = decodeSegment(encodedHeader);
+  const signed = Buffer.from(`${encodedHeader}.${encodedPayload}`);
+  const signature = Buffer.from(encodedSignature, 'base64url');
+
+  let valid;
+  if (header.alg === 'HS256' && secret) {
+    const expected = crypto.createHmac('sha256', secret).update(signed).digest();
+    valid = expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+  } else if (header.alg === 'RS256' && keys.size > 0) {
+    const key = header.kid ? keys.get(header.kid) : keys.size === 1 && [...keys.values()][0];
+    valid = Boolean(key) && crypto.verify('RSA-SHA256', signed, key, signature);
+  } else {
+    throw authError('invalid_token', `Token algorithm ${header.alg} is not accepted`);
+  }
+  if (!valid) {
+    throw authError('invalid_token', 'Token signature is invalid');
+  }
+
+  const claims = decodeSegment(encodedPayload);
+  const nowSec = now() / 1000;
+  if (typeof claims.exp === 'number' && nowSec > claims.exp + clockToleranceSec) {
+    throw authError('expired', 'Token has expired');
+  }
+  if (typeof claims.nbf === 'number' && nowSec < claims.nbf - clockToleranceSec) {
+    throw authError('invalid_token', 'Token is not valid yet');
+  }
+  if (issuer && claims.iss !== issuer) {
+    throw authError('invalid_token', 'Token issuer is not accepted');
+  }
+  if (audience && ![].concat(claims.aud).includes(audience)) {
+    throw authError('invalid_token', 'Token audience is not accepted');
+  }
+
+  return claims;
+}
+
+/**
+ * Highest known role among a token's role claim (a string or an array)
+ */
+function highestRole(claim) {
+  return [].concat(claim || []).reduce((best, role) => {
+    const rank = ROLES.indexOf(role);
+    return rank > ROLES.indexOf(best) ? role : best;
+  }, null);
+}
+
+function hasRole(principal, role) {
+  return ROLES.indexOf(principal.role) >= ROLES.indexOf(role);
+}
+
+/**
+ * Create the authentication layer
+ *
+ * Callers authenticate with an API key (`X-API-Key`, or `Authorization:
+ * Bearer <key>`) or a JWT bearer token. `getAdminToken` returns the legacy
+ * ADMIN_TOKEN (none unless given), still accepted as an admin API key. Failures are logged and
+ * counted by reason; credentials never appear in either.
+ *
+ * Returns `{ authenticate, attachPrincipal, requireRole }`:
+ *  - authenticate: sets `req.principal` (`{ name, role, method }`) when
+ *    credentials are valid, answers 401 when they are not and lets anonymous
+ *    requests through
+ *  - attachPrincipal: sets `req.principal` for valid credentials and null
+ *    otherwise, without rejecting, logging or counting anything; for
+ *    middleware such as rate limits that only needs to know who is calling
+ *  - requireRole(role): 401 without valid credentials, 403 below `role`
+ */
+function createAuth({
+  apiKeys = [],
+  jwt = {},
+  getAdminToken = () => undefined,
+  logger = console,
+  now = Date.now
+} = {}) {
+  const keys = normalizeApiKeys(apiKeys);
+  const jwtOptions = {
+    secret: jwt.secret,
+    keys: jwt.jwksFile ? loadJwks(jwt.jwksFile) : new Map(),
+    issuer: jwt.issuer,
+    audience: jwt.audience,
+    clockToleranceSec: jwt.clockToleranceSec,
+    now
+  };
+  const rolesClaim = jwt.rolesClaim || 'roles';
+
+  const fail = (req, res, {
+    status, reason, method, message
+  }) => {
+    recordAuthFailure(reason, method);
+    logger.warn('Authentication failed', {
+      reason, method, path: req.path, ip: req.ip, requestId: req.id
+    });
+    if (status === 401) {
+      res.set('WWW-Authenticate', 'Bearer');
+    }
+    res.status(status).json({
+      error: status === 401 ? 'Unauthorized' : 'Forbidden',
+      message,
+      requestId: req.id,
+      timestamp: new Date().toISOString()
+    });
+  };
+
+  function checkApiKey(value) {
+    const digest = Buffer.from(sha256(value));
+    const match = keys.find((entry) => crypto.timingSafeEqual(digest, Buffer.from(entry.sha256)));
+    if (match) {
+      return { name: match.name, role: match.role, method: 'api_key' };
+    }
+
+    const adminToken = getAdminToken();
+    if (adminToken && safeEqual(value, adminToken)) {
+      return { name: 'admin-token', role: 'admin', method: 'api_key' };
+    }
+    throw authError('invalid_key', 'API key is not valid', 'api_key');
+  }
+
+  function checkJwt(token) {
+    let claims;
+    try {
+      claims = verifyJwt(token, jwtOptions);
+    } catch (error) {
+      // Crypto and parsing errors carry their own codes and messages, which
+      // would otherwise end up as metric labels and in responses
+      if (!JWT_FAILURES.includes(error.code)) {
+        throw authError('invalid_token', 'Token is not valid', 'jwt');
+      }
+      throw authError(error.code, error.message, 'jwt');
+    }
+    const role = highestRole(claims[rolesClaim]);
+    if (!role) {
+      throw authError('invalid_token', `Token has no known role in the "${rolesClaim}" claim`, 'jwt');
+    }
+    return { name: String(claims.sub || 'jwt'), role, method: 'jwt' };
+  }
+
+  /**
+   * Resolve the caller's principal
+   * Returns null for anonymous requests and throws for invalid credentials.
+   */
+  function identify(req) {
+    const apiKey = req.get(API_KEY_HEADER);
+    if (apiKey) {
+      return checkApiKey(apiKey);
+    }
+
+    const [scheme, credential] = (req.get('authorization') || '').split(' ');
+    if (!scheme) {
+      return null;
+    }
+    if (scheme !== 'Bearer' || !credential) {
+      throw authError('invalid_scheme', 'Only Bearer credentials are accepted', 'other');
+    }
+    return JWT_PATTERN.test(credential) ? checkJwt(credential) : checkApiKey(credential);
+  }
+
+  function authenticate(req, res, next) {
+    try {
+      req.principal = identify(req);
+    } catch (error) {
+      fail(req, res, {
+        status: 401, reason: error.code, method: error.method, message: error.message
+      });
+      return;
+    }
+    next();
+  }
+
+  function attachPrincipal(req, res, next) {
+    try {
+      req.principal = identify(req);
+    } catch (error) {
+      req.principal = null;
+    }
+    next();
+  }
+
+  function requireRole(role) {
+    if (!ROLES.includes(role)) {
+      throw new Error(`Unknown role "${role}"; expected one of ${ROLES.join(', ')}`);
+    }
+
+    return (req, res, next) => authenticate(req, res, () => {
+      if (!req.principal) {
+        fail(req, res, {
+          status: 401, reason: 'missing', method: 'none', message: 'Authentication required'
+        });
+        return;
+      }
+      if (!hasRole(req.principal, role)) {
+        fail(req, res, {
+          status: 403,
+          reason: 'forbidden',
+          method: req.principal.method,
+          message: `The ${role} role is required`
+        });
+        return;
+      }
+      next();
+    });
+  }
+
+  return { authenticate, attachPrincipal, requireRole };
+}
+
+module.exports = {
+  ROLES,
+  createAuth,
+  normalizeApiKeys,
+  loadJwks,
+  verifyJwt
+};
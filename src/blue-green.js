@@ -0,0 +1,429 @@
+const fs = require('fs');
+const { parseArgs, parseDuration, parseHeaders } = require('./cli');
+const { fetchVersion, pollDrift } = require('./version-drift');
+const { createAzureAdapter } = require('./platform-adapters');
+const { loadSuite, runSuite, formatFailures } = require('./smoke');
+
+/**
+ * Blue-green release orchestrator
+ *
+ * Runs plan → deploy → warmup → smoke → swap → verify against a platform
+ * adapter (see platform-adapters.js) and rolls back by swapping again when
+ * verification fails. Each step is recorded in a JSON journal before and after
+ * it runs, so a run that was interrupted, or paused with `stopAfter`, resumes
+ * at the first unfinished step.
+ */
+
+const STEPS = ['plan', 'deploy', 'warmup', 'smoke', 'swap', 'verify'];
+const ACTIVE_STATUSES = ['running', 'paused'];
+const WARMUP_PATHS = ['/', '/api'];
+
+const DEFAULT_TIMINGS = {
+  warmupTimeoutMs: 120000,
+  warmupRequests: 10,
+  verifyTimeoutMs: 120000,
+  verifyWindowMs: 60000,
+  intervalMs: 5000,
+  requestTimeoutMs: 5000
+};
+
+const shaMatches = (actual, expected) => Boolean(actual && expected)
+  && String(actual).toLowerCase().startsWith(String(expected).toLowerCase());
+
+function loadJournal(file) {
+  if (!file || !fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Write the journal via a temporary file so it is never left half-written
+ */
+function saveJournal(file, journal) {
+  if (!file) return;
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, `${JSON.stringify(journal, null, 2)}\n`);
+  fs.renameSync(tmp, file);
+}
+
+async function getStatus(baseUrl, path, timeout) {
+  try {
+    const response = await fetch(new URL(path, baseUrl), { signal: AbortSignal.timeout(timeout) });
+    await response.arrayBuffer();
+    return response.status;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Poll /health/ready until it returns 200, throwing after `timeoutMs`
+ */
+async function waitForReady(baseUrl, {
+  timeoutMs, intervalMs, requestTimeoutMs, sleep, now
+}) {
+  const startedAt = now();
+  for (;;) {
+    const status = await getStatus(baseUrl, '/health/ready', requestTimeoutMs);
+    if (status === 200) return now() - startedAt;
+    if (now() - startedAt + intervalMs > timeoutMs) {
+      const last = status === null ? 'no response' : status;
+      throw new Error(`${baseUrl} was not ready after ${timeoutMs}ms (last status: ${last})`);
+    }
+    await sleep(intervalMs);
+  }
+}
+
+/**
+ * Wait until the live slot serves `sha`, then watch it for `windowMs`
+ */
+async function verifyLive(baseUrl, sha, {
+  verifyTimeoutMs, verifyWindowMs, intervalMs, requestTimeoutMs, sleep, now
+}) {
+  const report = await pollDrift({
+    targets: [{ name: 'live', url: baseUrl }],
+    expectSha: sha,
+    waitMs: verifyTimeoutMs,
+    intervalMs,
+    timeout: requestTimeoutMs,
+    sleep,
+    now
+  });
+  if (report.verdict !== 'consistent') {
+    throw new Error(`Live slot does not serve ${sha}: ${report.reason}`);
+  }
+
+  const watchUntil = now() + verifyWindowMs;
+  let checks = 0;
+  while (now() < watchUntil) {
+    await sleep(intervalMs);
+    checks += 1;
+    const status = await getStatus(baseUrl, '/health/ready', requestTimeoutMs);
+    if (status !== 200) {
+      const last = status === null ? 'no response' : status;
+      throw new Error(`Live slot became unhealthy after the swap (readiness: ${last})`);
+    }
+  }
+
+  return { attempts: report.attempts, checks };
+}
+
+async function liveSha(adapter, requestTimeoutMs) {
+  const { live } = await adapter.describe();
+  try {
+    return (await fetchVersion(live.url, { timeout: requestTimeoutMs })).gitSha;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Step implementations; each returns the result stored in the journal
+ * `resumed` is set when the journal shows the step started but never finished.
+ */
+const STEP_HANDLERS = {
+  async plan({ adapter, timings }) {
+    const { live, idle } = await adapter.describe();
+    // Without a known SHA for the live slot the rollback only waits for readiness
+    const sha = await liveSha(adapter, timings.requestTimeoutMs);
+    return { live, idle, previousSha: sha && sha !== 'unknown' ? sha : null };
+  },
+
+  async deploy({ adapter, release, journal }) {
+    const { slot } = journal.steps.plan.result.idle;
+    await adapter.deploy(slot, release);
+    return { slot, image: release.image };
+  },
+
+  async warmup({ adapter, timings }) {
+    const { idle } = await adapter.describe();
+    const readyAfterMs = await waitForReady(idle.url, { ...timings, timeoutMs: timings.warmupTimeoutMs });
+    const paths = Array.from({ length: timings.warmupRequests }, (_, i) => WARMUP_PATHS[i % WARMUP_PATHS.length]);
+    await Promise.all(paths.map((path) => getStatus(idle.url, path, timings.requestTimeoutMs)));
+    return { readyAfterMs, requests: paths.length };
+  },
+
+  async smoke({ adapter, release, timings }) {
+    const { idle } = await adapter.describe();
+    const target = { name: idle.slot, url: idle.url, vars: { gitSha: release.sha } };
+    const report = await runSuite(timings.smokeSuite, [target], { headers: timings.headers, sleep: timings.sleep });
+    const result = { summary: report.summary, failures: formatFailures(report) };
+    if (!report.passed) {
+      const error = new Error(`Smoke checks failed: ${result.failures.join('; ')}`);
+      error.result = result;
+      throw error;
+    }
+    return result;
+  },
+
+  async swap({
+    adapter, release, timings, resumed
+  }) {
+    // A swap that was interrupted may already have happened; swapping again would undo it
+    if (!resumed || !shaMatches(await liveSha(adapter, timings.requestTimeoutMs), release.sha)) {
+      await adapter.swap();
+    }
+    const { live } = await adapter.describe();
+    return { live };
+  },
+
+  async verify({ adapter, release, timings }) {
+    const { live } = await adapter.describe();
+    return verifyLive(live.url, release.sha, timings);
+  },
+
+  async rollback({
+    adapter, journal, timings, resumed
+  }) {
+    const { previousSha } = journal.steps.plan.result;
+    if (!resumed || !previousSha || !shaMatches(await liveSha(adapter, timings.requestTimeoutMs), previousSha)) {
+      await adapter.swap();
+    }
+    const { live } = await adapter.describe();
+    if (previousSha) {
+      await verifyLive(live.url, previousSha, { ...timings, verifyWindowMs: 0 });
+    } else {
+      await waitForReady(live.url, { ...timings, timeoutMs: timings.verifyTimeoutMs });
+    }
+    return { live, restoredSha: previousSha };
+  }
+};
+
+function newJournal(release, platform, now) {
+  return {
+    release,
+    platform,
+    status: 'running',
+    startedAt: new Date(now()).toISOString(),
+    updatedAt: null,
+    steps: {}
+  };
+}
+
+/**
+ * Run (or resume) a blue-green release of `release` (`{ image, sha }`)
+ *
+ * Returns the journal; its `status` is `succeeded`, `paused` (stopped after
+ * `stopAfter`), `aborted` (a step before or at the swap failed, so live
+ * traffic was not moved), `rolled-back` or `rollback-failed`.
+ * A journal of another release that is still running or paused is never
+ * overwritten; a finished journal is replaced by a new run. `headers` (e.g.
+ * credentials) are sent with the smoke checks and never journaled.
+ */
+async function runBlueGreen({
+  adapter,
+  release,
+  journalFile = null,
+  stopAfter = null,
+  smokeSuite = loadSuite(),
+  headers = {},
+  logger = console,
+  sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
+  now = Date.now,
+  ...overrides
+}) {
+  if (!release || !release.image || !release.sha) {
+    throw new Error('A release needs an image and a git SHA');
+  }
+  if (stopAfter && !STEPS.includes(stopAfter)) {
+    throw new Error(`Unknown step "${stopAfter}"; expected one of ${STEPS.join(', ')}`);
+  }
+
+  const timings = {
+    ...DEFAULT_TIMINGS, ...overrides, smokeSuite, headers, sleep, now
+  };
+  let journal = loadJournal(journalFile);
+  if (journal && ACTIVE_STATUSES.includes(journal.status)) {
+    if (journal.release.sha !== release.sha || journal.release.image !== release.image) {
+      throw new Error(`Journal ${journalFile} belongs to an unfinished release of ${journal.release.sha}; `
+        + 'finish or remove it first');
+    }
+    logger.info(`Resuming release of ${release.sha} from ${journalFile}`);
+  } else {
+    journal = newJournal(release, adapter.platform, now);
+  }
+  journal.status = 'running';
+
+  const save = () => {
+    journal.updatedAt = new Date(now()).toISOString();
+    saveJournal(journalFile, journal);
+  };
+
+  const runStep = async (name) => {
+    const resumed = Boolean(journal.steps[name]);
+    journal.steps[name] = { status: 'started', startedAt: new Date(now()).toISOString() };
+    save();
+    logger.info(`Step ${name}${resumed ? ' (resumed)' : ''}`);
+    try {
+      const result = await STEP_HANDLERS[name]({
+        adapter, release, journal, timings, resumed
+      });
+      journal.steps[name] = {
+        ...journal.steps[name], status: 'done', finishedAt: new Date(now()).toISOString(), result
+      };
+      save();
+      return true;
+    } catch (error) {
+      journal.steps[name] = {
+        ...journal.steps[name],
+        status: 'failed',
+        finishedAt: new Date(now()).toISOString(),
+        error: error.message,
+        ...(error.result ? { result: error.result } : {})
+      };
+      save();
+      logger.error(`Step ${name} failed: ${error.message}`);
+      return false;
+    }
+  };
+
+  for (const name of STEPS) {
+    if (!journal.steps[name] || journal.steps[name].status !== 'done') {
+      if (!(await runStep(name))) {
+        if (name === 'verify') {
+          journal.status = (await runStep('rollback')) ? 'rolled-back' : 'rollback-failed';
+        } else {
+          journal.status = 'aborted';
+        }
+        save();
+        return journal;
+      }
+      if (name === stopAfter && name !== STEPS[STEPS.length - 1]) {
+        journal.status = 'paused';
+        save();
+        logger.info(`Paused after ${name}; run again with the same journal to continue`);
+        return journal;
+      }
+    }
+  }
+
+  journal.status = 'succeeded';
+  save();
+  return journal;
+}
+
+/**
+ * Swap the slots back outside a release, then wait for the live slot to be ready
+ */
+async function swapBack({
+  adapter,
+  logger = console,
+  sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
+  now = Date.now,
+  ...overrides
+}) {
+  const timings = {
+    ...DEFAULT_TIMINGS, ...overrides, sleep, now
+  };
+  logger.info('Swapping slots back');
+  await adapter.swap();
+  const { live } = await adapter.describe();
+  await waitForReady(live.url, { ...timings, timeoutMs: timings.verifyTimeoutMs });
+  return { live, sha: await liveSha(adapter, timings.requestTimeoutMs) };
+}
+
+const USAGE = `Usage: node scripts/blue-green.js --app <name> --resource-group <group> \\
+         --image <image> --sha <sha> [options]
+       node scripts/blue-green.js --app <name> --resource-group <group> --rollback
+
+Deploys to the idle Azure slot, warms it up, smoke-tests it, swaps it into
+production and verifies it, swapping back automatically if verification fails.
+
+Options:
+  --staging-slot <slot>      Idle slot swapped with production (default: blue)
+  --journal <file>           State journal; an unfinished run resumes from it (default: blue-green-journal.json)
+  --stop-after <step>        Pause after a step (${STEPS.join(', ')})
+  --smoke-suite <file>       Smoke suite run against the idle slot (default: config/smoke-suite.json)
+  --header <name:value>      Extra header sent with every smoke check, e.g. credentials (repeatable)
+  --warmup-timeout <dur>     Time for the idle slot to become ready (default: 2m)
+  --warmup-requests <n>      Requests sent to warm the idle slot up (default: 10)
+  --verify-timeout <dur>     Time for production to serve the new SHA (default: 2m)
+  --verify-window <dur>      How long production must stay healthy after the swap (default: 1m)
+  --interval <dur>           Time between checks (default: 5s)
+  --rollback                 Swap the slots back now and wait for production to be ready
+
+Exit codes: 0 = succeeded or paused, 1 = aborted or rolled back, 2 = rollback failed, 3 = error`;
+
+const EXIT_CODES = {
+  succeeded: 0, paused: 0, aborted: 1, 'rolled-back': 1, 'rollback-failed': 2
+};
+
+function timingOptions(options) {
+  const timings = {};
+  if (options['warmup-timeout']) timings.warmupTimeoutMs = parseDuration(options['warmup-timeout']);
+  if (options['warmup-requests']) timings.warmupRequests = Number(options['warmup-requests']);
+  if (options['verify-timeout']) timings.verifyTimeoutMs = parseDuration(options['verify-timeout']);
+  if (options['verify-window']) timings.verifyWindowMs = parseDuration(options['verify-window']);
+  if (options.interval) timings.intervalMs = parseDuration(options.interval);
+  return timings;
+}
+
+/**
+ * CLI entrypoint, returns the process exit code
+ */
+async function main(argv, {
+  stdout = process.stdout,
+  stderr = process.stderr,
+  createAdapter = createAzureAdapter
+} = {}) {
+  let options;
+  try {
+    options = parseArgs(argv);
+  } catch (error) {
+    stderr.write(`${error.message}\n${USAGE}\n`);
+    return 3;
+  }
+
+  const releaseGiven = options.image && options.sha;
+  if (options.help || !options.app || !options['resource-group'] || (!options.rollback && !releaseGiven)) {
+    stderr.write(`${USAGE}\n`);
+    return options.help ? 0 : 3;
+  }
+
+  const logger = {
+    info: (message) => stderr.write(`${message}\n`),
+    error: (message) => stderr.write(`${message}\n`)
+  };
+
+  try {
+    const adapter = createAdapter({
+      app: options.app,
+      resourceGroup: options['resource-group'],
+      stagingSlot: options['staging-slot']
+    });
+
+    if (options.rollback) {
+      const result = await swapBack({ adapter, logger, ...timingOptions(options) });
+      stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+      return 0;
+    }
+
+    const journal = await runBlueGreen({
+      adapter,
+      release: { image: options.image, sha: options.sha },
+      journalFile: options.journal || 'blue-green-journal.json',
+      stopAfter: options['stop-after'],
+      smokeSuite: loadSuite(options['smoke-suite']),
+      headers: parseHeaders(options.header),
+      logger,
+      ...timingOptions(options)
+    });
+
+    stdout.write(`${JSON.stringify(journal, null, 2)}\n`);
+    stderr.write(`Blue-green release: ${journal.status}\n`);
+    return EXIT_CODES[journal.status];
+  } catch (error) {
+    stderr.write(`Blue-green release failed: ${error.message}\n`);
+    return 3;
+  }
+}
+
+module.exports = {
+  STEPS,
+  DEFAULT_TIMINGS,
+  loadJournal,
+  saveJournal,
+  waitForReady,
+  runBlueGreen,
+  swapBack,
+  main
+};
@@ -0,0 +1,51 @@
+const { getConfig } = require('./config');
+const { version } = require('../package.json');
+
+const UNKNOWN = 'unknown';
+
+/**
+ * Build and deployment metadata for this instance
+ * Comes from GIT_SHA, BUILD_TIME, IMAGE_TAG and WORKFLOW_RUN_ID (baked into
+ * the image as build args) and SLOT_NAME (set per slot); unset values are
+ * reported as "unknown".
+ */
+function getBuildInfo(config = getConfig()) {
+  const gitSha = config.GIT_SHA || UNKNOWN;
+
+  return {
+    version,
+    gitSha,
+    shortSha: gitSha === UNKNOWN ? UNKNOWN : gitSha.slice(0, 7),
+    buildTime: config.BUILD_TIME || UNKNOWN,
+    imageTag: config.IMAGE_TAG || UNKNOWN,
+    slot: config.SLOT_NAME || UNKNOWN,
+    workflowRunId: config.WORKFLOW_RUN_ID || UNKNOWN,
+    deploymentType: config.DEPLOYMENT_TYPE,
+    nodeVersion: process.version
+  };
+}
+
+/**
+ * Create the GET /version handler for a configuration (the process
+ * configuration unless given)
+ */
+function createVersionHandler(config) {
+  return function versionHandler(req, res) {
+    res.json({
+      ...getBuildInfo(config),
+      timestamp: new Date().toISOString()
+    });
+  };
+}
+
+/**
+ * GET /version - build and deployment metadata
+ */
+const versionHandler = createVersionHandler();
+
+module.exports = {
+  UNKNOWN,
+  getBuildInfo,
+  createVersionHandler,
+  versionHandler
+};
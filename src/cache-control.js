@@ -0,0 +1,76 @@
+/**
+ * Cache-Control policy of GET responses, by path prefix
+ *
+ * The longest matching prefix wins and `/` covers every other path. Probes,
+ * metrics and admin endpoints are never stored, so a cache cannot hide a
+ * failing instance; other responses may be stored but are revalidated with
+ * their ETag on every use. Flags are evaluated per caller, so they stay out of
+ * shared caches. Handlers can still set their own header.
+ */
+const DEFAULT_CACHE_CONTROL = {
+  '/': 'no-cache',
+  '/health': 'no-store',
+  '/metrics': 'no-store',
+  '/admin': 'no-store',
+  '/api/flags': 'private, no-cache',
+  '/api/openapi.json': 'public, max-age=60',
+  '/api/docs': 'public, max-age=60'
+};
+
+/**
+ * Merge policies over the defaults and check them
+ * An empty string drops the header for that prefix.
+ */
+function normalizePolicies(policies = {}) {
+  if (!policies || typeof policies !== 'object' || Array.isArray(policies)) {
+    throw new Error('Cache-Control policies must be an object of path prefix to header value');
+  }
+
+  Object.entries(policies).forEach(([prefix, value]) => {
+    if (!prefix.startsWith('/')) {
+      throw new Error(`Cache-Control prefix "${prefix}" must start with /`);
+    }
+    if (typeof value !== 'string') {
+      throw new Error(`Cache-Control policy for ${prefix} must be a string`);
+    }
+  });
+
+  return { ...DEFAULT_CACHE_CONTROL, ...policies };
+}
+
+/**
+ * Policy for a request path, or undefined when no prefix matches
+ */
+function policyFor(policies, requestPath) {
+  const prefix = Object.keys(policies)
+    .filter((candidate) => candidate === '/' || requestPath === candidate
+      || requestPath.startsWith(`${candidate.replace(/\/$/, '')}/`))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return prefix === undefined ? undefined : policies[prefix];
+}
+
+/**
+ * Middleware setting Cache-Control on GET and HEAD responses
+ * `policies` (e.g. the CACHE_CONTROL setting) are merged over the defaults.
+ */
+function createCacheControlMiddleware(policies) {
+  const merged = normalizePolicies(policies);
+
+  return function cacheControlMiddleware(req, res, next) {
+    if (req.method === 'GET' || req.method === 'HEAD') {
+      const policy = policyFor(merged, req.path);
+      if (policy) {
+        res.set('Cache-Control', policy);
+      }
+    }
+    next();
+  };
+}
+
+module.exports = {
+  DEFAULT_CACHE_CONTROL,
+  normalizePolicies,
+  policyFor,
+  createCacheControlMiddleware
+};
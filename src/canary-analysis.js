@@ -0,0 +1,464 @@
+const fs = require('fs');
+const { parseArgs, parseDuration, parseHeaders } = require('./cli');
+
+const REQUESTS_METRIC = 'gas_http_requests_total';
+const DURATION_METRIC = 'gas_http_request_duration_seconds';
+const ALL_ROUTES = '*';
+const QUANTILES = ['p50', 'p95', 'p99'];
+
+const DEFAULT_THRESHOLDS = {
+  // Routes (and the aggregate) need this many canary requests in the window to be judged
+  minRequests: 20,
+  // Canary error rate ceiling (5xx / total) where stable has too little traffic to compare
+  maxErrorRate: 0.05,
+  // Allowed increase of the canary error rate over stable, in absolute terms
+  maxErrorRateIncrease: 0.01,
+  // Allowed canary/stable latency ratio per quantile
+  maxLatencyRatio: { p50: 1.5, p95: 1.5, p99: 2 },
+  // Latency differences below this are treated as noise regardless of ratio
+  minLatencyDeltaSeconds: 0.05,
+  // Probe and scrape traffic says nothing about the release under test
+  excludeRoutes: ['/metrics', '/health', '/health/live', '/health/ready']
+};
+
+/**
+ * Parse the Prometheus text exposition format into samples
+ * Returns an array of `{ name, labels, value }`. Comments, timestamps and
+ * OpenMetrics exemplars are ignored.
+ */
+function parsePrometheusText(text) {
+  const samples = [];
+
+  text.split('\n').forEach((rawLine) => {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) return;
+
+    const sample = parseSampleLine(line);
+    if (sample) samples.push(sample);
+  });
+
+  return samples;
+}
+
+function parseSampleLine(line) {
+  const nameMatch = /^[a-zA-Z_:][a-zA-Z0-9_:]*/.exec(line);
+  if (!nameMatch) return null;
+
+  const name = nameMatch[0];
+  const labels = {};
+  let pos = name.length;
+
+  if (line[pos] === '{') {
+    pos += 1;
+    while (pos < line.length && line[pos] !== '}') {
+      const keyMatch = /^\s*,?\s*([a-zA-Z_][a-zA-Z0-9_]*)\s*=\s*"/.exec(line.slice(pos));
+      if (!keyMatch) break;
+      pos += keyMatch[0].length;
+
+      let value = '';
+      while (pos < line.length && line[pos] !== '"') {
+        if (line[pos] === '\\' && pos + 1 < line.length) {
+          const next = line[pos + 1];
+          value += next === 'n' ? '\n' : next;
+          pos += 2;
+        } else {
+          value += line[pos];
+          pos += 1;
+        }
+      }
+      labels[keyMatch[1]] = value;
+      pos += 1;
+
+      const trailing = /^\s*,?\s*/.exec(line.slice(pos));
+      pos += trailing[0].length;
+    }
+    pos += 1;
+  }
+
+  const valueToken = line.slice(pos).trim().split(/\s+/)[0];
+  const value = parseSampleValue(valueToken);
+  if (Number.isNaN(value)) return null;
+
+  return { name, labels, value };
+}
+
+function parseSampleValue(token) {
+  if (token === '+Inf') return Infinity;
+  if (token === '-Inf') return -Infinity;
+  return token ? Number(token) : NaN;
+}
+
+/**
+ * Reduce parsed samples to request, error and latency bucket counts per route
+ * Keys are `METHOD route`; the aggregate of all included routes is under `*`.
+ */
+function summarizeSamples(samples, { excludeRoutes = [] } = {}) {
+  const routes = {};
+
+  const routeEntry = (key) => {
+    if (!routes[key]) {
+      routes[key] = { requests: 0, errors: 0, buckets: {} };
+    }
+    return routes[key];
+  };
+
+  samples.forEach(({ name, labels, value }) => {
+    if (excludeRoutes.includes(labels.route)) return;
+
+    const keys = [`${labels.method} ${labels.route}`, ALL_ROUTES];
+
+    if (name === REQUESTS_METRIC) {
+      keys.forEach((key) => {
+        const entry = routeEntry(key);
+        entry.requests += value;
+        if (String(labels.status_code).startsWith('5')) {
+          entry.errors += value;
+        }
+      });
+    } else if (name === `${DURATION_METRIC}_bucket`) {
+      keys.forEach((key) => {
+        const entry = routeEntry(key);
+        entry.buckets[labels.le] = (entry.buckets[labels.le] || 0) + value;
+      });
+    }
+  });
+
+  return routes;
+}
+
+/**
+ * Difference between two summaries taken at the start and end of a window
+ * A route whose counters went backwards was restarted; its end value is used as is.
+ */
+function diffSummaries(start, end) {
+  const window = {};
+
+  Object.entries(end).forEach(([key, endEntry]) => {
+    const startEntry = start[key] || { requests: 0, errors: 0, buckets: {} };
+    const reset = endEntry.requests < startEntry.requests;
+    const base = reset ? { requests: 0, errors: 0, buckets: {} } : startEntry;
+
+    const buckets = {};
+    Object.entries(endEntry.buckets).forEach(([le, count]) => {
+      buckets[le] = count - (base.buckets[le] || 0);
+    });
+
+    window[key] = {
+      requests: endEntry.requests - base.requests,
+      errors: endEntry.errors - base.errors,
+      buckets
+    };
+  });
+
+  return window;
+}
+
+/**
+ * Estimate a quantile from cumulative histogram buckets
+ * Uses the same linear interpolation as PromQL's histogram_quantile().
+ */
+function histogramQuantile(quantile, buckets) {
+  const sorted = Object.entries(buckets)
+    .map(([le, count]) => ({ le: parseSampleValue(le), count }))
+    .sort((a, b) => a.le - b.le);
+
+  if (sorted.length === 0) return null;
+
+  const total = sorted[sorted.length - 1].count;
+  if (total <= 0) return null;
+
+  const rank = quantile * total;
+  let previousBound = 0;
+  let previousCount = 0;
+
+  for (let i = 0; i < sorted.length; i += 1) {
+    const { le, count } = sorted[i];
+    if (count >= rank) {
+      if (le === Infinity) {
+        return previousBound;
+      }
+      const inBucket = count - previousCount;
+      if (inBucket <= 0) return le;
+      return previousBound + (le - previousBound) * ((rank - previousCount) / inBucket);
+    }
+    previousBound = le;
+    previousCount = count;
+  }
+
+  return previousBound;
+}
+
+function describeWindow(entry) {
+  const stats = {
+    requests: entry ? entry.requests : 0,
+    errors: entry ? entry.errors : 0,
+    errorRate: null
+  };
+
+  if (stats.requests > 0) {
+    stats.errorRate = stats.errors / stats.requests;
+  }
+
+  QUANTILES.forEach((name) => {
+    const quantile = Number(name.slice(1)) / 100;
+    stats[name] = entry ? histogramQuantile(quantile, entry.buckets) : null;
+  });
+
+  return stats;
+}
+
+function compareRoute(route, stableEntry, canaryEntry, thresholds) {
+  const stable = describeWindow(stableEntry);
+  const canary = describeWindow(canaryEntry);
+  const checks = [];
+
+  if (canary.requests < thresholds.minRequests) {
+    return {
+      route,
+      stable,
+      canary,
+      checks,
+      verdict: 'inconclusive',
+      reason: `Canary served ${canary.requests} requests, need at least ${thresholds.minRequests}`
+    };
+  }
+
+  const hasBaseline = stable.requests >= thresholds.minRequests;
+
+  if (!hasBaseline) {
+    checks.push({
+      metric: 'errorRate',
+      canary: canary.errorRate,
+      threshold: thresholds.maxErrorRate,
+      result: canary.errorRate > thresholds.maxErrorRate ? 'fail' : 'pass'
+    });
+  } else {
+    const increase = canary.errorRate - stable.errorRate;
+    checks.push({
+      metric: 'errorRateIncrease',
+      stable: stable.errorRate,
+      canary: canary.errorRate,
+      delta: increase,
+      threshold: thresholds.maxErrorRateIncrease,
+      result: increase > thresholds.maxErrorRateIncrease ? 'fail' : 'pass'
+    });
+
+    QUANTILES.forEach((name) => {
+      const maxRatio = thresholds.maxLatencyRatio[name];
+      if (maxRatio === undefined || stable[name] === null || canary[name] === null) return;
+
+      const delta = canary[name] - stable[name];
+      const ratio = stable[name] > 0 ? canary[name] / stable[name] : null;
+      const exceeded = delta > thresholds.minLatencyDeltaSeconds
+        && (ratio === null || ratio > maxRatio);
+
+      checks.push({
+        metric: `latency.${name}`,
+        stable: stable[name],
+        canary: canary[name],
+        ratio,
+        threshold: maxRatio,
+        result: exceeded ? 'fail' : 'pass'
+      });
+    });
+  }
+
+  const failed = checks.some((check) => check.result === 'fail');
+  const result = {
+    route,
+    stable,
+    canary,
+    checks,
+    verdict: failed ? 'fail' : 'pass'
+  };
+
+  if (!failed && !hasBaseline) {
+    result.verdict = 'inconclusive';
+    result.reason = `Stable served ${stable.requests} requests, need at least ${thresholds.minRequests}`;
+  }
+
+  return result;
+}
+
+function mergeThresholds(overrides = {}) {
+  return {
+    ...DEFAULT_THRESHOLDS,
+    ...overrides,
+    maxLatencyRatio: {
+      ...DEFAULT_THRESHOLDS.maxLatencyRatio,
+      ...(overrides.maxLatencyRatio || {})
+    }
+  };
+}
+
+/**
+ * Compare stable and canary windows and produce a verdict with evidence
+ * `fail` if any route (or the aggregate) breaches a threshold, `inconclusive`
+ * if the aggregate has too little traffic to judge, `pass` otherwise.
+ */
+function compareWindows(stableWindow, canaryWindow, overrides = {}) {
+  const thresholds = mergeThresholds(overrides);
+  const keys = new Set([...Object.keys(stableWindow), ...Object.keys(canaryWindow)]);
+  keys.delete(ALL_ROUTES);
+
+  const aggregate = compareRoute(
+    ALL_ROUTES,
+    stableWindow[ALL_ROUTES],
+    canaryWindow[ALL_ROUTES],
+    thresholds
+  );
+  const routes = [...keys].sort().map((key) => compareRoute(
+    key,
+    stableWindow[key],
+    canaryWindow[key],
+    thresholds
+  ));
+
+  const failures = [aggregate, ...routes]
+    .filter((result) => result.verdict === 'fail')
+    .flatMap((result) => result.checks
+      .filter((check) => check.result === 'fail')
+      .map((check) => `${result.route}: ${check.metric} breached threshold ${check.threshold}`));
+
+  let verdict = 'pass';
+  if (failures.length > 0) {
+    verdict = 'fail';
+  } else if (aggregate.verdict === 'inconclusive') {
+    verdict = 'inconclusive';
+  }
+
+  return {
+    verdict,
+    reasons: verdict === 'inconclusive' ? [aggregate.reason] : failures,
+    thresholds,
+    aggregate,
+    routes
+  };
+}
+
+/**
+ * Scrape a /metrics endpoint and summarize it
+ */
+async function collectSnapshot(baseUrl, { excludeRoutes, timeout = 10000, headers = {} } = {}) {
+  const url = new URL('/metrics', baseUrl);
+  const response = await fetch(url, { headers, signal: AbortSignal.timeout(timeout) });
+
+  if (!response.ok) {
+    throw new Error(`Scraping ${url} failed with status ${response.status}`);
+  }
+
+  return summarizeSamples(parsePrometheusText(await response.text()), { excludeRoutes });
+}
+
+/**
+ * Scrape stable and canary at the start and end of a window and compare them
+ */
+async function runAnalysis({
+  stableUrl,
+  canaryUrl,
+  windowMs = 300000,
+  thresholds: overrides = {},
+  headers,
+  sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+}) {
+  const thresholds = mergeThresholds(overrides);
+  const scrapeOptions = { excludeRoutes: thresholds.excludeRoutes, headers };
+  const startedAt = new Date();
+
+  const [stableStart, canaryStart] = await Promise.all([
+    collectSnapshot(stableUrl, scrapeOptions),
+    collectSnapshot(canaryUrl, scrapeOptions)
+  ]);
+
+  await sleep(windowMs);
+
+  const [stableEnd, canaryEnd] = await Promise.all([
+    collectSnapshot(stableUrl, scrapeOptions),
+    collectSnapshot(canaryUrl, scrapeOptions)
+  ]);
+
+  const endedAt = new Date();
+
+  return {
+    stableUrl,
+    canaryUrl,
+    window: {
+      start: startedAt.toISOString(),
+      end: endedAt.toISOString(),
+      durationSeconds: (endedAt - startedAt) / 1000
+    },
+    ...compareWindows(
+      diffSummaries(stableStart, stableEnd),
+      diffSummaries(canaryStart, canaryEnd),
+      thresholds
+    )
+  };
+}
+
+const USAGE = `Usage: node scripts/canary-analysis.js --stable <url> --canary <url> [options]
+
+Options:
+  --window <duration>      Observation window, e.g. 300s or 5m (default: 5m)
+  --thresholds <file>      JSON file overriding the default thresholds
+  --output <file>          Also write the JSON verdict to this file
+  --header <name:value>    Extra header sent with every scrape (repeatable)
+
+Exit codes: 0 = pass, 1 = fail, 2 = inconclusive, 3 = error`;
+
+const EXIT_CODES = { pass: 0, fail: 1, inconclusive: 2 };
+
+/**
+ * CLI entrypoint, returns the process exit code
+ */
+async function main(argv, { stdout = process.stdout, stderr = process.stderr } = {}) {
+  let options;
+  try {
+    options = parseArgs(argv);
+  } catch (error) {
+    stderr.write(`${error.message}\n${USAGE}\n`);
+    return 3;
+  }
+
+  if (options.help || !options.stable || !options.canary) {
+    stderr.write(`${USAGE}\n`);
+    return options.help ? 0 : 3;
+  }
+
+  try {
+    const thresholds = options.thresholds
+      ? JSON.parse(fs.readFileSync(options.thresholds, 'utf8'))
+      : {};
+    const headers = parseHeaders(options.header);
+
+    const report = await runAnalysis({
+      stableUrl: options.stable,
+      canaryUrl: options.canary,
+      windowMs: parseDuration(options.window || '5m'),
+      thresholds,
+      headers
+    });
+
+    const json = JSON.stringify(report, null, 2);
+    stdout.write(`${json}\n`);
+    if (options.output) {
+      fs.writeFileSync(options.output, `${json}\n`);
+    }
+
+    return EXIT_CODES[report.verdict];
+  } catch (error) {
+    stderr.write(`Canary analysis failed: ${error.message}\n`);
+    return 3;
+  }
+}
+
+module.exports = {
+  DEFAULT_THRESHOLDS,
+  parsePrometheusText,
+  summarizeSamples,
+  diffSummaries,
+  histogramQuantile,
+  compareWindows,
+  collectSnapshot,
+  runAnalysis,
+  main
+};
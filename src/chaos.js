@@ -0,0 +1,391 @@
+const fs = require('fs');
+const { recordChaosFault, setChaosEnabled } = require('./metrics');
+
+// Admin routes are never faulted so chaos can always be switched off again
+const EXEMPT_PREFIX = '/admin';
+const DEFAULT_MAX_MEMORY_MB = 512;
+// Upper bounds of what the admin API accepts, so a typo cannot take the instance down
+const MEMORY_LIMIT_MB = 2048;
+const CPU_LIMIT_MS = 1000;
+// Longest delay setTimeout supports; longer ones fire after 1ms
+const DELAY_LIMIT_MS = 2 ** 31 - 1;
+const LATENCY_TYPES = ['fixed', 'uniform', 'longtail'];
+// z-score of the 99th percentile of a standard normal distribution
+const Z_99 = 2.326;
+
+/**
+ * Convert a route pattern to a regular expression
+ * `*` matches within one path segment, `**` matches across segments.
+ */
+function patternToRegExp(pattern) {
+  const source = pattern
+    .split('**')
+    .map((part) => part
+      .split('*')
+      .map((literal) => literal.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('[^/]*'))
+    .join('.*');
+  return new RegExp(`^${source}$`);
+}
+
+function assertRate(rule, fault, rate) {
+  if (typeof rate !== 'number' || rate < 0 || rate > 100) {
+    throw new Error(`Chaos rule "${rule}": ${fault}.rate must be a percentage between 0 and 100`);
+  }
+}
+
+function assertPositive(rule, field, value) {
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+    throw new Error(`Chaos rule "${rule}": ${field} must be a non-negative number`);
+  }
+}
+
+function assertAtMost(rule, field, value, max) {
+  if (value > max) {
+    throw new Error(`Chaos rule "${rule}": ${field} must be at most ${max}`);
+  }
+}
+
+/**
+ * Validate a rule and fill in defaults
+ * A rule matches `route` (and optionally `methods` and `deploymentTypes`) and
+ * may inject any combination of `latency`, `cpu`, `memory`, `drop` and `error`.
+ */
+function normalizeRule(rule, index) {
+  if (!rule || typeof rule !== 'object') {
+    throw new Error(`Chaos rule #${index} must be an object`);
+  }
+
+  const id = rule.id || `rule-${index}`;
+  if (typeof rule.route !== 'string' || !rule.route.startsWith('/')) {
+    throw new Error(`Chaos rule "${id}": route must be a path pattern starting with /`);
+  }
+
+  ['methods', 'deploymentTypes'].forEach((field) => {
+    const value = rule[field];
+    if (value && (!Array.isArray(value) || value.some((item) => typeof item !== 'string'))) {
+      throw new Error(`Chaos rule "${id}": ${field} must be a list of strings`);
+    }
+  });
+
+  const normalized = {
+    id,
+    route: rule.route,
+    methods: rule.methods ? rule.methods.map((method) => method.toUpperCase()) : null,
+    deploymentTypes: rule.deploymentTypes || null
+  };
+
+  if (rule.error) {
+    const { rate = 100, statusCodes = [500] } = rule.error;
+    assertRate(id, 'error', rate);
+    if (!Array.isArray(statusCodes) || statusCodes.length === 0
+      || statusCodes.some((code) => !Number.isInteger(code) || code < 400 || code > 599)) {
+      throw new Error(`Chaos rule "${id}": error.statusCodes must be 4xx/5xx status codes`);
+    }
+    normalized.error = { rate, statusCodes };
+  }
+
+  if (rule.latency) {
+    const { type = 'fixed', rate = 100 } = rule.latency;
+    if (!LATENCY_TYPES.includes(type)) {
+      throw new Error(`Chaos rule "${id}": latency.type must be one of ${LATENCY_TYPES.join(', ')}`);
+    }
+    assertRate(id, 'latency', rate);
+    const latency = { type, rate };
+    if (type === 'fixed') {
+      latency.ms = rule.latency.ms;
+      assertPositive(id, 'latency.ms', latency.ms);
+      assertAtMost(id, 'latency.ms', latency.ms, DELAY_LIMIT_MS);
+    } else if (type === 'uniform') {
+      latency.minMs = rule.latency.minMs || 0;
+      latency.maxMs = rule.latency.maxMs;
+      assertPositive(id, 'latency.minMs', latency.minMs);
+      assertPositive(id, 'latency.maxMs', latency.maxMs);
+      assertAtMost(id, 'latency.maxMs', latency.maxMs, DELAY_LIMIT_MS);
+      if (latency.minMs > latency.maxMs) {
+        throw new Error(`Chaos rule "${id}": latency.minMs must not exceed latency.maxMs`);
+      }
+    } else {
+      latency.medianMs = rule.latency.medianMs;
+      latency.p99Ms = rule.latency.p99Ms;
+      latency.maxMs = rule.latency.maxMs || Math.min(latency.p99Ms * 10, DELAY_LIMIT_MS);
+      // The log-normal fit divides by the median
+      if (typeof latency.medianMs !== 'number' || !Number.isFinite(latency.medianMs) || latency.medianMs <= 0) {
+        throw new Error(`Chaos rule "${id}": latency.medianMs must be a positive number`);
+      }
+      if (!(latency.p99Ms >= latency.medianMs) || !Number.isFinite(latency.p99Ms)) {
+        throw new Error(`Chaos rule "${id}": latency.p99Ms must be at least latency.medianMs`);
+      }
+      assertAtMost(id, 'latency.p99Ms', latency.p99Ms, DELAY_LIMIT_MS);
+      assertPositive(id, 'latency.maxMs', latency.maxMs);
+      assertAtMost(id, 'latency.maxMs', latency.maxMs, DELAY_LIMIT_MS);
+    }
+    normalized.latency = latency;
+  }
+
+  if (rule.drop) {
+    const { rate = 100 } = rule.drop;
+    assertRate(id, 'drop', rate);
+    normalized.drop = { rate };
+  }
+
+  if (rule.cpu) {
+    const { rate = 100, ms } = rule.cpu;
+    assertRate(id, 'cpu', rate);
+    assertPositive(id, 'cpu.ms', ms);
+    assertAtMost(id, 'cpu.ms', ms, CPU_LIMIT_MS);
+    normalized.cpu = { rate, ms };
+  }
+
+  if (rule.memory) {
+    const { rate = 100, mb, holdMs = 10000 } = rule.memory;
+    assertRate(id, 'memory', rate);
+    assertPositive(id, 'memory.mb', mb);
+    assertPositive(id, 'memory.holdMs', holdMs);
+    assertAtMost(id, 'memory.holdMs', holdMs, DELAY_LIMIT_MS);
+    normalized.memory = { rate, mb, holdMs };
+  }
+
+  return normalized;
+}
+
+/**
+ * Sample a delay in milliseconds from a latency distribution
+ * `longtail` is log-normal, fitted to the configured median and p99.
+ */
+function sampleLatency(latency, random = Math.random) {
+  if (latency.type === 'fixed') {
+    return latency.ms;
+  }
+  if (latency.type === 'uniform') {
+    return latency.minMs + random() * (latency.maxMs - latency.minMs);
+  }
+
+  // Box-Muller transform for a standard normal sample
+  const u1 = Math.max(random(), Number.EPSILON);
+  const u2 = random();
+  const z = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+  const sigma = Math.log(latency.p99Ms / latency.medianMs) / Z_99;
+
+  return Math.min(latency.medianMs * Math.exp(sigma * z), latency.maxMs);
+}
+
+function burnCpu(ms) {
+  const end = Date.now() + ms;
+  let sink = 0;
+  while (Date.now() < end) {
+    sink += Math.sqrt(sink + 1);
+  }
+  return sink;
+}
+
+/**
+ * Create a fault-injection controller
+ * Rules targeting deployment types are matched against `deploymentType`
+ * unless a middleware names another. Returns the functions, middleware and
+ * admin handlers below, which share one configuration and one memory pool.
+ */
+function createChaos({ deploymentType: defaultType = 'stable' } = {}) {
+  let config = { enabled: false, rules: [] };
+
+  // Buffers held to simulate memory pressure
+  const retained = new Set();
+
+  /**
+   * Replace the chaos configuration
+   * Nothing changes if any rule is invalid.
+   */
+  function setChaosConfig({ enabled = true, rules = [], maxMemoryMb = DEFAULT_MAX_MEMORY_MB } = {}) {
+    if (!Array.isArray(rules)) {
+      throw new Error('Chaos rules must be an array');
+    }
+    if (typeof maxMemoryMb !== 'number' || !Number.isFinite(maxMemoryMb)
+      || maxMemoryMb < 0 || maxMemoryMb > MEMORY_LIMIT_MB) {
+      throw new Error(`Chaos maxMemoryMb must be a number between 0 and ${MEMORY_LIMIT_MB}`);
+    }
+    const normalized = rules.map(normalizeRule);
+    const ids = new Set(normalized.map((rule) => rule.id));
+    if (ids.size !== normalized.length) {
+      throw new Error('Chaos rule ids must be unique');
+    }
+
+    config = {
+      enabled: Boolean(enabled),
+      maxMemoryMb,
+      rules: normalized.map((rule) => ({ ...rule, matcher: patternToRegExp(rule.route) }))
+    };
+    setChaosEnabled(config.enabled && config.rules.length > 0);
+
+    return getChaosConfig();
+  }
+
+  /**
+   * Current configuration without internal matchers
+   */
+  function getChaosConfig() {
+    return {
+      enabled: config.enabled,
+      maxMemoryMb: config.maxMemoryMb,
+      rules: config.rules.map(({ matcher: _matcher, ...rule }) => rule)
+    };
+  }
+
+  /**
+   * Load chaos configuration from CHAOS_CONFIG (JSON) or CHAOS_CONFIG_FILE of
+   * `settings` (an app configuration). Chaos stays disabled when neither is set.
+   */
+  function loadChaosConfig(settings) {
+    if (settings.CHAOS_CONFIG) {
+      return setChaosConfig(JSON.parse(settings.CHAOS_CONFIG));
+    }
+    if (settings.CHAOS_CONFIG_FILE) {
+      return setChaosConfig(JSON.parse(fs.readFileSync(settings.CHAOS_CONFIG_FILE, 'utf8')));
+    }
+    return setChaosConfig({ enabled: false, rules: [] });
+  }
+
+  /**
+   * Release all memory held for memory-pressure faults
+   */
+  function releaseMemory() {
+    retained.forEach(({ timer }) => clearTimeout(timer));
+    retained.clear();
+  }
+
+  function retainedMb() {
+    let total = 0;
+    retained.forEach(({ buffer }) => { total += buffer.length; });
+    return total / 1024 / 1024;
+  }
+
+  function holdMemory({ mb, holdMs }) {
+    if (retainedMb() + mb > config.maxMemoryMb) {
+      return false;
+    }
+
+    const entry = { buffer: Buffer.alloc(Math.round(mb * 1024 * 1024), 1) };
+    entry.timer = setTimeout(() => retained.delete(entry), holdMs);
+    entry.timer.unref();
+    retained.add(entry);
+
+    return true;
+  }
+
+  function matchingRules(req, deploymentType) {
+    return config.rules.filter((rule) => rule.matcher.test(req.path)
+      && (!rule.methods || rule.methods.includes(req.method))
+      && (!rule.deploymentTypes || rule.deploymentTypes.includes(deploymentType)));
+  }
+
+  /**
+   * Create the fault-injection middleware
+   * Matching rules are applied in order: latency, CPU and memory pressure first,
+   * then a dropped connection or an error response, which end the request.
+   * Rules targeting deployment types are matched against `deploymentType`.
+   */
+  function createChaosMiddleware({ random = Math.random, deploymentType = defaultType } = {}) {
+    const roll = (rate) => rate > 0 && random() * 100 < rate;
+
+    return async function chaosMiddleware(req, res, next) {
+      if (!config.enabled || config.rules.length === 0 || req.path.startsWith(EXEMPT_PREFIX)) {
+        next();
+        return;
+      }
+
+      const rules = matchingRules(req, deploymentType);
+
+      for (const rule of rules) {
+        if (rule.latency && roll(rule.latency.rate)) {
+          const delay = sampleLatency(rule.latency, random);
+          recordChaosFault('latency', rule.id);
+          await new Promise((resolve) => setTimeout(resolve, delay));
+        }
+
+        if (rule.cpu && roll(rule.cpu.rate)) {
+          recordChaosFault('cpu', rule.id);
+          burnCpu(rule.cpu.ms);
+        }
+
+        if (rule.memory && roll(rule.memory.rate) && holdMemory(rule.memory)) {
+          recordChaosFault('memory', rule.id);
+        }
+
+        if (rule.drop && roll(rule.drop.rate)) {
+          recordChaosFault('drop', rule.id);
+          req.socket.destroy();
+          return;
+        }
+
+        if (rule.error && roll(rule.error.rate)) {
+          const { statusCodes } = rule.error;
+          const statusCode = statusCodes[Math.floor(random() * statusCodes.length)];
+          recordChaosFault('error', rule.id);
+          res.set('X-Chaos-Fault', rule.id);
+          res.status(statusCode).json({
+            error: 'Injected fault',
+            message: `Chaos rule "${rule.id}" injected a ${statusCode} response`,
+            timestamp: new Date().toISOString()
+          });
+          return;
+        }
+      }
+
+      next();
+    };
+  }
+
+  /**
+   * GET /admin/chaos - current fault-injection configuration
+   */
+  function getChaosHandler(req, res) {
+    res.json({
+      ...getChaosConfig(),
+      retainedMemoryMb: Math.round(retainedMb()),
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * PUT /admin/chaos - replace the fault-injection configuration
+   */
+  function putChaosHandler(req, res) {
+    try {
+      res.json({ ...setChaosConfig(req.body), timestamp: new Date().toISOString() });
+    } catch (error) {
+      res.status(400).json({
+        error: 'Bad Request',
+        message: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * DELETE /admin/chaos - stop injecting faults and release held memory
+   */
+  function deleteChaosHandler(req, res) {
+    releaseMemory();
+    res.json({ ...setChaosConfig({ enabled: false, rules: [] }), timestamp: new Date().toISOString() });
+  }
+
+  return {
+    createChaosMiddleware,
+    setChaosConfig,
+    getChaosConfig,
+    loadChaosConfig,
+    releaseMemory,
+    getChaosHandler,
+    putChaosHandler,
+    deleteChaosHandler
+  };
+}
+
+// Chaos rules used outside an app (tests); each app creates its own
+const defaultChaos = createChaos();
+
+module.exports = {
+  createChaos,
+  ...defaultChaos,
+  sampleLatency,
+  patternToRegExp
+};
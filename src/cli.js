@@ -0,0 +1,99 @@
+/**
+ * Shared helpers for the command-line tools under scripts/
+ */
+
+/**
+ * Parse `--flag value`, `--flag=value` and bare `--flag` arguments
+ * Repeated flags are collected into an array.
+ */
+function parseArgs(argv) {
+  const options = {};
+
+  const assign = (flag, value) => {
+    if (options[flag] === undefined) {
+      options[flag] = value;
+    } else {
+      options[flag] = [].concat(options[flag], value);
+    }
+  };
+
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      throw new Error(`Unexpected argument: ${arg}`);
+    }
+    const [flag, inline] = arg.slice(2).split(/=(.*)/s);
+    if (inline !== undefined) {
+      assign(flag, inline);
+    } else if (argv[i + 1] === undefined || argv[i + 1].startsWith('--')) {
+      assign(flag, true);
+    } else {
+      assign(flag, argv[i + 1]);
+      i += 1;
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Throw when `options` (from parseArgs) hold a flag that is not in `known`
+ */
+function assertKnownOptions(options, known) {
+  const unknown = Object.keys(options).filter((flag) => !known.includes(flag));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown option: ${unknown.map((flag) => `--${flag}`).join(', ')}`);
+  }
+}
+
+/**
+ * Parse a duration such as `300`, `90s`, `5m`, `1500ms` or `30d` into milliseconds
+ * Bare numbers are seconds.
+ */
+function parseDuration(value) {
+  const match = /^(\d+(?:\.\d+)?)(ms|s|m|h|d)?$/.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`Invalid duration: ${value}`);
+  }
+
+  const multipliers = {
+    ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000
+  };
+  return Number(match[1]) * multipliers[match[2] || 's'];
+}
+
+/**
+ * Parse repeated `--header "Name: value"` options into a headers object
+ */
+function parseHeaders(values) {
+  const headers = {};
+
+  [].concat(values || []).forEach((value) => {
+    const separator = String(value).indexOf(':');
+    if (separator <= 0) {
+      throw new Error(`Invalid header: ${value}`);
+    }
+    headers[value.slice(0, separator).trim()] = value.slice(separator + 1).trim();
+  });
+
+  return headers;
+}
+
+/**
+ * Whether a value parses as an absolute URL
+ */
+function isUrl(value) {
+  try {
+    return Boolean(new URL(value));
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = {
+  assertKnownOptions,
+  isUrl,
+  parseArgs,
+  parseDuration,
+  parseHeaders
+};
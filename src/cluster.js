@@ -0,0 +1,340 @@
+const cluster = require('cluster');
+const os = require('os');
+const {
+  setClusterWorkers, recordWorkerRestart, getWorkerMetrics, aggregateMetrics
+} = require('./metrics');
+
+// Crash restarts back off exponentially up to this delay
+const MAX_RESTART_DELAY_MS = 30000;
+// A worker that stayed up this long is healthy again; its next crash restarts quickly
+const STABLE_UPTIME_MS = 30000;
+// How long a replacement worker may take to start listening during a rolling restart
+const STARTUP_TIMEOUT_MS = 30000;
+// Time allowed for each process to answer an IPC request
+const IPC_TIMEOUT_MS = 5000;
+// Extra time given to workers beyond their own shutdown deadline
+const SHUTDOWN_MARGIN_MS = 5000;
+
+/**
+ * Number of workers for a CLUSTER_WORKERS setting (`auto`: one per CPU)
+ */
+function resolveWorkerCount(setting, cpus = os.availableParallelism()) {
+  if (setting === 'auto') return cpus;
+  return Number(setting) || 0;
+}
+
+/**
+ * Delay before restarting a worker after its `crashes`-th crash in a row
+ */
+function restartDelay(crashes, baseMs, maxMs = MAX_RESTART_DELAY_MS) {
+  return Math.min(baseMs * 2 ** Math.max(crashes - 1, 0), maxMs);
+}
+
+// Requests over IPC, answered by a { gas: 'reply' } message with the same ID
+const pending = new Map();
+let nextRequestId = 1;
+
+function sendRequest(target, type, timeoutMs = IPC_TIMEOUT_MS) {
+  const id = nextRequestId;
+  nextRequestId += 1;
+
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      pending.delete(id);
+      reject(new Error(`No reply to ${type} within ${timeoutMs}ms`));
+    }, timeoutMs);
+    timer.unref();
+
+    pending.set(id, (message) => {
+      clearTimeout(timer);
+      pending.delete(id);
+      if (message.error) reject(new Error(message.error));
+      else resolve(message.result);
+    });
+    target.send({ gas: 'request', id, type });
+  });
+}
+
+/**
+ * Answer an IPC request with the handler for its type
+ * Returns false for messages that are not requests.
+ */
+function answerRequest(message, handlers, reply) {
+  if (!message || message.gas !== 'request') return false;
+
+  const handler = handlers[message.type];
+  Promise.resolve()
+    .then(() => {
+      if (!handler) throw new Error(`Unknown request type "${message.type}"`);
+      return handler();
+    })
+    .then(
+      (result) => reply({ gas: 'reply', id: message.id, result }),
+      (error) => reply({ gas: 'reply', id: message.id, error: error.message })
+    );
+  return true;
+}
+
+function settleReply(message) {
+  if (!message || message.gas !== 'reply') return false;
+  const settle = pending.get(message.id);
+  if (settle) settle(message);
+  return true;
+}
+
+/**
+ * Run the cluster primary: fork `workers` processes and supervise them
+ *
+ *  - a worker that crashes is replaced after a backoff starting at
+ *    `restartBackoffMs`, doubling per crash in a row (up to 30s)
+ *  - SIGHUP (or `rollingRestart()`) replaces the workers one at a time: the
+ *    new worker starts listening before the old one drains and exits
+ *  - `shutdown(signal)` stops every worker gracefully and resolves with the
+ *    exit code (0 when all of them exited cleanly)
+ * Workers answer metrics requests so /metrics on any of them reports the
+ * whole instance, see clusterMetricsHandler. Every worker gets its slot number
+ * in GAS_CLUSTER_SLOT; a replacement reuses the slot, keeping the `worker`
+ * label bounded.
+ */
+function startPrimary({
+  workers,
+  restartBackoffMs = 1000,
+  shutdownTimeoutMs = 30000,
+  logger = console
+}) {
+  const slots = new Map();
+  const restartTimers = new Set();
+  let rolling = null;
+  let stopping = null;
+
+  const updateWorkerCount = () => setClusterWorkers(Object.keys(cluster.workers).length);
+
+  const status = () => ({
+    primary: { pid: process.pid },
+    workers: [...slots.entries()].map(([slot, entry]) => ({
+      slot,
+      pid: entry.worker.process.pid,
+      state: entry.worker.isDead() ? 'restarting' : entry.worker.state,
+      startedAt: entry.startedAt,
+      restarts: entry.restarts
+    })),
+    rollingRestart: Boolean(rolling),
+    timestamp: new Date().toISOString()
+  });
+
+  const snapshots = async () => {
+    const running = Object.values(cluster.workers).filter((worker) => worker.isConnected());
+    const results = await Promise.allSettled(running.map((worker) => sendRequest(worker, 'snapshot')));
+    const answered = results.filter(({ status: state }) => state === 'fulfilled').map(({ value }) => value);
+    if (answered.length < running.length) {
+      logger.warn('Some workers did not report metrics', { workers: running.length, answered: answered.length });
+    }
+    // The primary's own metrics (worker count, restarts) come last so 'first'
+    // aggregators take a worker's value
+    return [...answered, await getWorkerMetrics('primary')];
+  };
+
+  const primaryHandlers = {
+    metrics: async () => aggregateMetrics(await snapshots()),
+    status
+  };
+
+  function fork(slot) {
+    const worker = cluster.fork({ GAS_CLUSTER_SLOT: String(slot) });
+    const entry = slots.get(slot) || { restarts: 0, crashes: 0 };
+    slots.set(slot, Object.assign(entry, { worker, startedAt: new Date().toISOString() }));
+
+    worker.on('message', (message) => {
+      if (settleReply(message)) return;
+      answerRequest(message, primaryHandlers, (reply) => {
+        if (worker.isConnected()) worker.send(reply);
+      });
+    });
+    worker.on('online', updateWorkerCount);
+    worker.on('exit', (code, signal) => {
+      updateWorkerCount();
+      // Replaced by a rolling restart, or the whole cluster is stopping
+      if (entry.worker !== worker || stopping) return;
+
+      if (Date.now() - Date.parse(entry.startedAt) >= STABLE_UPTIME_MS) entry.crashes = 0;
+      entry.crashes += 1;
+      const delay = restartDelay(entry.crashes, restartBackoffMs);
+      logger.error(`Worker ${slot} exited unexpectedly, restarting in ${delay}ms`, {
+        worker: String(slot), pid: worker.process.pid, code, signal, crashes: entry.crashes
+      });
+
+      const timer = setTimeout(() => {
+        restartTimers.delete(timer);
+        if (stopping) return;
+        entry.restarts += 1;
+        recordWorkerRestart('crash');
+        fork(slot);
+      }, delay);
+      restartTimers.add(timer);
+    });
+    return worker;
+  }
+
+  const waitForExit = (worker) => new Promise((resolve) => {
+    if (worker.isDead()) {
+      resolve(worker.process.exitCode);
+      return;
+    }
+    worker.once('exit', (code, signal) => resolve(signal ? 1 : code));
+  });
+
+  const waitForListening = (worker) => new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error('did not start listening in time')), STARTUP_TIMEOUT_MS);
+    worker.once('listening', () => {
+      clearTimeout(timer);
+      resolve();
+    });
+    worker.once('exit', () => {
+      clearTimeout(timer);
+      reject(new Error('exited during startup'));
+    });
+  });
+
+  // Stop a worker, killing it if it outlives its shutdown deadline
+  const stopWorker = async (worker, stop) => {
+    const exited = waitForExit(worker);
+    const timer = setTimeout(() => {
+      logger.error(`Worker ${worker.process.pid} did not stop in time, killing it`);
+      worker.process.kill('SIGKILL');
+    }, shutdownTimeoutMs + SHUTDOWN_MARGIN_MS);
+    stop();
+    const code = await exited;
+    clearTimeout(timer);
+    return code;
+  };
+
+  async function replaceWorkers() {
+    logger.info('Rolling restart started', { workers: slots.size });
+    for (const [slot, entry] of slots) {
+      if (stopping) return;
+      const old = entry.worker;
+      // A crashed worker waiting for its restart is replaced by that restart
+      if (!old.isDead()) {
+        const replacement = fork(slot);
+        try {
+          await waitForListening(replacement);
+        } catch (error) {
+          logger.error(`Rolling restart stopped: worker ${slot} ${error.message}`, { worker: String(slot) });
+          return;
+        }
+
+        entry.restarts += 1;
+        recordWorkerRestart('rolling');
+        await stopWorker(old, () => old.send({ gas: 'drain' }));
+        logger.info(`Worker ${slot} replaced`, {
+          worker: String(slot), pid: replacement.process.pid, previousPid: old.process.pid
+        });
+      }
+    }
+    logger.info('Rolling restart completed');
+  }
+
+  /**
+   * Replace every worker, one at a time; ignored while one is in progress
+   */
+  function rollingRestart() {
+    if (stopping) return Promise.resolve();
+    if (rolling) {
+      logger.warn('Rolling restart already in progress');
+      return rolling;
+    }
+    rolling = replaceWorkers().finally(() => {
+      rolling = null;
+    });
+    return rolling;
+  }
+
+  /**
+   * Stop every worker with SIGTERM; later calls return the same promise
+   */
+  function shutdown(signal = 'shutdown') {
+    if (stopping) return stopping;
+
+    logger.info(`${signal} received, stopping ${Object.keys(cluster.workers).length} workers...`);
+    restartTimers.forEach((timer) => clearTimeout(timer));
+    restartTimers.clear();
+
+    stopping = Promise.all(Object.values(cluster.workers)
+      .map((worker) => stopWorker(worker, () => worker.process.kill('SIGTERM'))))
+      .then((codes) => {
+        const failed = codes.filter((code) => code !== 0).length;
+        if (failed > 0) logger.error(`${failed} workers did not stop cleanly`);
+        else logger.info('All workers stopped');
+        return failed > 0 ? 1 : 0;
+      });
+    return stopping;
+  }
+
+  for (let slot = 1; slot <= workers; slot += 1) fork(slot);
+  logger.info(`Cluster primary ${process.pid} started ${workers} workers`);
+
+  return {
+    rollingRestart,
+    shutdown,
+    status
+  };
+}
+
+/**
+ * Answer the primary's requests in a worker process
+ * `onDrain` runs when the primary retires this worker during a rolling restart
+ * and `onScrape` before each metrics snapshot (see getWorkerMetrics).
+ */
+function handleWorkerMessages({ onDrain, onScrape }) {
+  const slot = process.env.GAS_CLUSTER_SLOT;
+  const handlers = {
+    snapshot: () => getWorkerMetrics(slot, { onScrape })
+  };
+
+  process.on('message', (message) => {
+    if (settleReply(message)) return;
+    if (answerRequest(message, handlers, (reply) => process.send(reply))) return;
+    if (message && message.gas === 'drain') onDrain();
+  });
+}
+
+function sendError(res, error) {
+  res.status(503).json({
+    error: 'Service Unavailable',
+    message: `Cluster primary did not answer: ${error.message}`,
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * /metrics in a worker: the metrics of all workers, combined by the primary
+ */
+async function clusterMetricsHandler(req, res) {
+  try {
+    const { contentType, body } = await sendRequest(process, 'metrics', IPC_TIMEOUT_MS * 2);
+    res.set('Content-Type', contentType);
+    res.end(body);
+  } catch (error) {
+    sendError(res, error);
+  }
+}
+
+/**
+ * GET /admin/cluster: workers with their slot, PID, start time and restarts
+ */
+async function clusterStatusHandler(req, res) {
+  try {
+    res.json(await sendRequest(process, 'status'));
+  } catch (error) {
+    sendError(res, error);
+  }
+}
+
+module.exports = {
+  resolveWorkerCount,
+  restartDelay,
+  startPrimary,
+  handleWorkerMessages,
+  clusterMetricsHandler,
+  clusterStatusHandler
+};
@@ -0,0 +1,138 @@
+const { promisify } = require('util');
+const zlib = require('zlib');
+
+/**
+ * Response compression with gzip or brotli, negotiated on Accept-Encoding
+ *
+ * Handlers send each body in one piece (res.json, res.send or res.end), so it
+ * is compressed in one go when the response ends; responses whose headers are
+ * already out (streams, the proxy) pass through. Small bodies are compressed
+ * synchronously; larger ones on the libuv thread pool so they do not hold up
+ * the event loop. A compressed response is a different representation, so its
+ * strong ETag gets the encoding as suffix (`"3-br"`); the suffix is dropped
+ * again from If-None-Match and If-Match before handlers compare them.
+ */
+
+// Text formats worth compressing; images and archives already are
+const COMPRESSIBLE = /^(text\/|application\/(json|[\w.-]+\+json|javascript|xml|openmetrics-text)|image\/svg\+xml)/i;
+
+// Encodings tried for each COMPRESSION setting, in order of preference
+const ENCODINGS = {
+  gzip: ['gzip'],
+  br: ['br', 'gzip']
+};
+
+// Largest body compressed synchronously; a few hundred microseconds at most
+const SYNC_MAX_BYTES = 64 * 1024;
+
+// Suffix compressed strong ETags carry, as sent back in conditional headers
+const ETAG_SUFFIX = /-(?:br|gzip)"/g;
+const CONDITIONAL_HEADERS = ['if-none-match', 'if-match'];
+
+// Quality 5 beats gzip on JSON for about twice its CPU; the default (11) costs a hundred times more
+const brotliOptions = (body) => ({
+  params: {
+    [zlib.constants.BROTLI_PARAM_QUALITY]: 5,
+    [zlib.constants.BROTLI_PARAM_SIZE_HINT]: body.length
+  }
+});
+
+const ENCODERS = {
+  br: {
+    sync: (body) => zlib.brotliCompressSync(body, brotliOptions(body)),
+    async: (body) => promisify(zlib.brotliCompress)(body, brotliOptions(body))
+  },
+  gzip: {
+    sync: (body) => zlib.gzipSync(body),
+    async: (body) => promisify(zlib.gzip)(body)
+  }
+};
+
+/**
+ * Compress `body`: a Buffer for small bodies, otherwise a promise of one
+ */
+function compress(name, body) {
+  return body.length <= SYNC_MAX_BYTES ? ENCODERS[name].sync(body) : ENCODERS[name].async(body);
+}
+
+function toBuffer(chunk, encoding) {
+  if (chunk === undefined || chunk === null || typeof chunk === 'function') return null;
+  if (Buffer.isBuffer(chunk)) return chunk;
+  return Buffer.from(chunk, typeof encoding === 'string' ? encoding : 'utf8');
+}
+
+/**
+ * Encoding to compress a response body with, or null to send it as it is
+ */
+function chooseEncoding(req, res, body, { offered, minBytes }) {
+  if (req.method === 'HEAD' || body.length === 0 || body.length < minBytes) return null;
+  if (res.statusCode === 204 || res.statusCode === 304) return null;
+  if (res.get('Content-Encoding') || !COMPRESSIBLE.test(res.get('Content-Type') || '')) return null;
+  if (/\bno-transform\b/i.test(res.get('Cache-Control') || '')) return null;
+
+  return offered.find((name) => req.acceptsEncodings(name) === name) || null;
+}
+
+/**
+ * Middleware compressing response bodies of at least `minBytes`
+ * `encodings` is a COMPRESSION setting: `gzip`, or `br` for brotli with gzip
+ * as the fallback. The uncompressed size of a compressed body is left in
+ * `res.locals.uncompressedBytes` for the HTTP metrics.
+ */
+function createCompressionMiddleware({ encodings = 'br', minBytes = 1024 } = {}) {
+  const offered = ENCODINGS[encodings];
+  if (!offered) {
+    throw new Error(`Unknown compression "${encodings}"; expected one of ${Object.keys(ENCODINGS).join(', ')}`);
+  }
+
+  return function compressionMiddleware(req, res, next) {
+    // Caches keep one copy per encoding
+    res.vary('Accept-Encoding');
+
+    // Validators of a compressed copy refer to the same uncompressed body
+    CONDITIONAL_HEADERS.forEach((name) => {
+      if (req.headers[name]) req.headers[name] = req.headers[name].replace(ETAG_SUFFIX, '"');
+    });
+
+    const { end } = res;
+    res.end = function compressingEnd(chunk, encoding, callback) {
+      res.end = end;
+      const body = res.headersSent ? null : toBuffer(chunk, encoding);
+      const chosen = body && chooseEncoding(req, res, body, { offered, minBytes });
+      if (!chosen) {
+        return res.end(chunk, encoding, callback);
+      }
+
+      const send = (compressed) => {
+        if (compressed.length >= body.length) {
+          return res.end(chunk, encoding, callback);
+        }
+
+        const etag = res.get('ETag');
+        if (etag && etag.startsWith('"')) {
+          res.set('ETag', `${etag.slice(0, -1)}-${chosen}"`);
+        }
+        res.locals.uncompressedBytes = body.length;
+        res.set('Content-Encoding', chosen);
+        res.set('Content-Length', String(compressed.length));
+        return res.end(compressed, typeof encoding === 'function' ? encoding : callback);
+      };
+
+      const compressed = compress(chosen, body);
+      if (Buffer.isBuffer(compressed)) {
+        return send(compressed);
+      }
+      // The body goes out uncompressed if the thread pool fails to compress it
+      compressed.then(send, () => res.end(chunk, encoding, callback));
+      return res;
+    };
+
+    next();
+  };
+}
+
+module.exports = {
+  COMPRESSIBLE,
+  SYNC_MAX_BYTES,
+  createCompressionMiddleware
+};
@@ -0,0 +1,328 @@
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+
+const LOG_LEVELS = ['error', 'warn', 'info', 'http', 'verbose', 'debug', 'silly'];
+const DEPLOYMENT_TYPES = ['stable', 'canary', 'blue', 'green', 'staging', 'production', 'local', 'test'];
+const REDACTED = '********';
+
+/**
+ * Every setting the app reads, with its type, default and allowed values
+ * Settings marked `secret` are redacted wherever the config is shown.
+ */
+const SCHEMA = {
+  NODE_ENV: {
+    type: 'enum', values: ['development', 'production', 'test'], default: 'development', description: 'Environment'
+  },
+  PORT: {
+    type: 'integer', min: 1, max: 65535, default: 3000, description: 'Server port'
+  },
+  HOST: { type: 'string', default: '0.0.0.0', description: 'Interface to listen on' },
+  DEPLOYMENT_TYPE: {
+    type: 'enum', values: DEPLOYMENT_TYPES, default: 'stable', description: 'Deployment this instance belongs to'
+  },
+  LOG_LEVEL: {
+    type: 'enum', values: LOG_LEVELS, default: 'info', description: 'Logging level at startup'
+  },
+  LOG_FORMAT: {
+    type: 'enum', values: ['auto', 'json', 'pretty'], default: 'auto', description: 'Log format (auto: JSON in prod)'
+  },
+  LOG_REDACT: { type: 'string', description: 'Extra comma-separated field names masked in logs' },
+  LOG_SAMPLE_PERCENT: {
+    type: 'integer', min: 0, max: 100, default: 100, description: 'Share of successful requests logged'
+  },
+  APPLICATIONINSIGHTS_CONNECTION_STRING: {
+    type: 'string', secret: true, description: 'Application Insights connection string'
+  },
+  OTEL_EXPORTER_OTLP_ENDPOINT: {
+    type: 'string', pattern: /^https?:\/\/\S+$/, description: 'OTLP/HTTP collector URL; enables OpenTelemetry'
+  },
+  OTEL_EXPORTER_OTLP_HEADERS: {
+    type: 'string', secret: true, description: 'Headers sent to the collector, as name=value,name=value'
+  },
+  OTEL_SERVICE_NAME: { type: 'string', default: 'gas-project', description: 'service.name of spans and metrics' },
+  OTEL_METRIC_EXPORT_INTERVAL: {
+    type: 'integer', min: 100, default: 60000, description: 'Milliseconds between OTLP metric exports'
+  },
+  ADMIN_TOKEN: { type: 'string', secret: true, description: 'Legacy bearer token, accepted as an admin API key' },
+  AUTH_API_KEYS: {
+    type: 'json', secret: true, description: 'API keys as a JSON array of { name, role, key or sha256 }'
+  },
+  AUTH_JWT_SECRET: { type: 'string', secret: true, description: 'Shared secret for HS256 JWTs' },
+  AUTH_JWKS_FILE: { type: 'string', description: 'Local JWKS file with the public keys for RS256 JWTs' },
+  AUTH_JWT_ISSUER: { type: 'string', description: 'Required iss claim of JWTs' },
+  AUTH_JWT_AUDIENCE: { type: 'string', description: 'Required aud claim of JWTs' },
+  AUTH_JWT_ROLES_CLAIM: { type: 'string', default: 'roles', description: 'JWT claim holding the caller\'s roles' },
+  FLAGS_CONFIG: { type: 'string', description: 'Feature flags file (default config/flags.json)' },
+  CHAOS_CONFIG: { type: 'json', description: 'Fault-injection rules as inline JSON' },
+  CHAOS_CONFIG_FILE: { type: 'string', description: 'Fault-injection rules file' },
+  SLO_CONFIG: { type: 'string', description: 'SLO definitions file (default config/slos.json)' },
+  LIMITS_CONFIG: { type: 'string', description: 'Rate limit and load shedding file (default config/limits.json)' },
+  TRUST_PROXY: {
+    type: 'integer', min: 0, default: 0, description: 'Reverse proxies whose X-Forwarded-For is trusted for client IPs'
+  },
+  SLOW_MAX_DELAY_MS: {
+    type: 'integer', min: 0, default: 10000, description: 'Longest delay /api/slow accepts'
+  },
+  OPENAPI_VALIDATION: {
+    type: 'enum',
+    values: ['off', 'requests', 'all'],
+    default: 'requests',
+    description: 'Check /api requests against the OpenAPI document (all: responses too)'
+  },
+  COMPRESSION: {
+    type: 'enum', values: ['off', 'gzip', 'br'], default: 'br', description: 'Response compression (br: brotli or gzip)'
+  },
+  COMPRESSION_MIN_BYTES: {
+    type: 'integer', min: 0, default: 1024, description: 'Smallest response body that is compressed'
+  },
+  HTTP_ETAG: {
+    type: 'enum', values: ['weak', 'strong', 'off'], default: 'weak', description: 'ETags of GET responses'
+  },
+  CACHE_CONTROL: { type: 'json', description: 'Cache-Control by path prefix as a JSON object, over the defaults' },
+  STORAGE_DRIVER: {
+    type: 'enum', values: ['memory', 'file'], default: 'memory', description: 'Data store for /api/data'
+  },
+  STORAGE_FILE: { type: 'string', description: 'File used by the file storage driver (default data/data.json)' },
+  CLUSTER_WORKERS: {
+    type: 'string', pattern: /^(\d+|auto)$/, default: '0', description: 'Worker processes (0: off, auto: one per CPU)'
+  },
+  CLUSTER_RESTART_BACKOFF_MS: {
+    type: 'integer', min: 0, default: 1000, description: 'Initial delay before restarting a crashed worker'
+  },
+  SHUTDOWN_PRE_STOP_DELAY_MS: {
+    type: 'integer', min: 0, default: 5000, description: 'Time between readiness turning 503 and the server closing'
+  },
+  SHUTDOWN_TIMEOUT_MS: {
+    type: 'integer', min: 0, default: 30000, description: 'Deadline for the whole shutdown'
+  },
+  HEALTH_HISTORY_SIZE: {
+    type: 'integer', min: 1, default: 100, description: 'Health evaluations and state changes kept for /health/history'
+  },
+  HEALTH_INTERVAL_MS: {
+    type: 'integer', min: 0, default: 30000, description: 'Time between background health evaluations (0: off)'
+  },
+  HEALTH_EVENT_LOOP_LAG_MS: {
+    type: 'integer', min: 1, default: 200, description: 'Event loop delay (p99) that degrades health'
+  },
+  HEALTH_HEAP_USED_PERCENT: {
+    type: 'integer', min: 1, max: 100, default: 90, description: 'Heap use (percent of its limit) that degrades health'
+  },
+  HEALTH_ERROR_RATE_PERCENT: {
+    type: 'integer', min: 1, max: 100, default: 5, description: 'Percent of 5xx in the last minute that degrades health'
+  },
+  METRICS_MAX_SERIES: {
+    type: 'integer', min: 1, default: 1000, description: 'Label sets kept per HTTP metric'
+  },
+  // Build metadata, baked into the image at build time or set per deployment
+  GIT_SHA: { type: 'string', pattern: /^[0-9a-f]{7,40}$/, description: 'Commit the build was made from' },
+  BUILD_TIME: {
+    type: 'string', pattern: /^\d{4}-\d{2}-\d{2}T[\d:.]+Z$/, description: 'When the image was built (ISO 8601, UTC)'
+  },
+  IMAGE_TAG: { type: 'string', description: 'Container image tag' },
+  SLOT_NAME: { type: 'string', description: 'Deployment slot serving this instance (e.g. blue, green)' },
+  WORKFLOW_RUN_ID: { type: 'string', pattern: /^\d+$/, description: 'CI workflow run that built the image' }
+};
+
+let current = null;
+// Sources and schema of every validated configuration, for describeConfig
+const resolved = new WeakMap();
+
+/**
+ * Convert a raw value to the setting's type
+ * Returns `{ value }` or `{ error }` describing what was expected.
+ */
+function coerce(spec, raw) {
+  switch (spec.type) {
+    case 'integer': {
+      const value = typeof raw === 'number' ? raw : Number(String(raw).trim());
+      const inRange = (spec.min === undefined || value >= spec.min) && (spec.max === undefined || value <= spec.max);
+      if (String(raw).trim() === '' || !Number.isInteger(value) || !inRange) {
+        const range = spec.max === undefined ? `of at least ${spec.min}` : `between ${spec.min} and ${spec.max}`;
+        return { error: `must be an integer ${range}` };
+      }
+      return { value };
+    }
+    case 'enum':
+      if (!spec.values.includes(String(raw))) {
+        return { error: `must be one of ${spec.values.join(', ')}` };
+      }
+      return { value: String(raw) };
+    case 'json':
+      if (typeof raw !== 'string') {
+        return { value: JSON.stringify(raw) };
+      }
+      try {
+        JSON.parse(raw);
+        return { value: raw };
+      } catch (error) {
+        return { error: `must be valid JSON (${error.message})` };
+      }
+    default:
+      if (spec.pattern && !spec.pattern.test(String(raw))) {
+        return { error: `must match ${spec.pattern}` };
+      }
+      return { value: String(raw) };
+  }
+}
+
+function readConfigFile(file) {
+  const contents = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!contents || typeof contents !== 'object' || Array.isArray(contents)) {
+    throw new Error(`Config file ${file} must contain a JSON object`);
+  }
+  return contents;
+}
+
+/**
+ * Pick each setting from the first layer that sets it, else its default
+ * Errors are appended to `errors`.
+ */
+function resolveLayers(layers, schema, errors) {
+  const values = {};
+  const sources = {};
+
+  Object.entries(schema).forEach(([key, spec]) => {
+    const layer = layers.find(([, source]) => source[key] !== undefined && source[key] !== '');
+    if (!layer) {
+      values[key] = spec.default;
+      sources[key] = spec.default === undefined ? 'unset' : 'default';
+      return;
+    }
+
+    const [source, raw] = [layer[0], layer[1][key]];
+    const { value, error } = coerce(spec, raw);
+    if (error) {
+      const shown = spec.secret ? REDACTED : JSON.stringify(raw);
+      errors.push(`${key}: ${shown} (from ${source}) ${error}`);
+    }
+    values[key] = value;
+    sources[key] = source;
+  });
+
+  return { values, sources };
+}
+
+// One error listing every problem found
+function assertValid(errors) {
+  if (errors.length > 0) {
+    throw new Error(`Invalid configuration:\n${errors.map((error) => `  - ${error}`).join('\n')}`);
+  }
+}
+
+/**
+ * Resolve, validate and cache the configuration
+ *
+ * Layers, highest precedence first: the process environment, `.env`, the
+ * JSON file named by CONFIG_FILE, then schema defaults. Empty strings count
+ * as unset. Throws one error listing every invalid or unknown setting.
+ * `env` is left untouched; read settings from the returned values.
+ */
+function loadConfig({
+  env = process.env,
+  dotenvPath = path.resolve(process.cwd(), '.env'),
+  schema = SCHEMA
+} = {}) {
+  const dotenvValues = fs.existsSync(dotenvPath) ? dotenv.parse(fs.readFileSync(dotenvPath)) : {};
+  const errors = [];
+
+  const configFile = env.CONFIG_FILE || dotenvValues.CONFIG_FILE;
+  let fileValues = {};
+  if (configFile) {
+    try {
+      fileValues = readConfigFile(configFile);
+    } catch (error) {
+      errors.push(`CONFIG_FILE: cannot read ${configFile}: ${error.message}`);
+    }
+    Object.keys(fileValues)
+      .filter((key) => !schema[key])
+      .forEach((key) => errors.push(`${key}: unknown setting in ${configFile}`));
+  }
+
+  const layers = [['env', env], ['.env', dotenvValues], ['file', fileValues]];
+  const { values, sources } = resolveLayers(layers, schema, errors);
+
+  assertValid(errors);
+
+  current = { values: Object.freeze(values), sources, schema };
+  resolved.set(current.values, current);
+  return current.values;
+}
+
+/**
+ * Validate settings given in code, e.g. for an app created with createApp
+ * Unlike loadConfig, neither the environment nor `.env` is read or changed and
+ * nothing is cached: unset settings take their schema defaults. Values that
+ * already came from loadConfig or resolveConfig are returned as they are.
+ */
+function resolveConfig(settings = {}, { schema = SCHEMA } = {}) {
+  if (resolved.has(settings)) return settings;
+
+  const errors = Object.keys(settings)
+    .filter((key) => !schema[key])
+    .map((key) => `${key}: unknown setting`);
+  const { values, sources } = resolveLayers([['injected', settings]], schema, errors);
+
+  assertValid(errors);
+
+  Object.freeze(values);
+  resolved.set(values, { values, sources, schema });
+  return values;
+}
+
+/**
+ * The validated configuration, loaded from the environment on first use
+ */
+function getConfig() {
+  if (!current) loadConfig();
+  return current.values;
+}
+
+/**
+ * Effective configuration for display: value, source and description of each
+ * setting, with secrets redacted
+ */
+function describeConfig(config = getConfig()) {
+  const { values, sources, schema } = resolved.get(resolveConfig(config));
+
+  return Object.fromEntries(Object.entries(schema).map(([key, spec]) => {
+    let value = values[key] === undefined ? null : values[key];
+    if (spec.secret && value !== null) value = REDACTED;
+    return [key, {
+      value,
+      source: sources[key],
+      ...(spec.secret ? { secret: true } : {}),
+      description: spec.description
+    }];
+  }));
+}
+
+/**
+ * Create the GET /admin/config handler for a configuration (the process
+ * configuration unless given)
+ */
+function createConfigHandler(config) {
+  return function configHandler(req, res) {
+    res.json({
+      config: describeConfig(config),
+      timestamp: new Date().toISOString()
+    });
+  };
+}
+
+/**
+ * GET /admin/config - effective configuration with secrets redacted
+ */
+const configHandler = createConfigHandler();
+
+module.exports = {
+  SCHEMA,
+  LOG_LEVELS,
+  DEPLOYMENT_TYPES,
+  loadConfig,
+  resolveConfig,
+  getConfig,
+  describeConfig,
+  createConfigHandler,
+  configHandler
+};
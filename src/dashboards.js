@@ -0,0 +1,606 @@
+const fs = require('fs');
+const path = require('path');
+const { getMetricCatalogue } = require('./metrics');
+const { assertKnownOptions, parseArgs } = require('./cli');
+
+const MONITORING_DIR = path.join(__dirname, '../infra/monitoring');
+const DEFAULT_DASHBOARD_DIR = path.join(MONITORING_DIR, 'grafana-dashboards');
+const DEFAULT_RULES_FILE = path.join(MONITORING_DIR, 'recording-rules.yml');
+
+// Labels Prometheus adds to every scraped series: job and instance, and the
+// target labels set in infra/monitoring/prometheus-config.yml
+const TARGET_LABELS = ['job', 'instance', 'service', 'deployment', 'environment'];
+
+const RATE_WINDOW = '5m';
+const LATENCY_QUANTILES = [0.5, 0.95, 0.99];
+
+// PromQL words that are neither metric names nor labels
+const AGGREGATIONS = new Set([
+  'sum', 'avg', 'min', 'max', 'count', 'group', 'stddev', 'stdvar', 'topk', 'bottomk', 'quantile', 'count_values'
+]);
+const GROUPING = new Set(['by', 'without', 'on', 'ignoring', 'group_left', 'group_right']);
+const KEYWORDS = new Set(['and', 'or', 'unless', 'bool', 'offset', 'inf', 'nan']);
+
+// One token after optional whitespace: a string, a range or subquery, a name
+// (metric, label, function or keyword), a number or duration, or an operator
+const TOKEN = new RegExp(`\\s*(?:${[
+  /("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|`[^`]*`)/.source,
+  /(\[[^\]]*\])/.source,
+  /([a-zA-Z_:][\w:]*)/.source,
+  /(\d[\w.+-]*)/.source,
+  /(=~|!~|!=|==|<=|>=|[-+*/%^<>=,(){}@])/.source
+].join('|')})`, 'y');
+
+const USAGE = `Usage: node scripts/dashboards.js [options]
+
+Generate the Grafana dashboards and Prometheus recording rules from the metric
+catalogue of src/metrics.js. Every query is checked against the catalogue, so a
+renamed metric or label fails here instead of leaving an empty panel.
+
+Options:
+  --dashboards <dir>  Dashboard directory (default: infra/monitoring/grafana-dashboards)
+  --rules <file>      Recording rules file (default: infra/monitoring/recording-rules.yml)
+  --check             Exit 1 instead of writing if a file is out of date
+  --help              Show this help
+
+Exit codes: 0 written/up to date, 1 out of date, 2 error, 3 invalid options`;
+
+function tokenize(expr) {
+  const tokens = [];
+  TOKEN.lastIndex = 0;
+  while (TOKEN.lastIndex < expr.length) {
+    if (/^\s*$/.test(expr.slice(TOKEN.lastIndex))) break;
+
+    const start = TOKEN.lastIndex;
+    const match = TOKEN.exec(expr);
+    if (!match) {
+      throw new Error(`cannot parse "${expr.slice(start).trim()}"`);
+    }
+    const [, string, range, name, number] = match;
+    let kind = 'operator';
+    if (string !== undefined) kind = 'string';
+    else if (range !== undefined) kind = 'range';
+    else if (name !== undefined) kind = 'name';
+    else if (number !== undefined) kind = 'number';
+    tokens.push({ kind, text: match[0].trim() });
+  }
+
+  const open = [];
+  tokens.filter(({ kind }) => kind === 'operator').forEach(({ text }) => {
+    if (text === '(' || text === '{') open.push(text);
+    if ((text === ')' || text === '}') && open.pop() !== { ')': '(', '}': '{' }[text]) {
+      throw new Error(`unbalanced "${text}"`);
+    }
+  });
+  if (open.length > 0) throw new Error(`unbalanced "${open.pop()}"`);
+  return tokens;
+}
+
+/**
+ * Index of the token closing the bracket opened at `open`
+ */
+function closing(tokens, open) {
+  const pairs = { '(': ')', '{': '}' };
+  let depth = 0;
+  for (let i = open; i < tokens.length; i += 1) {
+    if (tokens[i].text === tokens[open].text) depth += 1;
+    if (tokens[i].text === pairs[tokens[open].text]) depth -= 1;
+    if (depth === 0) return i;
+  }
+  return tokens.length;
+}
+
+/**
+ * Metric selectors and grouping labels of a PromQL expression
+ * Returns `{ selectors: [{ metric, labels }], grouping: [label] }`, where
+ * `labels` are the label names matched in the selector's braces.
+ */
+function parseQuery(expr) {
+  const tokens = tokenize(expr);
+  const selectors = [];
+  const grouping = [];
+
+  for (let i = 0; i < tokens.length; i += 1) {
+    const { kind, text } = tokens[i];
+    const next = tokens[i + 1];
+
+    if (text === '{') {
+      // A selector without a metric name
+      i = closing(tokens, i);
+    } else if (kind === 'name' && GROUPING.has(text)) {
+      if (next && next.text === '(') {
+        const end = closing(tokens, i + 1);
+        tokens.slice(i + 2, end).filter((token) => token.kind === 'name').forEach((token) => grouping.push(token.text));
+        i = end;
+      }
+    } else if (kind === 'name' && !AGGREGATIONS.has(text) && !KEYWORDS.has(text) && !(next && next.text === '(')) {
+      const selector = { metric: text, labels: [] };
+      if (next && next.text === '{') {
+        const end = closing(tokens, i + 1);
+        for (let j = i + 2; j < end; j += 1) {
+          if (tokens[j].kind === 'name' && ['=', '!=', '=~', '!~'].includes((tokens[j + 1] || {}).text)) {
+            selector.labels.push(tokens[j].text);
+          }
+        }
+        i = end;
+      }
+      selectors.push(selector);
+    }
+  }
+
+  return { selectors, grouping };
+}
+
+/**
+ * Series that queries may use, as a Map of name to label names: the series of
+ * the catalogue plus recording rules (labelled by their `by` clause)
+ */
+function knownSeries(catalogue, rules = []) {
+  const known = new Map();
+  catalogue.forEach((metric) => metric.series.forEach(({ name, labelNames }) => known.set(name, labelNames)));
+  rules.forEach(({ record, by }) => known.set(record, by));
+  return known;
+}
+
+/**
+ * Problems with a query: metrics that do not exist, and labels their series do not have
+ * `legendFormat` is checked against the labels of the selected series.
+ */
+function checkQuery(expr, known, legendFormat = '') {
+  let parsed;
+  try {
+    parsed = parseQuery(expr);
+  } catch (error) {
+    return [error.message];
+  }
+
+  const problems = [];
+  const available = new Set([...TARGET_LABELS, '__name__']);
+  parsed.selectors.forEach(({ metric, labels }) => {
+    const labelNames = known.get(metric);
+    if (!labelNames) {
+      problems.push(`unknown metric ${metric}`);
+      return;
+    }
+    labelNames.forEach((label) => available.add(label));
+    labels
+      .filter((label) => !labelNames.includes(label) && !TARGET_LABELS.includes(label) && label !== '__name__')
+      .forEach((label) => problems.push(`${metric} has no label "${label}"`));
+  });
+
+  if (problems.length > 0) return problems;
+
+  parsed.grouping
+    .filter((label) => !available.has(label))
+    .forEach((label) => problems.push(`groups by unknown label "${label}"`));
+  [...legendFormat.matchAll(/\{\{\s*(\w+)\s*\}\}/g)]
+    .map(([, label]) => label)
+    .filter((label) => !available.has(label))
+    .forEach((label) => problems.push(`legend uses unknown label "${label}"`));
+
+  return problems;
+}
+
+/**
+ * Problems with the queries of dashboards and recording rules, one line each
+ */
+function checkMonitoring({ dashboards = [], rules = [] }, known) {
+  const problems = [];
+  rules.forEach(({ record, expr }) => {
+    checkQuery(expr, known).forEach((problem) => problems.push(`recording rule ${record}: ${problem}`));
+  });
+  dashboards.forEach((board) => board.panels.forEach((panel) => (panel.targets || []).forEach((target) => {
+    checkQuery(target.expr, known, target.legendFormat).forEach((problem) => {
+      problems.push(`${board.title} / ${panel.title} (${target.refId}): ${problem}`);
+    });
+  })));
+  return problems;
+}
+
+/**
+ * Recording rules for the RED dashboards, built on the HTTP metrics of `catalogue`
+ * Each rule lists the labels it keeps (`by`), so queries on it can be checked.
+ */
+function recordingRules(catalogue) {
+  const known = knownSeries(catalogue);
+  const metric = (name) => {
+    if (!known.has(name)) {
+      throw new Error(`metric ${name} is not registered in src/metrics.js`);
+    }
+    return name;
+  };
+  const rate = (selector, by) => `sum by (${by.join(', ')}) (rate(${selector}[${RATE_WINDOW}]))`;
+
+  const requests = metric('gas_http_requests_total');
+  const buckets = metric('gas_http_request_duration_seconds_bucket');
+  const sent = metric('gas_http_response_size_bytes_sum');
+  const uncompressed = metric('gas_http_response_uncompressed_size_bytes_sum');
+
+  return [
+    {
+      record: `deployment:gas_http_requests:rate${RATE_WINDOW}`,
+      by: ['deployment'],
+      expr: rate(requests, ['deployment'])
+    },
+    {
+      record: `deployment_route:gas_http_requests:rate${RATE_WINDOW}`,
+      by: ['deployment', 'route'],
+      expr: rate(requests, ['deployment', 'route'])
+    },
+    {
+      record: `deployment:gas_http_errors:rate${RATE_WINDOW}`,
+      by: ['deployment'],
+      expr: rate(`${requests}{status_code=~"5.."}`, ['deployment'])
+    },
+    {
+      record: `deployment:gas_http_errors:ratio_rate${RATE_WINDOW}`,
+      by: ['deployment'],
+      expr: `deployment:gas_http_errors:rate${RATE_WINDOW} / deployment:gas_http_requests:rate${RATE_WINDOW}`
+    },
+    {
+      record: `deployment_le:gas_http_request_duration_seconds_bucket:rate${RATE_WINDOW}`,
+      by: ['deployment', 'le'],
+      expr: rate(buckets, ['deployment', 'le'])
+    },
+    ...LATENCY_QUANTILES.map((quantile) => ({
+      record: `deployment:gas_http_request_duration_seconds:p${Math.round(quantile * 100)}_rate${RATE_WINDOW}`,
+      by: ['deployment'],
+      expr: `histogram_quantile(${quantile}, deployment_le:gas_http_request_duration_seconds_bucket:rate${RATE_WINDOW})`
+    })),
+    {
+      record: `deployment:gas_http_response_bytes:rate${RATE_WINDOW}`,
+      by: ['deployment'],
+      expr: rate(sent, ['deployment'])
+    },
+    {
+      record: `deployment:gas_http_response_uncompressed_bytes:rate${RATE_WINDOW}`,
+      by: ['deployment'],
+      expr: rate(uncompressed, ['deployment'])
+    }
+  ];
+}
+
+const timeseriesDefaults = (unit, lineWidth) => ({
+  color: { mode: 'palette-classic' },
+  custom: {
+    axisLabel: '',
+    axisPlacement: 'auto',
+    barAlignment: 0,
+    drawStyle: 'line',
+    fillOpacity: 10,
+    gradientMode: 'none',
+    hideFrom: { tooltip: false, viz: false, legend: false },
+    lineInterpolation: 'linear',
+    lineWidth,
+    pointSize: 5,
+    scaleDistribution: { type: 'linear' },
+    showPoints: 'never',
+    spanNulls: true
+  },
+  mappings: [],
+  thresholds: { mode: 'absolute', steps: [{ color: 'green', value: null }] },
+  unit
+});
+
+const withRefIds = (targets) => targets.map(({ expr, legendFormat }, index) => ({
+  expr,
+  legendFormat,
+  refId: String.fromCharCode(65 + index)
+}));
+
+function timeseriesPanel({
+  title, unit, gridPos, targets, calcs = ['mean', 'lastNotNull', 'max'], lineWidth = 1
+}) {
+  return {
+    datasource: 'Prometheus',
+    fieldConfig: { defaults: timeseriesDefaults(unit, lineWidth) },
+    gridPos,
+    options: {
+      legend: { calcs, displayMode: 'table', placement: 'bottom' },
+      tooltip: { mode: 'single' }
+    },
+    pluginVersion: '8.0.0',
+    targets: withRefIds(targets),
+    title,
+    type: 'timeseries'
+  };
+}
+
+function gaugePanel({
+  title, unit, gridPos, targets, redFrom
+}) {
+  return {
+    datasource: 'Prometheus',
+    fieldConfig: {
+      defaults: {
+        color: { mode: 'thresholds' },
+        mappings: [],
+        thresholds: {
+          mode: 'absolute',
+          steps: [{ color: 'green', value: null }, { color: 'red', value: redFrom }]
+        },
+        unit
+      }
+    },
+    gridPos,
+    options: {
+      orientation: 'auto',
+      reduceOptions: { values: false, calcs: ['lastNotNull'], fields: '' },
+      showThresholdLabels: false,
+      showThresholdMarkers: true,
+      text: {}
+    },
+    pluginVersion: '8.0.0',
+    targets: withRefIds(targets),
+    title,
+    type: 'gauge'
+  };
+}
+
+function dashboard({
+  uid, title, tags, panels, annotations = []
+}) {
+  return {
+    annotations: { list: annotations },
+    description: 'Generated from the metric catalogue of src/metrics.js by `npm run dashboards` - do not edit by hand',
+    editable: true,
+    gnetId: null,
+    graphTooltip: 0,
+    id: null,
+    links: [],
+    // Ids follow gridPos, where Grafana exports put them
+    panels: panels.map(({
+      datasource, fieldConfig, gridPos, ...rest
+    }, index) => ({
+      datasource, fieldConfig, gridPos, id: index + 1, ...rest
+    })),
+    schemaVersion: 27,
+    style: 'dark',
+    tags,
+    templating: { list: [] },
+    time: { from: 'now-1h', to: 'now' },
+    timepicker: {},
+    timezone: '',
+    title,
+    uid,
+    version: 1
+  };
+}
+
+const grid = (x, y, w, h = 8) => ({
+  h, w, x, y
+});
+
+/**
+ * Dashboards by file name, querying the recording rules and the catalogue
+ */
+function generateDashboards(catalogue, rules = recordingRules(catalogue)) {
+  const known = knownSeries(catalogue, rules);
+  const series = (name) => {
+    if (!known.has(name)) {
+      throw new Error(`metric ${name} is not registered in src/metrics.js or the recording rules`);
+    }
+    return name;
+  };
+
+  const requests = series(`deployment:gas_http_requests:rate${RATE_WINDOW}`);
+  const errors = series(`deployment:gas_http_errors:rate${RATE_WINDOW}`);
+  const errorRatio = series(`deployment:gas_http_errors:ratio_rate${RATE_WINDOW}`);
+  const latency = (quantile) => series(`deployment:gas_http_request_duration_seconds:p${quantile}_rate${RATE_WINDOW}`);
+  const sent = series(`deployment:gas_http_response_bytes:rate${RATE_WINDOW}`);
+  const uncompressed = series(`deployment:gas_http_response_uncompressed_bytes:rate${RATE_WINDOW}`);
+  const rejected = series('gas_requests_rejected_total');
+  const byDeployment = (deployment) => `{deployment="${deployment}"}`;
+
+  const red = dashboard({
+    uid: 'gas-red-metrics',
+    title: 'GAS - RED Metrics Dashboard',
+    tags: ['gas', 'red-metrics'],
+    annotations: [{
+      builtIn: 1,
+      datasource: '-- Grafana --',
+      enable: true,
+      hide: true,
+      iconColor: 'rgba(0, 211, 255, 1)',
+      name: 'Annotations & Alerts',
+      type: 'dashboard'
+    }],
+    panels: [
+      timeseriesPanel({
+        title: 'Request Rate (Requests per Second)',
+        unit: 'reqps',
+        gridPos: grid(0, 0, 12),
+        targets: [{
+          expr: `sum by (deployment, method, route, status_code) (rate(${series(
+            'gas_http_requests_total'
+          )}[${RATE_WINDOW}]))`,
+          legendFormat: '{{deployment}} - {{method}} {{route}} ({{status_code}})'
+        }]
+      }),
+      gaugePanel({
+        title: 'Error Rate (5xx responses)',
+        unit: 'percentunit',
+        gridPos: grid(12, 0, 12),
+        redFrom: 0.01,
+        targets: [{ expr: `sum(${errors}) / sum(${requests})`, legendFormat: 'Error Rate' }]
+      }),
+      timeseriesPanel({
+        title: 'Request Duration (Latency Percentiles)',
+        unit: 's',
+        gridPos: grid(0, 8, 24),
+        targets: LATENCY_QUANTILES.map((quantile) => Math.round(quantile * 100)).map((quantile) => ({
+          expr: latency(quantile),
+          legendFormat: `{{deployment}} - p${quantile}`
+        }))
+      }),
+      timeseriesPanel({
+        title: 'Response Bytes (Sent vs Uncompressed)',
+        unit: 'Bps',
+        gridPos: grid(0, 16, 8),
+        targets: [
+          { expr: sent, legendFormat: '{{deployment}} - sent' },
+          { expr: uncompressed, legendFormat: '{{deployment}} - uncompressed' }
+        ]
+      }),
+      timeseriesPanel({
+        title: 'Compression Savings',
+        unit: 'percentunit',
+        gridPos: grid(8, 16, 8),
+        targets: [{ expr: `1 - ${sent} / ${uncompressed}`, legendFormat: '{{deployment}}' }]
+      }),
+      timeseriesPanel({
+        title: 'Rejected Requests (Rate Limits and Load Shedding)',
+        unit: 'reqps',
+        gridPos: grid(16, 16, 8),
+        targets: [{
+          expr: `sum by (deployment, reason) (rate(${rejected}[${RATE_WINDOW}]))`,
+          legendFormat: '{{deployment}} - {{reason}}'
+        }]
+      })
+    ]
+  });
+
+  const comparison = (deployments, targets) => deployments.flatMap(([deployment, label]) => targets
+    .map(({ expr, legendFormat }) => ({ expr: expr(byDeployment(deployment)), legendFormat: legendFormat(label) })));
+  const colours = [['stable', 'Stable'], ['canary', 'Canary']];
+
+  const canary = dashboard({
+    uid: 'gas-canary-comparison',
+    title: 'GAS - Canary Deployment Comparison',
+    tags: ['gas', 'canary'],
+    panels: [
+      timeseriesPanel({
+        title: 'Request Rate Comparison (Stable vs Canary)',
+        unit: 'reqps',
+        gridPos: grid(0, 0, 12),
+        calcs: ['mean', 'lastNotNull'],
+        lineWidth: 2,
+        targets: comparison(colours, [{ expr: (selector) => `${requests}${selector}`, legendFormat: (label) => label }])
+      }),
+      timeseriesPanel({
+        title: 'Error Rate Comparison (Stable vs Canary)',
+        unit: 'percentunit',
+        gridPos: grid(12, 0, 12),
+        calcs: ['mean', 'lastNotNull'],
+        lineWidth: 2,
+        targets: comparison(colours, [{
+          expr: (selector) => `${errorRatio}${selector}`,
+          legendFormat: (label) => `${label} Error Rate`
+        }])
+      }),
+      timeseriesPanel({
+        title: 'Latency Comparison (Stable vs Canary)',
+        unit: 's',
+        gridPos: grid(0, 8, 24),
+        lineWidth: 2,
+        targets: [95, 99].flatMap((quantile) => comparison(colours, [{
+          expr: (selector) => `${latency(quantile)}${selector}`,
+          legendFormat: (label) => `${label} p${quantile}`
+        }]))
+      })
+    ]
+  });
+
+  return {
+    'red-metrics.json': red,
+    'canary-comparison.json': canary
+  };
+}
+
+/**
+ * Prometheus rules file for the recording rules
+ */
+function formatRules(rules) {
+  // Single-quoted YAML keeps the double quotes inside PromQL readable
+  const quote = (value) => `'${String(value).replace(/'/g, "''")}'`;
+  const lines = [
+    '# Generated from the metric catalogue of src/metrics.js by `npm run dashboards` - do not edit by hand',
+    'groups:',
+    "  - name: 'gas-http'",
+    '    rules:'
+  ];
+  rules.forEach(({ record, expr }) => {
+    lines.push(`      - record: ${record}`, `        expr: ${quote(expr)}`);
+  });
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Dashboards and recording rules as file contents, checked against the catalogue
+ * Returns `{ dashboards: { [file]: text }, rules: text }`; throws listing every
+ * query that refers to a metric or label the catalogue does not have.
+ */
+function generateMonitoring(catalogue = getMetricCatalogue()) {
+  const rules = recordingRules(catalogue);
+  const dashboards = generateDashboards(catalogue, rules);
+
+  const problems = checkMonitoring({ dashboards: Object.values(dashboards), rules }, knownSeries(catalogue, rules));
+  if (problems.length > 0) {
+    throw new Error(`Queries do not match the metric catalogue:\n  - ${problems.join('\n  - ')}`);
+  }
+
+  return {
+    dashboards: Object.fromEntries(Object.entries(dashboards)
+      .map(([file, content]) => [file, `${JSON.stringify(content, null, 2)}\n`])),
+    rules: formatRules(rules)
+  };
+}
+
+/**
+ * CLI entry point for scripts/dashboards.js; returns the exit code
+ */
+function main(argv, { stdout = process.stdout, stderr = process.stderr } = {}) {
+  let options;
+  try {
+    options = parseArgs(argv);
+    assertKnownOptions(options, ['dashboards', 'rules', 'check', 'help']);
+  } catch (error) {
+    stderr.write(`${error.message}\n${USAGE}\n`);
+    return 3;
+  }
+
+  if (options.help) {
+    stdout.write(`${USAGE}\n`);
+    return 0;
+  }
+
+  const dashboardDir = options.dashboards || DEFAULT_DASHBOARD_DIR;
+  const rulesFile = options.rules || DEFAULT_RULES_FILE;
+  try {
+    const generated = generateMonitoring();
+    const files = [
+      ...Object.entries(generated.dashboards).map(([file, content]) => [path.join(dashboardDir, file), content]),
+      [rulesFile, generated.rules]
+    ];
+
+    if (options.check) {
+      const stale = files
+        .filter(([file, content]) => !fs.existsSync(file) || fs.readFileSync(file, 'utf8') !== content);
+      if (stale.length > 0) {
+        stderr.write(`${stale.map(([file]) => file).join(', ')} out of date; run npm run dashboards\n`);
+        return 1;
+      }
+      stdout.write(`${files.length} dashboard and rule files are up to date\n`);
+      return 0;
+    }
+
+    files.forEach(([file, content]) => fs.writeFileSync(file, content));
+    stdout.write(`Wrote ${files.map(([file]) => file).join(', ')}\n`);
+    return 0;
+  } catch (error) {
+    stderr.write(`Dashboard generation failed: ${error.message}\n`);
+    return 2;
+  }
+}
+
+module.exports = {
+  TARGET_LABELS,
+  parseQuery,
+  knownSeries,
+  checkQuery,
+  checkMonitoring,
+  recordingRules,
+  generateDashboards,
+  generateMonitoring,
+  main
+};
@@ -0,0 +1,328 @@
+const crypto = require('crypto');
+const express = require('express');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const SORT_FIELDS = ['id', 'name', 'value', 'createdAt', 'updatedAt'];
+const DEFAULT_SORT = 'createdAt';
+const LIST_PARAMS = ['limit', 'cursor', 'sort', 'name', 'tag', 'minValue', 'maxValue'];
+// Set by the server; ignored when clients send them back
+const READ_ONLY_FIELDS = ['id', 'version', 'createdAt', 'updatedAt'];
+const WRITABLE_FIELDS = ['name', 'value', 'tags'];
+const MAX_NAME_LENGTH = 100;
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 50;
+
+/**
+ * Validate an item body
+ * With `partial` (PATCH) only the fields present are checked.
+ * Returns `{ fields, details }`; `details` lists every problem found.
+ */
+function validateItem(body, { partial = false } = {}) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { fields: null, details: ['Body must be a JSON object'] };
+  }
+
+  const details = [];
+  const fields = {};
+
+  Object.keys(body)
+    .filter((key) => !WRITABLE_FIELDS.includes(key) && !READ_ONLY_FIELDS.includes(key))
+    .forEach((key) => details.push(`Unknown field "${key}"`));
+
+  if (body.name !== undefined || !partial) {
+    if (typeof body.name !== 'string' || !body.name.trim() || body.name.length > MAX_NAME_LENGTH) {
+      details.push(`name must be a non-empty string of at most ${MAX_NAME_LENGTH} characters`);
+    } else {
+      fields.name = body.name.trim();
+    }
+  }
+
+  if (body.value !== undefined || !partial) {
+    if (typeof body.value !== 'number' || !Number.isFinite(body.value)) {
+      details.push('value must be a finite number');
+    } else {
+      fields.value = body.value;
+    }
+  }
+
+  if (body.tags !== undefined) {
+    if (!Array.isArray(body.tags) || body.tags.length > MAX_TAGS
+      || body.tags.some((tag) => typeof tag !== 'string' || !tag || tag.length > MAX_TAG_LENGTH)) {
+      details.push(`tags must be an array of at most ${MAX_TAGS} non-empty strings `
+        + `of up to ${MAX_TAG_LENGTH} characters`);
+    } else {
+      fields.tags = [...new Set(body.tags)];
+    }
+  } else if (!partial) {
+    fields.tags = [];
+  }
+
+  if (partial && details.length === 0 && Object.keys(fields).length === 0) {
+    details.push(`At least one of ${WRITABLE_FIELDS.join(', ')} is required`);
+  }
+
+  return { fields, details };
+}
+
+function encodeCursor(sort, item) {
+  const field = sort.replace(/^-/, '');
+  return Buffer.from(JSON.stringify({ sort, key: [item[field], item.id] })).toString('base64url');
+}
+
+function decodeCursor(cursor, sort) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (decoded.sort === sort && Array.isArray(decoded.key) && decoded.key.length === 2) {
+      return decoded.key;
+    }
+  } catch (error) {
+    // Fall through to the invalid-cursor result
+  }
+  return null;
+}
+
+function compareValues(a, b) {
+  if (a === b) return 0;
+  if (a === undefined || a === null) return -1;
+  if (b === undefined || b === null) return 1;
+  return a < b ? -1 : 1;
+}
+
+/**
+ * Parse list query parameters: `limit`, `cursor`, `sort` (a field, `-` for
+ * descending), and the filters `name` (substring), `tag`, `minValue`, `maxValue`
+ * Each may be given once; repeated (`?sort=a&sort=b`) or nested parameters are rejected.
+ */
+function parseListQuery(query) {
+  const repeated = LIST_PARAMS.filter((param) => query[param] !== undefined && typeof query[param] !== 'string');
+  if (repeated.length > 0) {
+    return {
+      options: { sort: DEFAULT_SORT, limit: DEFAULT_LIMIT },
+      details: repeated.map((param) => `${param} must be given at most once`)
+    };
+  }
+
+  const details = [];
+  const options = { sort: query.sort || DEFAULT_SORT, limit: DEFAULT_LIMIT };
+
+  if (query.limit !== undefined) {
+    const limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      details.push(`limit must be an integer between 1 and ${MAX_LIMIT}`);
+    } else {
+      options.limit = limit;
+    }
+  }
+
+  if (!SORT_FIELDS.includes(options.sort.replace(/^-/, ''))) {
+    details.push(`sort must be one of ${SORT_FIELDS.join(', ')}, optionally prefixed with -`);
+  }
+
+  ['minValue', 'maxValue'].forEach((param) => {
+    if (query[param] !== undefined) {
+      const number = Number(query[param]);
+      if (query[param] === '' || !Number.isFinite(number)) {
+        details.push(`${param} must be a number`);
+      } else {
+        options[param] = number;
+      }
+    }
+  });
+
+  if (typeof query.name === 'string') options.name = query.name.toLowerCase();
+  if (typeof query.tag === 'string') options.tag = query.tag;
+
+  if (query.cursor !== undefined && details.length === 0) {
+    options.after = decodeCursor(String(query.cursor), options.sort);
+    if (!options.after) {
+      details.push('cursor is invalid or was issued for a different sort order');
+    }
+  }
+
+  return { options, details };
+}
+
+/**
+ * Filter, sort and paginate items with keyset pagination on (sort field, id),
+ * so pages stay stable while items are added or removed
+ */
+function queryItems(items, {
+  sort, limit, after, name, tag, minValue, maxValue
+}) {
+  const descending = sort.startsWith('-');
+  const field = sort.replace(/^-/, '');
+  const direction = descending ? -1 : 1;
+  const compareKeys = ([valueA, idA], [valueB, idB]) => direction
+    * (compareValues(valueA, valueB) || compareValues(idA, idB));
+
+  const matching = items
+    .filter((item) => name === undefined || String(item.name).toLowerCase().includes(name))
+    .filter((item) => tag === undefined || (item.tags || []).includes(tag))
+    .filter((item) => minValue === undefined || item.value >= minValue)
+    .filter((item) => maxValue === undefined || item.value <= maxValue)
+    .sort((a, b) => compareKeys([a[field], a.id], [b[field], b.id]))
+    .filter((item) => !after || compareKeys([item[field], item.id], after) > 0);
+
+  const page = matching.slice(0, limit);
+  const hasMore = matching.length > limit;
+
+  return {
+    data: page,
+    pagination: {
+      limit,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(sort, page[page.length - 1]) : null
+    }
+  };
+}
+
+const etag = (item) => `"${item.version}"`;
+
+/**
+ * Version required by an If-Match header, or undefined when there is none
+ * Returns null when the header cannot match the current record.
+ */
+function expectedVersion(req, current) {
+  const header = req.get('if-match');
+  if (header === undefined) return undefined;
+  if (!current) return null;
+  if (header.trim() === '*') return current.version;
+
+  const tags = header.split(',').map((value) => value.trim());
+  return tags.includes(etag(current)) ? current.version : null;
+}
+
+function sendError(req, res, status, error, message, details) {
+  res.status(status).json({
+    error,
+    message,
+    ...(details ? { details } : {}),
+    requestId: req.id,
+    timestamp: new Date().toISOString()
+  });
+}
+
+const notFound = (req, res) => sendError(req, res, 404, 'Not Found', `Item "${req.params.id}" does not exist`);
+
+const preconditionFailed = (req, res) => sendError(
+  req,
+  res,
+  412,
+  'Precondition Failed',
+  `Item "${req.params.id}" has changed; fetch it again and retry with its current ETag`
+);
+
+function sendItem(res, item, status = 200) {
+  res.status(status).set('ETag', etag(item)).json({ data: item, timestamp: new Date().toISOString() });
+}
+
+/**
+ * Create the Express router for the /api/data resource on a storage adapter
+ *
+ *  - GET    /        list items (filters, sorting, cursor pagination)
+ *  - POST   /        create an item
+ *  - GET    /:id     fetch an item with its ETag
+ *  - PUT    /:id     replace an item (honours If-Match)
+ *  - PATCH  /:id     change some fields (honours If-Match)
+ *  - DELETE /:id     remove an item (honours If-Match)
+ * `ready` is awaited before each request, e.g. until migrations have run.
+ */
+function createDataRouter(store, { ready = Promise.resolve() } = {}) {
+  const router = express.Router();
+
+  // Express 4 does not catch rejected promises; version conflicts map to 412
+  const handle = (handler) => (req, res, next) => ready
+    .then(() => handler(req, res))
+    .catch((error) => (error.code === 'EVERSION' ? preconditionFailed(req, res) : next(error)));
+
+  router.get('/', handle(async (req, res) => {
+    const { options, details } = parseListQuery(req.query);
+    if (details.length > 0) {
+      sendError(req, res, 400, 'Bad Request', 'Invalid query parameters', details);
+      return;
+    }
+
+    res.json({ ...queryItems(await store.list(), options), timestamp: new Date().toISOString() });
+  }));
+
+  router.post('/', handle(async (req, res) => {
+    const { fields, details } = validateItem(req.body);
+    if (details.length > 0) {
+      sendError(req, res, 400, 'Bad Request', 'Invalid item', details);
+      return;
+    }
+
+    const now = new Date().toISOString();
+    const item = await store.put({
+      id: crypto.randomUUID(), ...fields, version: 1, createdAt: now, updatedAt: now
+    });
+    res.location(`${req.baseUrl}/${item.id}`);
+    sendItem(res, item, 201);
+  }));
+
+  router.get('/:id', handle(async (req, res) => {
+    const item = await store.get(req.params.id);
+    if (!item) {
+      notFound(req, res);
+      return;
+    }
+    sendItem(res, item);
+  }));
+
+  const update = ({ partial }) => handle(async (req, res) => {
+    const current = await store.get(req.params.id);
+    const ifVersion = expectedVersion(req, current);
+    if (!current && ifVersion === undefined) {
+      notFound(req, res);
+      return;
+    }
+    if (ifVersion === null) {
+      preconditionFailed(req, res);
+      return;
+    }
+
+    const { fields, details } = validateItem(req.body, { partial });
+    if (details.length > 0) {
+      sendError(req, res, 400, 'Bad Request', 'Invalid item', details);
+      return;
+    }
+
+    // Fields this release does not know about (added by a newer schema) are kept
+    const item = await store.put({
+      ...current,
+      ...fields,
+      version: current.version + 1,
+      updatedAt: new Date().toISOString()
+    }, { ifVersion: current.version });
+    sendItem(res, item);
+  });
+
+  router.put('/:id', update({ partial: false }));
+  router.patch('/:id', update({ partial: true }));
+
+  router.delete('/:id', handle(async (req, res) => {
+    const current = await store.get(req.params.id);
+    const ifVersion = expectedVersion(req, current);
+    if (!current && ifVersion === undefined) {
+      notFound(req, res);
+      return;
+    }
+    if (ifVersion === null) {
+      preconditionFailed(req, res);
+      return;
+    }
+
+    await store.delete(req.params.id, { ifVersion: current.version });
+    res.status(204).end();
+  }));
+
+  return router;
+}
+
+module.exports = {
+  createDataRouter,
+  validateItem,
+  parseListQuery,
+  queryItems
+};
@@ -0,0 +1,251 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { recordFlagEvaluation } = require('./metrics');
+
+const DEFAULT_FLAGS_FILE = path.join(__dirname, '../config/flags.json');
+
+/**
+ * Validate and normalize a flag definition
+ * `enabled: false` is the kill switch, `deploymentTypes` limits the flag to
+ * those deployments and `rollout` is the percentage of keys that get it.
+ */
+function normalizeFlag(name, definition) {
+  if (!/^[a-zA-Z0-9][a-zA-Z0-9._-]*$/.test(name)) {
+    throw new Error(`Invalid flag name: "${name}"`);
+  }
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    throw new Error(`Flag "${name}" must be an object`);
+  }
+
+  const {
+    description = '', enabled = true, deploymentTypes = null, rollout = 100
+  } = definition;
+
+  if (typeof enabled !== 'boolean') {
+    throw new Error(`Flag "${name}": enabled must be a boolean`);
+  }
+  if (deploymentTypes !== null
+    && (!Array.isArray(deploymentTypes) || deploymentTypes.some((type) => typeof type !== 'string'))) {
+    throw new Error(`Flag "${name}": deploymentTypes must be an array of strings`);
+  }
+  if (typeof rollout !== 'number' || rollout < 0 || rollout > 100) {
+    throw new Error(`Flag "${name}": rollout must be a number between 0 and 100`);
+  }
+
+  return {
+    description: String(description), enabled, deploymentTypes, rollout
+  };
+}
+
+/**
+ * Stable bucket in [0, 100) for a flag and key
+ * Hashing the flag name in keeps rollouts of different flags independent.
+ */
+function rolloutBucket(name, key) {
+  const digest = crypto.createHash('sha1').update(`${name}:${key}`).digest();
+  return (digest.readUInt32BE(0) % 10000) / 100;
+}
+
+/**
+ * Rollout key for a request: the caller's user ID, else the client IP
+ */
+function requestKey(req) {
+  return req.get('x-user-id') || req.query.userId || req.ip;
+}
+
+function badRequest(res, error) {
+  res.status(400).json({
+    error: 'Bad Request',
+    message: error.message,
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * Create a set of feature flags
+ * `file` is the JSON config read by loadFlags and the reload endpoint, and
+ * `deploymentType` the deployment flags are evaluated for unless a caller
+ * names another. Returns the functions and handlers below, bound to this set.
+ */
+function createFlags({ file = DEFAULT_FLAGS_FILE, deploymentType: defaultType = 'stable' } = {}) {
+  // Current flag definitions, keyed by flag name
+  let flags = new Map();
+
+  function getFlagDefinitions() {
+    return Object.fromEntries(flags);
+  }
+
+  /**
+   * Replace all flag definitions at once
+   * Nothing changes if any definition is invalid.
+   */
+  function setFlags(definitions) {
+    const next = new Map();
+    Object.entries(definitions || {}).forEach(([name, definition]) => {
+      next.set(name, normalizeFlag(name, definition));
+    });
+    flags = next;
+  }
+
+  /**
+   * Load flag definitions from a JSON config file, by default `file`
+   */
+  function loadFlags(from = file) {
+    const { flags: definitions } = JSON.parse(fs.readFileSync(from, 'utf8'));
+    setFlags(definitions);
+    return getFlagDefinitions();
+  }
+
+  /**
+   * Create or replace a single flag
+   */
+  function setFlag(name, definition) {
+    const normalized = normalizeFlag(name, definition);
+    flags.set(name, normalized);
+    return normalized;
+  }
+
+  /**
+   * Merge changes into an existing flag (e.g. `{ enabled: false }`)
+   */
+  function updateFlag(name, changes) {
+    const current = flags.get(name);
+    if (!current) return null;
+    return setFlag(name, { ...current, ...changes });
+  }
+
+  /**
+   * Evaluate a flag for a deployment type and rollout key
+   * Returns `{ enabled, reason }`; unknown flags are off.
+   */
+  function evaluateFlag(name, { key, deploymentType = defaultType } = {}) {
+    const flag = flags.get(name);
+    let result;
+
+    if (!flag) {
+      result = { enabled: false, reason: 'unknown' };
+    } else if (!flag.enabled) {
+      result = { enabled: false, reason: 'killed' };
+    } else if (flag.deploymentTypes && !flag.deploymentTypes.includes(deploymentType)) {
+      result = { enabled: false, reason: 'not-targeted' };
+    } else if (flag.rollout >= 100) {
+      result = { enabled: true, reason: 'on' };
+    } else if (key === undefined || key === null || key === '') {
+      result = { enabled: false, reason: 'no-key' };
+    } else {
+      const inRollout = rolloutBucket(name, key) < flag.rollout;
+      result = { enabled: inRollout, reason: inRollout ? 'in-rollout' : 'out-of-rollout' };
+    }
+
+    if (flag) {
+      recordFlagEvaluation(name, result.enabled, deploymentType);
+    }
+
+    return result;
+  }
+
+  /**
+   * Check a flag for the current request
+   */
+  function isEnabled(name, req) {
+    return evaluateFlag(name, { key: requestKey(req) }).enabled;
+  }
+
+  /**
+   * GET /api/flags - evaluate every flag for the calling request
+   */
+  function flagsHandler(req, res) {
+    const key = requestKey(req);
+
+    const evaluated = {};
+    flags.forEach((flag, name) => {
+      evaluated[name] = {
+        ...evaluateFlag(name, { key }),
+        description: flag.description
+      };
+    });
+
+    res.json({
+      deploymentType: defaultType,
+      flags: evaluated,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * GET /admin/flags - full flag definitions
+   */
+  function listFlagsHandler(req, res) {
+    res.json({
+      flags: getFlagDefinitions(),
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * PUT /admin/flags/:name - create or replace a flag
+   */
+  function putFlagHandler(req, res) {
+    try {
+      const flag = setFlag(req.params.name, req.body);
+      res.json({ name: req.params.name, flag, timestamp: new Date().toISOString() });
+    } catch (error) {
+      badRequest(res, error);
+    }
+  }
+
+  /**
+   * PATCH /admin/flags/:name - change part of a flag, e.g. flip its kill switch
+   */
+  function patchFlagHandler(req, res) {
+    try {
+      const flag = updateFlag(req.params.name, req.body);
+      if (!flag) {
+        res.status(404).json({
+          error: 'Not Found',
+          message: `Unknown flag: ${req.params.name}`,
+          timestamp: new Date().toISOString()
+        });
+        return;
+      }
+      res.json({ name: req.params.name, flag, timestamp: new Date().toISOString() });
+    } catch (error) {
+      badRequest(res, error);
+    }
+  }
+
+  /**
+   * POST /admin/flags/reload - re-read `file`
+   */
+  function reloadFlagsHandler(req, res) {
+    try {
+      res.json({ flags: loadFlags(), timestamp: new Date().toISOString() });
+    } catch (error) {
+      badRequest(res, error);
+    }
+  }
+
+  return {
+    loadFlags,
+    setFlags,
+    setFlag,
+    updateFlag,
+    getFlagDefinitions,
+    evaluateFlag,
+    isEnabled,
+    flagsHandler,
+    listFlagsHandler,
+    putFlagHandler,
+    patchFlagHandler,
+    reloadFlagsHandler
+  };
+}
+
+// Flags used outside an app (tests, scripts); each app creates its own
+const defaultFlags = createFlags();
+
+module.exports = {
+  createFlags,
+  ...defaultFlags
+};
@@ -1,50 +1,120 @@
 const os = require('os');
+const v8 = require('v8');
+const { monitorEventLoopDelay } = require('perf_hooks');
 const packageJson = require('../package.json');
+const {
+  recordReadinessCheck, removeReadinessCheck, onRequestObserved, setHealthStatus, recordHealthTransition
+} = require('./metrics');
+
+const DEFAULT_CHECK_TIMEOUT_MS = 2000;
+
+const HEALTH_STATUSES = ['healthy', 'degraded', 'unhealthy'];
+// Media type of draft-inadarei-api-health-check, and its status for each state
+const HEALTH_JSON_TYPE = 'application/health+json';
+const HEALTH_JSON_STATUS = {
+  healthy: 'pass', degraded: 'warn', unhealthy: 'fail', ready: 'pass', 'not ready': 'fail', draining: 'fail'
+};
+
+const DEFAULT_HEALTH_SETTINGS = {
+  historySize: 100,
+  eventLoopLagMs: 200,
+  heapUsedPercent: 90,
+  errorRatePercent: 5,
+  environment: 'development',
+  showResources: () => false
+};
+// Event loop delay since the previous evaluation; a property of the process,
+// so every health state shares it
+const eventLoopDelay = monitorEventLoopDelay({ resolution: 10 });
+eventLoopDelay.enable();
+
+// The error rate covers the last minute, counted in 5-second buckets, and is
+// only judged once enough requests came in to mean something
+const ERROR_WINDOW_MS = 60000;
+const ERROR_BUCKET_MS = 5000;
+const MIN_REQUESTS_FOR_ERROR_RATE = 20;
 
 /**
- * Health check endpoint handler
- * Returns application status, version, and system information
+ * Whether the caller asked for application/health+json
  */
-function healthCheck(req, res) {
-  const uptime = process.uptime();
-  const memoryUsage = process.memoryUsage();
-
-  const healthData = {
-    status: 'healthy',
-    timestamp: new Date().toISOString(),
-    version: packageJson.version,
-    application: packageJson.name,
-    uptime: {
-      seconds: Math.floor(uptime),
-      formatted: formatUptime(uptime)
-    },
-    system: {
-      platform: os.platform(),
-      arch: os.arch(),
-      nodeVersion: process.version,
-      hostname: os.hostname(),
-      totalMemory: `${Math.round(os.totalmem() / 1024 / 1024)} MB`,
-      freeMemory: `${Math.round(os.freemem() / 1024 / 1024)} MB`
-    },
-    process: {
-      pid: process.pid,
-      memory: {
-        rss: `${Math.round(memoryUsage.rss / 1024 / 1024)} MB`,
-        heapTotal: `${Math.round(memoryUsage.heapTotal / 1024 / 1024)} MB`,
-        heapUsed: `${Math.round(memoryUsage.heapUsed / 1024 / 1024)} MB`,
-        external: `${Math.round(memoryUsage.external / 1024 / 1024)} MB`
-      }
-    },
-    environment: process.env.NODE_ENV || 'development'
+function prefersHealthJson(req) {
+  return ((req.headers && req.headers.accept) || '').includes(HEALTH_JSON_TYPE);
+}
+
+function sendHealthJson(res, statusCode, body) {
+  res.status(statusCode).set('Content-Type', HEALTH_JSON_TYPE).json(body);
+}
+
+// Readiness check result as a health+json check entry
+function checkToHealthJson(check) {
+  let status = 'pass';
+  if (check.status === 'fail') status = check.critical ? 'fail' : 'warn';
+  return {
+    componentType: 'component',
+    observedValue: check.durationMs,
+    observedUnit: 'ms',
+    status,
+    time: check.checkedAt,
+    ...(check.error ? { output: check.error } : {})
   };
+}
+
+/**
+ * Health+json body for a state and the checks behind it
+ */
+function toHealthJson({
+  status, checks = [], indicators = [], timestamp, notes
+}) {
+  const time = timestamp || new Date().toISOString();
+  const entries = [
+    ['uptime', [{
+      componentType: 'system', observedValue: Math.floor(process.uptime()), observedUnit: 's', status: 'pass', time
+    }]],
+    ...indicators.map(({
+      name, status: indicatorStatus, observedValue, observedUnit
+    }) => [name, [{
+      componentType: 'system', observedValue, observedUnit, status: indicatorStatus, time
+    }]]),
+    ...checks.map((check) => [`${check.name}:responseTime`, [checkToHealthJson(check)]])
+  ];
+
+  return {
+    status: HEALTH_JSON_STATUS[status],
+    version: packageJson.version.split('.')[0],
+    releaseId: packageJson.version,
+    serviceId: `${packageJson.name}:${os.hostname()}:${process.pid}`,
+    description: `${packageJson.name} health (${status})`,
+    ...(notes ? { notes } : {}),
+    checks: Object.fromEntries(entries),
+    links: { history: '/health/history' }
+  };
+}
 
-  res.status(200).json(healthData);
+/**
+ * CPU time, peak memory and file system operations of the process so far
+ */
+function resourceUsage() {
+  const usage = process.resourceUsage();
+  return {
+    cpu: {
+      userSeconds: usage.userCPUTime / 1e6,
+      systemSeconds: usage.systemCPUTime / 1e6
+    },
+    maxRss: `${Math.round(usage.maxRSS / 1024)} MB`,
+    fsReads: usage.fsRead,
+    fsWrites: usage.fsWrite
+  };
 }
 
 /**
  * Liveness probe - simple check if the application is running
  */
 function livenessProbe(req, res) {
+  if (prefersHealthJson(req)) {
+    sendHealthJson(res, 200, { status: 'pass', version: packageJson.version.split('.')[0] });
+    return;
+  }
+
   res.status(200).json({
     status: 'alive',
     timestamp: new Date().toISOString()
@@ -52,23 +122,471 @@ function livenessProbe(req, res) {
 }
 
 /**
- * Readiness probe - check if the application is ready to serve traffic
+ * Create the health state of one app
+ * Holds its readiness checks, draining flag, health history and error rate;
+ * `healthOptions` are those of configureHealth. Returns the functions and handlers
+ * below, bound to this state.
  */
-function readinessProbe(req, res) {
-  // Add checks for database connections, external services, etc.
-  const isReady = true; // Placeholder - add actual readiness checks
+function createHealth(healthOptions = {}) {
+  // Registered readiness checks, their last results and in-flight runs, keyed by name
+  const readinessChecks = new Map();
+  const lastResults = new Map();
+  const pendingRuns = new Map();
 
-  if (isReady) {
-    res.status(200).json({
-      status: 'ready',
-      timestamp: new Date().toISOString()
+  // Set once shutdown starts so the load balancer stops routing traffic here
+  let draining = false;
+
+  // Health state, its recent evaluations and changes (oldest first, bounded)
+  let healthSettings = { ...DEFAULT_HEALTH_SETTINGS };
+  let healthLogger = null;
+  let currentHealth = { status: null, since: null };
+  let healthHistory = [];
+  let healthTransitions = [];
+
+  // Requests and server errors per time bucket, keyed by bucket start
+  const requestBuckets = new Map();
+
+  /**
+   * Count a completed request (an observation from the HTTP metrics) towards
+   * the error rate
+   */
+  function recordRequest({ statusCode }) {
+    const bucket = Math.floor(Date.now() / ERROR_BUCKET_MS) * ERROR_BUCKET_MS;
+    const counts = requestBuckets.get(bucket) || { requests: 0, errors: 0 };
+    counts.requests += 1;
+    if (statusCode >= 500) counts.errors += 1;
+    requestBuckets.set(bucket, counts);
+  }
+
+  /**
+   * Configure the health history and the thresholds of the degraded state
+   * `historySize` bounds both the evaluations and the transitions kept;
+   * `eventLoopLagMs`, `heapUsedPercent` and `errorRatePercent` are the levels at
+   * which the instance counts as degraded; `environment` is the NODE_ENV reported
+   * by the health check, which adds the process's resource usage when
+   * `showResources(req)` is true. Transitions are logged to `logger`.
+   */
+  function configureHealth(options = {}) {
+    const { logger = null, ...settings } = options;
+    healthSettings = { ...DEFAULT_HEALTH_SETTINGS, ...settings };
+    healthLogger = logger;
+    healthHistory = healthHistory.slice(-healthSettings.historySize);
+    healthTransitions = healthTransitions.slice(-healthSettings.historySize);
+  }
+
+  /**
+   * Forget the health state and history (for tests)
+   */
+  function resetHealth() {
+    currentHealth = { status: null, since: null };
+    healthHistory = [];
+    healthTransitions = [];
+    requestBuckets.clear();
+    eventLoopDelay.reset();
+  }
+
+  function recentRequests(now = Date.now()) {
+    const totals = { requests: 0, errors: 0 };
+    requestBuckets.forEach((counts, bucket) => {
+      if (bucket <= now - ERROR_WINDOW_MS) {
+        requestBuckets.delete(bucket);
+        return;
+      }
+      totals.requests += counts.requests;
+      totals.errors += counts.errors;
     });
-  } else {
-    res.status(503).json({
-      status: 'not ready',
+    return totals;
+  }
+
+  /**
+   * Measure the runtime indicators behind the degraded state
+   * Each is named after its health+json check key and has `status` `warn` once
+   * it reaches its threshold.
+   */
+  function measureIndicators() {
+    const lagMs = eventLoopDelay.count > 0 ? eventLoopDelay.percentile(99) / 1e6 : 0;
+    eventLoopDelay.reset();
+
+    const heap = v8.getHeapStatistics();
+    const heapPercent = (heap.used_heap_size / heap.heap_size_limit) * 100;
+
+    const { requests, errors } = recentRequests();
+    const errorPercent = requests > 0 ? (errors / requests) * 100 : 0;
+
+    const indicator = (name, value, unit, threshold, judged = true) => ({
+      name,
+      status: judged && value >= threshold ? 'warn' : 'pass',
+      observedValue: Math.round(value * 100) / 100,
+      observedUnit: unit,
+      threshold
+    });
+
+    return [
+      indicator('eventloop:lag', lagMs, 'ms', healthSettings.eventLoopLagMs),
+      indicator('memory:utilization', heapPercent, 'percent', healthSettings.heapUsedPercent),
+      indicator(
+        'http:errorRate',
+        errorPercent,
+        'percent',
+        healthSettings.errorRatePercent,
+        requests >= MIN_REQUESTS_FOR_ERROR_RATE
+      )
+    ];
+  }
+
+  function recordEvaluation({
+    status, timestamp, checks, indicators
+  }) {
+    const reasons = [
+      ...checks.filter((check) => check.status === 'fail').map((check) => check.name),
+      ...indicators.filter((indicator) => indicator.status === 'warn').map((indicator) => indicator.name)
+    ];
+
+    healthHistory.push({ timestamp, status, reasons });
+    healthHistory = healthHistory.slice(-healthSettings.historySize);
+
+    if (status !== currentHealth.status) {
+      const from = currentHealth.status;
+      if (from) {
+        healthTransitions.push({
+          timestamp, from, to: status, reasons
+        });
+        healthTransitions = healthTransitions.slice(-healthSettings.historySize);
+        recordHealthTransition(from, status);
+        if (healthLogger) {
+          const level = status === 'healthy' ? 'info' : 'warn';
+          healthLogger[level](`Health changed from ${from} to ${status}`, { from, to: status, reasons });
+        }
+      }
+      currentHealth = { status, since: timestamp };
+      setHealthStatus(status, HEALTH_STATUSES);
+    }
+  }
+
+  /**
+   * Evaluate the health of the instance and record it in the history
+   * `unhealthy` when a critical readiness check fails, `degraded` when a
+   * non-critical check fails or a runtime indicator crosses its threshold, and
+   * `healthy` otherwise. Resolves to `{ status, since, timestamp, checks, indicators }`.
+   */
+  async function evaluateHealth() {
+    const readiness = await runReadinessChecks();
+    const indicators = measureIndicators();
+
+    let status = 'healthy';
+    if (readiness.status === 'not ready') {
+      status = 'unhealthy';
+    } else if (readiness.status === 'degraded' || indicators.some((indicator) => indicator.status === 'warn')) {
+      status = 'degraded';
+    }
+
+    const evaluation = {
+      status,
+      timestamp: new Date().toISOString(),
+      checks: readiness.checks,
+      indicators
+    };
+    recordEvaluation(evaluation);
+
+    return { ...evaluation, since: currentHealth.since };
+  }
+
+  /**
+   * Evaluate health every `intervalMs`, so the history also covers quiet periods
+   * Returns a function that stops the monitor.
+   */
+  function startHealthMonitor({ intervalMs = 30000 } = {}) {
+    const timer = setInterval(() => {
+      evaluateHealth().catch((error) => {
+        if (healthLogger) healthLogger.error('Health evaluation failed', { error: error.message });
+      });
+    }, intervalMs);
+    timer.unref();
+    return () => clearInterval(timer);
+  }
+
+  /**
+   * Health check endpoint handler
+   * Evaluates health (recording it in the history) and returns it with version
+   * and system information, or as application/health+json when asked for.
+   * Responds 503 when unhealthy.
+   */
+  async function healthCheck(req, res) {
+    const evaluation = await evaluateHealth();
+    const statusCode = evaluation.status === 'unhealthy' ? 503 : 200;
+
+    if (prefersHealthJson(req)) {
+      sendHealthJson(res, statusCode, toHealthJson(evaluation));
+      return;
+    }
+
+    const uptime = process.uptime();
+    const memoryUsage = process.memoryUsage();
+
+    const healthData = {
+      status: evaluation.status,
+      since: evaluation.since,
+      timestamp: evaluation.timestamp,
+      version: packageJson.version,
+      application: packageJson.name,
+      uptime: {
+        seconds: Math.floor(uptime),
+        formatted: formatUptime(uptime)
+      },
+      system: {
+        platform: os.platform(),
+        arch: os.arch(),
+        nodeVersion: process.version,
+        hostname: os.hostname(),
+        totalMemory: `${Math.round(os.totalmem() / 1024 / 1024)} MB`,
+        freeMemory: `${Math.round(os.freemem() / 1024 / 1024)} MB`
+      },
+      process: {
+        pid: process.pid,
+        memory: {
+          rss: `${Math.round(memoryUsage.rss / 1024 / 1024)} MB`,
+          heapTotal: `${Math.round(memoryUsage.heapTotal / 1024 / 1024)} MB`,
+          heapUsed: `${Math.round(memoryUsage.heapUsed / 1024 / 1024)} MB`,
+          external: `${Math.round(memoryUsage.external / 1024 / 1024)} MB`
+        }
+      },
+      environment: healthSettings.environment,
+      checks: evaluation.checks,
+      indicators: evaluation.indicators,
+      ...(healthSettings.showResources(req) ? { resources: resourceUsage() } : {})
+    };
+
+    res.status(statusCode).json(healthData);
+  }
+
+  /**
+   * Recent health evaluations and state changes, newest first
+   */
+  function healthHistoryHandler(req, res) {
+    res.json({
+      status: currentHealth.status,
+      since: currentHealth.since,
+      capacity: healthSettings.historySize,
+      transitions: [...healthTransitions].reverse(),
+      history: [...healthHistory].reverse(),
       timestamp: new Date().toISOString()
     });
   }
+
+  /**
+   * Register a named readiness check
+   * `check` is an async function that resolves when the dependency is usable and
+   * throws when it is not. It receives `{ signal }`, which aborts on timeout.
+   * Options: `timeout` (ms), `critical` (false marks the check as degraded-only)
+   * and `cacheInterval` (ms to reuse the last result before running again).
+   */
+  function registerReadinessCheck(name, check, options = {}) {
+    if (!name || typeof name !== 'string') {
+      throw new TypeError('Readiness check name must be a non-empty string');
+    }
+    if (typeof check !== 'function') {
+      throw new TypeError(`Readiness check "${name}" must be a function`);
+    }
+
+    // A check re-registered with another criticality would leave its old series behind
+    const critical = options.critical !== false;
+    if (readinessChecks.has(name) && readinessChecks.get(name).critical !== critical) {
+      removeReadinessCheck(name);
+    }
+
+    readinessChecks.set(name, {
+      name,
+      check,
+      timeout: options.timeout || DEFAULT_CHECK_TIMEOUT_MS,
+      critical,
+      cacheInterval: options.cacheInterval || 0
+    });
+    lastResults.delete(name);
+  }
+
+  /**
+   * Remove a previously registered readiness check and its metric series
+   */
+  function unregisterReadinessCheck(name) {
+    lastResults.delete(name);
+    removeReadinessCheck(name);
+    return readinessChecks.delete(name);
+  }
+
+  /**
+   * Remove all registered readiness checks
+   */
+  function clearReadinessChecks() {
+    [...readinessChecks.keys()].forEach(unregisterReadinessCheck);
+  }
+
+  /**
+   * Run a single check with its timeout, reusing a cached result when fresh
+   */
+  async function runCheck(entry) {
+    const lastResult = lastResults.get(entry.name);
+    if (lastResult && entry.cacheInterval > 0
+      && Date.now() - lastResult.checkedAt < entry.cacheInterval) {
+      return { ...lastResult, cached: true };
+    }
+
+    // Concurrent probes share one in-flight run instead of stacking up
+    if (pendingRuns.has(entry.name)) {
+      return pendingRuns.get(entry.name);
+    }
+
+    const run = executeCheck(entry).finally(() => {
+      pendingRuns.delete(entry.name);
+    });
+    pendingRuns.set(entry.name, run);
+
+    return run;
+  }
+
+  async function executeCheck(entry) {
+    const controller = new AbortController();
+    const start = process.hrtime.bigint();
+    let timer;
+
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        controller.abort();
+        reject(new Error(`Timed out after ${entry.timeout}ms`));
+      }, entry.timeout);
+    });
+
+    let result;
+    try {
+      const details = await Promise.race([
+        Promise.resolve().then(() => entry.check({ signal: controller.signal })),
+        timeout
+      ]);
+      result = { status: 'pass' };
+      if (details && typeof details === 'object') {
+        result.details = details;
+      }
+    } catch (error) {
+      result = { status: 'fail', error: error.message };
+    } finally {
+      clearTimeout(timer);
+    }
+
+    const durationMs = Number(process.hrtime.bigint() - start) / 1e6;
+    const finished = {
+      name: entry.name,
+      critical: entry.critical,
+      ...result,
+      durationMs: Math.round(durationMs * 100) / 100,
+      checkedAt: Date.now()
+    };
+
+    if (readinessChecks.get(entry.name) === entry) {
+      lastResults.set(entry.name, finished);
+    }
+    recordReadinessCheck(finished);
+
+    return { ...finished, cached: false };
+  }
+
+  /**
+   * Run all registered readiness checks in parallel
+   * Status is `not ready` when any critical check fails, `degraded` when only
+   * non-critical checks fail and `ready` otherwise.
+   */
+  async function runReadinessChecks() {
+    const checks = await Promise.all([...readinessChecks.values()].map(runCheck));
+
+    const criticalFailed = checks.some((check) => check.status === 'fail' && check.critical);
+    const degraded = checks.some((check) => check.status === 'fail' && !check.critical);
+
+    let status = 'ready';
+    if (criticalFailed) {
+      status = 'not ready';
+    } else if (degraded) {
+      status = 'degraded';
+    }
+
+    return {
+      status,
+      checks: checks.map((check) => ({
+        ...check,
+        checkedAt: new Date(check.checkedAt).toISOString()
+      }))
+    };
+  }
+
+  /**
+   * Mark the instance as draining (or not)
+   * While draining, readiness reports 503 without running any checks.
+   */
+  function setDraining(value) {
+    draining = Boolean(value);
+  }
+
+  function isDraining() {
+    return draining;
+  }
+
+  /**
+   * Create a readiness probe handler
+   * Responds 503 when a critical readiness check fails or the instance is
+   * draining. Individual check results are listed only when `showChecks(req)`
+   * is true, since they can reveal internals to anonymous callers.
+   */
+  function createReadinessProbe({ showChecks = () => true } = {}) {
+    return async function readinessProbe(req, res) {
+      if (draining) {
+        if (prefersHealthJson(req)) {
+          sendHealthJson(res, 503, toHealthJson({ status: 'draining', notes: ['Shutting down'] }));
+          return;
+        }
+        res.status(503).json({
+          status: 'draining',
+          timestamp: new Date().toISOString()
+        });
+        return;
+      }
+
+      const { status, checks } = await runReadinessChecks();
+      const statusCode = status === 'not ready' ? 503 : 200;
+
+      if (prefersHealthJson(req)) {
+        sendHealthJson(res, statusCode, toHealthJson({ status, checks: showChecks(req) ? checks : [] }));
+        return;
+      }
+
+      res.status(statusCode).json({
+        status,
+        timestamp: new Date().toISOString(),
+        ...(showChecks(req) ? { checks } : {})
+      });
+    };
+  }
+
+  /**
+   * Readiness probe - check if the application is ready to serve traffic
+   */
+  const readinessProbe = createReadinessProbe();
+
+  configureHealth(healthOptions);
+
+  return {
+    healthCheck,
+    healthHistoryHandler,
+    readinessProbe,
+    createReadinessProbe,
+    registerReadinessCheck,
+    unregisterReadinessCheck,
+    clearReadinessChecks,
+    runReadinessChecks,
+    setDraining,
+    isDraining,
+    configureHealth,
+    resetHealth,
+    evaluateHealth,
+    startHealthMonitor,
+    recordRequest
+  };
 }
 
 /**
@@ -89,8 +607,28 @@ function formatUptime(seconds) {
   return parts.join(' ');
 }
 
+// Health state used outside an app (tests), fed from metricsMiddleware; each
+// app creates its own
+const defaultHealth = createHealth();
+onRequestObserved(defaultHealth.recordRequest);
+
 module.exports = {
-  healthCheck,
+  HEALTH_JSON_TYPE,
+  createHealth,
   livenessProbe,
-  readinessProbe
+  toHealthJson,
+  healthCheck: defaultHealth.healthCheck,
+  healthHistoryHandler: defaultHealth.healthHistoryHandler,
+  readinessProbe: defaultHealth.readinessProbe,
+  createReadinessProbe: defaultHealth.createReadinessProbe,
+  registerReadinessCheck: defaultHealth.registerReadinessCheck,
+  unregisterReadinessCheck: defaultHealth.unregisterReadinessCheck,
+  clearReadinessChecks: defaultHealth.clearReadinessChecks,
+  runReadinessChecks: defaultHealth.runReadinessChecks,
+  setDraining: defaultHealth.setDraining,
+  isDraining: defaultHealth.isDraining,
+  configureHealth: defaultHealth.configureHealth,
+  resetHealth: defaultHealth.resetHealth,
+  evaluateHealth: defaultHealth.evaluateHealth,
+  startHealthMonitor: defaultHealth.startHealthMonitor
 };
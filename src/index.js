@@ -1,209 +1,156 @@
-require('dotenv').config();
-const express = require('express');
-const winston = require('winston');
-const appInsights = require('applicationinsights');
-const { healthCheck, livenessProbe, readinessProbe } = require('./health');
-const { metricsMiddleware, metricsHandler } = require('./metrics');
-
-// Configure Winston logger
-const logger = winston.createLogger({
-  level: process.env.LOG_LEVEL || 'info',
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.errors({ stack: true }),
-    winston.format.json()
-  ),
-  transports: [
-    new winston.transports.Console({
-      format: winston.format.combine(
-        winston.format.colorize(),
-        winston.format.simple()
-      )
-    })
-  ]
-});
-
-// Configure Application Insights (Azure monitoring)
-if (process.env.APPLICATIONINSIGHTS_CONNECTION_STRING) {
-  appInsights.setup(process.env.APPLICATIONINSIGHTS_CONNECTION_STRING)
-    .setAutoDependencyCorrelation(true)
-    .setAutoCollectRequests(true)
-    .setAutoCollectPerformance(true, true)
-    .setAutoCollectExceptions(true)
-    .setAutoCollectDependencies(true)
-    .setAutoCollectConsole(true)
-    .setUseDiskRetryCaching(true)
-    .setSendLiveMetrics(true)
-    .start();
-
-  logger.info('Application Insights initialized');
+const cluster = require('cluster');
+const { loadConfig } = require('./config');
+
+// Validate configuration before any other module reads it; refuse to start on errors
+let config;
+try {
+  config = loadConfig();
+} catch (error) {
+  process.stderr.write(`${error.message}\n`);
+  process.exit(1);
 }
 
-// Create Express app
-const app = express();
-const PORT = process.env.PORT || 3000;
-const HOST = process.env.HOST || '0.0.0.0';
-
-// Middleware
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
-
-// Request logging middleware
-app.use((req, res, next) => {
-  logger.info(`${req.method} ${req.path}`, {
-    method: req.method,
-    path: req.path,
-    ip: req.ip,
-    userAgent: req.get('user-agent')
-  });
-  next();
-});
-
-// Apply metrics middleware to all routes
-app.use(metricsMiddleware);
-
-// Health check endpoints
-app.get('/health', healthCheck);
-app.get('/health/live', livenessProbe);
-app.get('/health/ready', readinessProbe);
-
-// Metrics endpoint
-app.get('/metrics', metricsHandler);
-
-// Root endpoint
-app.get('/', (req, res) => {
-  const deploymentType = process.env.DEPLOYMENT_TYPE || 'stable';
-  const { version } = require('../package.json');
-
-  res.json({
-    message: 'GAS Project - GitHub Actions Staging',
-    version,
-    deploymentType,
-    timestamp: new Date().toISOString(),
-    endpoints: {
-      health: '/health',
-      liveness: '/health/live',
-      readiness: '/health/ready',
-      metrics: '/metrics',
-      api: '/api'
-    }
-  });
-});
-
-// API endpoints
-app.get('/api', (req, res) => {
-  res.json({
-    message: 'API is working',
-    version: require('../package.json').version,
-    timestamp: new Date().toISOString()
-  });
-});
-
-// Sample API endpoint for testing
-app.get('/api/data', (req, res) => {
-  res.json({
-    data: [
-      { id: 1, name: 'Item 1', value: 100 },
-      { id: 2, name: 'Item 2', value: 200 },
-      { id: 3, name: 'Item 3', value: 300 }
-    ],
-    timestamp: new Date().toISOString()
-  });
-});
-
-// Error simulation endpoint (for testing)
-app.get('/api/error', (req, res) => {
-  logger.error('Simulated error endpoint called');
-  res.status(500).json({
-    error: 'Simulated error',
-    message: 'This is a test error endpoint',
-    timestamp: new Date().toISOString()
-  });
-});
+const { resolveWorkerCount } = require('./cluster');
 
-// Slow endpoint (for testing latency)
-app.get('/api/slow', async (req, res) => {
-  const delay = parseInt(req.query.delay || '2000', 10);
-  logger.info(`Slow endpoint called with delay: ${delay}ms`);
+const workers = resolveWorkerCount(config.CLUSTER_WORKERS);
 
-  await new Promise((resolve) => setTimeout(resolve, delay));
+if (cluster.isPrimary && workers > 0) {
+  // Cluster mode: this process only supervises workers, each running the server
+  const { startPrimary } = require('./cluster');
+  const { createLogger, resolveLogFormat } = require('./logger');
 
-  res.json({
-    message: 'Slow response completed',
-    delay: `${delay}ms`,
-    timestamp: new Date().toISOString()
+  const logger = createLogger({
+    level: config.LOG_LEVEL,
+    format: resolveLogFormat(config.LOG_FORMAT, config.NODE_ENV),
+    fields: { service: require('../package.json').name, worker: 'primary' }
   });
-});
-
-// 404 handler
-app.use((req, res) => {
-  logger.warn(`404 - Not Found: ${req.method} ${req.path}`);
-  res.status(404).json({
-    error: 'Not Found',
-    message: `Cannot ${req.method} ${req.path}`,
-    timestamp: new Date().toISOString()
-  });
-});
-
-// Error handler
-app.use((err, req, res, _next) => {
-  logger.error('Unhandled error:', err);
-  res.status(500).json({
-    error: 'Internal Server Error',
-    message: process.env.NODE_ENV === 'production' ? 'An error occurred' : err.message,
-    timestamp: new Date().toISOString()
+
+  // Workers would overwrite each other's data file
+  if (config.STORAGE_DRIVER === 'file') {
+    logger.error('CLUSTER_WORKERS cannot be used with STORAGE_DRIVER=file; each worker would write the same file');
+    process.exit(1);
+  }
+
+  const primary = startPrimary({
+    workers,
+    restartBackoffMs: config.CLUSTER_RESTART_BACKOFF_MS,
+    shutdownTimeoutMs: config.SHUTDOWN_TIMEOUT_MS,
+    logger
   });
-});
 
-// Graceful shutdown handler
-function gracefulShutdown(signal) {
-  logger.info(`${signal} received, starting graceful shutdown...`);
+  const shutdown = (signal) => primary.shutdown(signal).then((code) => process.exit(code));
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+  process.on('SIGHUP', () => primary.rollingRestart());
+} else {
+  // Single process or cluster worker: serve the app (see src/app.js and src/server.js)
+  const { getBuildInfo } = require('./build-info');
+  const { startTelemetry } = require('./telemetry');
+
+  // OpenTelemetry patches http and express as they load, so it starts before both
+  const buildInfo = getBuildInfo(config);
+  const telemetry = config.OTEL_EXPORTER_OTLP_ENDPOINT ? startTelemetry({
+    endpoint: config.OTEL_EXPORTER_OTLP_ENDPOINT,
+    serviceName: config.OTEL_SERVICE_NAME,
+    serviceVersion: buildInfo.version,
+    deploymentType: buildInfo.deploymentType,
+    environment: config.NODE_ENV,
+    slot: config.SLOT_NAME,
+    metricIntervalMs: config.OTEL_METRIC_EXPORT_INTERVAL
+  }) : null;
+
+  const appInsights = require('applicationinsights');
+  const { createApp, createAppLogger } = require('./app');
+  const { startServer } = require('./server');
+  const { handleWorkerMessages } = require('./cluster');
+
+  const logger = createAppLogger(config);
+
+  // Configure Application Insights (Azure monitoring)
+  if (config.APPLICATIONINSIGHTS_CONNECTION_STRING) {
+    appInsights.setup(config.APPLICATIONINSIGHTS_CONNECTION_STRING)
+      .setAutoDependencyCorrelation(true)
+      .setDistributedTracingMode(appInsights.DistributedTracingModes.AI_AND_W3C)
+      .setAutoCollectRequests(true)
+      .setAutoCollectPerformance(true, true)
+      .setAutoCollectExceptions(true)
+      .setAutoCollectDependencies(true)
+      .setAutoCollectConsole(true)
+      .setUseDiskRetryCaching(true)
+      .setSendLiveMetrics(true)
+      .start();
+
+    logger.info('Application Insights initialized');
+  }
+
+  if (telemetry) {
+    logger.info(`OpenTelemetry exporting to ${config.OTEL_EXPORTER_OTLP_ENDPOINT}`);
+  }
+
+  // Invalid settings (e.g. authentication) stop the startup
+  let app;
+  try {
+    app = createApp({ config, logger });
+  } catch (error) {
+    logger.error(error.message);
+    process.exit(1);
+  }
 
-  server.close(() => {
-    logger.info('HTTP server closed');
+  // Evaluate health in the background too, so its history covers quiet periods
+  if (config.HEALTH_INTERVAL_MS > 0) {
+    app.locals.health.startHealthMonitor({ intervalMs: config.HEALTH_INTERVAL_MS });
+  }
 
-    // Close Application Insights
-    if (appInsights.defaultClient) {
+  // Flush Application Insights before the process exits
+  const flushAppInsights = () => {
+    if (!appInsights.defaultClient) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => {
       appInsights.defaultClient.flush({
         callback: () => {
           logger.info('Application Insights flushed');
-          process.exit(0);
+          resolve();
         }
       });
-    } else {
-      process.exit(0);
-    }
-  });
+    });
+  };
 
-  // Force shutdown after 30 seconds
-  setTimeout(() => {
-    logger.error('Forced shutdown after timeout');
+  const started = startServer(app, {
+    onClose: [flushAppInsights, ...(telemetry ? [telemetry.shutdown] : [])]
+  });
+  started.catch((error) => {
+    logger.error(`Server failed to start: ${error.message}`);
     process.exit(1);
-  }, 30000);
-}
+  });
+
+  const stop = (signal, options) => started
+    .then((instance) => instance.stop(signal, options))
+    .then((code) => process.exit(code));
+
+  // Handle shutdown signals
+  process.on('SIGTERM', () => stop('SIGTERM'));
+  process.on('SIGINT', () => stop('SIGINT'));
+
+  if (cluster.isWorker) {
+    // The primary retires this worker once its replacement is listening; the
+    // instance stays ready, only this worker's connections move to the others
+    handleWorkerMessages({
+      onDrain: () => stop('rolling-restart', { keepReady: true }),
+      onScrape: app.locals.slos.updateSloMetrics
+    });
+    // SIGHUP is for the primary; init processes such as dumb-init signal the whole group
+    process.on('SIGHUP', () => {});
+  }
+
+  // Handle uncaught exceptions
+  process.on('uncaughtException', (err) => {
+    logger.error('Uncaught Exception:', err);
+    stop('uncaughtException');
+  });
 
-// Start server
-const server = app.listen(PORT, HOST, () => {
-  logger.info(`Server started on ${HOST}:${PORT}`);
-  logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
-  logger.info(`Deployment Type: ${process.env.DEPLOYMENT_TYPE || 'stable'}`);
-  logger.info(`Health check: http://${HOST}:${PORT}/health`);
-  logger.info(`Metrics: http://${HOST}:${PORT}/metrics`);
-});
-
-// Handle shutdown signals
-process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
-process.on('SIGINT', () => gracefulShutdown('SIGINT'));
-
-// Handle uncaught exceptions
-process.on('uncaughtException', (err) => {
-  logger.error('Uncaught Exception:', err);
-  gracefulShutdown('uncaughtException');
-});
-
-// Handle unhandled promise rejections
-process.on('unhandledRejection', (reason, promise) => {
-  logger.error('Unhandled Rejection at:', promise, 'reason:', reason);
-});
-
-module.exports = app;
+  // Handle unhandled promise rejections
+  process.on('unhandledRejection', (reason, promise) => {
+    logger.error('Unhandled Rejection at:', promise, 'reason:', reason);
+  });
+}
@@ -0,0 +1,338 @@
+const fs = require('fs');
+const path = require('path');
+const { patternToRegExp } = require('./chaos');
+const { recordRejectedRequest, setLimiterState } = require('./metrics');
+
+const DEFAULT_LIMITS_FILE = path.join(__dirname, '../config/limits.json');
+const KEY_TYPES = ['ip', 'apiKey'];
+// Idle buckets are refilled anyway, so the oldest are dropped past this size
+const DEFAULT_MAX_CLIENTS = 10000;
+const DEFAULT_CONCURRENCY = {
+  maxConcurrent: 100, maxQueue: 100, maxQueueMs: 1000, retryAfterSeconds: 1
+};
+
+function assertInteger(field, value, min) {
+  if (!Number.isInteger(value) || value < min) {
+    throw new Error(`Limits: ${field} must be an integer of at least ${min}`);
+  }
+}
+
+/**
+ * Validate a rate limit rule and fill in defaults
+ * A rule matches `route` (and optionally `methods`) and allows each client
+ * `perSecond` requests on average, with bursts of up to `burst`.
+ */
+function normalizeRateLimit(rule, index) {
+  if (!rule || typeof rule !== 'object') {
+    throw new Error(`Rate limit #${index} must be an object`);
+  }
+
+  const id = rule.id || `rate-limit-${index}`;
+  if (typeof rule.route !== 'string' || !rule.route.startsWith('/')) {
+    throw new Error(`Rate limit "${id}": route must be a path pattern starting with /`);
+  }
+  if (typeof rule.perSecond !== 'number' || !(rule.perSecond > 0)) {
+    throw new Error(`Rate limit "${id}": perSecond must be a positive number`);
+  }
+
+  const { key = 'ip', burst = Math.ceil(rule.perSecond) } = rule;
+  if (!KEY_TYPES.includes(key)) {
+    throw new Error(`Rate limit "${id}": key must be one of ${KEY_TYPES.join(', ')}`);
+  }
+  if (!Number.isInteger(burst) || burst < 1) {
+    throw new Error(`Rate limit "${id}": burst must be a positive integer`);
+  }
+
+  return {
+    id,
+    route: rule.route,
+    methods: rule.methods ? rule.methods.map((method) => method.toUpperCase()) : null,
+    key,
+    perSecond: rule.perSecond,
+    burst
+  };
+}
+
+function normalizeConcurrency(concurrency) {
+  if (!concurrency) return null;
+
+  const normalized = { ...DEFAULT_CONCURRENCY, ...concurrency };
+  assertInteger('concurrency.maxConcurrent', normalized.maxConcurrent, 1);
+  assertInteger('concurrency.maxQueue', normalized.maxQueue, 0);
+  assertInteger('concurrency.maxQueueMs', normalized.maxQueueMs, 0);
+  assertInteger('concurrency.retryAfterSeconds', normalized.retryAfterSeconds, 1);
+  return normalized;
+}
+
+/**
+ * The client a rate limit counts a request against
+ * `apiKey` limits count per verified caller (`req.principal`, set by auth's
+ * attachPrincipal) and fall back to the client IP for anonymous requests and
+ * invalid credentials, so inventing keys does not buy fresh buckets.
+ */
+function clientKey(req, rule) {
+  const { principal } = req;
+  return rule.key === 'apiKey' && principal
+    ? `principal:${principal.method}:${principal.name}`
+    : `ip:${req.ip}`;
+}
+
+function reject(req, res, {
+  status, reason, rule, retryAfter, message
+}) {
+  recordRejectedRequest(reason, rule);
+  res.set('Retry-After', String(retryAfter));
+  res.status(status).json({
+    error: status === 429 ? 'Too Many Requests' : 'Service Unavailable',
+    message,
+    requestId: req.id,
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * Create a set of rate limits and a concurrency limit
+ * `file` is the JSON config read by loadLimits. Returns the functions,
+ * middleware and admin handler below, which share one configuration and one
+ * set of buckets and queues.
+ */
+function createLimits({ file = DEFAULT_LIMITS_FILE } = {}) {
+  let config = {
+    enabled: false, exempt: [], concurrency: null, rateLimits: [], maxClients: DEFAULT_MAX_CLIENTS
+  };
+  let state = null;
+
+  // Queues left behind by a reconfiguration drain without touching the gauges
+  function publish(current) {
+    if (current === state) setLimiterState({ active: current.active, queued: current.queue.length });
+  }
+
+  /**
+   * Replace the limits configuration
+   * Nothing changes if any setting is invalid. Rate limit buckets start full
+   * again; requests already queued keep waiting under the previous limits.
+   */
+  function setLimitsConfig({
+    enabled = true, exempt = [], concurrency = null, rateLimits = [], maxClients = DEFAULT_MAX_CLIENTS
+  } = {}) {
+    if (!Array.isArray(exempt) || exempt.some((route) => typeof route !== 'string' || !route.startsWith('/'))) {
+      throw new Error('Limits: exempt must be an array of path patterns starting with /');
+    }
+    if (!Array.isArray(rateLimits)) {
+      throw new Error('Limits: rateLimits must be an array');
+    }
+    const normalized = rateLimits.map(normalizeRateLimit);
+    if (new Set(normalized.map((rule) => rule.id)).size !== normalized.length) {
+      throw new Error('Limits: rate limit ids must be unique');
+    }
+    const normalizedConcurrency = normalizeConcurrency(concurrency);
+    assertInteger('maxClients', maxClients, 1);
+
+    config = {
+      enabled: Boolean(enabled),
+      exempt: exempt.map((route) => ({ route, matcher: patternToRegExp(route) })),
+      concurrency: normalizedConcurrency,
+      rateLimits: normalized.map((rule) => ({ ...rule, matcher: patternToRegExp(rule.route) })),
+      maxClients
+    };
+    state = { buckets: new Map(), active: 0, queue: [] };
+    publish(state);
+
+    return getLimitsConfig();
+  }
+
+  /**
+   * Current configuration without internal matchers
+   */
+  function getLimitsConfig() {
+    return {
+      enabled: config.enabled,
+      exempt: config.exempt.map(({ route }) => route),
+      concurrency: config.concurrency,
+      rateLimits: config.rateLimits.map(({ matcher: _matcher, ...rule }) => rule),
+      maxClients: config.maxClients
+    };
+  }
+
+  /**
+   * Load limits from a JSON config file, by default `file`
+   */
+  function loadLimits(from = file) {
+    return setLimitsConfig(JSON.parse(fs.readFileSync(from, 'utf8')));
+  }
+
+  /**
+   * Take a token from the client's bucket for `rule`
+   * Returns 0 when the request may proceed, otherwise the seconds until the
+   * next token is available.
+   */
+  function takeToken(rule, client, now) {
+    const id = `${rule.id}|${client}`;
+    const bucket = state.buckets.get(id) || { tokens: rule.burst, updatedAt: now };
+    const tokens = Math.min(rule.burst, bucket.tokens + ((now - bucket.updatedAt) / 1000) * rule.perSecond);
+
+    // Re-insert so the map stays ordered from least to most recently used
+    state.buckets.delete(id);
+    state.buckets.set(id, { tokens: tokens >= 1 ? tokens - 1 : tokens, updatedAt: now });
+    if (state.buckets.size > config.maxClients) {
+      state.buckets.delete(state.buckets.keys().next().value);
+    }
+
+    return tokens >= 1 ? 0 : Math.ceil((1 - tokens) / rule.perSecond);
+  }
+
+  /**
+   * Wait for a concurrency slot
+   * Resolves with a function that frees the slot, or rejects with `queue_full`,
+   * `queue_timeout` or `client_closed`.
+   */
+  function acquireSlot(res, { maxConcurrent, maxQueue, maxQueueMs }) {
+    const current = state;
+    const release = () => {
+      // Hand the slot straight to the longest-waiting request, if any
+      const next = current.queue.shift();
+      if (next) {
+        next.resolve();
+      } else {
+        current.active -= 1;
+        publish(current);
+      }
+    };
+
+    if (current.active < maxConcurrent) {
+      current.active += 1;
+      publish(current);
+      return Promise.resolve(release);
+    }
+    if (current.queue.length >= maxQueue) {
+      return Promise.reject(new Error('queue_full'));
+    }
+
+    return new Promise((resolve, fail) => {
+      const waiter = {};
+      const leave = () => {
+        clearTimeout(waiter.timer);
+        const index = current.queue.indexOf(waiter);
+        if (index >= 0) current.queue.splice(index, 1);
+        publish(current);
+      };
+      waiter.resolve = () => {
+        leave();
+        resolve(release);
+      };
+      waiter.reject = (reason) => {
+        leave();
+        fail(new Error(reason));
+      };
+      waiter.timer = setTimeout(() => waiter.reject('queue_timeout'), maxQueueMs);
+
+      // A client that gives up while queued no longer needs its place
+      res.on('close', () => {
+        if (current.queue.includes(waiter)) waiter.reject('client_closed');
+      });
+
+      current.queue.push(waiter);
+      publish(current);
+    });
+  }
+
+  function isExempt(req) {
+    return config.exempt.some(({ matcher }) => matcher.test(req.path));
+  }
+
+  function matchingRateLimit(req) {
+    return config.rateLimits.find((rule) => rule.matcher.test(req.path)
+      && (!rule.methods || rule.methods.includes(req.method)));
+  }
+
+  /**
+   * Create the rate limiting and load shedding middleware
+   *
+   * Requests to exempt routes pass straight through. Others are checked against
+   * the first matching rate limit (429 when the client's bucket is empty), then
+   * wait for one of `maxConcurrent` slots. Requests that find the queue full or
+   * wait longer than `maxQueueMs` are shed with a 503. Both carry Retry-After.
+   */
+  function createLimitsMiddleware({ now = Date.now } = {}) {
+    return async function limitsMiddleware(req, res, next) {
+      if (!config.enabled || isExempt(req)) {
+        next();
+        return;
+      }
+
+      const rule = matchingRateLimit(req);
+      if (rule) {
+        const retryAfter = takeToken(rule, clientKey(req, rule), now());
+        if (retryAfter > 0) {
+          reject(req, res, {
+            status: 429,
+            reason: 'rate_limited',
+            rule: rule.id,
+            retryAfter,
+            message: `Rate limit "${rule.id}" allows ${rule.perSecond} requests per second`
+          });
+          return;
+        }
+      }
+
+      if (!config.concurrency) {
+        next();
+        return;
+      }
+
+      let release;
+      try {
+        release = await acquireSlot(res, config.concurrency);
+      } catch (error) {
+        if (error.message === 'client_closed') return;
+        reject(req, res, {
+          status: 503,
+          reason: error.message,
+          rule: 'concurrency',
+          retryAfter: config.concurrency.retryAfterSeconds,
+          message: 'The server is at capacity, try again later'
+        });
+        return;
+      }
+
+      let released = false;
+      const done = () => {
+        if (released) return;
+        released = true;
+        release();
+      };
+      res.on('finish', done);
+      res.on('close', done);
+
+      next();
+    };
+  }
+
+  /**
+   * GET /admin/limits - current limits, in-flight and queued requests
+   */
+  function getLimitsHandler(req, res) {
+    res.json({
+      ...getLimitsConfig(),
+      active: state ? state.active : 0,
+      queued: state ? state.queue.length : 0,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  return {
+    createLimitsMiddleware,
+    setLimitsConfig,
+    getLimitsConfig,
+    loadLimits,
+    getLimitsHandler
+  };
+}
+
+// Limits used outside an app (tests); each app creates its own
+const defaultLimits = createLimits();
+
+module.exports = {
+  createLimits,
+  ...defaultLimits
+};
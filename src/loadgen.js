@@ -0,0 +1,566 @@
+const fs = require('fs');
+const path = require('path');
+const {
+  isUrl, parseArgs, parseDuration, parseHeaders
+} = require('./cli');
+
+/**
+ * Load generator for putting realistic traffic on a deployment
+ *
+ * A profile is a JSON file listing the routes to call and their share of the
+ * traffic:
+ *
+ *   {
+ *     "name": "api",
+ *     "path": "/api",
+ *     "method": "GET",
+ *     "weight": 50,                  // relative to the other routes
+ *     "status": [200],               // expected statuses (default: below 400)
+ *     "headers": {},
+ *     "body": { "name": "x" }        // sent as JSON
+ *   }
+ *
+ * With a target rate (`rps`) requests start on schedule whether or not earlier
+ * ones finished, up to `concurrency` in flight; requests that would exceed it
+ * are counted as skipped. Without one, `concurrency` clients send requests
+ * back to back. Either ramps up linearly over `rampUpMs`. Every target gets
+ * the full load, so two targets can be compared side by side.
+ */
+
+const DEFAULT_PROFILE_FILE = path.join(__dirname, '../config/load-profile.json');
+
+const DEFAULT_OPTIONS = {
+  durationMs: 30000,
+  rampUpMs: 0,
+  timeoutMs: 10000
+};
+
+// Concurrent clients, and the most requests in flight when a rate is set
+const DEFAULT_CONCURRENCY = 10;
+const DEFAULT_MAX_IN_FLIGHT = 100;
+
+// A compared value this much worse than the baseline's is flagged
+const REGRESSION_TOLERANCE = 0.1;
+
+// How often the scheduler starts the requests that are due, in rate mode
+const TICK_MS = 10;
+
+const PERCENTILES = [50, 90, 95, 99];
+
+// Rows of the side-by-side comparison; `higherIsBetter` decides the verdict
+const COMPARED = [
+  { key: 'p50', label: 'p50 ms', value: (stats) => stats.latencyMs.p50 },
+  { key: 'p95', label: 'p95 ms', value: (stats) => stats.latencyMs.p95 },
+  { key: 'p99', label: 'p99 ms', value: (stats) => stats.latencyMs.p99 },
+  { key: 'errorRate', label: 'errors %', value: (stats) => stats.errorRate },
+  {
+    key: 'throughput', label: 'req/s', value: (stats) => stats.throughput, higherIsBetter: true
+  }
+];
+
+/**
+ * Validate a profile and apply defaults to every route
+ */
+function normalizeProfile(profile) {
+  if (!profile || !Array.isArray(profile.routes) || profile.routes.length === 0) {
+    throw new Error('A load profile needs a non-empty "routes" list');
+  }
+  const names = new Set();
+
+  const routes = profile.routes.map((route, index) => {
+    const name = route.name || route.path;
+    if (typeof route.path !== 'string' || !route.path.startsWith('/')) {
+      throw new Error(`Route #${index} needs a path starting with /`);
+    }
+    if (names.has(name)) {
+      throw new Error(`Duplicate route name "${name}"`);
+    }
+    names.add(name);
+
+    const weight = route.weight === undefined ? 1 : route.weight;
+    if (typeof weight !== 'number' || !(weight > 0)) {
+      throw new Error(`Route "${name}": weight must be a positive number`);
+    }
+
+    return {
+      name,
+      method: (route.method || 'GET').toUpperCase(),
+      path: route.path,
+      weight,
+      headers: route.headers || {},
+      ...(route.status === undefined ? {} : { status: [].concat(route.status) }),
+      ...(route.body === undefined ? {} : { body: route.body })
+    };
+  });
+
+  return { name: profile.name || 'load', routes };
+}
+
+/**
+ * Read and validate a profile file
+ */
+function loadProfile(file = DEFAULT_PROFILE_FILE) {
+  return normalizeProfile(JSON.parse(fs.readFileSync(file, 'utf8')));
+}
+
+/**
+ * Pick a route with probability proportional to its weight
+ */
+function pickRoute(routes, random = Math.random) {
+  const total = routes.reduce((sum, route) => sum + route.weight, 0);
+  let roll = random() * total;
+  return routes.find((route) => {
+    roll -= route.weight;
+    return roll < 0;
+  }) || routes[routes.length - 1];
+}
+
+/**
+ * Nearest-rank percentile of sorted values
+ */
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(Math.max(rank, 1), sorted.length) - 1];
+}
+
+const round = (value) => (value === null ? null : Math.round(value * 100) / 100);
+
+/**
+ * Requests, errors, statuses, throughput and latency percentiles of samples
+ * Latency covers every answered request; failed connections and timeouts
+ * only count as errors.
+ */
+function summarize(samples, durationMs) {
+  const latencies = samples
+    .filter((sample) => sample.status !== null)
+    .map((sample) => sample.durationMs)
+    .sort((a, b) => a - b);
+  const errors = samples.filter((sample) => !sample.ok).length;
+
+  const statuses = {};
+  samples.forEach(({ status, error }) => {
+    const key = status === null ? error : String(status);
+    statuses[key] = (statuses[key] || 0) + 1;
+  });
+
+  return {
+    requests: samples.length,
+    errors,
+    errorRate: samples.length > 0 ? round((errors / samples.length) * 100) : 0,
+    throughput: durationMs > 0 ? round(samples.length / (durationMs / 1000)) : 0,
+    statuses,
+    latencyMs: {
+      min: round(latencies.length > 0 ? latencies[0] : null),
+      mean: round(latencies.length > 0 ? latencies.reduce((sum, value) => sum + value, 0) / latencies.length : null),
+      ...Object.fromEntries(PERCENTILES.map((p) => [`p${p}`, round(percentile(latencies, p))])),
+      max: round(latencies.length > 0 ? latencies[latencies.length - 1] : null)
+    }
+  };
+}
+
+/**
+ * Send one request of a route and describe the outcome
+ */
+async function sendRequest(baseUrl, route, { headers, timeoutMs }) {
+  const startedAt = process.hrtime.bigint();
+  const elapsed = () => Number(process.hrtime.bigint() - startedAt) / 1e6;
+  const hasBody = route.body !== undefined;
+
+  try {
+    const response = await fetch(new URL(route.path, baseUrl), {
+      method: route.method,
+      headers: { ...headers, ...(hasBody ? { 'Content-Type': 'application/json' } : {}), ...route.headers },
+      ...(hasBody ? { body: JSON.stringify(route.body) } : {}),
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+    await response.arrayBuffer();
+    const ok = route.status ? route.status.includes(response.status) : response.status < 400;
+    return {
+      route: route.name, status: response.status, durationMs: elapsed(), ok
+    };
+  } catch (error) {
+    const reason = error.name === 'TimeoutError' ? 'timeout' : (error.cause && error.cause.code) || 'failed';
+    return {
+      route: route.name, status: null, error: reason, durationMs: elapsed(), ok: false
+    };
+  }
+}
+
+const sleep = (ms) => new Promise((resolve) => {
+  setTimeout(resolve, ms);
+});
+
+/**
+ * Requests that should have started `elapsedMs` into a run at `rps`, ramping
+ * up linearly over `rampUpMs`
+ */
+function scheduledRequests(elapsedMs, { rps, rampUpMs }) {
+  if (elapsedMs < rampUpMs) {
+    return (rps * elapsedMs * elapsedMs) / (2 * rampUpMs * 1000);
+  }
+  return (rps * (rampUpMs / 2 + (elapsedMs - rampUpMs))) / 1000;
+}
+
+/**
+ * Put load on one target and report per route and overall
+ * Options: `rps`, `concurrency`, `durationMs`, `rampUpMs`, `timeoutMs`,
+ * `headers`; `random` can be replaced in tests.
+ */
+async function runTarget(target, profile, {
+  rps,
+  concurrency = rps ? DEFAULT_MAX_IN_FLIGHT : DEFAULT_CONCURRENCY,
+  durationMs = DEFAULT_OPTIONS.durationMs,
+  rampUpMs = DEFAULT_OPTIONS.rampUpMs,
+  timeoutMs = DEFAULT_OPTIONS.timeoutMs,
+  headers = {},
+  random = Math.random
+} = {}) {
+  const samples = [];
+  const startedAt = Date.now();
+  const deadline = startedAt + durationMs;
+  const send = async () => {
+    samples.push(await sendRequest(target.url, pickRoute(profile.routes, random), { headers, timeoutMs }));
+  };
+  let skipped = 0;
+
+  if (rps) {
+    // Open model: start what is due on every tick, whatever is still in flight
+    const inFlight = new Set();
+    let started = 0;
+    while (Date.now() < deadline) {
+      // The first request goes out straight away
+      const due = Math.floor(scheduledRequests(Date.now() - startedAt, { rps, rampUpMs })) + 1;
+      for (; started < due; started += 1) {
+        if (inFlight.size >= concurrency) {
+          skipped += 1;
+        } else {
+          const request = send().finally(() => inFlight.delete(request));
+          inFlight.add(request);
+        }
+      }
+      await sleep(TICK_MS);
+    }
+    await Promise.all(inFlight);
+  } else {
+    // Closed model: each client waits for its response before the next request
+    const client = async (index) => {
+      await sleep((rampUpMs * index) / concurrency);
+      while (Date.now() < deadline) {
+        await send();
+      }
+    };
+    await Promise.all(Array.from({ length: concurrency }, (_, index) => client(index)));
+  }
+
+  const elapsedMs = Date.now() - startedAt;
+  const byRoute = (name) => samples.filter((sample) => sample.route === name);
+
+  return {
+    name: target.name,
+    url: target.url,
+    startedAt: new Date(startedAt).toISOString(),
+    durationMs: elapsedMs,
+    summary: { ...summarize(samples, elapsedMs), skipped },
+    routes: Object.fromEntries(profile.routes.map((route) => [route.name, summarize(byRoute(route.name), elapsedMs)]))
+  };
+}
+
+/**
+ * Compare every target with the first one (the baseline)
+ * One row per route (and `all`) and compared value; `change` is the relative
+ * difference in percent and `worse` flags a target more than 10% worse.
+ */
+function compareTargets(reports) {
+  const [baseline, ...others] = reports;
+  const sections = [['all', (report) => report.summary], ...Object.keys(baseline.routes)
+    .map((name) => [name, (report) => report.routes[name]])];
+
+  return sections.flatMap(([route, statsOf]) => COMPARED.map(({
+    key, label, value, higherIsBetter
+  }) => {
+    const values = Object.fromEntries(reports.map((report) => [report.name, value(statsOf(report))]));
+    const base = value(statsOf(baseline));
+    const changes = Object.fromEntries(others.map((report) => {
+      const current = value(statsOf(report));
+      if (base === null || current === null) return [report.name, null];
+      if (base === 0) return [report.name, current === 0 ? 0 : null];
+      return [report.name, round(((current - base) / base) * 100)];
+    }));
+    const worse = others.some((report) => {
+      const current = value(statsOf(report));
+      if (base === null || current === null) return false;
+      return higherIsBetter ? current < base * (1 - REGRESSION_TOLERANCE) : current > base * (1 + REGRESSION_TOLERANCE);
+    });
+    return {
+      route, metric: key, label, values, change: changes, worse
+    };
+  }));
+}
+
+/**
+ * Run the profile against every target in parallel
+ * Resolves to `{ profile, options, startedAt, targets, comparison }`; the
+ * comparison is only made with two or more targets.
+ */
+async function runLoad(profile, targets, options = {}) {
+  const normalized = normalizeProfile(profile);
+  const startedAt = new Date();
+  const settings = {
+    ...DEFAULT_OPTIONS,
+    concurrency: options.rps ? DEFAULT_MAX_IN_FLIGHT : DEFAULT_CONCURRENCY,
+    ...options
+  };
+
+  const reports = await Promise.all(targets.map((target) => runTarget(target, normalized, settings)));
+
+  return {
+    profile: normalized.name,
+    options: {
+      mode: settings.rps ? 'rps' : 'concurrency',
+      ...(settings.rps ? { rps: settings.rps } : {}),
+      concurrency: settings.concurrency,
+      durationMs: settings.durationMs,
+      rampUpMs: settings.rampUpMs
+    },
+    startedAt: startedAt.toISOString(),
+    targets: reports,
+    comparison: reports.length > 1 ? compareTargets(reports) : null
+  };
+}
+
+const formatValue = (value) => (value === null || value === undefined ? '-' : String(value));
+const formatChange = (change) => {
+  if (change === null || change === undefined) return '-';
+  return `${change > 0 ? '+' : ''}${change}%`;
+};
+
+/**
+ * Plain-text table: one row per route, or the side-by-side comparison
+ */
+function formatTable(result) {
+  const names = result.targets.map((report) => report.name);
+  let header;
+  let rows;
+
+  if (result.comparison) {
+    const [, ...others] = names;
+    header = ['route', 'metric', ...names, ...others.map((name) => `${name} vs ${names[0]}`), ''];
+    rows = result.comparison.map((row) => [
+      row.route,
+      row.label,
+      ...names.map((name) => formatValue(row.values[name])),
+      ...others.map((name) => formatChange(row.change[name])),
+      row.worse ? 'WORSE' : ''
+    ]);
+  } else {
+    const [report] = result.targets;
+    header = ['route', 'requests', 'errors %', 'req/s', 'p50 ms', 'p95 ms', 'p99 ms', 'max ms'];
+    rows = [['all', report.summary], ...Object.entries(report.routes)].map(([route, stats]) => [
+      route,
+      ...[stats.requests, stats.errorRate, stats.throughput, stats.latencyMs.p50, stats.latencyMs.p95,
+        stats.latencyMs.p99, stats.latencyMs.max].map(formatValue)
+    ]);
+  }
+
+  const widths = header.map((title, column) => Math.max(title.length, ...rows.map((row) => row[column].length)));
+  return [header, ...rows]
+    .map((row) => row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd())
+    .join('\n');
+}
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+function htmlTable(header, rows, rowClass = () => '') {
+  const cells = (row, tag) => row.map((cell) => `<${tag}>${escapeHtml(cell)}</${tag}>`).join('');
+  return [
+    '<table>',
+    `  <tr>${cells(header, 'th')}</tr>`,
+    ...rows.map((row, index) => `  <tr${rowClass(index)}>${cells(row, 'td')}</tr>`),
+    '</table>'
+  ].join('\n');
+}
+
+/**
+ * Render a result as a standalone HTML page
+ */
+function toHtml(result) {
+  const sections = result.targets.map((report) => {
+    const rows = [['all', report.summary], ...Object.entries(report.routes)].map(([route, stats]) => [
+      route,
+      ...[stats.requests, stats.errorRate, stats.throughput, ...PERCENTILES.map((p) => stats.latencyMs[`p${p}`]),
+        stats.latencyMs.max].map(formatValue),
+      Object.entries(stats.statuses).map(([status, count]) => `${status}: ${count}`).join(', ')
+    ]);
+    return [
+      `<h2>${escapeHtml(report.name)} <small>${escapeHtml(report.url)}</small></h2>`,
+      `<p>${report.summary.requests} requests in ${(report.durationMs / 1000).toFixed(1)}s, `
+        + `${report.summary.skipped} skipped</p>`,
+      htmlTable(
+        ['route', 'requests', 'errors %', 'req/s', ...PERCENTILES.map((p) => `p${p} ms`), 'max ms', 'statuses'],
+        rows
+      )
+    ].join('\n');
+  });
+
+  if (result.comparison) {
+    const names = result.targets.map((report) => report.name);
+    const others = names.slice(1);
+    sections.unshift([
+      '<h2>Comparison</h2>',
+      htmlTable(
+        ['route', 'metric', ...names, ...others.map((name) => `${name} vs ${names[0]}`)],
+        result.comparison.map((row) => [
+          row.route,
+          row.label,
+          ...names.map((name) => formatValue(row.values[name])),
+          ...others.map((name) => formatChange(row.change[name]))
+        ]),
+        (index) => (result.comparison[index].worse ? ' class="worse"' : '')
+      )
+    ].join('\n'));
+  }
+
+  const { options } = result;
+  const load = options.mode === 'rps'
+    ? `${options.rps} req/s (at most ${options.concurrency} in flight)`
+    : `${options.concurrency} concurrent clients`;
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Load report: ${escapeHtml(result.profile)}</title>
+<style>
+  body { font-family: sans-serif; margin: 2em; }
+  table { border-collapse: collapse; margin-bottom: 2em; }
+  th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: right; }
+  th:first-child, td:first-child { text-align: left; }
+  tr.worse td { background: #fdd; }
+</style>
+</head>
+<body>
+<h1>Load report: ${escapeHtml(result.profile)}</h1>
+<p>Started ${escapeHtml(result.startedAt)}: ${escapeHtml(load)} for ${options.durationMs / 1000}s,
+ramping up over ${options.rampUpMs / 1000}s.</p>
+${sections.join('\n')}
+</body>
+</html>
+`;
+}
+
+/**
+ * Parse `--url [name=]url` options into targets
+ */
+function parseTargets(urlArgs) {
+  return [].concat(urlArgs || []).map((value) => {
+    const match = /^([\w.-]+)=(.+)$/.exec(String(value));
+    const [name, url] = match ? [match[1], match[2]] : [String(value), String(value)];
+    if (!isUrl(url)) {
+      throw new Error(`Invalid URL for ${name}: ${url}`);
+    }
+    return { name, url };
+  });
+}
+
+function positiveInteger(flag, value) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new Error(`--${flag} must be a positive integer`);
+  }
+  return number;
+}
+
+const USAGE = `Usage: node scripts/loadgen.js --url <[name=]url> [--url <[name=]url> ...] [options]
+
+Options:
+  --profile <file>             Route mix (default: config/load-profile.json)
+  --rps <n>                    Target request rate per target
+  --concurrency <n>            Concurrent clients per target (default: 10), or with --rps the
+                               most requests in flight (default: 100)
+  --duration <duration>        How long to run, e.g. 30s or 5m (default: 30s)
+  --ramp-up <duration>         Ramp up linearly to the full load over this time (default: 0)
+  --timeout <duration>         Request timeout (default: 10s)
+  --header <name:value>        Extra header sent with every request (repeatable)
+  --output <file>              Write the JSON report to this file as well as stdout
+  --html <file>                Write an HTML report
+  --max-error-rate <percent>   Exit 1 when a target's error rate is higher
+
+With two or more targets, each gets the full load and they are compared with the first.
+
+Exit codes: 0 = done, 1 = error rate above --max-error-rate, 3 = error`;
+
+/**
+ * CLI entrypoint, returns the process exit code
+ */
+async function main(argv, { stdout = process.stdout, stderr = process.stderr } = {}) {
+  let options;
+  let targets;
+  let settings;
+  try {
+    options = parseArgs(argv);
+    targets = parseTargets(options.url);
+    const given = (flag, parse) => (options[flag] !== undefined ? parse(options[flag]) : undefined);
+    settings = Object.fromEntries(Object.entries({
+      rps: given('rps', (value) => positiveInteger('rps', value)),
+      concurrency: given('concurrency', (value) => positiveInteger('concurrency', value)),
+      durationMs: given('duration', parseDuration),
+      rampUpMs: given('ramp-up', parseDuration),
+      timeoutMs: given('timeout', parseDuration),
+      headers: parseHeaders(options.header)
+    }).filter(([, value]) => value !== undefined));
+  } catch (error) {
+    stderr.write(`${error.message}\n${USAGE}\n`);
+    return 3;
+  }
+
+  if (options.help || targets.length === 0) {
+    stderr.write(`${USAGE}\n`);
+    return options.help ? 0 : 3;
+  }
+
+  try {
+    const profile = loadProfile(options.profile || DEFAULT_PROFILE_FILE);
+    const result = await runLoad(profile, targets, settings);
+
+    const json = JSON.stringify(result, null, 2);
+    stdout.write(`${json}\n`);
+    if (options.output) fs.writeFileSync(options.output, `${json}\n`);
+    if (options.html) fs.writeFileSync(options.html, toHtml(result));
+
+    stderr.write(`${formatTable(result)}\n`);
+    if (options['max-error-rate'] !== undefined) {
+      const limit = Number(options['max-error-rate']);
+      const failing = result.targets.filter((report) => report.summary.errorRate > limit);
+      failing.forEach((report) => {
+        stderr.write(`FAIL ${report.name}: error rate ${report.summary.errorRate}% above ${limit}%\n`);
+      });
+      if (failing.length > 0) return 1;
+    }
+    return 0;
+  } catch (error) {
+    stderr.write(`Load generation failed: ${error.message}\n`);
+    return 3;
+  }
+}
+
+module.exports = {
+  DEFAULT_PROFILE_FILE,
+  normalizeProfile,
+  loadProfile,
+  pickRoute,
+  percentile,
+  summarize,
+  scheduledRequests,
+  runTarget,
+  compareTargets,
+  runLoad,
+  formatTable,
+  toHtml,
+  parseTargets,
+  main
+};
@@ -0,0 +1,245 @@
+const winston = require('winston');
+const { LOG_LEVELS } = require('./config');
+const { requestContextFormat } = require('./request-context');
+
+const REDACTED = '[REDACTED]';
+// Matched case-insensitively against field names at any depth
+const DEFAULT_REDACT = [
+  'authorization',
+  'proxy-authorization',
+  'cookie',
+  'set-cookie',
+  'x-api-key',
+  'password',
+  'secret',
+  'token',
+  'accessToken',
+  'refreshToken',
+  'apiKey',
+  'clientSecret'
+];
+const MAX_REDACT_DEPTH = 8;
+// Longest temporary level change, well within what setTimeout can wait
+const MAX_LEVEL_DURATION_SECONDS = 86400;
+// Fields every line carries; the pretty format leaves them out
+const STANDARD_FIELDS = ['service', 'version', 'deploymentType', 'slot', 'timestamp'];
+
+// Checked structurally, as request headers may come from another realm
+function isPlainObject(value) {
+  if (!value || typeof value !== 'object') return false;
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === null || Object.getPrototypeOf(prototype) === null;
+}
+
+/**
+ * Copy of `value` with every field named in `fields` replaced
+ * Only plain objects and arrays are walked, so the caller's objects (request
+ * headers, bodies) are never modified.
+ */
+function redact(value, fields, depth = 0) {
+  if (depth > MAX_REDACT_DEPTH) return value;
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, fields, depth + 1));
+  }
+  if (!isPlainObject(value)) return value;
+
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+    key,
+    fields.has(key.toLowerCase()) ? REDACTED : redact(item, fields, depth + 1)
+  ]));
+}
+
+/**
+ * Winston format replacing sensitive fields in log metadata
+ */
+const redactFormat = winston.format((info, { fields = DEFAULT_REDACT } = {}) => {
+  const names = new Set(fields.map((field) => field.toLowerCase()));
+  // Spreading keeps winston's symbol keys (level and message) alongside the redacted fields
+  return {
+    ...info,
+    ...Object.fromEntries(Object.keys(info).map((key) => [
+      key,
+      names.has(key.toLowerCase()) ? REDACTED : redact(info[key], names)
+    ]))
+  };
+});
+
+const prettyFormat = winston.format.printf((info) => {
+  const meta = Object.fromEntries(Object.entries(info)
+    .filter(([key]) => !['level', 'message', ...STANDARD_FIELDS].includes(key)));
+  const suffix = Object.keys(meta).length > 0 ? ` ${JSON.stringify(meta)}` : '';
+  return `${info.timestamp} ${info.level}: ${info.message}${suffix}`;
+});
+
+/**
+ * Pick the output format: `auto` means JSON in production, pretty otherwise
+ */
+function resolveLogFormat(format, nodeEnv) {
+  if (format !== 'auto') return format;
+  return nodeEnv === 'production' ? 'json' : 'pretty';
+}
+
+/**
+ * Create the application logger
+ *
+ * Every line carries `fields` (service, version, deploymentType, slot) plus
+ * the current request and trace IDs, with `redact` field names masked. The
+ * format is applied once on the logger so transports cannot override it.
+ */
+function createLogger({
+  level = 'info',
+  format = 'json',
+  redact: extraFields = [],
+  fields = {},
+  transports = [new winston.transports.Console()]
+} = {}) {
+  if (!['json', 'pretty'].includes(format)) {
+    throw new Error(`Unknown log format "${format}"; expected json or pretty`);
+  }
+
+  return winston.createLogger({
+    level,
+    defaultMeta: fields,
+    format: winston.format.combine(
+      requestContextFormat(),
+      winston.format.timestamp(),
+      winston.format.errors({ stack: true }),
+      redactFormat({ fields: [...DEFAULT_REDACT, ...extraFields] }),
+      format === 'json'
+        ? winston.format.json()
+        : winston.format.combine(winston.format.colorize(), prettyFormat)
+    ),
+    transports
+  });
+}
+
+/**
+ * Create the request logging middleware
+ *
+ * Each request is logged once it completes, with its status and duration.
+ * Server errors are logged at error level and client errors at warn, always;
+ * successful requests are kept with a probability of `samplePercent`. At
+ * debug level the (redacted) headers and body are included.
+ */
+function createRequestLogger(logger, { samplePercent = 100, random = Math.random } = {}) {
+  return function requestLogger(req, res, next) {
+    const start = process.hrtime.bigint();
+    let logged = false;
+
+    const done = (aborted) => {
+      if (logged) return;
+      logged = true;
+
+      const status = res.statusCode;
+      let level = 'info';
+      if (status >= 500) level = 'error';
+      else if (status >= 400 || aborted) level = 'warn';
+      if (level === 'info' && random() * 100 >= samplePercent) return;
+
+      const context = req.traceContext || {};
+      logger.log(level, `${req.method} ${req.path} ${aborted ? 'aborted' : status}`, {
+        method: req.method,
+        path: req.path,
+        status,
+        durationMs: Number(process.hrtime.bigint() - start) / 1e6,
+        ip: req.ip,
+        userAgent: req.get('user-agent'),
+        requestId: req.id,
+        traceId: context.traceId,
+        spanId: context.spanId,
+        ...(aborted ? { aborted: true } : {}),
+        ...(level === 'info' && samplePercent < 100 ? { samplePercent } : {}),
+        ...(logger.isLevelEnabled('debug') ? { headers: req.headers, body: req.body } : {})
+      });
+    };
+    res.on('finish', () => done(false));
+    // Closed before the response was sent: the client gave up
+    res.on('close', () => done(true));
+
+    next();
+  };
+}
+
+/**
+ * Admin handlers reading and changing `logger`'s level at runtime
+ *
+ * PUT takes `{ level, durationSeconds? }`; with a duration the previous level
+ * comes back on its own, so a debugging session cannot be left running.
+ * Changes apply to the instance that serves the request only.
+ */
+function createLogLevelHandlers(logger) {
+  let revert = null;
+
+  // The app keeps using the same logger, so its level changes in place
+  const setLevel = (level) => Object.assign(logger, { level });
+
+  const describe = () => ({
+    level: logger.level,
+    levels: LOG_LEVELS,
+    revertsTo: revert ? revert.level : null,
+    revertsAt: revert ? revert.at : null,
+    timestamp: new Date().toISOString()
+  });
+
+  const badRequest = (req, res, message) => res.status(400).json({
+    error: 'Bad Request',
+    message,
+    requestId: req.id,
+    timestamp: new Date().toISOString()
+  });
+
+  /**
+   * GET /admin/log-level - current level and any pending revert
+   */
+  function getLogLevelHandler(req, res) {
+    res.json(describe());
+  }
+
+  /**
+   * PUT /admin/log-level - change the level, optionally for a limited time
+   */
+  function putLogLevelHandler(req, res) {
+    const { level, durationSeconds } = req.body || {};
+    if (!LOG_LEVELS.includes(level)) {
+      badRequest(req, res, `level must be one of ${LOG_LEVELS.join(', ')}`);
+      return;
+    }
+    if (durationSeconds !== undefined && !(Number.isInteger(durationSeconds) && durationSeconds > 0
+      && durationSeconds <= MAX_LEVEL_DURATION_SECONDS)) {
+      badRequest(req, res, `durationSeconds must be an integer between 1 and ${MAX_LEVEL_DURATION_SECONDS}`);
+      return;
+    }
+
+    const previous = revert ? revert.level : logger.level;
+    if (revert) clearTimeout(revert.timer);
+    revert = null;
+
+    if (durationSeconds) {
+      const timer = setTimeout(() => {
+        revert = null;
+        setLevel(previous);
+        logger.warn(`Log level reverted to ${previous}`);
+      }, durationSeconds * 1000);
+      timer.unref();
+      revert = { level: previous, at: new Date(Date.now() + durationSeconds * 1000).toISOString(), timer };
+    }
+
+    logger.warn(`Log level changed to ${level}`, {
+      from: logger.level, to: level, durationSeconds, changedBy: req.principal ? req.principal.name : null
+    });
+    setLevel(level);
+    res.json(describe());
+  }
+
+  return { getLogLevelHandler, putLogLevelHandler };
+}
+
+module.exports = {
+  DEFAULT_REDACT,
+  REDACTED,
+  createLogger,
+  createRequestLogger,
+  createLogLevelHandlers,
+  redactFormat,
+  resolveLogFormat
+};
@@ -1,8 +1,15 @@
 const promClient = require('prom-client');
+const { SCHEMA, getConfig } = require('./config');
+const { getBuildInfo } = require('./build-info');
+const packageJson = require('../package.json');
 
 // Create a Registry to register the metrics
 const register = new promClient.Registry();
 
+// In cluster mode each metric is combined across workers with its `aggregator`
+// (sum unless set). Gauges that describe one process rather than count things
+// are kept per worker instead, see isPerWorkerMetric.
+
 // Add default metrics (CPU, memory, event loop lag, etc.)
 promClient.collectDefaultMetrics({
   register,
@@ -10,147 +17,857 @@ promClient.collectDefaultMetrics({
   gcDurationBuckets: [0.001, 0.01, 0.1, 1, 2, 5]
 });
 
+// Label values used when a request cannot be attributed to a route
+const UNMATCHED_ROUTE = '__unmatched__';
+const OVERFLOW_ROUTE = '__overflow__';
+const OTHER_METHOD = 'OTHER';
+const KNOWN_METHODS = ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'];
+
+// Series cap per metric name; `default` applies to sets created without METRICS_MAX_SERIES
+const seriesLimits = { default: SCHEMA.METRICS_MAX_SERIES.default, perMetric: {} };
+
+// Latency buckets of the HTTP duration histogram, in seconds
+const HTTP_DURATION_BUCKETS = [0.001, 0.005, 0.01, 0.05, 0.1, 0.5, 1, 2, 5, 10];
+
+// Listeners notified of every completed request, and hooks run before each scrape
+const requestObservers = [];
+const scrapeHooks = [];
+
 // Custom metrics
 
-// HTTP request counter
-const httpRequestCounter = new promClient.Counter({
-  name: 'gas_http_requests_total',
-  help: 'Total number of HTTP requests',
-  labelNames: ['method', 'route', 'status_code'],
+// HTTP and build metrics on the shared register, see getSharedHttpMetrics
+let httpMetrics = null;
+
+// Readiness check results (one series per registered check)
+const readinessCheckStatus = new promClient.Gauge({
+  name: 'gas_readiness_check_status',
+  help: 'Result of the last readiness check run: 1=pass, 0=fail',
+  labelNames: ['check', 'critical'],
+  aggregator: 'min',
   registers: [register]
 });
 
-// HTTP request duration histogram
-const httpRequestDuration = new promClient.Histogram({
-  name: 'gas_http_request_duration_seconds',
-  help: 'Duration of HTTP requests in seconds',
-  labelNames: ['method', 'route', 'status_code'],
+const readinessCheckDuration = new promClient.Gauge({
+  name: 'gas_readiness_check_duration_seconds',
+  help: 'Duration of the last readiness check run in seconds',
+  labelNames: ['check'],
+  aggregator: 'max',
+  registers: [register]
+});
+
+// Traffic-splitting proxy metrics (only populated in proxy mode)
+const proxyRequestCounter = new promClient.Counter({
+  name: 'gas_proxy_requests_total',
+  help: 'Total number of requests forwarded by the proxy, per upstream',
+  labelNames: ['upstream', 'status_code'],
+  registers: [register]
+});
+
+const proxyRequestDuration = new promClient.Histogram({
+  name: 'gas_proxy_request_duration_seconds',
+  help: 'Duration of proxied requests in seconds, per upstream',
+  labelNames: ['upstream', 'status_code'],
   buckets: [0.001, 0.005, 0.01, 0.05, 0.1, 0.5, 1, 2, 5, 10],
   registers: [register]
 });
 
-// HTTP request size summary
-const httpRequestSize = new promClient.Summary({
-  name: 'gas_http_request_size_bytes',
-  help: 'Size of HTTP requests in bytes',
-  labelNames: ['method', 'route'],
+const proxyUpstreamWeight = new promClient.Gauge({
+  name: 'gas_proxy_upstream_weight',
+  help: 'Current routing weight of each proxy upstream',
+  labelNames: ['upstream'],
   registers: [register]
 });
 
-// HTTP response size summary
-const httpResponseSize = new promClient.Summary({
-  name: 'gas_http_response_size_bytes',
-  help: 'Size of HTTP responses in bytes',
-  labelNames: ['method', 'route', 'status_code'],
+// Feature flag evaluations, so dashboards can show which flags were active
+const flagEvaluationCounter = new promClient.Counter({
+  name: 'gas_feature_flag_evaluations_total',
+  help: 'Total number of feature flag evaluations by result',
+  labelNames: ['flag', 'enabled', 'deployment_type'],
   registers: [register]
 });
 
-// Active connections gauge
-const activeConnections = new promClient.Gauge({
-  name: 'gas_active_connections',
-  help: 'Number of active connections',
+// Injected faults, so dashboards can tell injected failures from real ones
+const chaosFaultCounter = new promClient.Counter({
+  name: 'gas_chaos_faults_injected_total',
+  help: 'Total number of faults injected by the chaos middleware',
+  labelNames: ['fault', 'rule'],
   registers: [register]
 });
 
-// Application version info
-const versionInfo = new promClient.Gauge({
-  name: 'gas_app_version_info',
-  help: 'Application version information',
-  labelNames: ['version', 'node_version'],
+const chaosEnabled = new promClient.Gauge({
+  name: 'gas_chaos_enabled',
+  help: 'Whether fault injection is active: 1=active, 0=inactive',
+  aggregator: 'max',
   registers: [register]
 });
 
-// Set version info
-const packageJson = require('../package.json');
+// Graceful shutdown progress
+const shutdownPhase = new promClient.Gauge({
+  name: 'gas_shutdown_phase',
+  help: 'Current shutdown lifecycle phase: 1 for the active phase, 0 otherwise',
+  labelNames: ['phase'],
+  registers: [register]
+});
+
+const inflightRequests = new promClient.Gauge({
+  name: 'gas_inflight_requests',
+  help: 'Number of requests currently being served, as tracked for connection draining',
+  registers: [register]
+});
+
+// Requests turned away by rate limits and load shedding
+const rejectedRequestCounter = new promClient.Counter({
+  name: 'gas_requests_rejected_total',
+  help: 'Total number of requests rejected with a 429 or 503 by rate limits and load shedding',
+  labelNames: ['reason', 'rule'],
+  registers: [register]
+});
+
+const limiterActiveRequests = new promClient.Gauge({
+  name: 'gas_limiter_active_requests',
+  help: 'Requests holding one of the concurrency slots',
+  registers: [register]
+});
+
+const limiterQueuedRequests = new promClient.Gauge({
+  name: 'gas_limiter_queued_requests',
+  help: 'Requests waiting for a concurrency slot',
+  registers: [register]
+});
+
+// Rejected credentials and missing roles; credentials themselves are never recorded
+const authFailureCounter = new promClient.Counter({
+  name: 'gas_auth_failures_total',
+  help: 'Total number of requests refused by authentication or authorization',
+  labelNames: ['reason', 'method'],
+  registers: [register]
+});
+
+// Health state of the instance, see src/health.js
+const healthStatus = new promClient.Gauge({
+  name: 'gas_health_status',
+  help: 'Current health state (healthy, degraded, unhealthy): 1 for the active state, 0 otherwise',
+  labelNames: ['status'],
+  registers: [register]
+});
 
-versionInfo.labels(packageJson.version, process.version).set(1);
+const healthTransitions = new promClient.Counter({
+  name: 'gas_health_transitions_total',
+  help: 'Changes of the health state, by previous and new state',
+  labelNames: ['from', 'to'],
+  registers: [register]
+});
 
-// Deployment type gauge (for canary deployments)
-const deploymentType = new promClient.Gauge({
-  name: 'gas_deployment_type',
-  help: 'Deployment type: 0=stable, 1=canary',
-  labelNames: ['type'],
+// Worker processes run by the cluster primary (cluster mode only)
+const clusterWorkers = new promClient.Gauge({
+  name: 'gas_cluster_workers',
+  help: 'Number of worker processes currently running',
   registers: [register]
 });
 
-// Set deployment type from environment variable
-const isCanary = process.env.DEPLOYMENT_TYPE === 'canary';
-deploymentType.labels(isCanary ? 'canary' : 'stable').set(isCanary ? 1 : 0);
+const clusterWorkerRestarts = new promClient.Counter({
+  name: 'gas_cluster_worker_restarts_total',
+  help: 'Worker processes replaced by the cluster primary, by reason (crash, rolling)',
+  labelNames: ['reason'],
+  registers: [register]
+});
+
+// Service level objectives, refreshed before each scrape
+const sloObjective = new promClient.Gauge({
+  name: 'gas_slo_objective_ratio',
+  help: 'Target share of good events for each SLO',
+  labelNames: ['slo'],
+  aggregator: 'first',
+  registers: [register]
+});
+
+const sloIndicator = new promClient.Gauge({
+  name: 'gas_slo_sli_ratio',
+  help: 'Share of good events over the SLO compliance window',
+  labelNames: ['slo'],
+  registers: [register]
+});
+
+const sloErrorBudgetRemaining = new promClient.Gauge({
+  name: 'gas_slo_error_budget_remaining_ratio',
+  help: 'Share of the error budget left in the SLO compliance window (negative when overspent)',
+  labelNames: ['slo'],
+  registers: [register]
+});
+
+const sloBurnRate = new promClient.Gauge({
+  name: 'gas_slo_burn_rate',
+  help: 'Rate at which the error budget is being spent over each alerting window (1 = exactly on budget)',
+  labelNames: ['slo', 'window'],
+  registers: [register]
+});
 
 /**
- * Middleware to track HTTP metrics
+ * Record the outcome of a readiness check run
  */
-function metricsMiddleware(req, res, next) {
-  const start = Date.now();
+function recordReadinessCheck({
+  name, critical, status, durationMs
+}) {
+  readinessCheckStatus.labels(name, String(critical)).set(status === 'pass' ? 1 : 0);
+  readinessCheckDuration.labels(name).set(durationMs / 1000);
+}
+
+/**
+ * Drop the series of a readiness check that is no longer registered
+ */
+function removeReadinessCheck(name) {
+  ['true', 'false'].forEach((critical) => readinessCheckStatus.remove({ check: name, critical }));
+  readinessCheckDuration.remove({ check: name });
+}
+
+/**
+ * Record a request forwarded by the traffic-splitting proxy
+ */
+function recordProxyRequest(upstream, statusCode, durationSeconds) {
+  const code = String(statusCode);
+  proxyRequestCounter.labels(upstream, code).inc();
+  proxyRequestDuration.labels(upstream, code).observe(durationSeconds);
+}
+
+/**
+ * Publish the current routing weight of a proxy upstream
+ */
+function setProxyUpstreamWeight(upstream, weight) {
+  proxyUpstreamWeight.labels(upstream).set(weight);
+}
+
+/**
+ * Record a feature flag evaluation
+ */
+function recordFlagEvaluation(flag, enabled, deploymentTypeLabel) {
+  flagEvaluationCounter.labels(flag, String(enabled), deploymentTypeLabel).inc();
+}
+
+/**
+ * Record a fault injected by the chaos middleware
+ */
+function recordChaosFault(fault, rule) {
+  chaosFaultCounter.labels(fault, rule).inc();
+}
+
+/**
+ * Publish whether fault injection is active
+ */
+function setChaosEnabled(enabled) {
+  chaosEnabled.set(enabled ? 1 : 0);
+}
+
+/**
+ * Publish the current shutdown phase out of all known phases
+ */
+function setShutdownPhase(current, phases) {
+  phases.forEach((phase) => shutdownPhase.labels(phase).set(phase === current ? 1 : 0));
+}
+
+/**
+ * Publish the number of in-flight requests
+ */
+function setInflightRequests(count) {
+  inflightRequests.set(count);
+}
+
+/**
+ * Record a request rejected by a rate limit or shed under load
+ */
+function recordRejectedRequest(reason, rule) {
+  rejectedRequestCounter.labels(reason, rule).inc();
+}
+
+/**
+ * Publish the concurrency limiter's active and queued requests
+ */
+function setLimiterState({ active, queued }) {
+  limiterActiveRequests.set(active);
+  limiterQueuedRequests.set(queued);
+}
+
+/**
+ * Record a request refused by authentication or authorization
+ */
+function recordAuthFailure(reason, method) {
+  authFailureCounter.labels(reason, method).inc();
+}
+
+/**
+ * Publish SLO evaluation results, replacing any previous SLO series
+ * Objectives are percentages in the reports and ratios in the gauges.
+ */
+function setSloStatus(reports) {
+  [sloObjective, sloIndicator, sloErrorBudgetRemaining, sloBurnRate].forEach((gauge) => gauge.reset());
+  reports.forEach(({
+    name, objective, sli, errorBudget, burnRates
+  }) => {
+    sloObjective.labels(name).set(objective / 100);
+    sloIndicator.labels(name).set(sli);
+    sloErrorBudgetRemaining.labels(name).set(errorBudget.remaining);
+    Object.entries(burnRates).forEach(([window, rate]) => sloBurnRate.labels(name, window).set(rate));
+  });
+}
+
+/**
+ * Subscribe to requests completed through metricsMiddleware
+ * Listeners get `{ method, route, statusCode, durationSeconds }` with the
+ * normalized labels, before any series cap is applied. Apps observe their own
+ * requests instead, see createMiddleware in createHttpMetrics.
+ */
+function onRequestObserved(listener) {
+  requestObservers.push(listener);
+}
+
+function notifyRequestObservers(observation) {
+  requestObservers.forEach((listener) => listener(observation));
+}
+
+/**
+ * Run a hook before every scrape of /metrics (e.g. to refresh computed gauges)
+ */
+function onScrape(hook) {
+  scrapeHooks.push(hook);
+}
+
+function runScrapeHooks() {
+  scrapeHooks.forEach((hook) => hook());
+}
+
+/**
+ * Route label for a request, without a trailing slash
+ * Matched routes use their Express path template. Requests answered before
+ * routing (400s, 401s and 429s from middleware) use `documentedRoute(req)`
+ * when it knows the path (see routeTemplate in src/openapi.js), else the mount
+ * path of the middleware that answered. Anything else shares one label
+ * whatever its status, since the raw path is client-controlled.
+ */
+function normalizeRoute(req, documentedRoute = () => null) {
+  const route = req.route
+    ? `${req.baseUrl || ''}${req.route.path}`
+    : documentedRoute(req) || req.baseUrl || UNMATCHED_ROUTE;
+  return route.length > 1 ? route.replace(/\/$/, '') : route;
+}
+
+/**
+ * Method label for a request; unusual methods share one label
+ */
+function normalizeMethod(method) {
+  return KNOWN_METHODS.includes(method) ? method : OTHER_METHOD;
+}
+
+/**
+ * Set series caps: `default` applies to every guarded metric, `perMetric`
+ * overrides it by metric name
+ */
+function configureSeriesLimits({ default: defaultLimit, perMetric } = {}) {
+  if (defaultLimit !== undefined) {
+    seriesLimits.default = defaultLimit;
+  }
+  if (perMetric) {
+    seriesLimits.perMetric = { ...seriesLimits.perMetric, ...perMetric };
+  }
+  return { ...seriesLimits, perMetric: { ...seriesLimits.perMetric } };
+}
+
+/**
+ * HTTP request metrics and build metadata of one app, registered on `registry`
+ * The shared register holds the set behind metricsMiddleware. An app created
+ * with its own registry (see src/app.js) gets a separate set labelled with its
+ * own configuration, so app instances in one process keep their requests apart.
+ * Each set has its own series guard, capped at METRICS_MAX_SERIES of `config`
+ * unless configureSeriesLimits sets a cap for the metric.
+ */
+function createHttpMetrics(registry, config = getConfig()) {
+  const registers = [registry];
+  // Label sets seen so far for each guarded metric
+  const seenSeries = new Map();
+
+  // HTTP request counter
+  const httpRequestCounter = new promClient.Counter({
+    name: 'gas_http_requests_total',
+    help: 'Total number of HTTP requests',
+    labelNames: ['method', 'route', 'status_code'],
+    registers
+  });
 
-  // Increment active connections
-  activeConnections.inc();
+  // HTTP request duration histogram
+  const httpRequestDuration = new promClient.Histogram({
+    name: 'gas_http_request_duration_seconds',
+    help: 'Duration of HTTP requests in seconds',
+    labelNames: ['method', 'route', 'status_code'],
+    buckets: HTTP_DURATION_BUCKETS,
+    enableExemplars: true,
+    // prom-client refuses exemplars on a Prometheus text registry, which would
+    // only leave them out; they are served when a scrape negotiates OpenMetrics
+    registers: []
+  });
+  registry.registerMetric(httpRequestDuration);
 
-  // Track request size
-  const requestSize = parseInt(req.get('content-length') || '0', 10);
+  // HTTP request size summary
+  const httpRequestSize = new promClient.Summary({
+    name: 'gas_http_request_size_bytes',
+    help: 'Size of HTTP requests in bytes',
+    labelNames: ['method', 'route'],
+    registers
+  });
 
-  // Override res.end to capture response metrics
-  const originalEnd = res.end;
-  res.end = function endWrapper(...args) {
-    const duration = (Date.now() - start) / 1000; // Convert to seconds
-    const route = req.route ? req.route.path : req.path;
-    const statusCode = res.statusCode.toString();
+  // HTTP response size summaries; the two differ by what compression saved
+  const httpResponseSize = new promClient.Summary({
+    name: 'gas_http_response_size_bytes',
+    help: 'Size of HTTP responses in bytes, as sent (after compression)',
+    labelNames: ['method', 'route', 'status_code'],
+    registers
+  });
 
-    // Record metrics
-    httpRequestCounter.labels(req.method, route, statusCode).inc();
-    httpRequestDuration.labels(req.method, route, statusCode).observe(duration);
+  const httpResponseUncompressedSize = new promClient.Summary({
+    name: 'gas_http_response_uncompressed_size_bytes',
+    help: 'Size of HTTP responses in bytes before compression',
+    labelNames: ['method', 'route', 'status_code'],
+    registers
+  });
 
-    if (requestSize > 0) {
-      httpRequestSize.labels(req.method, route).observe(requestSize);
+  // Active connections gauge
+  const activeConnections = new promClient.Gauge({
+    name: 'gas_active_connections',
+    help: 'Number of active connections',
+    registers
+  });
+
+  // Application version info
+  const versionInfo = new promClient.Gauge({
+    name: 'gas_app_version_info',
+    help: 'Application version information',
+    labelNames: ['version', 'node_version'],
+    aggregator: 'first',
+    registers
+  });
+  versionInfo.labels(packageJson.version, process.version).set(1);
+
+  // Build and deployment metadata, so slots running different commits can be told apart
+  const buildInfo = new promClient.Gauge({
+    name: 'gas_build_info',
+    help: 'Build metadata of the running instance (always 1)',
+    labelNames: ['version', 'git_sha', 'build_time', 'image_tag', 'slot', 'workflow_run_id', 'deployment_type'],
+    aggregator: 'first',
+    registers
+  });
+
+  const build = getBuildInfo(config);
+  buildInfo.labels(
+    build.version,
+    build.gitSha,
+    build.buildTime,
+    build.imageTag,
+    build.slot,
+    build.workflowRunId,
+    build.deploymentType
+  ).set(1);
+
+  // Deployment type gauge (for canary deployments)
+  const deploymentType = new promClient.Gauge({
+    name: 'gas_deployment_type',
+    help: 'Deployment type: 0=stable, 1=canary',
+    labelNames: ['type'],
+    aggregator: 'first',
+    registers
+  });
+
+  const isCanary = config.DEPLOYMENT_TYPE === 'canary';
+  deploymentType.labels(isCanary ? 'canary' : 'stable').set(isCanary ? 1 : 0);
+
+  // Series rejected by the cardinality guard
+  const droppedSeriesCounter = new promClient.Counter({
+    name: 'gas_metrics_dropped_series_total',
+    help: 'Observations moved to the overflow bucket because a metric hit its series cap',
+    labelNames: ['metric'],
+    registers
+  });
+
+  /**
+   * Admit a label set for a metric, or move it to the overflow route
+   * once the metric has reached its series cap
+   */
+  function guardLabels(metricName, labels) {
+    if (!seenSeries.has(metricName)) {
+      seenSeries.set(metricName, new Set());
     }
+    const seen = seenSeries.get(metricName);
+    const key = Object.values(labels).join('\u0000');
 
-    const responseSize = parseInt(res.get('content-length') || '0', 10);
-    if (responseSize > 0) {
-      httpResponseSize.labels(req.method, route, statusCode).observe(responseSize);
+    if (seen.has(key)) {
+      return labels;
     }
 
-    // Decrement active connections
-    activeConnections.dec();
+    const limit = seriesLimits.perMetric[metricName] ?? config.METRICS_MAX_SERIES ?? seriesLimits.default;
+    if (seen.size < limit) {
+      seen.add(key);
+      return labels;
+    }
 
-    // Call original end
-    originalEnd.apply(res, args);
-  };
+    droppedSeriesCounter.labels(metricName).inc();
+    return { ...labels, route: OVERFLOW_ROUTE };
+  }
+
+  /**
+   * Create a middleware tracking HTTP metrics
+   * `observe` gets each completed request (see onRequestObserved); by default
+   * the listeners subscribed with onRequestObserved. `documentedRoute` labels
+   * requests no route handled, see normalizeRoute.
+   */
+  function createMiddleware(observe = notifyRequestObservers, { documentedRoute } = {}) {
+    return function trackHttpMetrics(req, res, next) {
+      const start = Date.now();
+
+      // Increment active connections
+      activeConnections.inc();
+
+      // Track request size
+      const requestSize = parseInt(req.get('content-length') || '0', 10);
+
+      // Override res.end to capture response metrics
+      const originalEnd = res.end;
+      res.end = function endWrapper(...args) {
+        const duration = (Date.now() - start) / 1000; // Convert to seconds
+        const method = normalizeMethod(req.method);
+        const route = normalizeRoute(req, documentedRoute);
+        const statusCode = res.statusCode.toString();
+        const labels = { method, route, status_code: statusCode };
 
-  next();
+        observe({
+          method, route, statusCode: res.statusCode, durationSeconds: duration
+        });
+
+        // Record metrics
+        httpRequestCounter.inc(guardLabels('gas_http_requests_total', labels));
+        httpRequestDuration.observe({
+          labels: guardLabels('gas_http_request_duration_seconds', labels),
+          value: duration,
+          // Links the latency bucket to the trace of a request that landed in it
+          exemplarLabels: req.traceContext ? { trace_id: req.traceContext.traceId } : {}
+        });
+
+        if (requestSize > 0) {
+          httpRequestSize.observe(guardLabels('gas_http_request_size_bytes', { method, route }), requestSize);
+        }
+
+        // Compression (src/compression.js) leaves the size it started from
+        const responseSize = parseInt(res.get('content-length') || '0', 10);
+        if (responseSize > 0) {
+          httpResponseSize.observe(guardLabels('gas_http_response_size_bytes', labels), responseSize);
+          httpResponseUncompressedSize.observe(
+            guardLabels('gas_http_response_uncompressed_size_bytes', labels),
+            res.locals?.uncompressedBytes ?? responseSize
+          );
+        }
+
+        // Decrement active connections
+        activeConnections.dec();
+
+        // Call original end
+        originalEnd.apply(res, args);
+      };
+
+      next();
+    };
+  }
+
+  return {
+    httpRequestCounter,
+    httpRequestDuration,
+    httpRequestSize,
+    httpResponseSize,
+    httpResponseUncompressedSize,
+    activeConnections,
+    versionInfo,
+    buildInfo,
+    deploymentType,
+    droppedSeriesCounter,
+    metricsMiddleware: createMiddleware(),
+    createMiddleware,
+    // Forget the label sets seen so far (for testing)
+    resetSeriesGuard: () => seenSeries.clear()
+  };
 }
 
 /**
- * Metrics endpoint handler
+ * HTTP metrics of the shared register
+ * Created on first use, labelled with `config` (by default the process
+ * configuration); later callers share that set.
  */
-async function metricsHandler(req, res) {
-  try {
-    res.set('Content-Type', register.contentType);
-    const metrics = await register.metrics();
-    res.end(metrics);
-  } catch (error) {
-    res.status(500).end(error.message);
+function getSharedHttpMetrics(config) {
+  if (!httpMetrics) {
+    httpMetrics = createHttpMetrics(register, config);
   }
+  return httpMetrics;
+}
+
+/**
+ * Middleware to track HTTP metrics on the shared register
+ */
+function metricsMiddleware(req, res, next) {
+  getSharedHttpMetrics().metricsMiddleware(req, res, next);
 }
 
+/**
+ * Forget the label sets seen so far on the shared register (for testing)
+ */
+function resetSeriesGuard() {
+  getSharedHttpMetrics().resetSeriesGuard();
+}
+
+/**
+ * Publish the current health state out of all known states
+ */
+function setHealthStatus(current, statuses) {
+  statuses.forEach((status) => healthStatus.labels(status).set(status === current ? 1 : 0));
+}
+
+/**
+ * Count a change of the health state
+ */
+function recordHealthTransition(from, to) {
+  healthTransitions.labels(from, to).inc();
+}
+
+/**
+ * Record the number of running cluster workers
+ */
+function setClusterWorkers(count) {
+  clusterWorkers.set(count);
+}
+
+/**
+ * Count a worker replaced by the cluster primary
+ */
+function recordWorkerRestart(reason) {
+  clusterWorkerRestarts.labels(reason).inc();
+}
+
+// Gauges that count things across the instance, so workers' values add up
+const SUMMED_GAUGES = new Set([
+  'gas_active_connections',
+  'gas_inflight_requests',
+  'gas_limiter_active_requests',
+  'gas_limiter_queued_requests',
+  'gas_shutdown_phase',
+  'gas_cluster_workers'
+]);
+
+/**
+ * Whether a metric keeps one series per worker in cluster mode
+ * Counters and histograms add up across workers. Summaries and gauges left
+ * at the default aggregator (memory, event loop lag, SLO ratios) describe a
+ * single process, where a sum would mislead.
+ */
+function isPerWorkerMetric({ name, type, aggregator }) {
+  if (type === 'summary') return true;
+  return type === 'gauge' && aggregator === 'sum' && !SUMMED_GAUGES.has(name);
+}
+
+/**
+ * This process's metrics as JSON for cluster aggregation
+ * Per-worker metrics get a `worker` label so they stay apart when combined.
+ * `onScrape` runs first, as in createMetricsHandler.
+ */
+async function getWorkerMetrics(worker, { onScrape: beforeScrape = runScrapeHooks } = {}) {
+  beforeScrape();
+  const metrics = await register.getMetricsAsJSON();
+
+  return metrics.map((metric) => {
+    if (!isPerWorkerMetric(metric)) return metric;
+    return {
+      ...metric,
+      values: metric.values.map((value) => ({ ...value, labels: { ...value.labels, worker } }))
+    };
+  });
+}
+
+/**
+ * Catalogue of the metrics on `registry`, as Prometheus stores them
+ * Each entry lists the series a scrape exposes with their labels: counters
+ * with `_total`, histograms as `_bucket` (plus `le`), `_sum` and `_count`,
+ * summaries with `quantile`, and the `worker` label that per-worker metrics get
+ * in cluster mode. Dashboards and recording rules are generated from it
+ * (src/dashboards.js).
+ */
+function getMetricCatalogue(registry = register) {
+  // The HTTP metrics of the shared register are created by the first app using them
+  if (registry === register) getSharedHttpMetrics();
+
+  return registry.getMetricsAsArray()
+    .map((metric) => {
+      const {
+        name, type, help, aggregator
+      } = metric;
+      const labelNames = isPerWorkerMetric({ name, type, aggregator })
+        ? [...metric.labelNames, 'worker']
+        : [...metric.labelNames];
+
+      let series = [{ name, labelNames }];
+      if (type === 'histogram') {
+        series = [
+          { name: `${name}_bucket`, labelNames: [...labelNames, 'le'] },
+          { name: `${name}_sum`, labelNames },
+          { name: `${name}_count`, labelNames }
+        ];
+      } else if (type === 'summary') {
+        series = [
+          { name, labelNames: [...labelNames, 'quantile'] },
+          { name: `${name}_sum`, labelNames },
+          { name: `${name}_count`, labelNames }
+        ];
+      }
+
+      return {
+        name, type, help, labelNames, series
+      };
+    })
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Combine workers' metrics (from getWorkerMetrics) in Prometheus text format
+ * Exemplars do not survive aggregation, so OpenMetrics is not used here.
+ * Resolves to `{ contentType, body }`.
+ */
+async function aggregateMetrics(snapshots) {
+  const aggregated = promClient.AggregatorRegistry.aggregate(snapshots);
+  return { contentType: aggregated.contentType, body: await aggregated.metrics() };
+}
+
+/**
+ * OpenMetrics view of the metrics on `registry`
+ * prom-client renames counters in place when it writes OpenMetrics (it drops
+ * `_total` from the family name), so the view holds renamed stand-ins rather
+ * than the metrics themselves and `registry` keeps serving the text format.
+ */
+function openMetricsView(registry) {
+  const view = new promClient.Registry(promClient.Registry.OPENMETRICS_CONTENT_TYPE);
+  registry.getMetricsAsArray().forEach((metric) => {
+    const name = metric.type === 'counter' ? metric.name.replace(/_total$/, '') : metric.name;
+    const read = () => (metric.getForPromString ? metric.getForPromString() : metric.get());
+    view.registerMetric({ name, type: metric.type, get: async () => ({ ...(await read()), name }) });
+  });
+  return view;
+}
+
+/**
+ * Create a /metrics handler serving `registry`
+ * The Prometheus text format is served unless the scrape's Accept header
+ * prefers OpenMetrics, the only format that carries exemplars.
+ * `onScrape` runs before each scrape; by default the hooks added with onScrape.
+ */
+function createMetricsHandler(registry, { onScrape: beforeScrape = runScrapeHooks } = {}) {
+  return async function metricsHandler(req, res) {
+    try {
+      const { PROMETHEUS_CONTENT_TYPE, OPENMETRICS_CONTENT_TYPE } = promClient.Registry;
+      const format = req.accepts([PROMETHEUS_CONTENT_TYPE, OPENMETRICS_CONTENT_TYPE]);
+      const source = format === OPENMETRICS_CONTENT_TYPE ? openMetricsView(registry) : registry;
+      res.set('Content-Type', source.contentType);
+      beforeScrape();
+      const metrics = await source.metrics();
+      res.end(metrics);
+    } catch (error) {
+      res.status(500).end(error.message);
+    }
+  };
+}
+
+/**
+ * Metrics endpoint handler
+ */
+const metricsHandler = createMetricsHandler(register);
+
 /**
  * Get current metrics (for testing)
  */
 function getMetrics() {
+  const {
+    httpRequestCounter,
+    httpRequestDuration,
+    httpRequestSize,
+    httpResponseSize,
+    httpResponseUncompressedSize,
+    activeConnections,
+    versionInfo,
+    buildInfo,
+    deploymentType,
+    droppedSeriesCounter
+  } = getSharedHttpMetrics();
+
   return {
     httpRequestCounter,
     httpRequestDuration,
     httpRequestSize,
     httpResponseSize,
+    httpResponseUncompressedSize,
     activeConnections,
     versionInfo,
+    buildInfo,
     deploymentType,
+    readinessCheckStatus,
+    readinessCheckDuration,
+    proxyRequestCounter,
+    proxyRequestDuration,
+    proxyUpstreamWeight,
+    flagEvaluationCounter,
+    chaosFaultCounter,
+    chaosEnabled,
+    shutdownPhase,
+    inflightRequests,
+    rejectedRequestCounter,
+    limiterActiveRequests,
+    limiterQueuedRequests,
+    authFailureCounter,
+    droppedSeriesCounter,
+    healthStatus,
+    healthTransitions,
+    clusterWorkers,
+    clusterWorkerRestarts,
+    sloObjective,
+    sloIndicator,
+    sloErrorBudgetRemaining,
+    sloBurnRate,
     register
   };
 }
 
 module.exports = {
+  createHttpMetrics,
+  getSharedHttpMetrics,
+  createMetricsHandler,
   metricsMiddleware,
   metricsHandler,
   getMetrics,
+  recordReadinessCheck,
+  removeReadinessCheck,
+  recordProxyRequest,
+  setProxyUpstreamWeight,
+  recordFlagEvaluation,
+  recordChaosFault,
+  setChaosEnabled,
+  setShutdownPhase,
+  setInflightRequests,
+  recordRejectedRequest,
+  setLimiterState,
+  recordAuthFailure,
+  setSloStatus,
+  setHealthStatus,
+  recordHealthTransition,
+  setClusterWorkers,
+  recordWorkerRestart,
+  isPerWorkerMetric,
+  getWorkerMetrics,
+  getMetricCatalogue,
+  aggregateMetrics,
+  onRequestObserved,
+  onScrape,
+  normalizeRoute,
+  configureSeriesLimits,
+  resetSeriesGuard,
+  UNMATCHED_ROUTE,
+  OVERFLOW_ROUTE,
+  HTTP_DURATION_BUCKETS,
   register
 };
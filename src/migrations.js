@@ -0,0 +1,75 @@
+/**
+ * Versioned schema migrations for the /api/data store
+ *
+ * Migrations run in order at startup and record the schema version in the
+ * store. Blue and green slots run different releases against the same data,
+ * so a migration must only expand the schema (add fields with defaults, never
+ * rename or remove them) and the previous release must keep working on the
+ * migrated data. Fields are removed in a later release, once no slot reads them.
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Seed sample items',
+    async up(store) {
+      const now = new Date().toISOString();
+      const items = [
+        { id: '1', name: 'Item 1', value: 100 },
+        { id: '2', name: 'Item 2', value: 200 },
+        { id: '3', name: 'Item 3', value: 300 }
+      ];
+      await Promise.all(items.map((item) => store.put({
+        ...item, version: 1, createdAt: now, updatedAt: now
+      })));
+    }
+  },
+  {
+    version: 2,
+    description: 'Add tags to items',
+    async up(store) {
+      const records = await store.list();
+      await Promise.all(records
+        .filter((record) => !Array.isArray(record.tags))
+        .map((record) => store.put({ ...record, tags: [] })));
+    }
+  }
+];
+
+function assertOrdered(migrations) {
+  migrations.forEach((migration, index) => {
+    if (migration.version !== index + 1) {
+      throw new Error(`Migration versions must be consecutive from 1; found ${migration.version} at #${index}`);
+    }
+  });
+}
+
+/**
+ * Apply pending migrations and return `{ from, to, applied }`
+ * A store already at a newer version than this release knows (e.g. green has
+ * migrated while blue still serves) is left untouched.
+ */
+async function runMigrations(store, { migrations = MIGRATIONS, logger = console } = {}) {
+  assertOrdered(migrations);
+  const latest = migrations.length;
+  const from = await store.getSchemaVersion();
+
+  if (from > latest) {
+    logger.warn(`Data schema is at version ${from}, newer than this release (${latest}); running without migrating`);
+    return { from, to: from, applied: [] };
+  }
+
+  const applied = [];
+  for (const migration of migrations.slice(from)) {
+    logger.info(`Applying data migration ${migration.version}: ${migration.description}`);
+    await migration.up(store);
+    await store.setSchemaVersion(migration.version);
+    applied.push(migration.version);
+  }
+
+  return { from, to: latest, applied };
+}
+
+module.exports = {
+  MIGRATIONS,
+  runMigrations
+};
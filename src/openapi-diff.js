@@ -0,0 +1,376 @@
+const fs = require('fs');
+const {
+  parseArgs, parseDuration, parseHeaders
+} = require('./cli');
+const {
+  METHODS, parseSpec, loadSpec, resolveRef, mergeParameters
+} = require('./openapi');
+
+/**
+ * Compare two versions of the OpenAPI document
+ *
+ * A change is breaking when a client written against the old document can
+ * fail against the new one. Requests may accept more than before and
+ * responses may promise more than before, but not the other way round:
+ * narrowing what a request accepts (a new required field, a lower maximum, a
+ * removed enum value) or widening what a response can contain (a nullable
+ * field, a new enum value, a removed or optional field) breaks clients.
+ */
+
+// Paths that differ only in the names of their parameters are the same path
+const pathKey = (template) => template.replace(/{[^}]+}/g, '{}');
+
+const BOUNDS = {
+  // keyword: whether a larger value narrows what is accepted
+  minimum: true,
+  maximum: false,
+  minLength: true,
+  maxLength: false,
+  minItems: true,
+  maxItems: false
+};
+
+const listValues = (values) => values.map((value) => JSON.stringify(value)).join(', ');
+
+/**
+ * Compare two schemas; `report(breaking, where, message)` records each change
+ * In requests narrowing is breaking, in responses widening is.
+ */
+function diffSchema(context, baseSchema, nextSchema, where, ancestors = new Set()) {
+  const {
+    base, next, direction, report
+  } = context;
+
+  // Recursive schemas stop at the first pair of references seen again
+  const pair = `${baseSchema.$ref || ''}|${nextSchema.$ref || ''}`;
+  if (ancestors.has(pair)) return;
+  const seen = pair === '|' ? ancestors : new Set(ancestors).add(pair);
+
+  const from = resolveRef(base, baseSchema);
+  const to = resolveRef(next, nextSchema);
+  const isRequest = direction === 'request';
+  const narrowed = (message) => report(isRequest, where, message);
+  const widened = (message) => report(!isRequest, where, message);
+
+  if (from.type !== to.type) {
+    const message = `type changed from ${from.type || 'any'} to ${to.type || 'any'}`;
+    if (from.type === 'integer' && to.type === 'number') {
+      widened(message);
+    } else if (from.type === 'number' && to.type === 'integer') {
+      narrowed(message);
+    } else if (from.type === undefined) {
+      narrowed(message);
+    } else if (to.type === undefined) {
+      widened(message);
+    } else {
+      report(true, where, message);
+      return;
+    }
+  }
+
+  if (!from.nullable && to.nullable) widened('became nullable');
+  if (from.nullable && !to.nullable) narrowed('is no longer nullable');
+
+  if (from.enum || to.enum) {
+    if (!from.enum) {
+      narrowed(`restricted to ${listValues(to.enum)}`);
+    } else if (!to.enum) {
+      widened('no longer restricted to a list of values');
+    } else {
+      const removed = from.enum.filter((value) => !to.enum.includes(value));
+      const added = to.enum.filter((value) => !from.enum.includes(value));
+      if (removed.length > 0) narrowed(`values removed: ${listValues(removed)}`);
+      if (added.length > 0) widened(`values added: ${listValues(added)}`);
+    }
+  }
+
+  if (from.format !== to.format) {
+    const message = `format changed from ${from.format || 'none'} to ${to.format || 'none'}`;
+    if (from.format === undefined) narrowed(message);
+    else if (to.format === undefined) widened(message);
+    else report(true, where, message);
+  }
+
+  if (from.pattern !== to.pattern) {
+    const message = `pattern changed from ${from.pattern || 'none'} to ${to.pattern || 'none'}`;
+    if (from.pattern === undefined) narrowed(message);
+    else if (to.pattern === undefined) widened(message);
+    else report(true, where, message);
+  }
+
+  Object.entries(BOUNDS).forEach(([keyword, largerNarrows]) => {
+    if (from[keyword] === to[keyword]) return;
+    const message = `${keyword} changed from ${from[keyword] === undefined ? 'none' : from[keyword]} `
+      + `to ${to[keyword] === undefined ? 'none' : to[keyword]}`;
+    let narrows;
+    if (from[keyword] === undefined) narrows = true;
+    else if (to[keyword] === undefined) narrows = false;
+    else narrows = (to[keyword] > from[keyword]) === largerNarrows;
+    if (narrows) narrowed(message);
+    else widened(message);
+  });
+
+  if (from.items || to.items) {
+    diffSchema(context, from.items || {}, to.items || {}, `${where}[]`, seen);
+  }
+
+  if (from.properties || to.properties || from.required || to.required) {
+    diffProperties(context, from, to, where, seen);
+  }
+}
+
+function diffProperties(context, from, to, where, seen) {
+  const {
+    base, next, direction, report
+  } = context;
+  const isRequest = direction === 'request';
+  const fromProperties = from.properties || {};
+  const toProperties = to.properties || {};
+  // Read-only properties are never sent by clients, write-only ones never returned
+  const skipped = isRequest ? 'readOnly' : 'writeOnly';
+  const ignored = (key) => toProperties[key] && resolveRef(next, toProperties[key])[skipped];
+
+  const fromRequired = from.required || [];
+  const toRequired = to.required || [];
+  toRequired.filter((key) => !fromRequired.includes(key) && !ignored(key)).forEach((key) => {
+    report(isRequest, `${where}.${key}`, 'became required');
+  });
+  fromRequired.filter((key) => !toRequired.includes(key) && toProperties[key] && !ignored(key)).forEach((key) => {
+    report(!isRequest, `${where}.${key}`, 'is no longer required');
+  });
+
+  Object.keys(fromProperties).filter((key) => !toProperties[key]).forEach((key) => {
+    // Clients still sending a removed field are only rejected if unknown fields are
+    const breaking = isRequest
+      ? to.additionalProperties === false
+      : !resolveRef(base, fromProperties[key]).writeOnly;
+    report(breaking, `${where}.${key}`, 'removed');
+  });
+  Object.keys(toProperties).filter((key) => !fromProperties[key]).forEach((key) => {
+    report(false, `${where}.${key}`, 'added');
+  });
+  Object.keys(fromProperties).filter((key) => toProperties[key]).forEach((key) => {
+    diffSchema(context, fromProperties[key], toProperties[key], `${where}.${key}`, seen);
+  });
+
+  if (from.additionalProperties !== false && to.additionalProperties === false) {
+    report(isRequest, where, 'no longer allows other properties');
+  } else if (from.additionalProperties === false && to.additionalProperties !== false) {
+    // Clients are expected to ignore fields they do not know
+    report(false, where, 'allows other properties');
+  } else if (typeof from.additionalProperties === 'object' && typeof to.additionalProperties === 'object') {
+    diffSchema(context, from.additionalProperties, to.additionalProperties, `${where}.*`, seen);
+  }
+}
+
+const jsonSchemaOf = (content) => {
+  const media = (content || {})['application/json'];
+  return media ? media.schema || {} : null;
+};
+
+// Parameters by location and name; header names are case-insensitive
+const parametersOf = (spec, { pathItem, operation }) => new Map(mergeParameters(spec, pathItem, operation)
+  .map((parameter) => [
+    `${parameter.in}.${parameter.in === 'header' ? parameter.name.toLowerCase() : parameter.name}`,
+    parameter
+  ]));
+
+function diffOperation(base, next, from, to, report) {
+  const request = {
+    base, next, direction: 'request', report
+  };
+  const response = { ...request, direction: 'response' };
+
+  const fromParameters = parametersOf(base, from);
+  const toParameters = parametersOf(next, to);
+  toParameters.forEach((parameter, key) => {
+    const previous = fromParameters.get(key);
+    if (!previous) {
+      report(Boolean(parameter.required), key, parameter.required ? 'required parameter added' : 'parameter added');
+      return;
+    }
+    if (!previous.required && parameter.required) report(true, key, 'became required');
+    if (previous.required && !parameter.required) report(false, key, 'is no longer required');
+    diffSchema(request, previous.schema || {}, parameter.schema || {}, key);
+  });
+  fromParameters.forEach((parameter, key) => {
+    if (!toParameters.has(key)) report(false, key, 'parameter removed');
+  });
+
+  const fromBody = from.operation.requestBody && resolveRef(base, from.operation.requestBody);
+  const toBody = to.operation.requestBody && resolveRef(next, to.operation.requestBody);
+  if (toBody && !fromBody) {
+    report(Boolean(toBody.required), 'request body', toBody.required ? 'required body added' : 'body added');
+  } else if (fromBody && !toBody) {
+    report(false, 'request body', 'removed');
+  } else if (fromBody && toBody) {
+    if (!fromBody.required && toBody.required) report(true, 'request body', 'became required');
+    const fromSchema = jsonSchemaOf(fromBody.content);
+    const toSchema = jsonSchemaOf(toBody.content);
+    if (fromSchema && !toSchema) {
+      report(true, 'request body', 'no longer accepts application/json');
+    } else if (fromSchema && toSchema) {
+      diffSchema(request, fromSchema, toSchema, 'request body');
+    }
+  }
+
+  const fromResponses = from.operation.responses || {};
+  const toResponses = to.operation.responses || {};
+  Object.keys(fromResponses).forEach((status) => {
+    const where = `response ${status}`;
+    if (!toResponses[status]) {
+      // Clients rely on the success responses; error responses fall back to others
+      report(/^2/.test(status), where, 'removed');
+      return;
+    }
+    const fromSchema = jsonSchemaOf(resolveRef(base, fromResponses[status]).content);
+    const toSchema = jsonSchemaOf(resolveRef(next, toResponses[status]).content);
+    if (fromSchema && !toSchema) {
+      report(true, where, 'no longer returns application/json');
+    } else if (fromSchema && toSchema) {
+      diffSchema(response, fromSchema, toSchema, `${where} body`);
+    }
+  });
+  Object.keys(toResponses).filter((status) => !fromResponses[status]).forEach((status) => {
+    report(false, `response ${status}`, 'added');
+  });
+}
+
+/**
+ * Compare two OpenAPI documents
+ * Returns `{ compatible, breaking, changes }`; each change is
+ * `{ breaking, operation, where, message }`, e.g. `GET /api/data`,
+ * `response 200 body.data[].value`, `type changed from number to string`.
+ */
+function diffSpecs(base, next) {
+  const changes = [];
+  const operationsOf = (spec) => {
+    const operations = new Map();
+    Object.keys(spec.paths).forEach((template) => {
+      const pathItem = resolveRef(spec, spec.paths[template]);
+      METHODS.filter((method) => pathItem[method]).forEach((method) => {
+        operations.set(`${method} ${pathKey(template)}`, {
+          name: `${method.toUpperCase()} ${template}`, pathItem, operation: pathItem[method]
+        });
+      });
+    });
+    return operations;
+  };
+
+  const fromOperations = operationsOf(base);
+  const toOperations = operationsOf(next);
+  fromOperations.forEach((from, key) => {
+    const to = toOperations.get(key);
+    const report = (breaking, where, message) => changes.push({
+      breaking, operation: from.name, where, message
+    });
+    if (!to) {
+      report(true, '', 'operation removed');
+    } else {
+      diffOperation(base, next, from, to, report);
+    }
+  });
+  toOperations.forEach((to, key) => {
+    if (!fromOperations.has(key)) {
+      changes.push({
+        breaking: false, operation: to.name, where: '', message: 'operation added'
+      });
+    }
+  });
+
+  const breaking = changes.filter((change) => change.breaking).length;
+  return { compatible: breaking === 0, breaking, changes };
+}
+
+/**
+ * Read a document from a file or URL
+ * A URL that does not name a .json file is taken to be an instance, and its
+ * /api/openapi.json is fetched.
+ */
+async function readSpec(source, { headers = {}, timeout = 5000 } = {}) {
+  if (!/^https?:\/\//.test(source)) {
+    return loadSpec(source);
+  }
+
+  const url = new URL(source);
+  if (!url.pathname.endsWith('.json')) {
+    url.pathname = `${url.pathname.replace(/\/$/, '')}/api/openapi.json`;
+  }
+  const response = await fetch(url, { headers, signal: AbortSignal.timeout(timeout) });
+  if (!response.ok) {
+    throw new Error(`${url} answered ${response.status}`);
+  }
+  return parseSpec(await response.text(), String(url));
+}
+
+/**
+ * One line per change, breaking ones first
+ */
+function formatChanges(report) {
+  return [...report.changes]
+    .sort((a, b) => Number(b.breaking) - Number(a.breaking))
+    .map((change) => `${change.breaking ? 'BREAKING' : 'change  '}  ${change.operation}`
+      + `${change.where ? ` ${change.where}` : ''}: ${change.message}`)
+    .join('\n');
+}
+
+const USAGE = `Usage: node scripts/openapi-diff.js --base <file|url> --next <file|url> [options]
+
+Reports the changes between two versions of the OpenAPI document; a change is
+breaking when clients written against --base can fail against --next. A URL
+that does not end in .json is an instance, whose /api/openapi.json is read.
+
+Options:
+  --header <name:value>    Extra header sent when fetching URLs (repeatable)
+  --timeout <duration>     Timeout of each fetch (default: 5s)
+  --output <file>          Also write the JSON report to this file
+
+Exit codes: 0 = compatible, 1 = breaking changes, 3 = error`;
+
+/**
+ * CLI entrypoint, returns the process exit code
+ */
+async function main(argv, { stdout = process.stdout, stderr = process.stderr } = {}) {
+  let options;
+  try {
+    options = parseArgs(argv);
+  } catch (error) {
+    stderr.write(`${error.message}\n${USAGE}\n`);
+    return 3;
+  }
+
+  if (options.help || typeof options.base !== 'string' || typeof options.next !== 'string') {
+    stderr.write(`${USAGE}\n`);
+    return options.help ? 0 : 3;
+  }
+
+  try {
+    const fetchOptions = { headers: parseHeaders(options.header), timeout: parseDuration(options.timeout || '5s') };
+    const [base, next] = await Promise.all([options.base, options.next]
+      .map((source) => readSpec(source, fetchOptions)));
+    const report = { base: options.base, next: options.next, ...diffSpecs(base, next) };
+
+    const json = JSON.stringify(report, null, 2);
+    stdout.write(`${json}\n`);
+    if (options.output) {
+      fs.writeFileSync(options.output, `${json}\n`);
+    }
+    if (report.changes.length > 0) {
+      stderr.write(`${formatChanges(report)}\n`);
+    }
+    stderr.write(`OpenAPI diff: ${report.compatible ? 'compatible' : 'incompatible'} - `
+      + `${report.breaking} breaking of ${report.changes.length} changes\n`);
+
+    return report.compatible ? 0 : 1;
+  } catch (error) {
+    stderr.write(`OpenAPI diff failed: ${error.message}\n`);
+    return 3;
+  }
+}
+
+module.exports = {
+  diffSpecs,
+  readSpec,
+  formatChanges,
+  main
+};
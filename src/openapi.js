@@ -0,0 +1,565 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * OpenAPI contract of the service
+ *
+ * config/openapi.json describes every route. This module serves it as JSON and
+ * as an HTML page, and checks requests (and optionally responses) against it.
+ * Schemas are checked for the subset of JSON Schema the document uses: type,
+ * nullable, enum, format (date-time), minimum/maximum, minLength/maxLength,
+ * pattern, items, minItems/maxItems, properties, required,
+ * additionalProperties, readOnly/writeOnly and local $refs.
+ */
+
+const DEFAULT_SPEC_FILE = path.join(__dirname, '../config/openapi.json');
+
+const METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+const DATE_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/;
+
+const TYPE_CHECKS = {
+  string: (value) => typeof value === 'string',
+  number: (value) => typeof value === 'number' && Number.isFinite(value),
+  integer: (value) => Number.isInteger(value),
+  boolean: (value) => typeof value === 'boolean',
+  array: (value) => Array.isArray(value),
+  object: (value) => typeof value === 'object' && value !== null && !Array.isArray(value)
+};
+
+/**
+ * Parse and sanity-check an OpenAPI 3 document; `source` names it in errors
+ */
+function parseSpec(text, source = 'OpenAPI document') {
+  let spec;
+  try {
+    spec = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`${source} is not valid JSON: ${error.message}`);
+  }
+  if (!spec || !/^3\./.test(spec.openapi) || !spec.paths || typeof spec.paths !== 'object') {
+    throw new Error(`${source} is not an OpenAPI 3 document`);
+  }
+  return spec;
+}
+
+/**
+ * Load the OpenAPI document (config/openapi.json unless given)
+ */
+function loadSpec(file = DEFAULT_SPEC_FILE) {
+  return parseSpec(fs.readFileSync(file, 'utf8'), file);
+}
+
+/**
+ * Follow `$ref`s within the document until reaching the object they point to
+ */
+function resolveRef(spec, object) {
+  let resolved = object;
+  const seen = new Set();
+  while (resolved && resolved.$ref !== undefined) {
+    const ref = resolved.$ref;
+    if (!ref.startsWith('#/') || seen.has(ref)) {
+      throw new Error(`Cannot resolve ${ref}`);
+    }
+    seen.add(ref);
+    resolved = ref.slice(2).split('/')
+      .map((key) => key.replace(/~1/g, '/').replace(/~0/g, '~'))
+      .reduce((node, key) => (node === undefined ? undefined : node[key]), spec);
+    if (resolved === undefined) {
+      throw new Error(`Cannot resolve ${ref}`);
+    }
+  }
+  return resolved;
+}
+
+const article = (word) => (/^[aeiou]/.test(word) ? `an ${word}` : `a ${word}`);
+
+/**
+ * Check a value against a schema
+ * Returns a list of problems naming the offending part of the value, e.g.
+ * `body.tags[0] must be a string`. `direction` is `request` or `response`:
+ * readOnly properties are not required in requests, nor writeOnly ones in
+ * responses.
+ */
+function validateSchema(spec, schema, value, where, { direction = 'request' } = {}) {
+  const resolved = resolveRef(spec, schema || {});
+  const options = { direction };
+
+  if (value === null) {
+    return resolved.nullable || resolved.type === undefined ? [] : [`${where} must not be null`];
+  }
+  if (resolved.type && !TYPE_CHECKS[resolved.type](value)) {
+    return [`${where} must be ${article(resolved.type)}`];
+  }
+  if (resolved.enum && !resolved.enum.includes(value)) {
+    return [`${where} must be one of ${resolved.enum.join(', ')}`];
+  }
+
+  const problems = [];
+  if (typeof value === 'string') {
+    if (resolved.format === 'date-time' && !(DATE_TIME.test(value) && !Number.isNaN(Date.parse(value)))) {
+      problems.push(`${where} must be a date-time`);
+    }
+    if (resolved.minLength !== undefined && value.length < resolved.minLength) {
+      problems.push(`${where} must be at least ${resolved.minLength} characters long`);
+    }
+    if (resolved.maxLength !== undefined && value.length > resolved.maxLength) {
+      problems.push(`${where} must be at most ${resolved.maxLength} characters long`);
+    }
+    if (resolved.pattern !== undefined && !new RegExp(resolved.pattern, 'u').test(value)) {
+      problems.push(`${where} must match ${resolved.pattern}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (resolved.minimum !== undefined && value < resolved.minimum) {
+      problems.push(`${where} must be at least ${resolved.minimum}`);
+    }
+    if (resolved.maximum !== undefined && value > resolved.maximum) {
+      problems.push(`${where} must be at most ${resolved.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (resolved.minItems !== undefined && value.length < resolved.minItems) {
+      problems.push(`${where} must have at least ${resolved.minItems} items`);
+    }
+    if (resolved.maxItems !== undefined && value.length > resolved.maxItems) {
+      problems.push(`${where} must have at most ${resolved.maxItems} items`);
+    }
+    if (resolved.items) {
+      value.forEach((item, index) => {
+        problems.push(...validateSchema(spec, resolved.items, item, `${where}[${index}]`, options));
+      });
+    }
+  }
+
+  if (TYPE_CHECKS.object(value)) {
+    const properties = resolved.properties || {};
+    const skipped = direction === 'request' ? 'readOnly' : 'writeOnly';
+
+    (resolved.required || [])
+      .filter((key) => value[key] === undefined && !(properties[key] && resolveRef(spec, properties[key])[skipped]))
+      .forEach((key) => problems.push(`${where}.${key} is required`));
+
+    Object.entries(value).filter(([, property]) => property !== undefined).forEach(([key, property]) => {
+      if (properties[key]) {
+        problems.push(...validateSchema(spec, properties[key], property, `${where}.${key}`, options));
+      } else if (resolved.additionalProperties === false) {
+        problems.push(`${where}.${key} is not allowed`);
+      } else if (resolved.additionalProperties && resolved.additionalProperties !== true) {
+        problems.push(...validateSchema(spec, resolved.additionalProperties, property, `${where}.${key}`, options));
+      }
+    });
+  }
+
+  return problems;
+}
+
+// Documented paths, with templated ones after the literal paths they overlap
+const routeCache = new WeakMap();
+
+function routesOf(spec) {
+  if (!routeCache.has(spec)) {
+    routeCache.set(spec, Object.keys(spec.paths)
+      .map((template) => ({
+        template,
+        segments: template.split('/'),
+        templated: (template.match(/{[^}]+}/g) || []).length
+      }))
+      .sort((a, b) => a.templated - b.templated));
+  }
+  return routeCache.get(spec);
+}
+
+function matchSegments(route, segments) {
+  if (route.segments.length !== segments.length) return null;
+
+  const params = {};
+  const matches = route.segments.every((segment, index) => {
+    const name = /^{([^}]+)}$/.exec(segment);
+    if (!name) return segment === segments[index];
+    if (!segments[index]) return false;
+    try {
+      params[name[1]] = decodeURIComponent(segments[index]);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  });
+  return matches ? params : null;
+}
+
+// Path-level parameters, overridden by the operation's own
+function mergeParameters(spec, pathItem, operation) {
+  const parameters = new Map();
+  [...(pathItem.parameters || []), ...(operation.parameters || [])].forEach((parameter) => {
+    const resolved = resolveRef(spec, parameter);
+    parameters.set(`${resolved.in}:${resolved.name}`, resolved);
+  });
+  return [...parameters.values()];
+}
+
+// Documented path matching `requestPath` as `{ template, params }`, or null
+function findPath(spec, requestPath) {
+  const segments = requestPath.replace(/(.)\/$/, '$1').split('/');
+
+  let params = null;
+  const route = routesOf(spec).find((candidate) => {
+    params = matchSegments(candidate, segments);
+    return params !== null;
+  });
+  return route ? { template: route.template, params } : null;
+}
+
+/**
+ * Find the documented operation for a request
+ * Resolves to `{ template, method, operation, parameters, params }`, where
+ * `parameters` merges the path's and the operation's parameters and `params`
+ * holds the path parameter values, or null when the path or method is not
+ * documented. HEAD falls back to GET, like Express.
+ */
+function findOperation(spec, method, requestPath) {
+  const route = findPath(spec, requestPath);
+  if (!route) return null;
+
+  const pathItem = resolveRef(spec, spec.paths[route.template]);
+  let verb = method.toLowerCase();
+  if (verb === 'head' && !pathItem.head) verb = 'get';
+  if (!METHODS.includes(verb) || !pathItem[verb]) return null;
+
+  return {
+    template: route.template,
+    method: verb,
+    operation: pathItem[verb],
+    parameters: mergeParameters(spec, pathItem, pathItem[verb]),
+    params: route.params
+  };
+}
+
+/**
+ * Express-style template (`/api/data/:id`) of the documented path matching
+ * `requestPath`, whatever the method, or null
+ */
+function routeTemplate(spec, requestPath) {
+  const route = findPath(spec, requestPath);
+  return route ? route.template.replace(/{([^}]+)}/g, ':$1') : null;
+}
+
+/**
+ * Convert a query, path or header parameter from its string form
+ * Returns `{ value }` or `{ error }`.
+ */
+function coerceParameter(spec, schema, raw) {
+  const resolved = resolveRef(spec, schema || {});
+  if (resolved.type === 'array') {
+    const items = [].concat(raw).map((item) => coerceParameter(spec, resolved.items, item));
+    const failed = items.find((item) => item.error);
+    return failed || { value: items.map((item) => item.value) };
+  }
+  if (Array.isArray(raw)) {
+    return { error: 'must be given only once' };
+  }
+
+  switch (resolved.type) {
+    case 'integer':
+    case 'number': {
+      const value = Number(raw);
+      const valid = String(raw).trim() !== '' && Number.isFinite(value)
+        && (resolved.type === 'number' || Number.isInteger(value));
+      return valid ? { value } : { error: `must be ${article(resolved.type)}` };
+    }
+    case 'boolean':
+      return ['true', 'false'].includes(raw) ? { value: raw === 'true' } : { error: 'must be true or false' };
+    default:
+      return { value: raw };
+  }
+}
+
+/**
+ * Check a request against its operation (from findOperation)
+ * `request` has the parsed `query`, the `headers` (lowercase names) and the
+ * parsed `body`, undefined when none was sent. Returns a list of problems.
+ */
+function validateRequest(spec, { operation, parameters, params }, { query = {}, headers = {}, body } = {}) {
+  const problems = [];
+  const sources = { path: params, query, header: headers };
+
+  parameters.filter((parameter) => sources[parameter.in]).forEach((parameter) => {
+    const where = `${parameter.in}.${parameter.name}`;
+    const key = parameter.in === 'header' ? parameter.name.toLowerCase() : parameter.name;
+    const raw = sources[parameter.in][key];
+    if (raw === undefined) {
+      if (parameter.required) problems.push(`${where} is required`);
+      return;
+    }
+
+    const { value, error } = coerceParameter(spec, parameter.schema, raw);
+    if (error) {
+      problems.push(`${where} ${error}`);
+    } else {
+      problems.push(...validateSchema(spec, parameter.schema, value, where, { direction: 'request' }));
+    }
+  });
+
+  const requestBody = operation.requestBody && resolveRef(spec, operation.requestBody);
+  if (requestBody) {
+    const media = (requestBody.content || {})['application/json'];
+    if (body === undefined) {
+      if (requestBody.required) problems.push('body is required');
+    } else if (media && media.schema) {
+      problems.push(...validateSchema(spec, media.schema, body, 'body', { direction: 'request' }));
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Check a JSON response body against the operation's documented responses
+ * The status code picks the response, falling back to `4XX`-style ranges and
+ * `default`. Returns a list of problems.
+ */
+function validateResponse(spec, operation, statusCode, body) {
+  const responses = operation.responses || {};
+  const key = [String(statusCode), `${String(statusCode)[0]}XX`, 'default'].find((candidate) => responses[candidate]);
+  if (!key) return [`status ${statusCode} is not documented`];
+
+  const media = (resolveRef(spec, responses[key]).content || {})['application/json'];
+  if (!media) return [`status ${statusCode} is documented without a JSON body`];
+  return media.schema ? validateSchema(spec, media.schema, body, 'body', { direction: 'response' }) : [];
+}
+
+// Whether the request carries a body, however it was parsed
+const hasBody = (req) => req.headers['transfer-encoding'] !== undefined
+  || (req.headers['content-length'] !== undefined && req.headers['content-length'] !== '0');
+
+function sendError(req, res, status, error, details) {
+  res.status(status).json({
+    error,
+    message: `${status === 400 ? 'Request' : 'Response'} does not match the API contract`,
+    details,
+    requestId: req.id,
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * Express middleware checking requests against the document
+ *
+ * Requests to documented operations that do not match it get a 400 listing
+ * every problem; undocumented paths and methods pass through. With
+ * `responses`, JSON responses are checked as well and replaced with a 500
+ * when they do not match, so tests catch contract drift before a release.
+ */
+function createOpenApiValidator(spec, { responses = false, logger } = {}) {
+  return function openApiValidator(req, res, next) {
+    const match = findOperation(spec, req.method, `${req.baseUrl}${req.path}`);
+    if (!match) {
+      next();
+      return;
+    }
+
+    const problems = validateRequest(spec, match, {
+      query: req.query,
+      headers: req.headers,
+      body: hasBody(req) ? req.body : undefined
+    });
+    if (problems.length > 0) {
+      sendError(req, res, 400, 'Bad Request', problems);
+      return;
+    }
+
+    if (responses) {
+      const { json } = res;
+      res.json = function checkedJson(body) {
+        res.json = json;
+        const sent = body === undefined ? undefined : JSON.parse(JSON.stringify(body));
+        const mismatches = validateResponse(spec, match.operation, res.statusCode, sent);
+        if (mismatches.length === 0) {
+          return res.json(body);
+        }
+
+        if (logger) {
+          logger.error('Response does not match the API contract', {
+            method: req.method, route: match.template, status: res.statusCode, problems: mismatches
+          });
+        }
+        return sendError(req, res, 500, 'Internal Server Error', mismatches);
+      };
+    }
+
+    next();
+  };
+}
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const schemaName = (ref) => ref.split('/').pop();
+
+// Short description of a schema, linking to named component schemas
+function describeSchema(spec, schema) {
+  if (!schema) return '';
+  if (schema.$ref) {
+    const name = escapeHtml(schemaName(schema.$ref));
+    return schema.$ref.startsWith('#/components/schemas/') ? `<a href="#schema-${name}">${name}</a>` : name;
+  }
+  if (schema.type === 'array') return `array of ${describeSchema(spec, schema.items) || 'any'}`;
+  const type = escapeHtml(schema.type || 'any');
+  return schema.enum ? `${type}: ${schema.enum.map(escapeHtml).join(' | ')}` : type;
+}
+
+function htmlTable(header, rows) {
+  return [
+    '<table>',
+    `  <tr>${header.map((cell) => `<th>${escapeHtml(cell)}</th>`).join('')}</tr>`,
+    ...rows.map((row) => `  <tr>${row.map((cell) => `<td>${cell}</td>`).join('')}</tr>`),
+    '</table>'
+  ].join('\n');
+}
+
+function renderOperation(spec, {
+  template, method, operation, parameters
+}) {
+  const id = escapeHtml(operation.operationId || `${method}-${template}`);
+  const security = operation.security || spec.security || [];
+  const parts = [
+    `<section id="${id}">`,
+    `<h3><span class="method">${method.toUpperCase()}</span> <code>${escapeHtml(template)}</code></h3>`,
+    `<p>${escapeHtml(operation.summary || '')}</p>`
+  ];
+  if (operation.description) parts.push(`<p>${escapeHtml(operation.description)}</p>`);
+  if (security.length > 0 && !security.some((requirement) => Object.keys(requirement).length === 0)) {
+    const schemes = security.map((requirement) => Object.keys(requirement).join(' + ')).join(' or ');
+    parts.push(`<p class="auth">Credentials: ${escapeHtml(schemes)}</p>`);
+  }
+
+  if (parameters.length > 0) {
+    parts.push('<h4>Parameters</h4>', htmlTable(['name', 'in', 'type', 'required', 'description'], parameters
+      .map((parameter) => [
+        `<code>${escapeHtml(parameter.name)}</code>`,
+        escapeHtml(parameter.in),
+        describeSchema(spec, parameter.schema),
+        parameter.required ? 'yes' : 'no',
+        escapeHtml(parameter.description || '')
+      ])));
+  }
+
+  const requestBody = operation.requestBody && resolveRef(spec, operation.requestBody);
+  if (requestBody) {
+    const bodies = Object.entries(requestBody.content || {})
+      .map(([type, media]) => `${escapeHtml(type)}: ${describeSchema(spec, media.schema)}`);
+    parts.push('<h4>Request body</h4>', `<p>${bodies.join('<br>')}${requestBody.required ? ' (required)' : ''}</p>`);
+  }
+
+  const responses = Object.entries(operation.responses || {}).map(([status, reference]) => {
+    const response = resolveRef(spec, reference);
+    return [
+      escapeHtml(status),
+      escapeHtml(response.description || ''),
+      Object.entries(response.content || {})
+        .map(([type, media]) => `${escapeHtml(type)}: ${describeSchema(spec, media.schema)}`)
+        .join('<br>')
+    ];
+  });
+  parts.push('<h4>Responses</h4>', htmlTable(['status', 'description', 'body'], responses), '</section>');
+
+  return parts.join('\n');
+}
+
+/**
+ * Render the document as a standalone HTML reference, grouped by tag
+ */
+function renderDocs(spec) {
+  const operations = Object.keys(spec.paths).flatMap((template) => {
+    const pathItem = resolveRef(spec, spec.paths[template]);
+    return METHODS.filter((method) => pathItem[method]).map((method) => ({
+      template, method, operation: pathItem[method], parameters: mergeParameters(spec, pathItem, pathItem[method])
+    }));
+  });
+  const tags = [
+    ...(spec.tags || []),
+    ...[...new Set(operations.flatMap(({ operation }) => operation.tags || ['default']))]
+      .filter((name) => !(spec.tags || []).some((tag) => tag.name === name))
+      .map((name) => ({ name }))
+  ];
+
+  const sections = tags.map((tag) => {
+    const tagged = operations.filter(({ operation }) => (operation.tags || ['default']).includes(tag.name));
+    if (tagged.length === 0) return '';
+    return [
+      `<h2>${escapeHtml(tag.name)}</h2>`,
+      tag.description ? `<p>${escapeHtml(tag.description)}</p>` : '',
+      ...tagged.map((match) => renderOperation(spec, match))
+    ].join('\n');
+  });
+
+  const schemas = Object.entries((spec.components && spec.components.schemas) || {})
+    .map(([name, schema]) => `<h3 id="schema-${escapeHtml(name)}">${escapeHtml(name)}</h3>\n`
+      + `<pre>${escapeHtml(JSON.stringify(schema, null, 2))}</pre>`);
+  const title = `${escapeHtml(spec.info.title)} ${escapeHtml(spec.info.version)}`;
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${title}</title>
+<style>
+  body { font-family: sans-serif; margin: 2em; max-width: 70em; }
+  table { border-collapse: collapse; margin-bottom: 1em; }
+  th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; vertical-align: top; }
+  section { border-top: 1px solid #ddd; margin-top: 1.5em; }
+  .method { font-family: monospace; background: #eef; padding: 2px 6px; }
+  .auth { color: #a50; }
+  pre { background: #f6f6f6; padding: 1em; overflow-x: auto; }
+</style>
+</head>
+<body>
+<h1>${title}</h1>
+<p>${escapeHtml(spec.info.description || '')}</p>
+<p><a href="openapi.json">OpenAPI document (JSON)</a></p>
+${sections.filter(Boolean).join('\n')}
+<h2>Schemas</h2>
+${schemas.join('\n')}
+</body>
+</html>
+`;
+}
+
+/**
+ * Create the handlers serving the document: GET /api/openapi.json and the
+ * HTML reference at GET /api/docs
+ */
+function createOpenApiHandlers(spec) {
+  let html = null;
+
+  return {
+    specHandler(req, res) {
+      res.json(spec);
+    },
+    docsHandler(req, res) {
+      html = html || renderDocs(spec);
+      res.type('html').send(html);
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_SPEC_FILE,
+  METHODS,
+  parseSpec,
+  loadSpec,
+  resolveRef,
+  validateSchema,
+  mergeParameters,
+  findOperation,
+  routeTemplate,
+  validateRequest,
+  validateResponse,
+  createOpenApiValidator,
+  renderDocs,
+  createOpenApiHandlers
+};
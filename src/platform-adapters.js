@@ -0,0 +1,117 @@
+const { execFile } = require('child_process');
+
+/**
+ * Platform adapters used by the blue-green orchestrator
+ *
+ * An adapter hides how slots are deployed and switched:
+ *  - describe()              `{ live: { slot, url }, idle: { slot, url } }`
+ *  - deploy(slot, release)   put `release` (`{ image, sha }`) on the idle slot
+ *  - swap()                  exchange live and idle; the orchestrator calls it
+ *                            again to roll back
+ * All methods are async. The orchestrator checks slots over HTTP, so an
+ * adapter only needs to report their URLs.
+ */
+
+/**
+ * Run an Azure CLI command and resolve with its trimmed stdout
+ */
+function runAz(args) {
+  return new Promise((resolve, reject) => {
+    execFile('az', args, { maxBuffer: 10 * 1024 * 1024 }, (error, stdout, stderr) => {
+      if (error) {
+        reject(new Error(`az ${args.slice(0, 3).join(' ')} failed: ${(stderr || error.message).trim()}`));
+        return;
+      }
+      resolve(stdout.trim());
+    });
+  });
+}
+
+/**
+ * Azure App Service: the production slot is live and `stagingSlot` is idle
+ * A swap exchanges their contents, so the slot names never change; after a
+ * swap the previous release sits in the staging slot, ready to swap back.
+ */
+function createAzureAdapter({
+  app, resourceGroup, stagingSlot = 'blue', run = runAz
+}) {
+  if (!app || !resourceGroup) {
+    throw new Error('The Azure adapter needs an app name and a resource group');
+  }
+
+  const target = ['--name', app, '--resource-group', resourceGroup];
+  const hostName = async (slot) => {
+    const slotArgs = slot === 'production' ? [] : ['--slot', slot];
+    return run(['webapp', 'show', ...target, ...slotArgs, '--query', 'defaultHostName', '--output', 'tsv']);
+  };
+
+  return {
+    platform: 'azure',
+    async describe() {
+      const [liveHost, idleHost] = await Promise.all([hostName('production'), hostName(stagingSlot)]);
+      return {
+        live: { slot: 'production', url: `https://${liveHost}` },
+        idle: { slot: stagingSlot, url: `https://${idleHost}` }
+      };
+    },
+    async deploy(slot, release) {
+      await run(['webapp', 'config', 'container', 'set', ...target, '--slot', slot,
+        '--docker-custom-image-name', release.image]);
+      await run(['webapp', 'config', 'appsettings', 'set', ...target, '--slot', slot,
+        '--settings', `SLOT_NAME=${slot}`, '--output', 'none']);
+    },
+    async swap() {
+      await run(['webapp', 'deployment', 'slot', 'swap', ...target,
+        '--slot', stagingSlot, '--target-slot', 'production']);
+    }
+  };
+}
+
+/**
+ * Two local slots (blue and green by default) with an in-memory live pointer
+ *
+ * `launch(slot, release)` starts the release for a slot, e.g. by spawning the
+ * app, and may resolve with the slot's new URL. Without it deploys only record
+ * the release, which is enough to exercise the orchestrator against instances
+ * that are already running.
+ */
+function createLocalAdapter({
+  urls = { blue: 'http://127.0.0.1:3001', green: 'http://127.0.0.1:3002' },
+  live = 'blue',
+  launch = async () => {}
+} = {}) {
+  const slotUrls = { ...urls };
+  const names = Object.keys(slotUrls);
+  if (names.length !== 2 || !names.includes(live)) {
+    throw new Error(`The local adapter needs exactly two slots, one of them "${live}"`);
+  }
+
+  let liveSlot = live;
+  const releases = {};
+  const idleSlot = () => names.find((name) => name !== liveSlot);
+
+  return {
+    platform: 'local',
+    releases,
+    async describe() {
+      return {
+        live: { slot: liveSlot, url: slotUrls[liveSlot] },
+        idle: { slot: idleSlot(), url: slotUrls[idleSlot()] }
+      };
+    },
+    async deploy(slot, release) {
+      const url = await launch(slot, release);
+      if (url) slotUrls[slot] = url;
+      releases[slot] = release;
+    },
+    async swap() {
+      liveSlot = idleSlot();
+    }
+  };
+}
+
+module.exports = {
+  runAz,
+  createAzureAdapter,
+  createLocalAdapter
+};
@@ -0,0 +1,466 @@
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const express = require('express');
+const { requireAdminToken } = require('./admin-auth');
+const { createAuth } = require('./auth');
+const { parseArgs } = require('./cli');
+const { metricsHandler, recordProxyRequest, setProxyUpstreamWeight } = require('./metrics');
+
+// Pins a request to a named upstream, like Azure App Service slot routing
+const ROUTING_NAME = 'x-ms-routing-name';
+// Remembers the weighted assignment so a client stays on one upstream
+const ASSIGNMENT_COOKIE = 'gas-routing';
+const UPSTREAM_HEADER = 'x-gas-upstream';
+const ADMIN_PREFIX = '/__proxy';
+
+const HOP_BY_HOP_HEADERS = [
+  'connection',
+  'keep-alive',
+  'proxy-authenticate',
+  'proxy-authorization',
+  'te',
+  'trailer',
+  'transfer-encoding',
+  'upgrade'
+];
+
+/**
+ * Parse a Cookie header; cookies whose value is not valid URI encoding are skipped
+ */
+function parseCookies(header = '') {
+  const cookies = {};
+
+  header.split(';').forEach((pair) => {
+    const separator = pair.indexOf('=');
+    if (separator > 0) {
+      const name = pair.slice(0, separator).trim();
+      try {
+        cookies[name] = decodeURIComponent(pair.slice(separator + 1).trim());
+      } catch (error) {
+        // A malformed cookie set by another site on the same host
+      }
+    }
+  });
+
+  return cookies;
+}
+
+function stripHopByHop(headers) {
+  const result = { ...headers };
+  const listed = String(headers.connection || '')
+    .split(',')
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean);
+
+  [...HOP_BY_HOP_HEADERS, ...listed].forEach((name) => {
+    delete result[name];
+  });
+
+  return result;
+}
+
+function validateWeight(name, weight) {
+  if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0) {
+    throw new Error(`Weight for upstream "${name}" must be a non-negative number`);
+  }
+}
+
+/**
+ * Create a weighted traffic-splitting reverse proxy
+ * `upstreams` is a list of `{ name, url, weight }` (e.g. stable/canary or
+ * blue/green). Requests are routed by, in order: an explicit
+ * `x-ms-routing-name` header, query parameter or cookie; the assignment cookie
+ * from an earlier response; a hash of `stickyHeader` when configured; and
+ * finally a weighted random pick. `auth` (from createAuth) guards the
+ * metrics endpoint with the viewer role like the app's /metrics; by default
+ * only the admin token is accepted. Returns the Express app plus helpers to
+ * inspect and change weights at runtime.
+ */
+function createProxy({
+  upstreams,
+  stickyHeader,
+  assignmentCookie = true,
+  adminToken,
+  auth = createAuth({ getAdminToken: () => adminToken }),
+  timeout = 30000,
+  random = Math.random
+}) {
+  if (!Array.isArray(upstreams) || upstreams.length === 0) {
+    throw new Error('At least one upstream is required');
+  }
+
+  const pool = new Map();
+  upstreams.forEach(({ name, url, weight = 0 }) => {
+    if (!name || pool.has(name)) {
+      throw new Error(`Upstream names must be unique and non-empty: "${name}"`);
+    }
+    validateWeight(name, weight);
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      throw new Error(`Invalid URL for upstream "${name}": ${url}`);
+    }
+    pool.set(name, { name, url: parsed, weight });
+  });
+
+  if ([...pool.values()].every((upstream) => upstream.weight === 0)) {
+    throw new Error('At least one upstream must have a positive weight');
+  }
+
+  const agents = {
+    'http:': new http.Agent({ keepAlive: true }),
+    'https:': new https.Agent({ keepAlive: true })
+  };
+
+  const totalWeight = () => [...pool.values()].reduce((sum, upstream) => sum + upstream.weight, 0);
+
+  const publishWeights = () => {
+    pool.forEach((upstream) => setProxyUpstreamWeight(upstream.name, upstream.weight));
+  };
+
+  function getUpstreams() {
+    const total = totalWeight();
+    return [...pool.values()].map(({ name, url, weight }) => ({
+      name,
+      url: url.toString(),
+      weight,
+      share: total > 0 ? weight / total : 0
+    }));
+  }
+
+  /**
+   * Replace the weights of the named upstreams atomically
+   */
+  function setWeights(weights) {
+    Object.entries(weights).forEach(([name, weight]) => {
+      if (!pool.has(name)) {
+        throw new Error(`Unknown upstream: ${name}`);
+      }
+      validateWeight(name, weight);
+    });
+
+    const total = [...pool.values()].reduce(
+      (sum, upstream) => sum + (weights[upstream.name] ?? upstream.weight),
+      0
+    );
+    if (total <= 0) {
+      throw new Error('At least one upstream must have a positive weight');
+    }
+
+    Object.entries(weights).forEach(([name, weight]) => {
+      pool.get(name).weight = weight;
+    });
+    publishWeights();
+
+    return getUpstreams();
+  }
+
+  // Map a point in [0, 1) onto the cumulative weight distribution
+  function pickByPoint(point) {
+    const target = point * totalWeight();
+    let cumulative = 0;
+    const candidates = [...pool.values()].filter((upstream) => upstream.weight > 0);
+
+    for (let i = 0; i < candidates.length; i += 1) {
+      cumulative += candidates[i].weight;
+      if (target < cumulative) return candidates[i];
+    }
+
+    return candidates[candidates.length - 1];
+  }
+
+  function resolvePinned(value) {
+    if (!value) return null;
+    if (value === 'self') return pool.values().next().value;
+    return pool.get(value) || null;
+  }
+
+  /**
+   * Choose the upstream for a request and explain why
+   */
+  function selectUpstream(req) {
+    const cookies = parseCookies(req.headers.cookie);
+    const query = new URL(req.originalUrl || req.url, 'http://proxy.local').searchParams;
+
+    const pinnedByQuery = resolvePinned(query.get(ROUTING_NAME));
+    if (pinnedByQuery) return { upstream: pinnedByQuery, reason: 'pinned-query' };
+
+    const pinned = resolvePinned(req.headers[ROUTING_NAME]) || resolvePinned(cookies[ROUTING_NAME]);
+    if (pinned) return { upstream: pinned, reason: 'pinned' };
+
+    if (assignmentCookie) {
+      const assigned = pool.get(cookies[ASSIGNMENT_COOKIE]);
+      if (assigned && assigned.weight > 0) return { upstream: assigned, reason: 'sticky-cookie' };
+    }
+
+    const stickyValue = stickyHeader && req.headers[stickyHeader.toLowerCase()];
+    if (stickyValue) {
+      const digest = crypto.createHash('sha1').update(String(stickyValue)).digest();
+      return { upstream: pickByPoint(digest.readUInt32BE(0) / 0x100000000), reason: 'sticky-header' };
+    }
+
+    return { upstream: pickByPoint(random()), reason: 'weighted' };
+  }
+
+  function responseCookies(proxyRes, { upstream, reason }) {
+    const cookies = [].concat(proxyRes.headers['set-cookie'] || []);
+
+    if (reason === 'pinned-query') {
+      cookies.push(`${ROUTING_NAME}=${encodeURIComponent(upstream.name)}; Path=/; HttpOnly`);
+    } else if (reason === 'weighted' && assignmentCookie) {
+      cookies.push(`${ASSIGNMENT_COOKIE}=${encodeURIComponent(upstream.name)}; Path=/; HttpOnly`);
+    }
+
+    return cookies;
+  }
+
+  function forward(req, res) {
+    const selection = selectUpstream(req);
+    const { upstream } = selection;
+    const start = process.hrtime.bigint();
+    const target = new URL(req.originalUrl, upstream.url);
+
+    let recorded = false;
+    const record = (statusCode) => {
+      if (recorded) return;
+      recorded = true;
+      recordProxyRequest(upstream.name, statusCode, Number(process.hrtime.bigint() - start) / 1e9);
+    };
+
+    const headers = stripHopByHop(req.headers);
+    headers.host = target.host;
+    headers['x-forwarded-for'] = [req.headers['x-forwarded-for'], req.socket.remoteAddress]
+      .filter(Boolean)
+      .join(', ');
+    headers['x-forwarded-host'] = req.headers.host;
+    headers['x-forwarded-proto'] = req.protocol;
+
+    const transport = target.protocol === 'https:' ? https : http;
+    const proxyReq = transport.request(target, {
+      method: req.method,
+      headers,
+      agent: agents[target.protocol],
+      timeout
+    }, (proxyRes) => {
+      const responseHeaders = stripHopByHop(proxyRes.headers);
+      const cookies = responseCookies(proxyRes, selection);
+      if (cookies.length > 0) {
+        responseHeaders['set-cookie'] = cookies;
+      }
+      responseHeaders[UPSTREAM_HEADER] = upstream.name;
+
+      res.writeHead(proxyRes.statusCode, responseHeaders);
+      proxyRes.pipe(res);
+      proxyRes.on('end', () => record(proxyRes.statusCode));
+
+      // The status line is already sent, so a truncated body can only be
+      // signalled by cutting the client connection
+      const abort = (error) => {
+        record(502);
+        res.destroy(error);
+      };
+      proxyRes.on('error', abort);
+      proxyRes.on('aborted', () => abort(new Error(`Upstream ${upstream.name} aborted the response`)));
+    });
+
+    // A client that goes away takes its upstream request with it; 499 is the
+    // "client closed request" status of nginx
+    res.on('close', () => {
+      if (res.writableFinished) return;
+      record(499);
+      proxyReq.destroy();
+    });
+
+    proxyReq.on('timeout', () => {
+      proxyReq.destroy(new Error(`Upstream ${upstream.name} timed out after ${timeout}ms`));
+    });
+
+    proxyReq.on('error', (error) => {
+      record(502);
+      if (res.destroyed) return;
+      if (res.headersSent) {
+        res.destroy(error);
+        return;
+      }
+      res.status(502).set(UPSTREAM_HEADER, upstream.name).json({
+        error: 'Bad Gateway',
+        message: error.message,
+        upstream: upstream.name,
+        timestamp: new Date().toISOString()
+      });
+    });
+
+    req.pipe(proxyReq);
+  }
+
+  const admin = express.Router();
+  admin.use(requireAdminToken(() => adminToken));
+  admin.use(express.json());
+
+  admin.get('/upstreams', (req, res) => {
+    res.json({ upstreams: getUpstreams(), timestamp: new Date().toISOString() });
+  });
+
+  admin.put('/weights', (req, res) => {
+    try {
+      const updated = setWeights(req.body || {});
+      res.json({ upstreams: updated, timestamp: new Date().toISOString() });
+    } catch (error) {
+      res.status(400).json({
+        error: 'Bad Request',
+        message: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+
+  const app = express();
+  app.disable('x-powered-by');
+  app.get(`${ADMIN_PREFIX}/metrics`, auth.requireRole('viewer'), metricsHandler);
+  app.use(ADMIN_PREFIX, admin);
+  app.use(forward);
+
+  publishWeights();
+
+  return {
+    app,
+    getUpstreams,
+    setWeights,
+    selectUpstream,
+    close() {
+      Object.values(agents).forEach((agent) => agent.destroy());
+    }
+  };
+}
+
+/**
+ * Parse `name=url` upstream and `name=weight` weight CLI values
+ * Without any weights the upstreams split traffic evenly; once weights are
+ * given, upstreams left out get none.
+ */
+function parseUpstreamArgs(upstreamArgs, weightArgs) {
+  const weights = {};
+  [].concat(weightArgs || []).forEach((value) => {
+    const [name, weight] = String(value).split('=');
+    weights[name] = Number(weight);
+  });
+  const defaultWeight = Object.keys(weights).length > 0 ? 0 : 1;
+
+  return [].concat(upstreamArgs || []).map((value) => {
+    const separator = String(value).indexOf('=');
+    if (separator <= 0) {
+      throw new Error(`Invalid upstream (expected name=url): ${value}`);
+    }
+    const name = value.slice(0, separator);
+    return { name, url: value.slice(separator + 1), weight: weights[name] ?? defaultWeight };
+  });
+}
+
+const USAGE = `Usage: node scripts/proxy.js --upstream <name=url> [--upstream <name=url> ...] [options]
+
+Options:
+  --weight <name=number>     Routing weight of an upstream (repeatable, default: even split)
+  --port <port>              Port to listen on (default: 8080)
+  --host <host>              Host to bind (default: 127.0.0.1)
+  --sticky-header <header>   Hash this request header to keep a client on one upstream
+  --no-assignment-cookie     Do not set the ${ASSIGNMENT_COOKIE} cookie on weighted picks
+  --admin-token <token>      Bearer token for ${ADMIN_PREFIX}/weights (or PROXY_ADMIN_TOKEN)
+
+${ADMIN_PREFIX}/metrics accepts the admin token and the viewer credentials of the
+app (AUTH_API_KEYS, AUTH_JWT_SECRET, AUTH_JWKS_FILE, AUTH_JWT_ISSUER/AUDIENCE).
+
+Example:
+  node scripts/proxy.js --upstream stable=http://127.0.0.1:3001 \\
+    --upstream canary=http://127.0.0.1:3002 --weight stable=90 --weight canary=10`;
+
+/**
+ * CLI entrypoint, resolves to the listening server (or null on usage errors)
+ * Usage errors set the exit code to 3; a port that cannot be bound rejects.
+ */
+async function main(argv, { stderr = process.stderr, env = process.env } = {}) {
+  let options;
+  let upstreams;
+  try {
+    options = parseArgs(argv);
+    upstreams = parseUpstreamArgs(options.upstream, options.weight);
+  } catch (error) {
+    stderr.write(`${error.message}\n${USAGE}\n`);
+    process.exitCode = 3;
+    return null;
+  }
+
+  if (options.help || upstreams.length === 0) {
+    stderr.write(`${USAGE}\n`);
+    process.exitCode = options.help ? 0 : 3;
+    return null;
+  }
+
+  const adminToken = options['admin-token'] || env.PROXY_ADMIN_TOKEN;
+  let auth;
+  try {
+    auth = createAuth({
+      apiKeys: env.AUTH_API_KEYS ? JSON.parse(env.AUTH_API_KEYS) : [],
+      jwt: {
+        secret: env.AUTH_JWT_SECRET,
+        jwksFile: env.AUTH_JWKS_FILE,
+        issuer: env.AUTH_JWT_ISSUER,
+        audience: env.AUTH_JWT_AUDIENCE,
+        rolesClaim: env.AUTH_JWT_ROLES_CLAIM
+      },
+      getAdminToken: () => adminToken
+    });
+  } catch (error) {
+    stderr.write(`Invalid authentication settings: ${error.message}\n`);
+    process.exitCode = 3;
+    return null;
+  }
+
+  const port = Number(options.port || 8080);
+  const host = options.host || '127.0.0.1';
+  let proxy;
+  try {
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+      throw new Error(`Invalid port: ${options.port}`);
+    }
+    proxy = createProxy({
+      upstreams,
+      stickyHeader: options['sticky-header'],
+      assignmentCookie: !options['no-assignment-cookie'],
+      adminToken,
+      auth
+    });
+  } catch (error) {
+    stderr.write(`${error.message}\n${USAGE}\n`);
+    process.exitCode = 3;
+    return null;
+  }
+
+  return new Promise((resolve, reject) => {
+    const server = proxy.app.listen(port, host, () => {
+      stderr.write(`Proxy listening on http://${host}:${server.address().port}\n`);
+      proxy.getUpstreams().forEach(({ name, url, share }) => {
+        stderr.write(`  ${name} -> ${url} (${Math.round(share * 100)}%)\n`);
+      });
+      resolve(server);
+    });
+    // e.g. EADDRINUSE: nothing listens, so the agents are not needed either
+    server.once('error', (error) => {
+      proxy.close();
+      reject(new Error(`Cannot listen on ${host}:${port}: ${error.message}`));
+    });
+    server.on('close', () => proxy.close());
+  });
+}
+
+module.exports = {
+  createProxy,
+  parseUpstreamArgs,
+  parseCookies,
+  main,
+  ROUTING_NAME,
+  ASSIGNMENT_COOKIE,
+  UPSTREAM_HEADER,
+  ADMIN_PREFIX
+};
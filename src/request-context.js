@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { trace, isSpanContextValid } = require('@opentelemetry/api');
+const winston = require('winston');
+
+const storage = new AsyncLocalStorage();
+
+const REQUEST_ID_HEADER = 'x-request-id';
+const TRACEPARENT_HEADER = 'traceparent';
+// Incoming request IDs are echoed into logs and headers, so keep them tame
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+const TRACEPARENT_PATTERN = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})(-.*)?$/;
+const INVALID_TRACE_ID = '0'.repeat(32);
+const INVALID_SPAN_ID = '0'.repeat(16);
+
+/**
+ * Parse a W3C `traceparent` header
+ * Returns `{ traceId, parentId, flags }` or null when missing or invalid.
+ */
+function parseTraceparent(header) {
+  const match = TRACEPARENT_PATTERN.exec(String(header || '').trim().toLowerCase());
+  if (!match) return null;
+
+  const [, version, traceId, parentId, flags, rest] = match;
+  // Version ff is forbidden; version 00 must not carry extra fields
+  if (version === 'ff' || (version === '00' && rest)) return null;
+  if (traceId === INVALID_TRACE_ID || parentId === INVALID_SPAN_ID) return null;
+
+  return { traceId, parentId, flags };
+}
+
+function formatTraceparent({ traceId, spanId, flags }) {
+  return `00-${traceId}-${spanId}-${flags}`;
+}
+
+/**
+ * Build the context for a request from its headers
+ * The trace ID is continued from `traceparent` when present; this request
+ * gets a fresh span ID. `x-request-id` is reused when sane, otherwise generated.
+ * With OpenTelemetry running, `spanContext` is the server span's, and its IDs
+ * are used so logs and responses match the exported trace.
+ */
+function createContext(headers = {}, spanContext = null) {
+  const parent = parseTraceparent(headers[TRACEPARENT_HEADER]);
+  const incomingId = headers[REQUEST_ID_HEADER];
+  const requestId = REQUEST_ID_PATTERN.test(incomingId || '') ? incomingId : crypto.randomUUID();
+
+  if (spanContext && isSpanContextValid(spanContext)) {
+    return {
+      requestId,
+      traceId: spanContext.traceId,
+      spanId: spanContext.spanId,
+      parentSpanId: parent && parent.traceId === spanContext.traceId ? parent.parentId : null,
+      flags: spanContext.traceFlags.toString(16).padStart(2, '0')
+    };
+  }
+
+  return {
+    requestId,
+    traceId: parent ? parent.traceId : crypto.randomBytes(16).toString('hex'),
+    spanId: crypto.randomBytes(8).toString('hex'),
+    parentSpanId: parent ? parent.parentId : null,
+    flags: parent ? parent.flags : '01'
+  };
+}
+
+/**
+ * Middleware that assigns request/trace IDs, echoes them in the response and
+ * runs the rest of the request inside an async context
+ */
+function requestContextMiddleware(req, res, next) {
+  const activeSpan = trace.getActiveSpan();
+  const context = createContext(req.headers, activeSpan ? activeSpan.spanContext() : null);
+
+  req.id = context.requestId;
+  req.traceContext = context;
+  res.set('X-Request-Id', context.requestId);
+  res.set('traceparent', formatTraceparent(context));
+
+  storage.run(context, next);
+}
+
+/**
+ * Context of the request currently being handled, if any
+ */
+function getRequestContext() {
+  return storage.getStore() || null;
+}
+
+/**
+ * Winston format adding the current request and trace IDs to every log line
+ */
+const requestContextFormat = winston.format((info) => {
+  const context = storage.getStore();
+  if (context) {
+    Object.assign(info, {
+      requestId: context.requestId,
+      traceId: context.traceId,
+      spanId: context.spanId
+    });
+  }
+  return info;
+});
+
+module.exports = {
+  requestContextMiddleware,
+  getRequestContext,
+  requestContextFormat,
+  parseTraceparent,
+  formatTraceparent,
+  createContext
+};
@@ -0,0 +1,64 @@
+const { createShutdownManager } = require('./shutdown');
+
+// Addresses that listen on every interface; clients connect through localhost
+const WILDCARD_HOSTS = ['0.0.0.0', '::'];
+
+/**
+ * Start listening with an app from createApp
+ *
+ * Options default to the app's configuration (PORT, HOST and the SHUTDOWN_*
+ * settings); `port: 0` picks a free ephemeral port. `onClose` hooks run after
+ * the app's own ones (closing the data store) when the server stops.
+ *
+ * Resolves once the server is listening to `{ server, port, url, stop }`.
+ * `stop(signal, { keepReady })` runs the connection-draining shutdown (see
+ * createShutdownManager) and resolves with its exit code; repeated calls share
+ * one shutdown. Rejects if the server cannot listen, e.g. when the port is taken.
+ */
+function startServer(app, {
+  port = app.locals.config.PORT,
+  host = app.locals.config.HOST,
+  logger = app.locals.logger,
+  preStopDelayMs = app.locals.config.SHUTDOWN_PRE_STOP_DELAY_MS,
+  timeoutMs = app.locals.config.SHUTDOWN_TIMEOUT_MS,
+  onClose = []
+} = {}) {
+  return new Promise((resolve, reject) => {
+    const server = app.listen(port, host);
+
+    server.once('error', reject);
+    server.once('listening', () => {
+      server.off('error', reject);
+
+      const { port: boundPort } = server.address();
+      const url = `http://${WILDCARD_HOSTS.includes(host) ? 'localhost' : host}:${boundPort}`;
+
+      // Connection-draining shutdown: readiness flips to 503 first, then in-flight
+      // requests drain before the hooks run
+      const shutdownManager = createShutdownManager(server, {
+        logger,
+        preStopDelayMs,
+        timeoutMs,
+        onClose: [...app.locals.onClose, ...[].concat(onClose)],
+        setDraining: app.locals.setDraining
+      });
+
+      logger.info(`Server started on ${host}:${boundPort}`);
+      logger.info(`Environment: ${app.locals.config.NODE_ENV}`);
+      logger.info(`Deployment Type: ${app.locals.config.DEPLOYMENT_TYPE}`);
+      logger.info(`Health check: ${url}/health`);
+      logger.info(`Metrics: ${url}/metrics`);
+
+      resolve({
+        server,
+        port: boundPort,
+        url,
+        stop: (signal = 'stop', options = {}) => shutdownManager.shutdown(signal, options)
+      });
+    });
+  });
+}
+
+module.exports = {
+  startServer
+};
@@ -0,0 +1,160 @@
+const { setDraining: setProcessDraining } = require('./health');
+const { setShutdownPhase, setInflightRequests } = require('./metrics');
+
+const PHASES = ['running', 'pre-stop', 'draining', 'closing', 'stopped'];
+
+/**
+ * Create a connection-draining shutdown lifecycle for an HTTP server
+ *
+ * Phases:
+ *  - pre-stop: readiness reports 503 so the load balancer stops routing here,
+ *    while requests keep being served for `preStopDelayMs`
+ *  - draining: stop accepting connections, close idle keep-alive sockets and
+ *    wait for in-flight requests to finish
+ *  - closing: run `onClose` hooks (e.g. flushing telemetry)
+ *  - stopped: resolve with exit code 0
+ * If `timeoutMs` passes first, remaining sockets are destroyed and the exit
+ * code is 1. Readiness is flipped with `setDraining`, the flag of the default
+ * health state of src/health.js unless an app brings its own.
+ */
+function createShutdownManager(server, {
+  logger = console,
+  preStopDelayMs = 5000,
+  timeoutMs = 30000,
+  onClose = [],
+  setDraining = setProcessDraining
+} = {}) {
+  const sockets = new Map();
+  let phase = 'running';
+  let inflight = 0;
+  let shutdownPromise = null;
+  let drained = null;
+
+  const enterPhase = (next) => {
+    phase = next;
+    setShutdownPhase(next, PHASES);
+    logger.info(`Shutdown phase: ${next}`, { phase: next, inflight });
+  };
+
+  const checkDrained = () => {
+    if (drained && inflight === 0) drained();
+  };
+
+  server.on('connection', (socket) => {
+    sockets.set(socket, 0);
+    socket.on('close', () => sockets.delete(socket));
+  });
+
+  // Runs before the app handler so the Connection header can still be set
+  server.prependListener('request', (req, res) => {
+    const { socket } = req;
+    sockets.set(socket, (sockets.get(socket) || 0) + 1);
+    inflight += 1;
+    setInflightRequests(inflight);
+
+    // Keep-alive clients should reconnect elsewhere once draining starts
+    if (phase !== 'running') {
+      res.setHeader('Connection', 'close');
+    }
+
+    let done = false;
+    const finish = () => {
+      if (done) return;
+      done = true;
+      inflight -= 1;
+      setInflightRequests(inflight);
+
+      const active = (sockets.get(socket) || 1) - 1;
+      if (sockets.has(socket)) sockets.set(socket, active);
+      if (active === 0 && (phase === 'draining' || phase === 'closing')) {
+        socket.end();
+      }
+      checkDrained();
+    };
+    res.on('finish', finish);
+    res.on('close', finish);
+  });
+
+  function closeIdleSockets() {
+    sockets.forEach((active, socket) => {
+      if (active === 0) socket.end();
+    });
+  }
+
+  async function runShutdown(signal, { keepReady }) {
+    logger.info(`${signal} received, starting graceful shutdown...`);
+    if (!keepReady) setDraining(true);
+
+    let timer;
+    const deadline = new Promise((resolve) => {
+      timer = setTimeout(() => resolve('timeout'), timeoutMs);
+      timer.unref();
+    });
+
+    const drain = async () => {
+      enterPhase('pre-stop');
+      await new Promise((resolve) => setTimeout(resolve, preStopDelayMs));
+
+      enterPhase('draining');
+      const closed = new Promise((resolve) => server.close(() => resolve()));
+      closeIdleSockets();
+      await new Promise((resolve) => {
+        drained = resolve;
+        checkDrained();
+      });
+      await closed;
+
+      enterPhase('closing');
+      for (const hook of [].concat(onClose)) {
+        try {
+          await hook();
+        } catch (error) {
+          logger.error('Shutdown hook failed', { error: error.message });
+        }
+      }
+      return 'done';
+    };
+
+    const outcome = await Promise.race([drain(), deadline]);
+    clearTimeout(timer);
+
+    if (outcome === 'timeout') {
+      logger.error('Forced shutdown after timeout', { phase, inflight, timeoutMs });
+      sockets.forEach((active, socket) => socket.destroy());
+      enterPhase('stopped');
+      return 1;
+    }
+
+    enterPhase('stopped');
+    logger.info('HTTP server closed');
+    return 0;
+  }
+
+  /**
+   * Start the shutdown; later calls return the same promise
+   * `keepReady` leaves readiness passing, for a process that stops while the
+   * instance stays in service (a cluster worker being replaced); clients
+   * still get `Connection: close` during pre-stop.
+   */
+  function shutdown(signal = 'shutdown', { keepReady = false } = {}) {
+    if (!shutdownPromise) {
+      shutdownPromise = runShutdown(signal, { keepReady });
+    } else {
+      logger.warn(`${signal} received while shutdown is already in progress`);
+    }
+    return shutdownPromise;
+  }
+
+  setShutdownPhase(phase, PHASES);
+
+  return {
+    shutdown,
+    getPhase: () => phase,
+    getInflight: () => inflight
+  };
+}
+
+module.exports = {
+  createShutdownManager,
+  PHASES
+};
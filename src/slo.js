@@ -0,0 +1,442 @@
+const fs = require('fs');
+const path = require('path');
+const { assertKnownOptions, parseArgs, parseDuration } = require('./cli');
+const { patternToRegExp } = require('./chaos');
+const {
+  HTTP_DURATION_BUCKETS, onRequestObserved, onScrape, setSloStatus
+} = require('./metrics');
+
+const DEFAULT_SLO_FILE = path.join(__dirname, '../config/slos.json');
+const DEFAULT_RULES_FILE = path.join(__dirname, '../infra/monitoring/slo-alerts.yml');
+const SLO_TYPES = ['availability', 'latency'];
+const DEFAULT_WINDOW = '30d';
+// Events are counted in fixed-width time buckets
+const BUCKET_MS = 60000;
+
+// Multi-window burn-rate alerts from the SRE workbook (tuned for a 30-day window):
+// an alert fires when both windows burn faster than `factor`
+const BURN_RATE_ALERTS = [
+  {
+    severity: 'page', longWindow: '1h', shortWindow: '5m', factor: 14.4
+  },
+  {
+    severity: 'page', longWindow: '6h', shortWindow: '30m', factor: 6
+  },
+  {
+    severity: 'ticket', longWindow: '1d', shortWindow: '2h', factor: 3
+  },
+  {
+    severity: 'ticket', longWindow: '3d', shortWindow: '6h', factor: 1
+  }
+];
+
+const BURN_RATE_WINDOWS = [...new Set(BURN_RATE_ALERTS.flatMap(({ longWindow, shortWindow }) => [
+  longWindow, shortWindow
+]))].sort((a, b) => parseDuration(a) - parseDuration(b));
+
+const USAGE = `Usage: node scripts/slo-rules.js [options]
+
+Generate Prometheus recording and alerting rules for the configured SLOs.
+
+Options:
+  --config <file>   SLO definitions (default: SLO_CONFIG or config/slos.json)
+  --output <file>   Rules file to write (default: infra/monitoring/slo-alerts.yml)
+  --check           Exit 1 instead of writing if the rules file is out of date
+  --help            Show this help
+
+Exit codes: 0 written/up to date, 1 out of date, 2 error, 3 invalid options`;
+
+/**
+ * Allowed error ratio for an objective given as a percentage
+ * Rounded so that e.g. 99.9 gives exactly 0.001.
+ */
+function errorBudget(objective) {
+  return Number((1 - objective / 100).toPrecision(12));
+}
+
+/**
+ * Validate an SLO definition and fill in defaults
+ * `availability` SLOs count non-5xx responses as good; `latency` SLOs count
+ * responses faster than `thresholdMs`, which must be a histogram bucket so
+ * the generated Prometheus rules measure the same thing.
+ */
+function normalizeSlo(definition, index) {
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    throw new Error(`SLO #${index} must be an object`);
+  }
+
+  const {
+    name, description = '', type, objective, routes = ['/**'], methods = null, window = DEFAULT_WINDOW
+  } = definition;
+
+  if (typeof name !== 'string' || !/^[a-zA-Z0-9][a-zA-Z0-9._-]*$/.test(name)) {
+    throw new Error(`SLO #${index}: invalid name "${name}"`);
+  }
+  if (!SLO_TYPES.includes(type)) {
+    throw new Error(`SLO "${name}": type must be one of ${SLO_TYPES.join(', ')}`);
+  }
+  if (typeof objective !== 'number' || objective <= 0 || objective >= 100) {
+    throw new Error(`SLO "${name}": objective must be a percentage between 0 and 100 (exclusive)`);
+  }
+  if (!Array.isArray(routes) || routes.length === 0
+    || routes.some((route) => typeof route !== 'string' || !route.startsWith('/'))) {
+    throw new Error(`SLO "${name}": routes must be path patterns starting with /`);
+  }
+  if (methods !== null && (!Array.isArray(methods) || methods.some((method) => typeof method !== 'string'))) {
+    throw new Error(`SLO "${name}": methods must be an array of strings`);
+  }
+
+  let windowMs;
+  try {
+    windowMs = parseDuration(window);
+  } catch (error) {
+    throw new Error(`SLO "${name}": ${error.message}`);
+  }
+
+  const slo = {
+    name,
+    description: String(description),
+    type,
+    objective,
+    routes,
+    methods: methods ? methods.map((method) => method.toUpperCase()) : null,
+    window,
+    windowMs
+  };
+
+  if (type === 'latency') {
+    const { thresholdMs } = definition;
+    if (!HTTP_DURATION_BUCKETS.includes(thresholdMs / 1000)) {
+      throw new Error(`SLO "${name}": thresholdMs must be one of the latency buckets `
+        + `(${HTTP_DURATION_BUCKETS.map((bucket) => bucket * 1000).join(', ')})`);
+    }
+    slo.thresholdMs = thresholdMs;
+  }
+
+  return slo;
+}
+
+function normalizeSlos(definitions) {
+  if (!Array.isArray(definitions)) {
+    throw new Error('SLOs must be an array');
+  }
+  const slos = definitions.map(normalizeSlo);
+  if (new Set(slos.map((slo) => slo.name)).size !== slos.length) {
+    throw new Error('SLO names must be unique');
+  }
+  return slos;
+}
+
+function isGoodEvent(slo, { statusCode, durationSeconds }) {
+  if (slo.type === 'latency') {
+    return durationSeconds <= slo.thresholdMs / 1000;
+  }
+  return statusCode < 500;
+}
+
+/**
+ * Create an SLO engine over a set of definitions
+ * `record` takes the observations published by metricsMiddleware; `evaluate`
+ * returns the rolling SLI, error budget, burn rates and firing alerts per SLO.
+ */
+function createSloEngine(definitions, { now = Date.now, bucketMs = BUCKET_MS } = {}) {
+  const slos = normalizeSlos(definitions).map((slo) => ({
+    ...slo,
+    matchers: slo.routes.map(patternToRegExp),
+    // Buckets of { total, good } keyed by start time, oldest first
+    buckets: new Map(),
+    retentionMs: Math.max(slo.windowMs, ...BURN_RATE_WINDOWS.map(parseDuration))
+  }));
+
+  const matches = (slo, { method, route }) => slo.matchers.some((matcher) => matcher.test(route))
+    && (!slo.methods || slo.methods.includes(method));
+
+  function prune(slo, bucketStart) {
+    for (const start of slo.buckets.keys()) {
+      if (start > bucketStart - slo.retentionMs) break;
+      slo.buckets.delete(start);
+    }
+  }
+
+  function record(observation) {
+    const bucketStart = Math.floor(now() / bucketMs) * bucketMs;
+
+    slos.forEach((slo) => {
+      if (!matches(slo, observation)) return;
+
+      let bucket = slo.buckets.get(bucketStart);
+      if (!bucket) {
+        bucket = { total: 0, good: 0 };
+        slo.buckets.set(bucketStart, bucket);
+        prune(slo, bucketStart);
+      }
+      bucket.total += 1;
+      if (isGoodEvent(slo, observation)) bucket.good += 1;
+    });
+  }
+
+  function countEvents(slo, windowMs, at) {
+    const events = { total: 0, good: 0 };
+    slo.buckets.forEach((bucket, start) => {
+      if (start + bucketMs > at - windowMs) {
+        events.total += bucket.total;
+        events.good += bucket.good;
+      }
+    });
+    return events;
+  }
+
+  function evaluate() {
+    const at = now();
+
+    return slos.map((slo) => {
+      const budget = errorBudget(slo.objective);
+      const events = countEvents(slo, slo.windowMs, at);
+      const sli = events.total > 0 ? events.good / events.total : 1;
+      const consumed = (1 - sli) / budget;
+
+      const burnRates = {};
+      BURN_RATE_WINDOWS.forEach((window) => {
+        const windowEvents = countEvents(slo, parseDuration(window), at);
+        burnRates[window] = windowEvents.total > 0
+          ? (1 - windowEvents.good / windowEvents.total) / budget
+          : 0;
+      });
+
+      const alerts = BURN_RATE_ALERTS
+        .filter(({ longWindow, shortWindow, factor }) => burnRates[longWindow] > factor
+          && burnRates[shortWindow] > factor)
+        .map((alert) => ({ ...alert }));
+
+      let status = 'ok';
+      if (consumed >= 1 || alerts.some((alert) => alert.severity === 'page')) {
+        status = 'critical';
+      } else if (alerts.length > 0) {
+        status = 'warning';
+      }
+
+      return {
+        name: slo.name,
+        description: slo.description,
+        type: slo.type,
+        objective: slo.objective,
+        ...(slo.type === 'latency' ? { thresholdMs: slo.thresholdMs } : {}),
+        window: slo.window,
+        events,
+        sli,
+        errorBudget: { allowed: budget, consumed, remaining: 1 - consumed },
+        burnRates,
+        alerts,
+        status
+      };
+    });
+  }
+
+  return {
+    record,
+    evaluate,
+    getSlos: () => slos.map(({
+      matchers: _matchers, buckets: _buckets, retentionMs: _retentionMs, windowMs: _windowMs, ...slo
+    }) => slo)
+  };
+}
+
+/**
+ * Create the SLOs of one app
+ * `file` is the JSON config read by loadSlos and `deploymentType` is reported
+ * by the /slo handler. Requests reach the engine through `recordRequest`.
+ */
+function createSlos({ file = DEFAULT_SLO_FILE, deploymentType = 'stable' } = {}) {
+  let engine = null;
+
+  /**
+   * Replace the SLO definitions; collected events are discarded
+   * Nothing changes if any definition is invalid.
+   */
+  function setSlos(definitions, options) {
+    engine = createSloEngine(definitions, options);
+    return engine.getSlos();
+  }
+
+  /**
+   * Load SLO definitions from a JSON config file, by default `file`
+   */
+  function loadSlos(from = file) {
+    const { slos } = JSON.parse(fs.readFileSync(from, 'utf8'));
+    return setSlos(slos);
+  }
+
+  /**
+   * Evaluate the current SLOs
+   */
+  function evaluateSlos() {
+    return engine ? engine.evaluate() : [];
+  }
+
+  /**
+   * GET /slo - rolling SLIs, error budgets and burn rates
+   */
+  function sloHandler(req, res) {
+    res.json({
+      deploymentType,
+      slos: evaluateSlos(),
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  return {
+    setSlos,
+    loadSlos,
+    evaluateSlos,
+    sloHandler,
+    recordRequest: (observation) => {
+      if (engine) engine.record(observation);
+    },
+    updateSloMetrics: () => setSloStatus(evaluateSlos())
+  };
+}
+
+/**
+ * PromQL regular expression matching the route labels of an SLO
+ */
+function routeRegex(slo) {
+  return slo.routes
+    .map((route) => patternToRegExp(route).source.slice(1, -1).replace(/\\\//g, '/'))
+    .join('|');
+}
+
+function selector(slo, extra = '') {
+  const matchers = [`route=~${JSON.stringify(routeRegex(slo))}`];
+  if (slo.methods) {
+    matchers.push(`method=~${JSON.stringify(slo.methods.join('|'))}`);
+  }
+  if (extra) {
+    matchers.push(extra);
+  }
+  return `{${matchers.join(',')}}`;
+}
+
+/**
+ * PromQL for the share of bad events of an SLO over a window, per deployment
+ */
+function errorRatioExpr(slo, window) {
+  if (slo.type === 'latency') {
+    const good = `gas_http_request_duration_seconds_bucket${selector(slo, `le="${slo.thresholdMs / 1000}"`)}`;
+    return `1 - (sum by (deployment) (rate(${good}[${window}]))`
+      + ` / sum by (deployment) (rate(gas_http_request_duration_seconds_count${selector(slo)}[${window}])))`;
+  }
+  return `sum by (deployment) (rate(gas_http_requests_total${selector(slo, 'status_code=~"5.."')}[${window}]))`
+    + ` / sum by (deployment) (rate(gas_http_requests_total${selector(slo)}[${window}]))`;
+}
+
+/**
+ * Generate a Prometheus rules file for a set of SLO definitions
+ * Each SLO gets error-ratio recording rules for every burn-rate window and
+ * one alert per multi-window burn-rate policy, matching `evaluate()`.
+ */
+function generateAlertRules(definitions) {
+  const slos = normalizeSlos(definitions);
+  // Single-quoted YAML keeps the double quotes inside PromQL readable
+  const quote = (value) => `'${String(value).replace(/'/g, "''")}'`;
+  const lines = [
+    '# Generated from config/slos.json by `npm run slo:rules` - do not edit by hand',
+    slos.length > 0 ? 'groups:' : 'groups: []'
+  ];
+
+  slos.forEach((slo) => {
+    const budget = errorBudget(slo.objective);
+    lines.push(`  - name: ${quote(`slo-${slo.name}`)}`, '    rules:');
+
+    BURN_RATE_WINDOWS.forEach((window) => {
+      lines.push(
+        `      - record: gas_slo:error_ratio:rate${window}`,
+        `        expr: ${quote(errorRatioExpr(slo, window))}`,
+        '        labels:',
+        `          slo: ${quote(slo.name)}`
+      );
+    });
+
+    BURN_RATE_ALERTS.forEach(({
+      severity, longWindow, shortWindow, factor
+    }) => {
+      const threshold = `(${factor} * ${budget})`;
+      const ratio = (window) => `gas_slo:error_ratio:rate${window}{slo=${JSON.stringify(slo.name)}}`;
+      lines.push(
+        '      - alert: GasSloErrorBudgetBurn',
+        `        expr: ${quote(`${ratio(longWindow)} > ${threshold} and ${ratio(shortWindow)} > ${threshold}`)}`,
+        '        labels:',
+        `          severity: ${severity}`,
+        `          slo: ${quote(slo.name)}`,
+        `          window: ${quote(longWindow)}`,
+        '        annotations:',
+        `          summary: ${quote(`SLO ${slo.name} is burning its error budget ${factor}x too fast`)}`,
+        `          description: ${quote(`${slo.objective}% ${slo.type} objective over ${slo.window}; `
+          + `burn rate above ${factor} over both ${longWindow} and ${shortWindow} on {{ $labels.deployment }}`)}`
+      );
+    });
+  });
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * CLI entry point for scripts/slo-rules.js; resolves to the exit code
+ */
+function main(argv, { stdout = process.stdout, stderr = process.stderr } = {}) {
+  let options;
+  try {
+    options = parseArgs(argv);
+    assertKnownOptions(options, ['config', 'output', 'check', 'help']);
+  } catch (error) {
+    stderr.write(`${error.message}\n${USAGE}\n`);
+    return 3;
+  }
+
+  if (options.help) {
+    stdout.write(`${USAGE}\n`);
+    return 0;
+  }
+
+  const output = options.output || DEFAULT_RULES_FILE;
+  try {
+    const { slos } = JSON.parse(fs.readFileSync(options.config || process.env.SLO_CONFIG || DEFAULT_SLO_FILE, 'utf8'));
+    const rules = generateAlertRules(slos);
+
+    if (options.check) {
+      const current = fs.existsSync(output) ? fs.readFileSync(output, 'utf8') : '';
+      if (current !== rules) {
+        stderr.write(`${output} is out of date; run npm run slo:rules\n`);
+        return 1;
+      }
+      stdout.write(`${output} is up to date\n`);
+      return 0;
+    }
+
+    fs.writeFileSync(output, rules);
+    stdout.write(`Wrote ${slos.length} SLO rule group(s) to ${output}\n`);
+    return 0;
+  } catch (error) {
+    stderr.write(`SLO rule generation failed: ${error.message}\n`);
+    return 2;
+  }
+}
+
+// SLOs used outside an app (tests), fed from metricsMiddleware and refreshed
+// on scrapes of the default /metrics handler; each app creates its own
+const defaultSlos = createSlos();
+onRequestObserved(defaultSlos.recordRequest);
+onScrape(defaultSlos.updateSloMetrics);
+
+module.exports = {
+  BURN_RATE_ALERTS,
+  BURN_RATE_WINDOWS,
+  createSloEngine,
+  createSlos,
+  setSlos: defaultSlos.setSlos,
+  loadSlos: defaultSlos.loadSlos,
+  evaluateSlos: defaultSlos.evaluateSlos,
+  sloHandler: defaultSlos.sloHandler,
+  generateAlertRules,
+  errorRatioExpr,
+  main
+};
@@ -0,0 +1,462 @@
+const fs = require('fs');
+const path = require('path');
+const {
+  isUrl, parseArgs, parseDuration, parseHeaders
+} = require('./cli');
+
+/**
+ * Declarative post-deploy smoke tests
+ *
+ * A suite is a JSON file with `defaults` and a list of `checks`:
+ *
+ *   {
+ *     "name": "root",
+ *     "path": "/",
+ *     "status": 200,                 // or a list of accepted statuses
+ *     "latencyBudgetMs": 1000,
+ *     "retries": 2,                  // extra attempts, with exponential backoff
+ *     "backoffMs": 500,
+ *     "contains": "some text",       // substring of the body
+ *     "json": [{ "path": "$.deploymentType", "equals": "{{deploymentType}}" }]
+ *   }
+ *
+ * JSON assertions take one of `equals`, `oneOf`, `matches` (a regular
+ * expression), `exists` or `type`. `{{name}}` in an expected value is replaced
+ * by the target's variable; assertions that use a variable the target does
+ * not set are skipped.
+ */
+
+const DEFAULT_SUITE_FILE = path.join(__dirname, '../config/smoke-suite.json');
+
+const DEFAULT_CHECK = {
+  method: 'GET',
+  status: 200,
+  timeoutMs: 5000,
+  latencyBudgetMs: 1000,
+  retries: 2,
+  backoffMs: 500,
+  maxBackoffMs: 30000,
+  headers: {}
+};
+
+const OPERATORS = ['equals', 'oneOf', 'matches', 'exists', 'type'];
+
+/**
+ * Validate a suite and apply its defaults to every check
+ */
+function normalizeSuite(suite) {
+  if (!suite || !Array.isArray(suite.checks) || suite.checks.length === 0) {
+    throw new Error('A smoke suite needs a non-empty "checks" list');
+  }
+  const defaults = { ...DEFAULT_CHECK, ...(suite.defaults || {}) };
+  const names = new Set();
+
+  const checks = suite.checks.map((check, index) => {
+    const name = check.name || check.path;
+    if (typeof check.path !== 'string' || !check.path.startsWith('/')) {
+      throw new Error(`Check #${index} needs a path starting with /`);
+    }
+    if (names.has(name)) {
+      throw new Error(`Duplicate check name "${name}"`);
+    }
+    names.add(name);
+    (check.json || []).forEach((assertion) => {
+      if (typeof assertion.path !== 'string' || !assertion.path.startsWith('$')) {
+        throw new Error(`Check "${name}": JSON assertion paths must start with $`);
+      }
+      if (!OPERATORS.some((operator) => assertion[operator] !== undefined)) {
+        throw new Error(`Check "${name}": assertion on ${assertion.path} needs one of ${OPERATORS.join(', ')}`);
+      }
+    });
+    return {
+      ...defaults,
+      ...check,
+      name,
+      status: [].concat(check.status ?? defaults.status),
+      headers: { ...defaults.headers, ...(check.headers || {}) }
+    };
+  });
+
+  return { name: suite.name || 'smoke', checks };
+}
+
+/**
+ * Read and validate a suite file (the bundled default suite when omitted)
+ */
+function loadSuite(file = DEFAULT_SUITE_FILE) {
+  return normalizeSuite(JSON.parse(fs.readFileSync(file, 'utf8')));
+}
+
+/**
+ * Resolve a JSONPath subset (`$`, `.key`, `['key']`, `[index]`) against a value
+ * Returns `{ found, value }`.
+ */
+function resolvePath(value, jsonPath) {
+  const tokens = [];
+  const pattern = /\.([^.[\]]+)|\[(\d+)\]|\[['"]([^'"]+)['"]\]/g;
+  let rest = jsonPath.slice(1);
+  let match = pattern.exec(rest);
+  while (match && match.index === 0) {
+    tokens.push(match[1] ?? (match[2] !== undefined ? Number(match[2]) : match[3]));
+    rest = rest.slice(match[0].length);
+    pattern.lastIndex = 0;
+    match = pattern.exec(rest);
+  }
+  if (rest !== '') {
+    throw new Error(`Unsupported JSON path: ${jsonPath}`);
+  }
+
+  return tokens.reduce((current, token) => {
+    if (!current.found || current.value === null || typeof current.value !== 'object'
+      || !Object.prototype.hasOwnProperty.call(current.value, token)) {
+      return { found: false };
+    }
+    return { found: true, value: current.value[token] };
+  }, { found: true, value });
+}
+
+/**
+ * Replace `{{name}}` placeholders in an expected value
+ * Returns undefined when a placeholder has no variable.
+ */
+function substitute(expected, vars) {
+  if (Array.isArray(expected)) {
+    const values = expected.map((item) => substitute(item, vars));
+    return values.includes(undefined) ? undefined : values;
+  }
+  if (typeof expected !== 'string') return expected;
+
+  let missing = false;
+  const value = expected.replace(/\{\{(\w+)\}\}/g, (_, name) => {
+    if (vars[name] === undefined || vars[name] === null) missing = true;
+    return String(vars[name]);
+  });
+  return missing ? undefined : value;
+}
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  return Array.isArray(value) ? 'array' : typeof value;
+};
+
+/**
+ * Evaluate one JSON assertion; returns `{ passed, skipped, message }`
+ */
+function evaluateAssertion(body, assertion, vars = {}) {
+  const operator = OPERATORS.find((name) => assertion[name] !== undefined);
+  const expected = substitute(assertion[operator], vars);
+  if (expected === undefined) {
+    return { skipped: true, message: `${assertion.path}: skipped, variable not set` };
+  }
+
+  const { found, value } = resolvePath(body, assertion.path);
+  const shown = JSON.stringify(value);
+  let passed;
+  let message;
+
+  switch (operator) {
+    case 'exists':
+      passed = found === Boolean(expected);
+      message = `${assertion.path} ${expected ? 'is missing' : 'should not exist'}`;
+      break;
+    case 'type':
+      passed = found && typeOf(value) === expected;
+      message = `${assertion.path} is ${found ? typeOf(value) : 'missing'}, expected ${expected}`;
+      break;
+    case 'oneOf':
+      passed = found && expected.includes(value);
+      message = `${assertion.path} is ${shown}, expected one of ${JSON.stringify(expected)}`;
+      break;
+    case 'matches':
+      passed = found && new RegExp(expected).test(String(value));
+      message = `${assertion.path} is ${shown}, expected to match /${expected}/`;
+      break;
+    default:
+      passed = found && JSON.stringify(value) === JSON.stringify(expected);
+      message = `${assertion.path} is ${found ? shown : 'missing'}, expected ${JSON.stringify(expected)}`;
+  }
+
+  return { passed, skipped: false, message: passed ? null : message };
+}
+
+/**
+ * Send a check's request once and return what failed
+ */
+async function attemptCheck(baseUrl, check, vars, headers) {
+  const startedAt = process.hrtime.bigint();
+  let response;
+  let text;
+  try {
+    response = await fetch(new URL(check.path, baseUrl), {
+      method: check.method,
+      headers: { ...headers, ...check.headers },
+      signal: AbortSignal.timeout(check.timeoutMs)
+    });
+    text = await response.text();
+  } catch (error) {
+    return { status: null, durationMs: null, failures: [`${check.method} ${check.path} failed: ${error.message}`] };
+  }
+  const durationMs = Math.round(Number(process.hrtime.bigint() - startedAt) / 1e6);
+
+  const failures = [];
+  let skipped = 0;
+  if (!check.status.includes(response.status)) {
+    failures.push(`status ${response.status}, expected ${check.status.join(' or ')}`);
+  }
+  if (durationMs > check.latencyBudgetMs) {
+    failures.push(`took ${durationMs}ms, budget ${check.latencyBudgetMs}ms`);
+  }
+  if (check.contains !== undefined && !text.includes(check.contains)) {
+    failures.push(`body does not contain ${JSON.stringify(check.contains)}`);
+  }
+  if (check.json && check.json.length > 0) {
+    let body;
+    try {
+      body = JSON.parse(text);
+    } catch (error) {
+      failures.push('body is not JSON');
+    }
+    if (body !== undefined) {
+      check.json.forEach((assertion) => {
+        const result = evaluateAssertion(body, assertion, vars);
+        if (result.skipped) skipped += 1;
+        else if (!result.passed) failures.push(result.message);
+      });
+    }
+  }
+
+  return {
+    status: response.status, durationMs, failures, skippedAssertions: skipped
+  };
+}
+
+/**
+ * Run one check against a target, retrying failures with exponential backoff
+ */
+async function runCheck(target, check, { headers = {}, sleep }) {
+  const vars = target.vars || {};
+  let attempts = 0;
+  let result;
+
+  for (;;) {
+    attempts += 1;
+    result = await attemptCheck(target.url, check, vars, headers);
+    if (result.failures.length === 0 || attempts > check.retries) break;
+    await sleep(Math.min(check.backoffMs * 2 ** (attempts - 1), check.maxBackoffMs));
+  }
+
+  return {
+    name: check.name,
+    method: check.method,
+    path: check.path,
+    passed: result.failures.length === 0,
+    attempts,
+    status: result.status,
+    durationMs: result.durationMs,
+    failures: result.failures,
+    ...(result.skippedAssertions ? { skippedAssertions: result.skippedAssertions } : {})
+  };
+}
+
+/**
+ * Run a suite against targets (`{ name, url, vars }`) and return the report
+ * Targets run in parallel; checks run in order within a target.
+ */
+async function runSuite(suite, targets, {
+  headers,
+  sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+} = {}) {
+  const normalized = normalizeSuite(suite);
+  const startedAt = new Date();
+
+  const results = await Promise.all(targets.map(async (target) => {
+    const targetStartedAt = Date.now();
+    const checks = [];
+    for (const check of normalized.checks) {
+      checks.push(await runCheck(target, check, { headers, sleep }));
+    }
+    return {
+      name: target.name,
+      url: target.url,
+      vars: target.vars || {},
+      passed: checks.every((check) => check.passed),
+      durationMs: Date.now() - targetStartedAt,
+      checks
+    };
+  }));
+
+  const all = results.flatMap((target) => target.checks);
+  return {
+    suite: normalized.name,
+    startedAt: startedAt.toISOString(),
+    durationMs: Date.now() - startedAt.getTime(),
+    passed: results.every((target) => target.passed),
+    summary: {
+      total: all.length,
+      passed: all.filter((check) => check.passed).length,
+      failed: all.filter((check) => !check.passed).length
+    },
+    targets: results
+  };
+}
+
+/**
+ * One line per failed check, e.g. for assertion messages in Jest
+ */
+function formatFailures(report) {
+  return report.targets.flatMap((target) => target.checks
+    .filter((check) => !check.passed)
+    .map((check) => `${target.name} ${check.name}: ${check.failures.join('; ')}`));
+}
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const seconds = (ms) => ((ms || 0) / 1000).toFixed(3);
+
+/**
+ * Render a report as JUnit XML, one test suite per target
+ */
+function toJUnitXml(report) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${escapeXml(report.suite)}" tests="${report.summary.total}" `
+      + `failures="${report.summary.failed}" time="${seconds(report.durationMs)}">`
+  ];
+
+  report.targets.forEach((target) => {
+    const failures = target.checks.filter((check) => !check.passed).length;
+    lines.push(`  <testsuite name="${escapeXml(`${report.suite}.${target.name}`)}" tests="${target.checks.length}" `
+      + `failures="${failures}" time="${seconds(target.durationMs)}" timestamp="${report.startedAt}">`);
+    lines.push(`    <properties><property name="url" value="${escapeXml(target.url)}"/></properties>`);
+    target.checks.forEach((check) => {
+      const open = `    <testcase classname="${escapeXml(`${report.suite}.${target.name}`)}" `
+        + `name="${escapeXml(`${check.method} ${check.path} (${check.name})`)}" time="${seconds(check.durationMs)}"`;
+      if (check.passed) {
+        lines.push(`${open}/>`);
+        return;
+      }
+      lines.push(`${open}>`);
+      lines.push(`      <failure message="${escapeXml(check.failures[0])}">`
+        + `${escapeXml(`${check.failures.join('\n')}\n(after ${check.attempts} attempts)`)}</failure>`);
+      lines.push('    </testcase>');
+    });
+    lines.push('  </testsuite>');
+  });
+
+  lines.push('</testsuites>');
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Parse `--url [name=]url` and `--var [target.]name=value` options into targets
+ * Targets named after a deployment type (blue, canary, ...) expect that
+ * `deploymentType` unless a variable overrides it.
+ */
+function parseTargets(urlArgs, varArgs) {
+  const targets = [].concat(urlArgs || []).map((value) => {
+    const match = /^([\w.-]+)=(.+)$/.exec(String(value));
+    const [name, url] = match ? [match[1], match[2]] : [String(value), String(value)];
+    if (!isUrl(url)) {
+      throw new Error(`Invalid URL for ${name}: ${url}`);
+    }
+    const vars = ['stable', 'canary', 'blue', 'green', 'staging'].includes(name) ? { deploymentType: name } : {};
+    return { name, url, vars };
+  });
+
+  const assignments = [].concat(varArgs || []).map((value) => {
+    const match = /^(?:([\w.-]+)\.)?(\w+)=(.*)$/.exec(String(value));
+    if (!match) {
+      throw new Error(`Invalid variable (expected [target.]name=value): ${value}`);
+    }
+    const [, targetName, name, varValue] = match;
+    if (targetName && !targets.some((target) => target.name === targetName)) {
+      throw new Error(`Variable ${value} names an unknown target`);
+    }
+    return { targetName, name, value: varValue };
+  });
+
+  // Later variables override earlier ones
+  return targets.map((target) => ({
+    ...target,
+    vars: assignments
+      .filter(({ targetName }) => !targetName || targetName === target.name)
+      .reduce((vars, { name, value }) => ({ ...vars, [name]: value }), target.vars)
+  }));
+}
+
+const USAGE = `Usage: node scripts/smoke.js --url <[name=]url> [--url <[name=]url> ...] [options]
+
+Options:
+  --suite <file>           Suite to run (default: config/smoke-suite.json)
+  --var <[target.]k=v>     Variable used by {{k}} in assertions, for one or all targets (repeatable);
+                           targets named blue, green, canary, ... expect that deploymentType
+  --retries <n>            Override the retries of every check
+  --backoff <duration>     Override the initial retry backoff of every check
+  --header <name:value>    Extra header sent with every request (repeatable)
+  --junit <file>           Write a JUnit XML report
+  --output <file>          Write the JSON report to this file as well as stdout
+
+Exit codes: 0 = all checks passed, 1 = a check failed, 3 = error`;
+
+/**
+ * CLI entrypoint, returns the process exit code
+ */
+async function main(argv, { stdout = process.stdout, stderr = process.stderr } = {}) {
+  let options;
+  let targets;
+  try {
+    options = parseArgs(argv);
+    targets = parseTargets(options.url, options.var);
+  } catch (error) {
+    stderr.write(`${error.message}\n${USAGE}\n`);
+    return 3;
+  }
+
+  if (options.help || targets.length === 0) {
+    stderr.write(`${USAGE}\n`);
+    return options.help ? 0 : 3;
+  }
+
+  try {
+    const loaded = loadSuite(options.suite || DEFAULT_SUITE_FILE);
+    const suite = {
+      ...loaded,
+      checks: loaded.checks.map((check) => ({
+        ...check,
+        ...(options.retries !== undefined ? { retries: Number(options.retries) } : {}),
+        ...(options.backoff !== undefined ? { backoffMs: parseDuration(options.backoff) } : {})
+      }))
+    };
+
+    const report = await runSuite(suite, targets, { headers: parseHeaders(options.header) });
+
+    const json = JSON.stringify(report, null, 2);
+    stdout.write(`${json}\n`);
+    if (options.output) fs.writeFileSync(options.output, `${json}\n`);
+    if (options.junit) fs.writeFileSync(options.junit, toJUnitXml(report));
+
+    formatFailures(report).forEach((line) => stderr.write(`FAIL ${line}\n`));
+    stderr.write(`Smoke tests: ${report.summary.passed}/${report.summary.total} passed\n`);
+    return report.passed ? 0 : 1;
+  } catch (error) {
+    stderr.write(`Smoke tests failed to run: ${error.message}\n`);
+    return 3;
+  }
+}
+
+module.exports = {
+  DEFAULT_SUITE_FILE,
+  normalizeSuite,
+  loadSuite,
+  resolvePath,
+  evaluateAssertion,
+  runSuite,
+  formatFailures,
+  toJUnitXml,
+  parseTargets,
+  main
+};
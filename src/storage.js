@@ -0,0 +1,191 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Storage adapters for the /api/data resource
+ *
+ * Every adapter implements the same async interface:
+ *  - init()                          open the store
+ *  - list()                          all records
+ *  - get(id)                         one record or null
+ *  - put(record, { ifVersion })      create or replace; when `ifVersion` is
+ *                                    given the stored version must match
+ *  - delete(id, { ifVersion })       true when a record was removed
+ *  - getSchemaVersion() / setSchemaVersion(version)
+ *  - ping()                          throws when the store is unusable
+ *  - close()
+ * A version mismatch throws an error with code `EVERSION`.
+ */
+
+const STORAGE_DRIVERS = ['memory', 'file'];
+const DEFAULT_STORAGE_FILE = path.join(__dirname, '../data/data.json');
+
+function versionMismatch(id, expected, actual) {
+  const error = new Error(`Record "${id}" is at version ${actual}, expected ${expected}`);
+  error.code = 'EVERSION';
+  error.currentVersion = actual;
+  return error;
+}
+
+function checkVersion(id, current, ifVersion) {
+  if (ifVersion === undefined) return;
+  const actual = current ? current.version : null;
+  if (actual !== ifVersion) {
+    throw versionMismatch(id, ifVersion, actual);
+  }
+}
+
+const clone = (value) => (value === null || value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+/**
+ * In-memory store; contents are lost on restart
+ */
+function createMemoryStore() {
+  const records = new Map();
+  let schemaVersion = 0;
+
+  return {
+    driver: 'memory',
+    async init() {
+      // Nothing to open
+    },
+    async list() {
+      return [...records.values()].map(clone);
+    },
+    async get(id) {
+      return clone(records.get(id));
+    },
+    async put(record, { ifVersion } = {}) {
+      checkVersion(record.id, records.get(record.id), ifVersion);
+      records.set(record.id, clone(record));
+      return clone(record);
+    },
+    async delete(id, { ifVersion } = {}) {
+      checkVersion(id, records.get(id), ifVersion);
+      return records.delete(id);
+    },
+    async getSchemaVersion() {
+      return schemaVersion;
+    },
+    async setSchemaVersion(version) {
+      schemaVersion = version;
+    },
+    async ping() {
+      // Always reachable
+    },
+    async close() {
+      // Nothing to release
+    }
+  };
+}
+
+/**
+ * JSON file store
+ * Records are cached in memory and every change is written through to `file`
+ * (via a temporary file and rename, so readers never see a partial write).
+ * Writes are serialized; two instances must not share the same file.
+ */
+function createFileStore(file = DEFAULT_STORAGE_FILE) {
+  const memory = createMemoryStore();
+  let writes = Promise.resolve();
+
+  const snapshot = async () => ({
+    schemaVersion: await memory.getSchemaVersion(),
+    records: await memory.list()
+  });
+
+  // Queue a write of the current contents behind any pending one
+  const persist = () => {
+    const write = writes.then(async () => {
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmp, `${JSON.stringify(await snapshot(), null, 2)}\n`);
+      await fs.promises.rename(tmp, file);
+    });
+    // A failed write must not block later ones
+    writes = write.catch(() => {});
+    return write;
+  };
+
+  // Write a change made in memory through to the file, undoing it in memory
+  // when the write fails (unless a later change has replaced it since)
+  const writeThrough = async (id, previous, stored) => {
+    try {
+      await persist();
+    } catch (error) {
+      if (JSON.stringify(await memory.get(id)) === JSON.stringify(stored)) {
+        await (previous ? memory.put(previous) : memory.delete(id));
+      }
+      throw error;
+    }
+  };
+
+  return {
+    driver: 'file',
+    file,
+    async init() {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      let contents;
+      try {
+        contents = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        contents = { schemaVersion: 0, records: [] };
+      }
+      await memory.setSchemaVersion(contents.schemaVersion || 0);
+      await Promise.all((contents.records || []).map((record) => memory.put(record)));
+    },
+    list: memory.list,
+    get: memory.get,
+    async put(record, options) {
+      const previous = await memory.get(record.id);
+      const stored = await memory.put(record, options);
+      await writeThrough(record.id, previous, stored);
+      return stored;
+    },
+    async delete(id, options) {
+      const previous = await memory.get(id);
+      const deleted = await memory.delete(id, options);
+      if (deleted) await writeThrough(id, previous, null);
+      return deleted;
+    },
+    getSchemaVersion: memory.getSchemaVersion,
+    async setSchemaVersion(version) {
+      const previous = await memory.getSchemaVersion();
+      await memory.setSchemaVersion(version);
+      try {
+        await persist();
+      } catch (error) {
+        if (await memory.getSchemaVersion() === version) await memory.setSchemaVersion(previous);
+        throw error;
+      }
+    },
+    async ping() {
+      await fs.promises.access(path.dirname(file), fs.constants.W_OK);
+    },
+    async close() {
+      await writes;
+    }
+  };
+}
+
+/**
+ * Create the store selected by STORAGE_DRIVER (`memory` or `file`)
+ * The file driver writes to STORAGE_FILE, defaulting to data/data.json.
+ */
+function createStore(env = process.env) {
+  const driver = env.STORAGE_DRIVER || 'memory';
+  if (driver === 'memory') {
+    return createMemoryStore();
+  }
+  if (driver === 'file') {
+    return createFileStore(env.STORAGE_FILE || DEFAULT_STORAGE_FILE);
+  }
+  throw new Error(`Unknown STORAGE_DRIVER "${driver}"; expected one of ${STORAGE_DRIVERS.join(', ')}`);
+}
+
+module.exports = {
+  STORAGE_DRIVERS,
+  createMemoryStore,
+  createFileStore,
+  createStore
+};
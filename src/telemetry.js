@@ -0,0 +1,103 @@
+const { metrics } = require('@opentelemetry/api');
+const { OTLPTraceExporter } = require('@opentelemetry/exporter-trace-otlp-http');
+const { OTLPMetricExporter } = require('@opentelemetry/exporter-metrics-otlp-http');
+const { registerInstrumentations } = require('@opentelemetry/instrumentation');
+const { ExpressInstrumentation, ExpressLayerType } = require('@opentelemetry/instrumentation-express');
+const { HttpInstrumentation } = require('@opentelemetry/instrumentation-http');
+const { resourceFromAttributes } = require('@opentelemetry/resources');
+const { MeterProvider, PeriodicExportingMetricReader } = require('@opentelemetry/sdk-metrics');
+const { BatchSpanProcessor, NodeTracerProvider } = require('@opentelemetry/sdk-trace-node');
+const { ATTR_SERVICE_NAME, ATTR_SERVICE_VERSION } = require('@opentelemetry/semantic-conventions');
+
+// Probes and scrapes would drown out real traffic
+const DEFAULT_IGNORED_PATHS = ['/health/live', '/health/ready', '/metrics'];
+// Application Insights ships its own telemetry over HTTP; tracing it would loop
+const IGNORED_HOSTS = /\.(applicationinsights|monitor)\.azure\.com$/;
+
+/**
+ * Resource attributes shared by every span and metric of this instance
+ */
+function buildResource({
+  serviceName, serviceVersion, deploymentType, environment, slot
+}) {
+  return resourceFromAttributes({
+    [ATTR_SERVICE_NAME]: serviceName,
+    [ATTR_SERVICE_VERSION]: serviceVersion,
+    'deployment.type': deploymentType,
+    'deployment.environment.name': environment,
+    ...(slot ? { 'deployment.slot': slot } : {})
+  });
+}
+
+/**
+ * Start OpenTelemetry tracing and metrics, exported over OTLP/HTTP (JSON)
+ *
+ * Instruments inbound and outbound HTTP and Express routing. Traces go to
+ * `<endpoint>/v1/traces` and metrics to `<endpoint>/v1/metrics`;
+ * OTEL_EXPORTER_OTLP_HEADERS and the OTEL_BSP_* variables are honored by the
+ * SDK. Instrumentation only applies to modules required afterwards, so call
+ * this before requiring express. Independent of Application Insights and the
+ * prom-client registry behind /metrics.
+ *
+ * Returns `{ tracerProvider, meterProvider, shutdown }`; `shutdown` flushes
+ * pending telemetry.
+ */
+function startTelemetry({
+  endpoint,
+  serviceName,
+  serviceVersion,
+  deploymentType,
+  environment,
+  slot,
+  metricIntervalMs = 60000,
+  ignoredPaths = DEFAULT_IGNORED_PATHS
+}) {
+  const base = endpoint.replace(/\/+$/, '');
+  const resource = buildResource({
+    serviceName, serviceVersion, deploymentType, environment, slot
+  });
+
+  const tracerProvider = new NodeTracerProvider({
+    resource,
+    spanProcessors: [new BatchSpanProcessor(new OTLPTraceExporter({ url: `${base}/v1/traces` }))]
+  });
+  tracerProvider.register();
+
+  const meterProvider = new MeterProvider({
+    resource,
+    readers: [new PeriodicExportingMetricReader({
+      exporter: new OTLPMetricExporter({ url: `${base}/v1/metrics` }),
+      exportIntervalMillis: metricIntervalMs,
+      exportTimeoutMillis: Math.min(metricIntervalMs, 30000)
+    })]
+  });
+  metrics.setGlobalMeterProvider(meterProvider);
+
+  const unregister = registerInstrumentations({
+    tracerProvider,
+    meterProvider,
+    instrumentations: [
+      new HttpInstrumentation({
+        ignoreIncomingRequestHook: (req) => ignoredPaths.includes((req.url || '').split('?')[0]),
+        ignoreOutgoingRequestHook: (options) => IGNORED_HOSTS.test(options.hostname || options.host || '')
+      }),
+      // Route handlers get spans; a span per middleware is noise, and would
+      // hide the server span from the request context middleware
+      new ExpressInstrumentation({ ignoreLayersType: [ExpressLayerType.MIDDLEWARE] })
+    ]
+  });
+
+  return {
+    tracerProvider,
+    meterProvider,
+    async shutdown() {
+      unregister();
+      await Promise.all([tracerProvider.shutdown(), meterProvider.shutdown()]);
+    }
+  };
+}
+
+module.exports = {
+  startTelemetry,
+  buildResource
+};
@@ -0,0 +1,200 @@
+const fs = require('fs');
+const {
+  isUrl, parseArgs, parseDuration, parseHeaders
+} = require('./cli');
+
+const UNKNOWN = 'unknown';
+
+/**
+ * Parse repeated `--url [name=]url` options into `{ name, url }` targets
+ * Without a name the URL itself is used.
+ */
+function parseTargets(values) {
+  return [].concat(values || []).map((value) => {
+    const match = /^([\w.-]+)=(.+)$/.exec(String(value));
+    const [name, url] = match ? [match[1], match[2]] : [String(value), String(value)];
+    if (!isUrl(url)) {
+      throw new Error(`Invalid URL for ${name}: ${url}`);
+    }
+    return { name, url };
+  });
+}
+
+/**
+ * Fetch /version from an instance
+ */
+async function fetchVersion(baseUrl, { timeout = 5000, headers = {} } = {}) {
+  const url = new URL('/version', baseUrl);
+  const response = await fetch(url, { headers, signal: AbortSignal.timeout(timeout) });
+
+  if (!response.ok) {
+    throw new Error(`GET ${url} failed with status ${response.status}`);
+  }
+
+  return response.json();
+}
+
+/**
+ * Fetch /version from every target; failures are recorded, not thrown
+ */
+async function collectVersions(targets, options) {
+  return Promise.all(targets.map(async ({ name, url }) => {
+    try {
+      const info = await fetchVersion(url, options);
+      return {
+        name,
+        url,
+        gitSha: info.gitSha || UNKNOWN,
+        version: info.version,
+        slot: info.slot,
+        imageTag: info.imageTag,
+        buildTime: info.buildTime
+      };
+    } catch (error) {
+      return { name, url, error: error.message };
+    }
+  }));
+}
+
+/**
+ * Judge a set of instance versions
+ *
+ *  - drift:        reachable instances report different SHAs
+ *  - unexpected:   they agree, but not on `expectSha` (prefix match)
+ *  - inconclusive: an instance was unreachable or reports no SHA
+ *  - consistent:   every instance reports the same (expected) SHA
+ */
+function checkDrift(instances, { expectSha } = {}) {
+  const reachable = instances.filter((instance) => !instance.error);
+  const shas = {};
+  reachable.forEach(({ name, gitSha }) => {
+    shas[gitSha] = (shas[gitSha] || []).concat(name);
+  });
+
+  const known = Object.keys(shas).filter((sha) => sha !== UNKNOWN);
+  const expected = expectSha ? String(expectSha).toLowerCase() : null;
+  let verdict;
+  let reason;
+
+  if (known.length > 1) {
+    verdict = 'drift';
+    reason = `Instances report ${known.length} different SHAs`;
+  } else if (reachable.length < instances.length) {
+    verdict = 'inconclusive';
+    reason = `${instances.length - reachable.length} of ${instances.length} instances unreachable`;
+  } else if (shas[UNKNOWN]) {
+    verdict = 'inconclusive';
+    reason = `${shas[UNKNOWN].join(', ')} report no git SHA`;
+  } else if (expected && !known[0].startsWith(expected)) {
+    verdict = 'unexpected';
+    reason = `Instances run ${known[0]}, expected ${expected}`;
+  } else {
+    verdict = 'consistent';
+    reason = `All instances run ${known[0]}`;
+  }
+
+  return {
+    verdict,
+    reason,
+    expectedSha: expected,
+    shas,
+    instances
+  };
+}
+
+/**
+ * Check the targets until they are consistent or `waitMs` has passed
+ * With no wait the targets are checked once.
+ */
+async function pollDrift({
+  targets,
+  expectSha,
+  waitMs = 0,
+  intervalMs = 10000,
+  timeout,
+  headers,
+  sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
+  now = Date.now
+}) {
+  const deadline = now() + waitMs;
+  let attempts = 0;
+  let report;
+
+  do {
+    if (attempts > 0) {
+      await sleep(intervalMs);
+    }
+    attempts += 1;
+    report = checkDrift(await collectVersions(targets, { timeout, headers }), { expectSha });
+  } while (report.verdict !== 'consistent' && now() + intervalMs <= deadline);
+
+  return { ...report, attempts, checkedAt: new Date(now()).toISOString() };
+}
+
+const USAGE = `Usage: node scripts/version-drift.js --url <[name=]url> [--url <[name=]url> ...] [options]
+
+Options:
+  --expect-sha <sha>       Fail unless every instance runs this commit (prefix match)
+  --wait <duration>        Keep polling until consistent or this much time has passed (default: 0)
+  --interval <duration>    Time between polls (default: 10s)
+  --timeout <duration>     Timeout of each /version request (default: 5s)
+  --header <name:value>    Extra header sent with every request (repeatable)
+  --output <file>          Also write the JSON report to this file
+
+Exit codes: 0 = consistent, 1 = drift or unexpected SHA, 2 = instance unreachable, 3 = error`;
+
+const EXIT_CODES = {
+  consistent: 0, drift: 1, unexpected: 1, inconclusive: 2
+};
+
+/**
+ * CLI entrypoint, returns the process exit code
+ */
+async function main(argv, { stdout = process.stdout, stderr = process.stderr } = {}) {
+  let options;
+  let targets;
+  try {
+    options = parseArgs(argv);
+    targets = parseTargets(options.url);
+  } catch (error) {
+    stderr.write(`${error.message}\n${USAGE}\n`);
+    return 3;
+  }
+
+  if (options.help || targets.length === 0) {
+    stderr.write(`${USAGE}\n`);
+    return options.help ? 0 : 3;
+  }
+
+  try {
+    const report = await pollDrift({
+      targets,
+      expectSha: options['expect-sha'],
+      waitMs: parseDuration(options.wait || '0'),
+      intervalMs: parseDuration(options.interval || '10s'),
+      timeout: parseDuration(options.timeout || '5s'),
+      headers: parseHeaders(options.header)
+    });
+
+    const json = JSON.stringify(report, null, 2);
+    stdout.write(`${json}\n`);
+    if (options.output) {
+      fs.writeFileSync(options.output, `${json}\n`);
+    }
+    stderr.write(`Version check: ${report.verdict} - ${report.reason}\n`);
+
+    return EXIT_CODES[report.verdict];
+  } catch (error) {
+    stderr.write(`Version check failed: ${error.message}\n`);
+    return 3;
+  }
+}
+
+module.exports = {
+  parseTargets,
+  fetchVersion,
+  collectVersions,
+  checkDrift,
+  pollDrift,
+  main
+};
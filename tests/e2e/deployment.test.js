@@ -1,43 +1,29 @@
-const request = require('supertest');
+const { loadSuite, runSuite, parseTargets } = require('../../src/smoke');
 
+/**
+ * Runs the default smoke suite against TEST_URL, one test per check
+ * Set TEST_DEPLOYMENT_TYPE and TEST_GIT_SHA to also check what is deployed, and
+ * TEST_API_KEY to a viewer key for the checks of /health and /metrics.
+ */
 describe('E2E Deployment Tests', () => {
   const baseURL = process.env.TEST_URL || 'http://localhost:3000';
+  const vars = [];
+  if (process.env.TEST_DEPLOYMENT_TYPE) vars.push(`deploymentType=${process.env.TEST_DEPLOYMENT_TYPE}`);
+  if (process.env.TEST_GIT_SHA) vars.push(`gitSha=${process.env.TEST_GIT_SHA}`);
 
-  describe('Application Availability', () => {
-    it('should be accessible', async () => {
-      const response = await request(baseURL).get('/');
-      expect(response.status).toBe(200);
-    });
+  const headers = process.env.TEST_API_KEY ? { 'X-API-Key': process.env.TEST_API_KEY } : {};
 
-    it('should have health endpoint available', async () => {
-      const response = await request(baseURL).get('/health');
-      expect(response.status).toBe(200);
-      expect(response.body.status).toBe('healthy');
-    });
+  const suite = loadSuite();
+  let target;
 
-    it('should have metrics endpoint available', async () => {
-      const response = await request(baseURL).get('/metrics');
-      expect(response.status).toBe(200);
-    });
-  });
-
-  describe('Deployment Type Detection', () => {
-    it('should report correct deployment type', async () => {
-      const response = await request(baseURL).get('/');
-      expect(response.body).toHaveProperty('deploymentType');
-      expect(['stable', 'canary', 'blue', 'green', 'staging']).toContain(
-        response.body.deploymentType
-      );
-    });
-  });
+  beforeAll(async () => {
+    const report = await runSuite(suite, parseTargets([`target=${baseURL}`], vars), { headers });
+    [target] = report.targets;
+  }, 60000);
 
-  describe('Performance', () => {
-    it('should respond within acceptable time', async () => {
-      const start = Date.now();
-      await request(baseURL).get('/api');
-      const duration = Date.now() - start;
+  it.each(suite.checks.map((check) => [check.name, check.path]))('%s (%s)', (name) => {
+    const result = target.checks.find((check) => check.name === name);
 
-      expect(duration).toBeLessThan(1000); // Should respond within 1 second
-    });
+    expect(result.failures).toEqual([]);
   });
 });
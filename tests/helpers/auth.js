@@ -0,0 +1,14 @@
+// Viewer API key accepted by app instances started by the tests
+const TEST_API_KEY = 'test-viewer-key-0123456789';
+
+const TEST_AUTH_ENV = {
+  AUTH_API_KEYS: JSON.stringify([{ name: 'tests', role: 'viewer', key: TEST_API_KEY }])
+};
+
+const VIEWER_HEADERS = { 'X-API-Key': TEST_API_KEY };
+
+module.exports = {
+  TEST_API_KEY,
+  TEST_AUTH_ENV,
+  VIEWER_HEADERS
+};
@@ -0,0 +1,81 @@
+const { spawn } = require('child_process');
+const net = require('net');
+const path = require('path');
+const { TEST_AUTH_ENV } = require('./auth');
+
+const ENTRYPOINT = path.join(__dirname, '../../src/index.js');
+
+/**
+ * Find a free TCP port on localhost
+ */
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.unref();
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+async function waitForLive(baseUrl, timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+
+  while (Date.now() < deadline) {
+    try {
+      const response = await fetch(`${baseUrl}/health/live`);
+      if (response.ok) return;
+    } catch (error) {
+      // Not listening yet
+    }
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+
+  throw new Error(`Instance at ${baseUrl} did not become live within ${timeoutMs}ms`);
+}
+
+/**
+ * Start the app as a separate process and wait until it answers /health/live
+ * The instance accepts the test viewer key. Resolves to `{ baseUrl, child, stop }`.
+ */
+async function startInstance(env = {}, { timeoutMs = 15000 } = {}) {
+  const port = await getFreePort();
+  const child = spawn(process.execPath, [ENTRYPOINT], {
+    env: {
+      ...process.env,
+      HOST: '127.0.0.1',
+      PORT: String(port),
+      LOG_LEVEL: 'error',
+      ...TEST_AUTH_ENV,
+      ...env
+    },
+    stdio: 'ignore'
+  });
+
+  const baseUrl = `http://127.0.0.1:${port}`;
+
+  const stop = () => new Promise((resolve) => {
+    if (child.exitCode !== null || child.signalCode !== null) {
+      resolve();
+      return;
+    }
+    child.once('exit', () => resolve());
+    child.kill('SIGKILL');
+  });
+
+  try {
+    await waitForLive(baseUrl, timeoutMs);
+  } catch (error) {
+    await stop();
+    throw error;
+  }
+
+  return { baseUrl, child, stop };
+}
+
+module.exports = {
+  getFreePort,
+  startInstance
+};
@@ -0,0 +1,20 @@
+const crypto = require('crypto');
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+/**
+ * Sign a JWT for tests with an HS256 `secret` or an RS256 `privateKey`
+ */
+function signJwt(claims, { secret, privateKey, kid } = {}) {
+  const header = { alg: secret ? 'HS256' : 'RS256', typ: 'JWT', ...(kid ? { kid } : {}) };
+  const signed = `${encode(header)}.${encode(claims)}`;
+  const signature = secret
+    ? crypto.createHmac('sha256', secret).update(signed).digest()
+    : crypto.sign('RSA-SHA256', Buffer.from(signed), privateKey);
+
+  return `${signed}.${signature.toString('base64url')}`;
+}
+
+module.exports = {
+  signJwt
+};
@@ -1,5 +1,20 @@
 const request = require('supertest');
-const app = require('../../src/index');
+const { TEST_API_KEY, VIEWER_HEADERS } = require('../helpers/auth');
+const { signJwt } = require('../helpers/jwt');
+
+const OPERATOR_KEY = 'test-operator-key-0123456789';
+const JWT_SECRET = 'test-jwt-secret';
+process.env.SLOW_MAX_DELAY_MS = '200';
+process.env.AUTH_API_KEYS = JSON.stringify([
+  { name: 'tests', role: 'viewer', key: TEST_API_KEY },
+  { name: 'operator', role: 'operator', key: OPERATOR_KEY }
+]);
+process.env.AUTH_JWT_SECRET = JWT_SECRET;
+process.env.ADMIN_TOKEN = 'test-admin-token';
+process.env.FLAGS_CONFIG = require.resolve('../../config/flags.example.json');
+const { createApp } = require('../../src/app');
+
+const app = createApp();
 
 describe('API Integration Tests', () => {
   describe('GET /', () => {
@@ -16,13 +31,31 @@ describe('API Integration Tests', () => {
 
   describe('GET /health', () => {
     it('should return health status', async () => {
-      const response = await request(app).get('/health');
+      const response = await request(app).get('/health').set(VIEWER_HEADERS);
 
       expect(response.status).toBe(200);
       expect(response.body).toHaveProperty('status', 'healthy');
       expect(response.body).toHaveProperty('version');
       expect(response.body).toHaveProperty('uptime');
     });
+
+    it('should serve application/health+json when asked for', async () => {
+      const response = await request(app).get('/health').set(VIEWER_HEADERS).set('Accept', 'application/health+json');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toMatch(/^application\/health\+json/);
+      expect(JSON.parse(response.text)).toMatchObject({ status: 'pass', checks: { uptime: expect.any(Array) } });
+    });
+
+    it('should list recent evaluations on /health/history', async () => {
+      await request(app).get('/health').set(VIEWER_HEADERS);
+
+      const response = await request(app).get('/health/history').set(VIEWER_HEADERS);
+
+      expect(response.status).toBe(200);
+      expect(response.body.history[0]).toMatchObject({ status: 'healthy', reasons: [] });
+      expect((await request(app).get('/health/history')).status).toBe(401);
+    });
   });
 
   describe('GET /health/live', () => {
@@ -45,7 +78,7 @@ describe('API Integration Tests', () => {
 
   describe('GET /metrics', () => {
     it('should return Prometheus metrics', async () => {
-      const response = await request(app).get('/metrics');
+      const response = await request(app).get('/metrics').set(VIEWER_HEADERS);
 
       expect(response.status).toBe(200);
       expect(response.text).toContain('gas_http_requests_total');
@@ -53,6 +86,49 @@ describe('API Integration Tests', () => {
     });
   });
 
+  describe('GET /version', () => {
+    it('should return build metadata', async () => {
+      const response = await request(app).get('/version');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({
+        version: expect.any(String),
+        gitSha: expect.any(String),
+        buildTime: expect.any(String),
+        imageTag: expect.any(String),
+        slot: expect.any(String),
+        workflowRunId: expect.any(String),
+        deploymentType: 'test'
+      });
+    });
+
+    it('should expose the same metadata as gas_build_info', async () => {
+      const { body } = await request(app).get('/version');
+
+      const response = await request(app).get('/metrics').set(VIEWER_HEADERS);
+
+      expect(response.text).toMatch(new RegExp(`gas_build_info\\{[^}]*git_sha="${body.gitSha}"[^}]*\\} 1`));
+    });
+  });
+
+  describe('GET /slo', () => {
+    it('should report the configured SLOs with their error budgets', async () => {
+      await request(app).get('/api/data');
+
+      const anonymous = await request(app).get('/slo');
+      const response = await request(app).get('/slo').set(VIEWER_HEADERS);
+
+      expect(anonymous.status).toBe(401);
+      expect(response.status).toBe(200);
+      const names = response.body.slos.map((slo) => slo.name);
+      expect(names).toEqual(expect.arrayContaining(['api-availability', 'api-latency']));
+      const [availability] = response.body.slos;
+      expect(availability.events.total).toBeGreaterThan(0);
+      expect(availability).toHaveProperty('errorBudget.remaining');
+      expect(availability).toHaveProperty('burnRates.1h');
+    });
+  });
+
   describe('GET /api', () => {
     it('should return API status', async () => {
       const response = await request(app).get('/api');
@@ -74,6 +150,169 @@ describe('API Integration Tests', () => {
     });
   });
 
+  describe('GET /api/flags', () => {
+    it('should return flags evaluated for the caller', async () => {
+      const response = await request(app).get('/api/flags').set('x-user-id', 'user-1');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toHaveProperty('deploymentType');
+      expect(response.body.flags['experimental-cache']).toMatchObject({
+        enabled: false,
+        reason: 'killed'
+      });
+    });
+  });
+
+  describe('Admin endpoints', () => {
+    afterAll(() => {
+      app.locals.flags.loadFlags();
+    });
+
+    it('should require the admin token', async () => {
+      const response = await request(app).patch('/admin/flags/new-data-format').send({ enabled: false });
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should change a flag at runtime', async () => {
+      const patched = await request(app)
+        .patch('/admin/flags/experimental-cache')
+        .set('Authorization', 'Bearer test-admin-token')
+        .send({ enabled: true });
+      expect(patched.status).toBe(200);
+
+      const response = await request(app).get('/api/flags');
+      expect(response.body.flags['experimental-cache']).toMatchObject({ enabled: true });
+    });
+
+    it('should toggle fault injection through the admin API', async () => {
+      const auth = { Authorization: 'Bearer test-admin-token' };
+
+      const configured = await request(app)
+        .put('/admin/chaos')
+        .set(auth)
+        .send({ rules: [{ id: 'data-errors', route: '/api/data', error: { statusCodes: [502] } }] });
+      expect(configured.status).toBe(200);
+      expect((await request(app).get('/api/data')).status).toBe(502);
+
+      const current = await request(app).get('/admin/chaos').set(auth);
+      expect(current.body.rules[0]).toMatchObject({ id: 'data-errors' });
+
+      await request(app).delete('/admin/chaos').set(auth);
+      expect((await request(app).get('/api/data')).status).toBe(200);
+    });
+
+    it('should reject invalid chaos configuration', async () => {
+      const response = await request(app)
+        .put('/admin/chaos')
+        .set('Authorization', 'Bearer test-admin-token')
+        .send({ rules: [{ route: '/api', error: { rate: 500 } }] });
+      const oversized = await request(app)
+        .put('/admin/chaos')
+        .set('Authorization', 'Bearer test-admin-token')
+        .send({ maxMemoryMb: '1e9', rules: [] });
+      const overlong = await request(app)
+        .put('/admin/chaos')
+        .set('Authorization', 'Bearer test-admin-token')
+        .send({ rules: [{ route: '/api', latency: { ms: 1e12 } }] });
+
+      expect(response.status).toBe(400);
+      expect(oversized.status).toBe(400);
+      expect(oversized.body.message).toContain('maxMemoryMb');
+      expect(overlong.status).toBe(400);
+      expect(overlong.body.message).toContain('latency.ms must be at most');
+    });
+
+    it('should list and reload flag definitions', async () => {
+      const listed = await request(app)
+        .get('/admin/flags')
+        .set('Authorization', 'Bearer test-admin-token');
+      expect(listed.body.flags).toHaveProperty('new-data-format');
+
+      const reloaded = await request(app)
+        .post('/admin/flags/reload')
+        .set('Authorization', 'Bearer test-admin-token');
+      expect(reloaded.status).toBe(200);
+      expect(reloaded.body.flags['experimental-cache'].enabled).toBe(false);
+    });
+
+    it('should show the effective configuration', async () => {
+      const response = await request(app)
+        .get('/admin/config')
+        .set('Authorization', 'Bearer test-admin-token');
+
+      expect(response.status).toBe(200);
+      expect(response.body.config.DEPLOYMENT_TYPE).toMatchObject({ value: 'test', source: 'env' });
+      expect(response.body.config.PORT.value).toBe(3000);
+    });
+
+    it('should show the request limits', async () => {
+      const response = await request(app)
+        .get('/admin/limits')
+        .set('Authorization', 'Bearer test-admin-token');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ enabled: true, queued: 0 });
+      expect(response.body.exempt).toContain('/health');
+    });
+
+    it('should change the log level at runtime', async () => {
+      const auth = { Authorization: 'Bearer test-admin-token' };
+
+      const changed = await request(app).put('/admin/log-level').set(auth).send({ level: 'warn' });
+      expect(changed.status).toBe(200);
+      expect((await request(app).get('/admin/log-level').set(auth)).body.level).toBe('warn');
+
+      const invalid = await request(app).put('/admin/log-level').set(auth).send({ level: 'loud' });
+      expect(invalid.status).toBe(400);
+
+      await request(app).put('/admin/log-level').set(auth).send({ level: 'info' });
+    });
+  });
+
+  describe('Authentication', () => {
+    it('should require credentials for health details and metrics', async () => {
+      const health = await request(app).get('/health');
+      const metrics = await request(app).get('/metrics');
+
+      expect(health.status).toBe(401);
+      expect(health.headers['www-authenticate']).toBe('Bearer');
+      expect(health.body).not.toHaveProperty('system');
+      expect(metrics.status).toBe(401);
+    });
+
+    it('should only list readiness checks for authenticated callers', async () => {
+      const anonymous = await request(app).get('/health/ready');
+      const viewer = await request(app).get('/health/ready').set(VIEWER_HEADERS);
+
+      expect(anonymous.body).not.toHaveProperty('checks');
+      expect(viewer.body.checks).toEqual(expect.arrayContaining([expect.objectContaining({ name: 'storage' })]));
+    });
+
+    it('should accept a JWT with the viewer role', async () => {
+      const token = signJwt({ sub: 'grafana', roles: ['viewer'] }, { secret: JWT_SECRET });
+      const response = await request(app).get('/metrics').set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(200);
+    });
+
+    it('should require the operator role for admin endpoints', async () => {
+      const viewer = await request(app).get('/admin/limits').set(VIEWER_HEADERS);
+      const operator = await request(app).get('/admin/limits').set('X-API-Key', OPERATOR_KEY);
+
+      expect(viewer.status).toBe(403);
+      expect(operator.status).toBe(200);
+    });
+
+    it('should count failures by reason', async () => {
+      await request(app).get('/metrics').set('X-API-Key', 'not-a-valid-key');
+      const metrics = await request(app).get('/metrics').set(VIEWER_HEADERS);
+
+      expect(metrics.text).toMatch(/gas_auth_failures_total\{reason="invalid_key",method="api_key"\} [1-9]/);
+      expect(metrics.text).not.toContain('not-a-valid-key');
+    });
+  });
+
   describe('GET /api/error', () => {
     it('should return 500 error', async () => {
       const response = await request(app).get('/api/error');
@@ -92,6 +331,61 @@ describe('API Integration Tests', () => {
       expect(response.status).toBe(200);
       expect(response.body).toHaveProperty('message', 'Slow response completed');
     }, 10000);
+
+    it('should cap the delay at SLOW_MAX_DELAY_MS', async () => {
+      const response = await request(app).get('/api/slow?delay=3600000').timeout(5000);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ delay: '200ms', capped: true });
+    });
+
+    it('should reject an invalid delay', async () => {
+      const response = await request(app).get('/api/slow?delay=-5');
+
+      expect(response.status).toBe(400);
+
+      // Rejected by the OpenAPI validator before routing, but still labelled with the route
+      const metrics = await request(app).get('/metrics').set(VIEWER_HEADERS);
+      expect(metrics.text).toMatch(/gas_http_requests_total\{method="GET",route="\/api\/slow",status_code="400"\}/);
+    });
+  });
+
+  describe('Rate limits and load shedding', () => {
+    const { limits } = app.locals;
+
+    afterEach(() => {
+      limits.loadLimits();
+    });
+
+    it('should answer 429 with Retry-After once a client exceeds its rate limit', async () => {
+      limits.setLimitsConfig({
+        exempt: ['/health/**', '/metrics'],
+        rateLimits: [{
+          id: 'test-api', route: '/api', perSecond: 1, burst: 1
+        }]
+      });
+
+      expect((await request(app).get('/api')).status).toBe(200);
+      const limited = await request(app).get('/api');
+
+      expect(limited.status).toBe(429);
+      expect(limited.headers['retry-after']).toBe('1');
+      expect(limited.body).toHaveProperty('requestId');
+
+      const metrics = await request(app).get('/metrics').set(VIEWER_HEADERS);
+      expect(metrics.text).toMatch(/gas_requests_rejected_total\{reason="rate_limited",rule="test-api"\} [1-9]/);
+      expect(metrics.text).toMatch(/gas_http_requests_total\{method="GET",route="\/api",status_code="429"\}/);
+    });
+
+    it('should never limit health checks', async () => {
+      limits.setLimitsConfig({
+        exempt: ['/health/**', '/metrics'],
+        rateLimits: [{ route: '/**', perSecond: 1, burst: 1 }]
+      });
+
+      const statuses = await Promise.all([1, 2, 3].map(() => request(app).get('/health/live')));
+      expect(statuses.map(({ status }) => status)).toEqual([200, 200, 200]);
+    });
   });
 
   describe('GET /nonexistent', () => {
@@ -100,6 +394,86 @@ describe('API Integration Tests', () => {
 
       expect(response.status).toBe(404);
       expect(response.body).toHaveProperty('error', 'Not Found');
+      expect(response.body.requestId).toBe(response.headers['x-request-id']);
+    });
+
+    it('should not create a metric series per unknown path', async () => {
+      await request(app).get('/scanner/probe-1.php');
+      await request(app).get('/scanner/probe-2.php');
+
+      const response = await request(app).get('/metrics').set(VIEWER_HEADERS);
+
+      expect(response.text).not.toContain('probe-1.php');
+      expect(response.text).toMatch(/gas_http_requests_total\{[^}]*route="__unmatched__"[^}]*status_code="404"/);
+    });
+
+    it('should not create a metric series per unknown admin path', async () => {
+      const series = async () => (await request(app).get('/metrics').set(VIEWER_HEADERS)).text
+        .split('\n')
+        .filter((line) => line.startsWith('gas_http_requests_total{') && !line.includes('route="/metrics"'));
+      await request(app).get('/admin/warmup');
+      const before = await series();
+
+      const path = `/admin/${Math.random().toString(36).slice(2)}`;
+      await request(app).get(path);
+      const after = await series();
+
+      expect(after.join('\n')).not.toContain(path);
+      expect(after).toHaveLength(before.length);
+    });
+  });
+
+  describe('Request IDs and trace context', () => {
+    const traceId = '4bf92f3577b34da6a3ce929d0e0e4736';
+
+    it('should generate a request ID and traceparent when none are sent', async () => {
+      const response = await request(app).get('/api');
+
+      expect(response.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+      expect(response.headers.traceparent).toMatch(/^00-[0-9a-f]{32}-[0-9a-f]{16}-01$/);
+    });
+
+    it('should continue an incoming trace and reuse the request ID', async () => {
+      const response = await request(app)
+        .get('/nonexistent')
+        .set('x-request-id', 'support-ticket-1')
+        .set('traceparent', `00-${traceId}-00f067aa0ba902b7-01`);
+
+      expect(response.headers['x-request-id']).toBe('support-ticket-1');
+      expect(response.headers.traceparent).toContain(traceId);
+      expect(response.body.requestId).toBe('support-ticket-1');
+    });
+
+    it('should attach the trace ID as an exemplar on the duration histogram', async () => {
+      await request(app)
+        .get('/api')
+        .set('traceparent', `00-${traceId}-00f067aa0ba902b7-01`);
+
+      const response = await request(app)
+        .get('/metrics')
+        .set(VIEWER_HEADERS)
+        .set('accept', 'application/openmetrics-text;version=1.0.0,text/plain;version=0.0.4;q=0.5');
+
+      expect(response.headers['content-type']).toContain('application/openmetrics-text');
+      expect(response.text).toMatch(new RegExp(
+        `gas_http_request_duration_seconds_bucket\\{[^}]*route="/api"[^}]*\\} \\d+ # \\{trace_id="${traceId}"\\}`
+      ));
+      expect(response.text).toMatch(/^# TYPE gas_http_requests counter$/m);
+      expect(response.text).toMatch(/^gas_http_requests_total\{/m);
+      expect(response.text).toMatch(/# EOF\n$/);
+    });
+
+    it('should serve the Prometheus text format without exemplars by default', async () => {
+      await request(app)
+        .get('/api')
+        .set('traceparent', `00-${traceId}-00f067aa0ba902b7-01`);
+
+      const response = await request(app).get('/metrics').set(VIEWER_HEADERS);
+
+      expect(response.headers['content-type']).toContain('text/plain; version=0.0.4');
+      expect(response.text).toMatch(/^# TYPE gas_http_requests_total counter$/m);
+      expect(response.text).not.toContain('trace_id');
+      expect(response.text).not.toContain('# EOF');
     });
   });
 });
@@ -0,0 +1,137 @@
+const promClient = require('prom-client');
+const { createApp } = require('../../src/app');
+const { startServer } = require('../../src/server');
+const { resolveConfig } = require('../../src/config');
+const { TEST_AUTH_ENV, VIEWER_HEADERS } = require('../helpers/auth');
+
+const OPERATOR_KEY = 'test-operator-key-0123456789';
+
+function settings(overrides) {
+  return {
+    HOST: '127.0.0.1',
+    LOG_LEVEL: 'error',
+    SHUTDOWN_PRE_STOP_DELAY_MS: 0,
+    AUTH_API_KEYS: JSON.stringify([
+      ...JSON.parse(TEST_AUTH_ENV.AUTH_API_KEYS),
+      { name: 'operator', role: 'operator', key: OPERATOR_KEY }
+    ]),
+    ...overrides
+  };
+}
+
+describe('App factory and server lifecycle', () => {
+  let stable;
+  let canary;
+
+  beforeAll(async () => {
+    // Two instances side by side, each with its own configuration and registry
+    [stable, canary] = await Promise.all(['stable', 'canary'].map((type) => startServer(createApp({
+      config: settings({ DEPLOYMENT_TYPE: type, SLOT_NAME: type === 'stable' ? 'blue' : 'green' }),
+      registry: new promClient.Registry()
+    }), { port: 0 })));
+  });
+
+  afterAll(async () => {
+    await Promise.all([stable, canary].filter(Boolean).map((instance) => instance.stop()));
+  });
+
+  const get = async (instance, path, headers = {}) => {
+    const response = await fetch(`${instance.url}${path}`, { headers });
+    return { status: response.status, body: await response.text() };
+  };
+
+  it('should listen on ephemeral ports', () => {
+    expect(stable.port).toBeGreaterThan(0);
+    expect(canary.port).not.toBe(stable.port);
+    expect(stable.url).toBe(`http://127.0.0.1:${stable.port}`);
+  });
+
+  it('should serve each instance with its own configuration', async () => {
+    const versions = await Promise.all([stable, canary].map(async (instance) => (
+      JSON.parse((await get(instance, '/version')).body)
+    )));
+    const flags = JSON.parse((await get(canary, '/api/flags')).body);
+    const { config } = JSON.parse((await get(canary, '/admin/config', { 'X-API-Key': OPERATOR_KEY })).body);
+
+    expect(versions.map(({ deploymentType, slot }) => [deploymentType, slot]))
+      .toEqual([['stable', 'blue'], ['canary', 'green']]);
+    expect(flags.deploymentType).toBe('canary');
+    expect(config.DEPLOYMENT_TYPE).toMatchObject({ value: 'canary', source: 'injected' });
+    expect(config.PORT).toMatchObject({ value: 3000, source: 'default' });
+  });
+
+  it('should show resource usage in /health on canaries through the extended-health-details flag', async () => {
+    const [stableHealth, canaryHealth] = await Promise.all([stable, canary].map(async (instance) => (
+      JSON.parse((await get(instance, '/health', VIEWER_HEADERS)).body)
+    )));
+
+    expect(stableHealth).not.toHaveProperty('resources');
+    expect(canaryHealth.resources).toMatchObject({ cpu: { userSeconds: expect.any(Number) } });
+  });
+
+  it('should keep the metrics of each instance apart', async () => {
+    await Promise.all(Array.from({ length: 3 }, () => get(canary, '/api')));
+    await get(stable, '/api');
+
+    const stableMetrics = (await get(stable, '/metrics', VIEWER_HEADERS)).body;
+    const canaryMetrics = (await get(canary, '/metrics', VIEWER_HEADERS)).body;
+
+    expect(stableMetrics).toContain('gas_http_requests_total{method="GET",route="/api",status_code="200"} 1');
+    expect(canaryMetrics).toContain('gas_http_requests_total{method="GET",route="/api",status_code="200"} 3');
+    expect(stableMetrics).toContain('gas_deployment_type{type="stable"} 0');
+    expect(canaryMetrics).toContain('gas_deployment_type{type="canary"} 1');
+  });
+
+  it('should keep the runtime state of each instance apart', async () => {
+    const response = await fetch(`${canary.url}/admin/chaos`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json', 'X-API-Key': OPERATOR_KEY },
+      body: JSON.stringify({ rules: [{ id: 'down', route: '/api', error: { statusCodes: [503] } }] })
+    });
+    expect(response.status).toBe(200);
+
+    const [stableApi, canaryApi] = await Promise.all([get(stable, '/api'), get(canary, '/api')]);
+    const stableChaos = JSON.parse((await get(stable, '/admin/chaos', { 'X-API-Key': OPERATOR_KEY })).body);
+    const [stableReady, canaryReady] = await Promise.all([stable, canary].map(async (instance) => (
+      JSON.parse((await get(instance, '/health/ready', VIEWER_HEADERS)).body)
+    )));
+    await fetch(`${canary.url}/admin/chaos`, { method: 'DELETE', headers: { 'X-API-Key': OPERATOR_KEY } });
+
+    expect(stableApi.status).toBe(200);
+    expect(canaryApi.status).toBe(503);
+    expect(stableChaos).toMatchObject({ enabled: false, rules: [] });
+    expect(stableReady.checks.map(({ name }) => name)).toEqual(['storage']);
+    expect(canaryReady.checks.map(({ name }) => name)).toEqual(['storage']);
+  });
+
+  it('should reject invalid settings', () => {
+    expect(() => createApp({ config: { DEPLOYMENT_TYPE: 'canery' } })).toThrow(/DEPLOYMENT_TYPE: "canery"/);
+    expect(() => createApp({ config: { AUTH_JWKS_FILE: '/nonexistent/jwks.json' } }))
+      .toThrow(/Invalid authentication settings/);
+  });
+
+  it('should reject when the port is taken', async () => {
+    const app = createApp({ config: resolveConfig(settings()), registry: new promClient.Registry() });
+
+    await expect(startServer(app, { port: stable.port })).rejects.toThrow(/EADDRINUSE/);
+  });
+
+  it('should drain and stop an instance without affecting the other', async () => {
+    const app = createApp({ config: settings(), registry: new promClient.Registry() });
+    let closed = false;
+    const instance = await startServer(app, {
+      port: 0,
+      onClose: () => {
+        closed = true;
+      }
+    });
+
+    const stopping = instance.stop();
+    expect(instance.stop()).toBe(stopping);
+    expect(await stopping).toBe(0);
+
+    expect(closed).toBe(true);
+    await expect(fetch(`${instance.url}/health/live`)).rejects.toThrow();
+    expect((await get(stable, '/health/ready')).status).toBe(200);
+  });
+});
@@ -0,0 +1,52 @@
+const { runBlueGreen } = require('../../src/blue-green');
+const { createLocalAdapter } = require('../../src/platform-adapters');
+const { startInstance } = require('../helpers/instances');
+const { VIEWER_HEADERS } = require('../helpers/auth');
+
+const silent = { info: () => {}, error: () => {} };
+
+describe('Blue-green orchestrator against local instances', () => {
+  const instances = {};
+
+  // Each deploy replaces the slot's process with one running the release
+  const launch = async (slot, release) => {
+    if (instances[slot]) await instances[slot].stop();
+    instances[slot] = await startInstance({ DEPLOYMENT_TYPE: slot, SLOT_NAME: slot, GIT_SHA: release.sha });
+    return instances[slot].baseUrl;
+  };
+
+  beforeAll(async () => {
+    await launch('blue', { sha: 'aaaaaaa' });
+  }, 30000);
+
+  afterAll(async () => {
+    await Promise.all(Object.values(instances).map((instance) => instance.stop()));
+  });
+
+  it('should release to green and leave blue idle', async () => {
+    const adapter = createLocalAdapter({
+      urls: { blue: instances.blue.baseUrl, green: 'http://127.0.0.1:1' },
+      live: 'blue',
+      launch
+    });
+
+    const journal = await runBlueGreen({
+      adapter,
+      release: { image: 'gas-app:bbbbbbb', sha: 'bbbbbbb' },
+      headers: VIEWER_HEADERS,
+      logger: silent,
+      warmupRequests: 4,
+      verifyWindowMs: 200,
+      intervalMs: 100
+    });
+
+    expect(journal.status).toBe('succeeded');
+    expect(journal.steps.plan.result.previousSha).toBe('aaaaaaa');
+    expect(journal.steps.smoke.result).toMatchObject({ summary: { failed: 0 }, failures: [] });
+    const { live, idle } = await adapter.describe();
+    expect(live).toEqual({ slot: 'green', url: instances.green.baseUrl });
+    expect(idle.slot).toBe('blue');
+    const version = await (await fetch(`${live.url}/version`)).json();
+    expect(version).toMatchObject({ gitSha: 'bbbbbbb', slot: 'green' });
+  }, 30000);
+});
@@ -0,0 +1,68 @@
+const { runAnalysis } = require('../../src/canary-analysis');
+const { startInstance } = require('../helpers/instances');
+const { VIEWER_HEADERS } = require('../helpers/auth');
+
+function hit(baseUrl, route, times) {
+  return Promise.all(Array.from({ length: times }, () => fetch(`${baseUrl}${route}`)
+    .then((response) => response.text())));
+}
+
+describe('Canary analysis against local instances', () => {
+  let stable;
+  let canary;
+
+  beforeAll(async () => {
+    [stable, canary] = await Promise.all([
+      startInstance({ DEPLOYMENT_TYPE: 'stable' }),
+      startInstance({ DEPLOYMENT_TYPE: 'canary' })
+    ]);
+  }, 30000);
+
+  afterAll(async () => {
+    await Promise.all([stable, canary].filter(Boolean).map((instance) => instance.stop()));
+  });
+
+  it('should pass a canary that behaves like stable', async () => {
+    const report = await runAnalysis({
+      stableUrl: stable.baseUrl,
+      canaryUrl: canary.baseUrl,
+      headers: VIEWER_HEADERS,
+      sleep: () => Promise.all([
+        hit(stable.baseUrl, '/api', 40),
+        hit(canary.baseUrl, '/api', 40)
+      ])
+    });
+
+    expect(report.verdict).toBe('pass');
+    expect(report.aggregate.canary.requests).toBe(40);
+    expect(report.routes.map((route) => route.route)).toEqual(['GET /api']);
+  }, 20000);
+
+  it('should fail a canary that errors and slows down', async () => {
+    const report = await runAnalysis({
+      stableUrl: stable.baseUrl,
+      canaryUrl: canary.baseUrl,
+      headers: VIEWER_HEADERS,
+      sleep: () => Promise.all([
+        hit(stable.baseUrl, '/api', 40),
+        hit(stable.baseUrl, '/api/slow?delay=5', 25),
+        hit(canary.baseUrl, '/api', 40),
+        hit(canary.baseUrl, '/api/error', 25),
+        hit(canary.baseUrl, '/api/slow?delay=300', 25)
+      ])
+    });
+
+    expect(report.verdict).toBe('fail');
+    expect(report.aggregate.checks).toEqual(expect.arrayContaining([
+      expect.objectContaining({ metric: 'errorRateIncrease', result: 'fail' })
+    ]));
+
+    const slow = report.routes.find((route) => route.route === 'GET /api/slow');
+    expect(slow.verdict).toBe('fail');
+    expect(slow.canary.p50).toBeGreaterThan(slow.stable.p50);
+
+    const errors = report.routes.find((route) => route.route === 'GET /api/error');
+    expect(errors.verdict).toBe('fail');
+    expect(errors.canary.errorRate).toBe(1);
+  }, 20000);
+});
@@ -0,0 +1,109 @@
+const { startInstance } = require('../helpers/instances');
+const { TEST_API_KEY } = require('../helpers/auth');
+
+const OPERATOR_KEY = 'test-operator-key-0123456789';
+const OPERATOR_HEADERS = { 'X-API-Key': OPERATOR_KEY };
+
+// Connections to a worker that was just killed fail; those checks count as not yet
+async function waitFor(check, timeoutMs = 15000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const result = await check().catch(() => false);
+    if (result) return result;
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+  throw new Error('Timed out waiting for the cluster');
+}
+
+describe('Cluster mode', () => {
+  let instance;
+
+  const clusterStatus = async () => (await fetch(`${instance.baseUrl}/admin/cluster`, { headers: OPERATOR_HEADERS }))
+    .json();
+  const workerPids = async () => (await clusterStatus()).workers.map(({ pid }) => pid).sort();
+  const allListening = async () => (await clusterStatus()).workers.every(({ state }) => state === 'listening');
+
+  beforeAll(async () => {
+    instance = await startInstance({
+      CLUSTER_WORKERS: '2',
+      CLUSTER_RESTART_BACKOFF_MS: '100',
+      SHUTDOWN_PRE_STOP_DELAY_MS: '100',
+      AUTH_API_KEYS: JSON.stringify([
+        { name: 'tests', role: 'viewer', key: TEST_API_KEY },
+        { name: 'operator', role: 'operator', key: OPERATOR_KEY }
+      ])
+    }, { timeoutMs: 30000 });
+    await waitFor(allListening);
+  });
+
+  afterAll(async () => {
+    if (instance) await instance.stop();
+  });
+
+  it('should report the metrics of all workers on /metrics', async () => {
+    await Promise.all(Array.from({ length: 20 }, () => fetch(`${instance.baseUrl}/api`).then((res) => res.text())));
+
+    const response = await fetch(`${instance.baseUrl}/metrics`, { headers: OPERATOR_HEADERS });
+    const body = await response.text();
+
+    expect(response.status).toBe(200);
+    expect(body).toContain('gas_http_requests_total{method="GET",route="/api",status_code="200"} 20');
+    expect(body).toContain('gas_cluster_workers 2');
+    expect(body).toMatch(/gas_app_process_resident_memory_bytes\{worker="1"\}/);
+    expect(body).toMatch(/gas_app_process_resident_memory_bytes\{worker="2"\}/);
+    expect(body).toMatch(/gas_app_process_resident_memory_bytes\{worker="primary"\}/);
+  });
+
+  it('should restart a crashed worker', async () => {
+    const [victim] = await workerPids();
+    process.kill(victim, 'SIGKILL');
+
+    await waitFor(async () => {
+      const pids = await workerPids();
+      return pids.length === 2 && !pids.includes(victim) && allListening();
+    });
+    const body = await (await fetch(`${instance.baseUrl}/metrics`, { headers: OPERATOR_HEADERS })).text();
+    expect(body).toContain('gas_cluster_worker_restarts_total{reason="crash"} 1');
+  });
+
+  it('should replace every worker on SIGHUP without failing requests', async () => {
+    const before = await workerPids();
+    instance.child.kill('SIGHUP');
+
+    const failed = [];
+    let replaced = false;
+    const waiting = waitFor(async () => {
+      const pids = await workerPids();
+      replaced = pids.length === 2 && pids.every((pid) => !before.includes(pid)) && await allListening();
+      return replaced;
+    }, 30000);
+    while (!replaced) {
+      try {
+        const response = await fetch(`${instance.baseUrl}/api`);
+        await response.text();
+        if (!response.ok) failed.push(response.status);
+      } catch (error) {
+        failed.push(error.cause ? error.cause.code : error.message);
+      }
+      // Steady traffic, below the default rate limit
+      await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+    await waiting;
+
+    expect(failed).toEqual([]);
+  });
+
+  it('should stop all workers and exit cleanly on SIGTERM', async () => {
+    const pids = await workerPids();
+    const exited = new Promise((resolve) => {
+      instance.child.once('exit', (code) => resolve(code));
+    });
+
+    instance.child.kill('SIGTERM');
+
+    expect(await exited).toBe(0);
+    pids.forEach((pid) => {
+      expect(() => process.kill(pid, 0)).toThrow();
+    });
+  });
+});
@@ -0,0 +1,19 @@
+const { spawnSync } = require('child_process');
+const path = require('path');
+
+const ENTRYPOINT = path.join(__dirname, '../../src/index.js');
+
+describe('Configuration Integration Tests', () => {
+  it('should refuse to start with invalid configuration', () => {
+    const result = spawnSync(process.execPath, [ENTRYPOINT], {
+      env: { ...process.env, DEPLOYMENT_TYPE: 'canery', PORT: '0' },
+      encoding: 'utf8',
+      timeout: 10000
+    });
+
+    expect(result.status).toBe(1);
+    expect(result.stderr).toContain('Invalid configuration:');
+    expect(result.stderr).toContain('DEPLOYMENT_TYPE: "canery" (from env) must be one of');
+    expect(result.stderr).toContain('PORT: "0" (from env) must be an integer between 1 and 65535');
+  });
+});
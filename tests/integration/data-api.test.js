@@ -0,0 +1,163 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const { createDataRouter } = require('../../src/data-api');
+const { createMemoryStore, createFileStore } = require('../../src/storage');
+const { MIGRATIONS, runMigrations } = require('../../src/migrations');
+
+const logger = { info: () => {}, warn: () => {} };
+
+function createApp(store) {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/data', createDataRouter(store, { ready: runMigrations(store, { logger }) }));
+  return app;
+}
+
+describe('Data API Integration Tests', () => {
+  let app;
+
+  beforeEach(() => {
+    app = createApp(createMemoryStore());
+  });
+
+  it('should list the seeded items', async () => {
+    const response = await request(app).get('/api/data');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.map((item) => item.name)).toEqual(['Item 1', 'Item 2', 'Item 3']);
+    expect(response.body.pagination).toEqual({ limit: 20, hasMore: false, nextCursor: null });
+  });
+
+  it('should create, fetch, update and delete an item', async () => {
+    const created = await request(app).post('/api/data').send({ name: 'Widget', value: 7, tags: ['new'] });
+
+    expect(created.status).toBe(201);
+    expect(created.headers.etag).toBe('"1"');
+    expect(created.headers.location).toBe(`/api/data/${created.body.data.id}`);
+
+    const fetched = await request(app).get(created.headers.location);
+    expect(fetched.body.data).toMatchObject({ name: 'Widget', value: 7, tags: ['new'] });
+
+    const replaced = await request(app).put(created.headers.location).send({ name: 'Gadget', value: 8 });
+    expect(replaced.body.data).toMatchObject({ name: 'Gadget', tags: [], version: 2 });
+
+    const patched = await request(app).patch(created.headers.location).send({ value: 9 });
+    expect(patched.body.data).toMatchObject({ name: 'Gadget', value: 9, version: 3 });
+    expect(patched.headers.etag).toBe('"3"');
+
+    expect((await request(app).delete(created.headers.location)).status).toBe(204);
+    expect((await request(app).get(created.headers.location)).status).toBe(404);
+  });
+
+  it('should return validation errors in the common error format', async () => {
+    const response = await request(app).post('/api/data').send({ name: 42 });
+
+    expect(response.status).toBe(400);
+    expect(response.body).toMatchObject({ error: 'Bad Request', message: 'Invalid item' });
+    expect(response.body.details).toHaveLength(2);
+    expect(response.body).toHaveProperty('timestamp');
+  });
+
+  it('should reject invalid query parameters', async () => {
+    const response = await request(app).get('/api/data?limit=0');
+
+    expect(response.status).toBe(400);
+    expect(response.body.details).toEqual([expect.stringContaining('limit')]);
+  });
+
+  it('should reject repeated query parameters instead of failing', async () => {
+    const response = await request(app).get('/api/data?sort=name&sort=value&tag[x]=1');
+
+    expect(response.status).toBe(400);
+    expect(response.body.details).toEqual(['sort must be given at most once', 'tag must be given at most once']);
+  });
+
+  it('should paginate with cursors', async () => {
+    const first = await request(app).get('/api/data?sort=-value&limit=2');
+    const second = await request(app).get('/api/data')
+      .query({ sort: '-value', limit: 2, cursor: first.body.pagination.nextCursor });
+
+    expect(first.body.data.map((item) => item.value)).toEqual([300, 200]);
+    expect(second.body.data.map((item) => item.value)).toEqual([100]);
+    expect(second.body.pagination.hasMore).toBe(false);
+  });
+
+  it('should enforce If-Match on updates and deletes', async () => {
+    const { headers } = await request(app).get('/api/data/1');
+
+    const updated = await request(app).patch('/api/data/1').set('If-Match', headers.etag).send({ value: 101 });
+    expect(updated.status).toBe(200);
+
+    const stale = await request(app).patch('/api/data/1').set('If-Match', headers.etag).send({ value: 102 });
+    expect(stale.status).toBe(412);
+    expect(stale.body.error).toBe('Precondition Failed');
+
+    const staleDelete = await request(app).delete('/api/data/1').set('If-Match', headers.etag);
+    expect(staleDelete.status).toBe(412);
+
+    const deleted = await request(app).delete('/api/data/1').set('If-Match', updated.headers.etag);
+    expect(deleted.status).toBe(204);
+
+    const missing = await request(app).put('/api/data/1').set('If-Match', '*').send({ name: 'x', value: 1 });
+    expect(missing.status).toBe(412);
+  });
+
+  it('should answer conditional GETs with 304', async () => {
+    const { headers } = await request(app).get('/api/data/2');
+    const response = await request(app).get('/api/data/2').set('If-None-Match', headers.etag);
+
+    expect(response.status).toBe(304);
+  });
+
+  it('should return 404 for unknown items', async () => {
+    const response = await request(app).patch('/api/data/missing').send({ value: 1 });
+
+    expect(response.status).toBe(404);
+    expect(response.body.error).toBe('Not Found');
+  });
+
+  describe('blue/green schema compatibility', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'data-api-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should keep serving the previous release after the next one migrates the data', async () => {
+      const file = path.join(dir, 'data.json');
+      // The next release adds a field with a default (expand-only)
+      const next = [...MIGRATIONS, {
+        version: MIGRATIONS.length + 1,
+        description: 'Add owner to items',
+        async up(store) {
+          const records = await store.list();
+          await Promise.all(records.map((record) => store.put({ ...record, owner: 'system' })));
+        }
+      }];
+
+      const green = createFileStore(file);
+      await green.init();
+      await runMigrations(green, { migrations: next, logger });
+      await green.close();
+
+      // The current release starts on the migrated file
+      const blue = createFileStore(file);
+      await blue.init();
+      const blueApp = createApp(blue);
+
+      const updated = await request(blueApp).put('/api/data/1').send({ name: 'Renamed', value: 1 });
+
+      expect(updated.status).toBe(200);
+      expect(updated.body.data).toMatchObject({ name: 'Renamed', owner: 'system' });
+      expect(await blue.getSchemaVersion()).toBe(next.length);
+      await blue.close();
+    });
+  });
+});
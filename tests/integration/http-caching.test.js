@@ -0,0 +1,106 @@
+const zlib = require('zlib');
+const promClient = require('prom-client');
+const request = require('supertest');
+const { createApp } = require('../../src/app');
+
+// Keep the body as sent; superagent would otherwise try to parse brotli as JSON
+function raw(res, callback) {
+  const chunks = [];
+  res.on('data', (chunk) => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+}
+
+function buildApp(config = {}) {
+  const registry = new promClient.Registry();
+  const app = createApp({ config: { DEPLOYMENT_TYPE: 'blue', ...config }, registry });
+  return { app, registry };
+}
+
+describe('Compression, conditional GETs and caching headers', () => {
+  it('should compress large JSON responses and record both sizes', async () => {
+    const { app, registry } = buildApp();
+
+    const response = await request(app).get('/api/openapi.json').set('Accept-Encoding', 'gzip, br')
+      .buffer(true)
+      .parse(raw);
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-encoding']).toBe('br');
+    const spec = JSON.parse(zlib.brotliDecompressSync(response.body));
+    expect(spec.openapi).toMatch(/^3\./);
+
+    const metrics = await registry.metrics();
+    const sum = (name) => Number(metrics.match(
+      new RegExp(`^${name}_sum\\{method="GET",route="/api/openapi.json",status_code="200"\\} (\\d+)`, 'm')
+    )[1]);
+    expect(sum('gas_http_response_size_bytes')).toBe(response.body.length);
+    expect(sum('gas_http_response_uncompressed_size_bytes')).toBe(Buffer.byteLength(JSON.stringify(spec)));
+  });
+
+  it('should leave small responses uncompressed', async () => {
+    const { app } = buildApp();
+    const response = await request(app).get('/health/live').set('Accept-Encoding', 'br');
+
+    expect(response.headers['content-encoding']).toBeUndefined();
+    expect(response.headers.vary).toMatch(/Accept-Encoding/);
+  });
+
+  it('should answer a matching If-None-Match with 304', async () => {
+    const { app } = buildApp();
+
+    const first = await request(app).get('/api/openapi.json');
+    expect(first.headers.etag).toMatch(/^W\//);
+
+    const again = await request(app).get('/api/openapi.json').set('If-None-Match', first.headers.etag);
+    expect(again.status).toBe(304);
+    expect(again.text).toBe('');
+
+    const item = await request(app).get('/api/data/1');
+    const unchanged = await request(app).get('/api/data/1').set('If-None-Match', item.headers.etag);
+    expect(unchanged.status).toBe(304);
+  });
+
+  it('should give compressed responses a strong ETag of their own', async () => {
+    const { app } = buildApp({ HTTP_ETAG: 'strong' });
+    const get = () => request(app).get('/api/openapi.json').set('Accept-Encoding', 'br')
+      .buffer(true)
+      .parse(raw);
+
+    const identity = await request(app).get('/api/openapi.json').set('Accept-Encoding', 'identity');
+    const compressed = await get();
+    const revalidated = await get().set('If-None-Match', compressed.headers.etag);
+
+    expect(compressed.headers.etag).toBe(`${identity.headers.etag.slice(0, -1)}-br"`);
+    expect(revalidated.status).toBe(304);
+  });
+
+  it('should keep probes out of caches', async () => {
+    const { app } = buildApp();
+
+    expect((await request(app).get('/health/live')).headers['cache-control']).toBe('no-store');
+    expect((await request(app).get('/health/ready')).headers['cache-control']).toBe('no-store');
+    expect((await request(app).get('/metrics')).headers['cache-control']).toBe('no-store');
+    expect((await request(app).get('/api/data')).headers['cache-control']).toBe('no-cache');
+    expect((await request(app).get('/api/docs')).headers['cache-control']).toBe('public, max-age=60');
+  });
+
+  it('should follow the COMPRESSION, HTTP_ETAG and CACHE_CONTROL settings', async () => {
+    const { app } = buildApp({
+      COMPRESSION: 'off',
+      HTTP_ETAG: 'strong',
+      CACHE_CONTROL: JSON.stringify({ '/api/data': 'private, max-age=5' })
+    });
+
+    const response = await request(app).get('/api/openapi.json').set('Accept-Encoding', 'gzip');
+    expect(response.headers['content-encoding']).toBeUndefined();
+    expect(response.headers.etag).toMatch(/^"/);
+    expect((await request(app).get('/api/data')).headers['cache-control']).toBe('private, max-age=5');
+
+    const withoutEtags = buildApp({ HTTP_ETAG: 'off' }).app;
+    expect((await request(withoutEtags).get('/api/openapi.json')).headers.etag).toBeUndefined();
+  });
+
+  it('should reject invalid Cache-Control policies', () => {
+    expect(() => buildApp({ CACHE_CONTROL: '{"api": "no-cache"}' })).toThrow(/Invalid CACHE_CONTROL/);
+  });
+});
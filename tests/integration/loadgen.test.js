@@ -0,0 +1,40 @@
+const promClient = require('prom-client');
+const winston = require('winston');
+const { createApp } = require('../../src/app');
+const { startServer } = require('../../src/server');
+const { loadProfile, runLoad } = require('../../src/loadgen');
+const { createLogger } = require('../../src/logger');
+
+describe('Load generator against two local instances', () => {
+  let blue;
+  let green;
+
+  beforeAll(async () => {
+    [blue, green] = await Promise.all(['blue', 'green'].map((type) => startServer(createApp({
+      config: { DEPLOYMENT_TYPE: type, HOST: '127.0.0.1', SHUTDOWN_PRE_STOP_DELAY_MS: 0 },
+      // The mix calls /api/error, which logs every call
+      logger: createLogger({ transports: [new winston.transports.Console({ silent: true })] }),
+      registry: new promClient.Registry()
+    }), { port: 0 })));
+  });
+
+  afterAll(async () => {
+    await Promise.all([blue, green].filter(Boolean).map((instance) => instance.stop()));
+  });
+
+  it('should run the default mix on both and compare them', async () => {
+    const result = await runLoad(loadProfile(), [
+      { name: 'blue', url: blue.url }, { name: 'green', url: green.url }
+    ], { rps: 50, durationMs: 2000 });
+
+    expect(result.targets.map((report) => report.name)).toEqual(['blue', 'green']);
+    result.targets.forEach((report) => {
+      expect(report.summary).toMatchObject({ requests: 100, errors: 0, skipped: 0 });
+      expect(Object.keys(report.summary.statuses).sort()).toEqual(['200', '500']);
+      Object.values(report.routes).forEach((route) => expect(route.requests).toBeGreaterThan(0));
+      expect(report.routes.slow.latencyMs.min).toBeGreaterThanOrEqual(200);
+    });
+    expect(result.comparison.filter((row) => row.metric === 'p95').map((row) => row.route))
+      .toEqual(['all', 'api', 'data', 'slow', 'error']);
+  }, 20000);
+});
@@ -0,0 +1,57 @@
+const promClient = require('prom-client');
+const winston = require('winston');
+const { createApp } = require('../../src/app');
+const { startServer } = require('../../src/server');
+const { createLogger } = require('../../src/logger');
+const { main } = require('../../src/openapi-diff');
+
+function captureStream() {
+  const stream = { output: '', write: (chunk) => { stream.output += chunk; } };
+  return stream;
+}
+
+describe('OpenAPI contract on two local instances', () => {
+  let blue;
+  let green;
+
+  beforeAll(async () => {
+    [blue, green] = await Promise.all(['blue', 'green'].map((type) => startServer(createApp({
+      config: { DEPLOYMENT_TYPE: type, HOST: '127.0.0.1', SHUTDOWN_PRE_STOP_DELAY_MS: 0 },
+      logger: createLogger({ transports: [new winston.transports.Console({ silent: true })] }),
+      registry: new promClient.Registry()
+    }), { port: 0 })));
+  });
+
+  afterAll(async () => {
+    await Promise.all([blue, green].filter(Boolean).map((instance) => instance.stop()));
+  });
+
+  it('should serve the document and its docs page', async () => {
+    const spec = await fetch(`${blue.url}/api/openapi.json`);
+    expect(spec.status).toBe(200);
+    expect((await spec.json()).paths['/api/data']).toBeDefined();
+
+    const docs = await fetch(`${blue.url}/api/docs`);
+    expect(docs.headers.get('content-type')).toMatch(/text\/html/);
+    expect(await docs.text()).toContain('/api/data/{id}');
+  });
+
+  it('should reject requests that break the contract', async () => {
+    const response = await fetch(`${blue.url}/api/data?limit=1000`);
+    const body = await response.json();
+
+    expect(response.status).toBe(400);
+    expect(body.details).toEqual(['query.limit must be at most 100']);
+    expect(body.requestId).toBeDefined();
+  });
+
+  it('should find both colours compatible', async () => {
+    const stdout = captureStream();
+    const stderr = captureStream();
+
+    const code = await main(['--base', blue.url, '--next', green.url], { stdout, stderr });
+
+    expect(code).toBe(0);
+    expect(JSON.parse(stdout.output)).toMatchObject({ compatible: true, breaking: 0 });
+  });
+});
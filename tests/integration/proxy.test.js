@@ -0,0 +1,327 @@
+const http = require('http');
+const request = require('supertest');
+const { createProxy, parseUpstreamArgs, main } = require('../../src/proxy');
+const { register } = require('../../src/metrics');
+
+function startUpstream(name) {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({
+        deploymentType: name,
+        method: req.method,
+        url: req.url,
+        body,
+        forwardedFor: req.headers['x-forwarded-for'] || null
+      }));
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server, url: `http://127.0.0.1:${server.address().port}` });
+    });
+  });
+}
+
+describe('Traffic-splitting proxy', () => {
+  let stable;
+  let canary;
+  let proxy;
+
+  // Deterministic "random" values cycling through [0, 1)
+  const sequence = (values) => {
+    let i = 0;
+    return () => {
+      const value = values[i % values.length];
+      i += 1;
+      return value;
+    };
+  };
+
+  beforeAll(async () => {
+    [stable, canary] = await Promise.all([startUpstream('stable'), startUpstream('canary')]);
+  });
+
+  afterAll(async () => {
+    await Promise.all([stable, canary].map(({ server }) => new Promise((resolve) => {
+      server.close(resolve);
+    })));
+  });
+
+  afterEach(() => {
+    if (proxy) proxy.close();
+    proxy = null;
+  });
+
+  const build = (options = {}) => {
+    proxy = createProxy({
+      upstreams: [
+        { name: 'stable', url: stable.url, weight: 90 },
+        { name: 'canary', url: canary.url, weight: 10 }
+      ],
+      adminToken: 'secret',
+      ...options
+    });
+    return proxy;
+  };
+
+  it('should split traffic by weight and report the chosen upstream', async () => {
+    const { app } = build({ random: sequence([0.05, 0.5, 0.89, 0.9, 0.95]), assignmentCookie: false });
+
+    const routed = [];
+    for (let i = 0; i < 5; i += 1) {
+      const response = await request(app).get('/api');
+      routed.push(response.headers['x-gas-upstream']);
+      expect(response.body.deploymentType).toBe(response.headers['x-gas-upstream']);
+    }
+
+    expect(routed).toEqual(['stable', 'stable', 'stable', 'canary', 'canary']);
+  });
+
+  it('should forward method, path, query and body', async () => {
+    const { app } = build({ random: () => 0 });
+
+    const response = await request(app)
+      .post('/api/data?limit=2')
+      .send({ name: 'item' });
+
+    expect(response.body).toMatchObject({
+      deploymentType: 'stable',
+      method: 'POST',
+      url: '/api/data?limit=2',
+      body: JSON.stringify({ name: 'item' })
+    });
+    expect(response.body.forwardedFor).toBeTruthy();
+  });
+
+  it('should keep a client on its assigned upstream via the assignment cookie', async () => {
+    const { app } = build({ random: sequence([0.95, 0.0]) });
+
+    const first = await request(app).get('/api');
+    expect(first.headers['x-gas-upstream']).toBe('canary');
+    expect(first.headers['set-cookie'][0]).toMatch(/^gas-routing=canary/);
+
+    const second = await request(app).get('/api').set('Cookie', 'gas-routing=canary');
+    expect(second.headers['x-gas-upstream']).toBe('canary');
+    expect(second.headers['set-cookie']).toBeUndefined();
+  });
+
+  it('should drop the assignment once its upstream weight goes to zero', async () => {
+    const { app, setWeights } = build({ random: () => 0.5 });
+    setWeights({ canary: 0 });
+
+    const response = await request(app).get('/api').set('Cookie', 'gas-routing=canary');
+
+    expect(response.headers['x-gas-upstream']).toBe('stable');
+  });
+
+  it('should pin requests with x-ms-routing-name header, cookie or query', async () => {
+    const { app } = build({ random: () => 0 });
+
+    const byHeader = await request(app).get('/api').set('x-ms-routing-name', 'canary');
+    const byCookie = await request(app).get('/api').set('Cookie', 'x-ms-routing-name=canary');
+    const byQuery = await request(app).get('/api?x-ms-routing-name=canary');
+    const self = await request(app).get('/api').set('x-ms-routing-name', 'self');
+
+    expect(byHeader.headers['x-gas-upstream']).toBe('canary');
+    expect(byCookie.headers['x-gas-upstream']).toBe('canary');
+    expect(byQuery.headers['x-gas-upstream']).toBe('canary');
+    expect(byQuery.headers['set-cookie'][0]).toMatch(/^x-ms-routing-name=canary/);
+    expect(self.headers['x-gas-upstream']).toBe('stable');
+  });
+
+  it('should ignore cookies that are not valid URI encoding', async () => {
+    const { app } = build({ random: () => 0 });
+
+    const response = await request(app).get('/api').set('Cookie', 'broken=%E0%A4%A; x-ms-routing-name=canary');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['x-gas-upstream']).toBe('canary');
+  });
+
+  it('should route consistently by a sticky header', () => {
+    const { selectUpstream } = build({ stickyHeader: 'X-User-Id', random: () => 0 });
+
+    const users = Array.from({ length: 200 }, (_, i) => `user-${i}`);
+    const pick = (user) => selectUpstream({ headers: { 'x-user-id': user }, url: '/' });
+    const first = users.map((user) => pick(user).upstream.name);
+    const second = users.map((user) => pick(user).upstream.name);
+
+    expect(second).toEqual(first);
+    expect(pick('user-1').reason).toBe('sticky-header');
+    const canaryShare = first.filter((name) => name === 'canary').length / users.length;
+    expect(canaryShare).toBeGreaterThan(0.02);
+    expect(canaryShare).toBeLessThan(0.25);
+  });
+
+  it('should change weights through the authenticated admin API', async () => {
+    const { app } = build({ random: () => 0.5, assignmentCookie: false });
+
+    const unauthenticated = await request(app).put('/__proxy/weights').send({ canary: 100 });
+    expect(unauthenticated.status).toBe(401);
+
+    const updated = await request(app)
+      .put('/__proxy/weights')
+      .set('Authorization', 'Bearer secret')
+      .send({ stable: 0, canary: 100 });
+    expect(updated.status).toBe(200);
+    expect(updated.body.upstreams).toEqual([
+      expect.objectContaining({ name: 'stable', weight: 0, share: 0 }),
+      expect.objectContaining({ name: 'canary', weight: 100, share: 1 })
+    ]);
+
+    const routed = await request(app).get('/api');
+    expect(routed.headers['x-gas-upstream']).toBe('canary');
+
+    const listed = await request(app).get('/__proxy/upstreams').set('Authorization', 'Bearer secret');
+    expect(listed.body.upstreams).toHaveLength(2);
+  });
+
+  it('should reject invalid weight updates', async () => {
+    const { app } = build();
+    const put = (body) => request(app)
+      .put('/__proxy/weights')
+      .set('Authorization', 'Bearer secret')
+      .send(body);
+
+    expect((await put({ unknown: 5 })).status).toBe(400);
+    expect((await put({ stable: -1 })).status).toBe(400);
+    expect((await put({ stable: 0, canary: 0 })).status).toBe(400);
+  });
+
+  it('should disable the admin API without a token', async () => {
+    const { app } = build({ adminToken: undefined });
+
+    const response = await request(app).get('/__proxy/upstreams');
+
+    expect(response.status).toBe(403);
+  });
+
+  it('should return 502 when the upstream is unreachable', async () => {
+    proxy = createProxy({ upstreams: [{ name: 'green', url: 'http://127.0.0.1:1', weight: 1 }] });
+
+    const response = await request(proxy.app).get('/api');
+
+    expect(response.status).toBe(502);
+    expect(response.body).toMatchObject({ error: 'Bad Gateway', upstream: 'green' });
+  });
+
+  it('should cut the client connection when the upstream aborts mid-response', async () => {
+    const flaky = http.createServer((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'text/plain' });
+      res.write('partial');
+      setTimeout(() => res.socket.destroy(), 20);
+    });
+    await new Promise((resolve) => { flaky.listen(0, '127.0.0.1', resolve); });
+    proxy = createProxy({
+      upstreams: [{ name: 'flaky', url: `http://127.0.0.1:${flaky.address().port}`, weight: 1 }]
+    });
+
+    try {
+      await expect(request(proxy.app).get('/api')).rejects.toThrow();
+      expect(await register.getSingleMetricAsString('gas_proxy_requests_total'))
+        .toMatch(/gas_proxy_requests_total\{upstream="flaky",status_code="502"\} 1/);
+    } finally {
+      await new Promise((resolve) => { flaky.close(resolve); });
+    }
+  });
+
+  it('should cancel the upstream request when the client goes away', async () => {
+    let upstreamClosed;
+    const closed = new Promise((resolve) => { upstreamClosed = resolve; });
+    const hanging = http.createServer((req) => req.on('close', upstreamClosed));
+    await new Promise((resolve) => { hanging.listen(0, '127.0.0.1', resolve); });
+    proxy = createProxy({
+      upstreams: [{ name: 'hanging', url: `http://127.0.0.1:${hanging.address().port}`, weight: 1 }]
+    });
+    const server = proxy.app.listen(0, '127.0.0.1');
+    await new Promise((resolve) => { server.once('listening', resolve); });
+
+    try {
+      const client = http.get(`http://127.0.0.1:${server.address().port}/api`);
+      client.on('error', () => {});
+      setTimeout(() => client.destroy(), 50);
+
+      await closed;
+      expect(await register.getSingleMetricAsString('gas_proxy_requests_total'))
+        .toMatch(/gas_proxy_requests_total\{upstream="hanging",status_code="499"\} 1/);
+    } finally {
+      await Promise.all([hanging, server].map((instance) => new Promise((resolve) => {
+        instance.closeAllConnections();
+        instance.close(resolve);
+      })));
+    }
+  });
+
+  it('should export per-upstream request, latency and weight metrics', async () => {
+    const { app } = build({ random: () => 0.95 });
+    await request(app).get('/api');
+
+    const anonymous = await request(app).get('/__proxy/metrics');
+    const response = await request(app).get('/__proxy/metrics').set('Authorization', 'Bearer secret');
+
+    expect(anonymous.status).toBe(401);
+    expect(response.status).toBe(200);
+    expect(response.text).toMatch(/gas_proxy_requests_total\{upstream="canary",status_code="200"\} \d+/);
+    expect(response.text).toContain('gas_proxy_request_duration_seconds_bucket');
+    expect(response.text).toContain('gas_proxy_upstream_weight{upstream="canary"} 10');
+    expect(await register.getSingleMetricAsString('gas_proxy_upstream_weight')).toContain('stable');
+  });
+
+  it('should validate upstream configuration', () => {
+    expect(() => createProxy({ upstreams: [] })).toThrow('At least one upstream is required');
+    expect(() => createProxy({
+      upstreams: [{ name: 'a', url: stable.url, weight: 0 }]
+    })).toThrow('positive weight');
+    expect(() => createProxy({
+      upstreams: [{ name: 'a', url: stable.url, weight: 1 }, { name: 'a', url: canary.url, weight: 1 }]
+    })).toThrow('unique');
+  });
+
+  describe('main', () => {
+    const run = async (argv) => {
+      let output = '';
+      const server = await main(argv, { stderr: { write: (text) => { output += text; } }, env: {} });
+      const { exitCode } = process;
+      process.exitCode = undefined;
+      return { server, output, exitCode };
+    };
+
+    it.each([
+      ['an invalid upstream URL', ['--upstream', 'stable=notaurl'], 'Invalid URL for upstream "stable"'],
+      ['an invalid weight', ['--upstream', 'stable=http://a', '--weight', 'stable=abc'], 'must be a non-negative'],
+      ['an invalid port', ['--upstream', 'stable=http://a', '--port', '99999'], 'Invalid port: 99999']
+    ])('should print usage and exit 3 on %s', async (_, argv, message) => {
+      const { server, output, exitCode } = await run(argv);
+
+      expect(server).toBeNull();
+      expect(exitCode).toBe(3);
+      expect(output).toContain(message);
+      expect(output).toContain('Usage:');
+    });
+
+    it('should reject when the port is taken', async () => {
+      const { port } = stable.server.address();
+
+      await expect(run(['--upstream', `stable=${stable.url}`, '--port', String(port)]))
+        .rejects.toThrow(/EADDRINUSE/);
+    });
+  });
+
+  describe('parseUpstreamArgs', () => {
+    it('should split evenly without weights and default missing weights to zero', () => {
+      expect(parseUpstreamArgs(['blue=http://a', 'green=http://b'])).toEqual([
+        { name: 'blue', url: 'http://a', weight: 1 },
+        { name: 'green', url: 'http://b', weight: 1 }
+      ]);
+      expect(parseUpstreamArgs(['blue=http://a', 'green=http://b'], 'blue=100')).toEqual([
+        { name: 'blue', url: 'http://a', weight: 100 },
+        { name: 'green', url: 'http://b', weight: 0 }
+      ]);
+      expect(() => parseUpstreamArgs(['http://a'])).toThrow('Invalid upstream');
+    });
+  });
+});
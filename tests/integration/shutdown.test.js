@@ -0,0 +1,59 @@
+const { startInstance } = require('../helpers/instances');
+
+describe('Graceful shutdown under load', () => {
+  it('should not drop any request when SIGTERM arrives', async () => {
+    const instance = await startInstance({
+      SHUTDOWN_PRE_STOP_DELAY_MS: '400',
+      SHUTDOWN_TIMEOUT_MS: '10000'
+    });
+    const exited = new Promise((resolve) => {
+      instance.child.once('exit', (code) => resolve(code));
+    });
+
+    // Acts like the load balancer: stops routing once readiness fails
+    let routing = true;
+    const probe = (async () => {
+      while (routing) {
+        try {
+          const response = await fetch(`${instance.baseUrl}/health/ready`);
+          if (response.status === 503) routing = false;
+        } catch (error) {
+          routing = false;
+        }
+        await new Promise((resolve) => setTimeout(resolve, 25));
+      }
+    })();
+
+    const results = { ok: 0, failed: [] };
+    const worker = async (path) => {
+      while (routing) {
+        try {
+          const response = await fetch(`${instance.baseUrl}${path}`);
+          await response.text();
+          if (response.ok) {
+            results.ok += 1;
+          } else {
+            results.failed.push(`${path}: ${response.status}`);
+          }
+        } catch (error) {
+          results.failed.push(`${path}: ${error.cause ? error.cause.code : error.message}`);
+        }
+      }
+    };
+
+    const workers = [
+      ...Array.from({ length: 5 }, () => worker('/api')),
+      ...Array.from({ length: 5 }, () => worker('/api/slow?delay=150'))
+    ];
+
+    await new Promise((resolve) => setTimeout(resolve, 300));
+    instance.child.kill('SIGTERM');
+
+    await Promise.all([probe, ...workers]);
+    const code = await exited;
+
+    expect(results.failed).toEqual([]);
+    expect(results.ok).toBeGreaterThan(20);
+    expect(code).toBe(0);
+  }, 20000);
+});
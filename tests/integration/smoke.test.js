@@ -0,0 +1,47 @@
+const { loadSuite, runSuite, parseTargets } = require('../../src/smoke');
+const { startInstance } = require('../helpers/instances');
+const { VIEWER_HEADERS } = require('../helpers/auth');
+
+// The default suite with retries turned off, so failing checks fail fast
+const loadSuiteWithoutRetries = () => {
+  const suite = loadSuite();
+  return { ...suite, checks: suite.checks.map((check) => ({ ...check, retries: 0 })) };
+};
+
+describe('Default smoke suite against a local instance', () => {
+  let green;
+
+  beforeAll(async () => {
+    green = await startInstance({ DEPLOYMENT_TYPE: 'green', GIT_SHA: 'abc1234' });
+  }, 30000);
+
+  afterAll(async () => {
+    if (green) await green.stop();
+  });
+
+  it('should pass when the instance is the expected slot and commit', async () => {
+    const report = await runSuite(loadSuite(), parseTargets([`green=${green.baseUrl}`], ['gitSha=abc1234']), {
+      headers: VIEWER_HEADERS
+    });
+
+    expect(report.targets[0].checks.filter((check) => !check.passed)).toEqual([]);
+    expect(report.summary.failed).toBe(0);
+  }, 20000);
+
+  it('should fail the deploymentType checks against the wrong slot', async () => {
+    const report = await runSuite(loadSuiteWithoutRetries(), parseTargets([`blue=${green.baseUrl}`]), {
+      headers: VIEWER_HEADERS
+    });
+
+    const failed = report.targets[0].checks.filter((check) => !check.passed).map((check) => check.name);
+    expect(failed).toEqual(['root', 'version']);
+  }, 20000);
+
+  it('should fail the protected checks without credentials', async () => {
+    const targets = parseTargets([`green=${green.baseUrl}`], ['gitSha=abc1234']);
+    const report = await runSuite(loadSuiteWithoutRetries(), targets);
+
+    const failed = report.targets[0].checks.filter((check) => !check.passed).map((check) => check.name);
+    expect(failed).toEqual(['health', 'metrics']);
+  }, 20000);
+});
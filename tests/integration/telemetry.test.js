@@ -0,0 +1,143 @@
+const http = require('http');
+const path = require('path');
+const { execFile } = require('child_process');
+const { startInstance } = require('../helpers/instances');
+
+const TRACE_ID = '4bf92f3577b34da6a3ce929d0e0e4736';
+const PARENT_ID = '00f067aa0ba902b7';
+
+/**
+ * Stand-in for an OpenTelemetry collector: records OTLP/HTTP JSON exports
+ */
+function startReceiver() {
+  const received = { traces: [], metrics: [] };
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      const signal = req.url.replace('/v1/', '');
+      if (received[signal]) received[signal].push(JSON.parse(body));
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end('{}');
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ url: `http://127.0.0.1:${server.address().port}`, received, close: () => server.close() });
+    });
+  });
+}
+
+function attributes(list = []) {
+  return Object.fromEntries(list.map(({ key, value }) => [key, Object.values(value)[0]]));
+}
+
+function exportedSpans(received) {
+  return received.traces.flatMap(({ resourceSpans }) => resourceSpans.flatMap((resourceSpan) => (
+    resourceSpan.scopeSpans.flatMap(({ spans }) => spans.map((span) => ({
+      ...span, attributes: attributes(span.attributes), resource: attributes(resourceSpan.resource.attributes)
+    })))
+  )));
+}
+
+function exportedMetricNames(received) {
+  return received.metrics.flatMap(({ resourceMetrics }) => resourceMetrics.flatMap(({ scopeMetrics }) => (
+    scopeMetrics.flatMap(({ metrics }) => metrics.map(({ name }) => name))
+  )));
+}
+
+async function waitFor(check, timeoutMs = 10000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const result = check();
+    if (result) return result;
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+  throw new Error('Timed out waiting for telemetry');
+}
+
+describe('OpenTelemetry export', () => {
+  let receiver;
+  let instance;
+
+  beforeAll(async () => {
+    receiver = await startReceiver();
+    instance = await startInstance({
+      OTEL_EXPORTER_OTLP_ENDPOINT: receiver.url,
+      OTEL_METRIC_EXPORT_INTERVAL: '500',
+      OTEL_BSP_SCHEDULE_DELAY: '100',
+      DEPLOYMENT_TYPE: 'canary',
+      SLOT_NAME: 'green'
+    });
+  });
+
+  afterAll(async () => {
+    if (instance) await instance.stop();
+    if (receiver) receiver.close();
+  });
+
+  it('should export server spans that continue the incoming trace', async () => {
+    const response = await fetch(`${instance.baseUrl}/api`, {
+      headers: { traceparent: `00-${TRACE_ID}-${PARENT_ID}-01` }
+    });
+    const [, traceId, spanId] = response.headers.get('traceparent').split('-');
+
+    const span = await waitFor(() => exportedSpans(receiver.received)
+      .find((candidate) => candidate.kind === 2 && candidate.attributes['http.route'] === '/api'));
+
+    expect(traceId).toBe(TRACE_ID);
+    expect(span.traceId).toBe(TRACE_ID);
+    expect(span.parentSpanId).toBe(PARENT_ID);
+    // The response and the logs carry the exported span's ID
+    expect(span.spanId).toBe(spanId);
+    expect(span.resource).toMatchObject({
+      'service.name': 'gas-project',
+      'service.version': require('../../package.json').version,
+      'deployment.type': 'canary',
+      'deployment.slot': 'green'
+    });
+  });
+
+  it('should not trace probes', async () => {
+    await fetch(`${instance.baseUrl}/health/live`);
+    await fetch(`${instance.baseUrl}/api`);
+
+    await waitFor(() => exportedSpans(receiver.received).filter((span) => span.kind === 2).length >= 2);
+    expect(exportedSpans(receiver.received).map(({ name }) => name)).not.toContain('GET /health/live');
+  });
+
+  it('should trace outbound HTTP calls', async () => {
+    // Instrumentation hooks Node's module loader, which Jest bypasses, so the
+    // outbound call is made from a plain Node process
+    const script = `
+      const { startTelemetry } = require(${JSON.stringify(path.join(__dirname, '../../src/telemetry'))});
+      const telemetry = startTelemetry({
+        endpoint: process.argv[1], serviceName: 'outbound-test', serviceVersion: '0.0.0', deploymentType: 'local'
+      });
+      require('http').get(process.argv[1] + '/outbound', (res) => {
+        res.resume();
+        res.on('end', () => telemetry.shutdown());
+      });
+    `;
+    await new Promise((resolve, reject) => {
+      execFile(process.execPath, ['-e', script, receiver.url], { timeout: 10000 }, (error) => (
+        error ? reject(error) : resolve()
+      ));
+    });
+
+    const span = exportedSpans(receiver.received)
+      .find((candidate) => candidate.kind === 3 && candidate.resource['service.name'] === 'outbound-test');
+    expect(span).toBeDefined();
+    expect(JSON.stringify(span.attributes)).toContain('/outbound');
+  });
+
+  it('should export HTTP server metrics', async () => {
+    const names = await waitFor(() => {
+      const exported = exportedMetricNames(receiver.received);
+      return exported.some((name) => name.startsWith('http.server')) && exported;
+    });
+
+    expect(names).toEqual(expect.arrayContaining([expect.stringMatching(/^http\.server\./)]));
+  });
+});
@@ -0,0 +1,53 @@
+const { main } = require('../../src/version-drift');
+const { startInstance } = require('../helpers/instances');
+
+const output = () => {
+  const chunks = [];
+  return { write: (chunk) => chunks.push(chunk), text: () => chunks.join('') };
+};
+
+describe('Version drift against local instances', () => {
+  let blue;
+  let green;
+
+  beforeAll(async () => {
+    [blue, green] = await Promise.all([
+      startInstance({ DEPLOYMENT_TYPE: 'blue', SLOT_NAME: 'blue', GIT_SHA: 'aaaaaaa' }),
+      startInstance({ DEPLOYMENT_TYPE: 'green', SLOT_NAME: 'green', GIT_SHA: 'bbbbbbb' })
+    ]);
+  }, 30000);
+
+  afterAll(async () => {
+    await Promise.all([blue, green].filter(Boolean).map((instance) => instance.stop()));
+  });
+
+  it('should exit 0 when an instance runs the expected SHA', async () => {
+    const stdout = output();
+
+    const code = await main(['--url', `blue=${blue.baseUrl}`, '--expect-sha', 'aaaaaaa'], { stdout, stderr: output() });
+
+    expect(code).toBe(0);
+    expect(JSON.parse(stdout.text()).instances[0]).toMatchObject({ name: 'blue', slot: 'blue', gitSha: 'aaaaaaa' });
+  });
+
+  it('should exit 1 when slots run different SHAs', async () => {
+    const stderr = output();
+
+    const code = await main(
+      ['--url', `blue=${blue.baseUrl}`, '--url', `green=${green.baseUrl}`],
+      { stdout: output(), stderr }
+    );
+
+    expect(code).toBe(1);
+    expect(stderr.text()).toMatch(/drift/);
+  });
+
+  it('should exit 2 when an instance is unreachable', async () => {
+    const code = await main(
+      ['--url', `blue=${blue.baseUrl}`, '--url', 'green=http://127.0.0.1:1', '--timeout', '2s'],
+      { stdout: output(), stderr: output() }
+    );
+
+    expect(code).toBe(2);
+  });
+});
@@ -5,6 +5,8 @@
 process.env.NODE_ENV = 'test';
 process.env.PORT = '3000';
 process.env.DEPLOYMENT_TYPE = 'test';
+// Check every /api response against the OpenAPI document
+process.env.OPENAPI_VALIDATION = 'all';
 
 // Increase timeout for integration tests
 jest.setTimeout(10000);
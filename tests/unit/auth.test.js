@@ -0,0 +1,228 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const {
+  createAuth,
+  normalizeApiKeys,
+  loadJwks,
+  verifyJwt
+} = require('../../src/auth');
+const { getMetrics } = require('../../src/metrics');
+const { signJwt } = require('../helpers/jwt');
+
+const VIEWER_KEY = 'viewer-key-0123456789';
+const OPERATOR_KEY = 'operator-key-0123456789';
+const SECRET = 'jwt-test-secret';
+const NOW = Date.parse('2026-01-01T00:00:00Z');
+const nowSec = NOW / 1000;
+
+function buildApp(options) {
+  const auth = createAuth(options);
+  const app = express();
+  app.get('/open', auth.authenticate, (req, res) => res.json({ principal: req.principal }));
+  app.get('/attached', auth.attachPrincipal, (req, res) => res.json({ principal: req.principal }));
+  app.get('/viewer', auth.requireRole('viewer'), (req, res) => res.json({ principal: req.principal }));
+  app.get('/operator', auth.requireRole('operator'), (req, res) => res.json({ principal: req.principal }));
+  return app;
+}
+
+async function failureCount(reason, method) {
+  const { values } = await getMetrics().authFailureCounter.get();
+  const match = values.find((value) => value.labels.reason === reason && value.labels.method === method);
+  return match ? match.value : 0;
+}
+
+describe('Auth Module', () => {
+  const logger = { warn: jest.fn() };
+  const apiKeys = [
+    { name: 'prometheus', role: 'viewer', key: VIEWER_KEY },
+    { name: 'deployer', role: 'operator', sha256: crypto.createHash('sha256').update(OPERATOR_KEY).digest('hex') }
+  ];
+  let app;
+
+  beforeEach(() => {
+    logger.warn.mockClear();
+    app = buildApp({
+      apiKeys, jwt: { secret: SECRET }, getAdminToken: () => 'legacy-admin-token', logger, now: () => NOW
+    });
+  });
+
+  describe('normalizeApiKeys', () => {
+    it('should store keys as SHA-256 digests', () => {
+      const [viewer] = normalizeApiKeys(apiKeys);
+
+      expect(viewer).toEqual({
+        name: 'prometheus',
+        role: 'viewer',
+        sha256: crypto.createHash('sha256').update(VIEWER_KEY).digest('hex')
+      });
+    });
+
+    it('should reject invalid definitions', () => {
+      expect(() => normalizeApiKeys({})).toThrow(/array/);
+      expect(() => normalizeApiKeys([{ role: 'viewer', key: VIEWER_KEY }])).toThrow(/name/);
+      expect(() => normalizeApiKeys([{ name: 'a', role: 'root', key: VIEWER_KEY }])).toThrow(/role/);
+      expect(() => normalizeApiKeys([{ name: 'a', role: 'viewer', key: 'short' }])).toThrow(/16 characters/);
+      expect(() => normalizeApiKeys([{ name: 'a', role: 'viewer', sha256: 'abc' }])).toThrow(/sha256/);
+      expect(() => normalizeApiKeys([
+        { name: 'a', role: 'viewer', key: VIEWER_KEY },
+        { name: 'a', role: 'admin', key: OPERATOR_KEY }
+      ])).toThrow(/unique/);
+    });
+  });
+
+  describe('verifyJwt', () => {
+    let keys;
+    let privateKey;
+
+    beforeAll(() => {
+      const pair = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+      privateKey = pair.privateKey;
+
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jwks-'));
+      const file = path.join(dir, 'jwks.json');
+      fs.writeFileSync(file, JSON.stringify({
+        keys: [{ ...pair.publicKey.export({ format: 'jwk' }), kid: 'main', alg: 'RS256' }]
+      }));
+      keys = loadJwks(file);
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should verify HS256 and RS256 tokens', () => {
+      const hs = signJwt({ sub: 'a', exp: nowSec + 60 }, { secret: SECRET });
+      const rs = signJwt({ sub: 'b' }, { privateKey, kid: 'main' });
+
+      expect(verifyJwt(hs, { secret: SECRET, now: () => NOW }).sub).toBe('a');
+      expect(verifyJwt(rs, { keys, now: () => NOW }).sub).toBe('b');
+    });
+
+    it('should refuse bad signatures, unknown keys and unaccepted algorithms', () => {
+      const forged = signJwt({ sub: 'a' }, { secret: 'other-secret' });
+      const unknownKid = signJwt({ sub: 'b' }, { privateKey, kid: 'old' });
+      const unsigned = `${Buffer.from('{"alg":"none"}').toString('base64url')}.${
+        Buffer.from('{"sub":"c"}').toString('base64url')}.`;
+
+      expect(() => verifyJwt(forged, { secret: SECRET })).toThrow(/signature/);
+      expect(() => verifyJwt(unknownKid, { keys })).toThrow(/signature/);
+      expect(() => verifyJwt(unsigned, { secret: SECRET, keys })).toThrow(/algorithm none/);
+      // An RS256 token is not accepted as HS256 just because a secret is configured
+      expect(() => verifyJwt(signJwt({}, { privateKey }), { secret: SECRET })).toThrow(/algorithm RS256/);
+    });
+
+    it('should check expiry, not-before, issuer and audience', () => {
+      const options = {
+        secret: SECRET, issuer: 'https://issuer', audience: 'gas', now: () => NOW
+      };
+      const sign = (claims) => signJwt({ iss: 'https://issuer', aud: ['gas'], ...claims }, { secret: SECRET });
+
+      expect(() => verifyJwt(sign({ exp: nowSec - 31 }), options))
+        .toThrow(expect.objectContaining({ code: 'expired' }));
+      expect(verifyJwt(sign({ exp: nowSec - 10 }), options)).toBeTruthy();
+      expect(() => verifyJwt(sign({ nbf: nowSec + 60 }), options)).toThrow(/not valid yet/);
+      expect(() => verifyJwt(sign({ iss: 'https://other' }), options)).toThrow(/issuer/);
+      expect(() => verifyJwt(sign({ aud: 'other' }), options)).toThrow(/audience/);
+    });
+  });
+
+  describe('createAuth', () => {
+    it('should let anonymous requests through authenticate', async () => {
+      const response = await request(app).get('/open');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ principal: null });
+    });
+
+    it('should attach the principal without rejecting invalid credentials', async () => {
+      const before = await failureCount('invalid_key', 'api_key');
+
+      const valid = await request(app).get('/attached').set('X-API-Key', VIEWER_KEY);
+      const invalid = await request(app).get('/attached').set('X-API-Key', 'not-a-key');
+
+      expect(valid.body.principal).toEqual({ name: 'prometheus', role: 'viewer', method: 'api_key' });
+      expect(invalid.status).toBe(200);
+      expect(invalid.body).toEqual({ principal: null });
+      expect(await failureCount('invalid_key', 'api_key')).toBe(before);
+    });
+
+    it('should accept API keys in X-API-Key or as a bearer token', async () => {
+      const byHeader = await request(app).get('/viewer').set('X-API-Key', VIEWER_KEY);
+      const byBearer = await request(app).get('/operator').set('Authorization', `Bearer ${OPERATOR_KEY}`);
+
+      expect(byHeader.body.principal).toEqual({ name: 'prometheus', role: 'viewer', method: 'api_key' });
+      expect(byBearer.body.principal).toEqual({ name: 'deployer', role: 'operator', method: 'api_key' });
+    });
+
+    it('should take the highest role from a JWT', async () => {
+      const token = signJwt({ sub: 'alice', roles: ['viewer', 'operator', 'auditor'] }, { secret: SECRET });
+      const response = await request(app).get('/operator').set('Authorization', `Bearer ${token}`);
+
+      expect(response.body.principal).toEqual({ name: 'alice', role: 'operator', method: 'jwt' });
+    });
+
+    it('should accept the legacy admin token with every role', async () => {
+      const response = await request(app).get('/operator').set('Authorization', 'Bearer legacy-admin-token');
+
+      expect(response.body.principal).toMatchObject({ name: 'admin-token', role: 'admin' });
+    });
+
+    it('should answer 401 without credentials and 403 below the role', async () => {
+      const before = await failureCount('missing', 'none');
+
+      const anonymous = await request(app).get('/viewer');
+      const viewer = await request(app).get('/operator').set('X-API-Key', VIEWER_KEY);
+
+      expect(anonymous.status).toBe(401);
+      expect(anonymous.headers['www-authenticate']).toBe('Bearer');
+      expect(viewer.status).toBe(403);
+      expect(viewer.body.message).toMatch(/operator/);
+      expect(await failureCount('missing', 'none')).toBe(before + 1);
+    });
+
+    it('should refuse invalid credentials even where they are optional', async () => {
+      const before = await failureCount('expired', 'jwt');
+      const expired = signJwt({ sub: 'alice', roles: 'viewer', exp: nowSec - 3600 }, { secret: SECRET });
+
+      expect((await request(app).get('/open').set('X-API-Key', 'wrong-key-0123456789')).status).toBe(401);
+      expect((await request(app).get('/open').set('Authorization', `Bearer ${expired}`)).status).toBe(401);
+      expect((await request(app).get('/open').set('Authorization', 'Basic dXNlcjpwYXNz')).status).toBe(401);
+      expect(await failureCount('expired', 'jwt')).toBe(before + 1);
+    });
+
+    it('should report unexpected token errors as invalid_token', async () => {
+      const before = await failureCount('invalid_token', 'jwt');
+      // Correctly signed, but the payload is not a claims object
+      const token = signJwt(null, { secret: SECRET });
+
+      const response = await request(app).get('/viewer').set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(401);
+      expect(response.body.message).toBe('Token is not valid');
+      expect(await failureCount('invalid_token', 'jwt')).toBe(before + 1);
+    });
+
+    it('should refuse tokens without a known role', async () => {
+      const token = signJwt({ sub: 'bob', roles: ['auditor'] }, { secret: SECRET });
+
+      const response = await request(app).get('/viewer').set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(401);
+      expect(response.body.message).toMatch(/no known role/);
+    });
+
+    it('should log failures without the credential', async () => {
+      await request(app).get('/viewer').set('X-API-Key', 'leaked-key-0123456789');
+
+      expect(logger.warn).toHaveBeenCalledWith('Authentication failed', expect.objectContaining({
+        reason: 'invalid_key', method: 'api_key', path: '/viewer'
+      }));
+      expect(JSON.stringify(logger.warn.mock.calls)).not.toContain('leaked-key');
+    });
+
+    it('should reject unknown roles when building a guard', () => {
+      expect(() => createAuth().requireRole('root')).toThrow(/Unknown role/);
+    });
+  });
+});
@@ -0,0 +1,211 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runBlueGreen, swapBack, main } = require('../../src/blue-green');
+const { createLocalAdapter } = require('../../src/platform-adapters');
+
+const OLD_SHA = 'aaaaaaa1111111111111111111111111111111111';
+const NEW_SHA = 'bbbbbbb2222222222222222222222222222222222';
+const RELEASE = { image: 'gas-app:bbbbbbb', sha: NEW_SHA };
+const URLS = { blue: 'http://blue.test', green: 'http://green.test' };
+
+const silent = { info: () => {}, error: () => {} };
+const SMOKE_SUITE = {
+  checks: [{ name: 'version', path: '/version', json: [{ path: '$.gitSha', matches: '^{{gitSha}}' }] }]
+};
+
+/**
+ * Fake both slots over fetch; `slots[name]` holds the SHA it serves and
+ * whether /health/ready passes
+ */
+function fakeSlots(slots) {
+  jest.spyOn(global, 'fetch').mockImplementation(async (url) => {
+    const { origin, pathname } = new URL(url);
+    const slot = slots[Object.keys(URLS).find((name) => URLS[name] === origin)];
+    const status = pathname === '/health/ready' && !slot.ready ? 503 : 200;
+    return {
+      ok: status === 200,
+      status,
+      json: async () => ({ gitSha: slot.sha }),
+      text: async () => JSON.stringify({ gitSha: slot.sha }),
+      arrayBuffer: async () => new ArrayBuffer(0)
+    };
+  });
+}
+
+function setup({ verifyFailsAfterSwap = false, deployedSha = null } = {}) {
+  const slots = { blue: { sha: OLD_SHA, ready: true }, green: { sha: null, ready: false } };
+  fakeSlots(slots);
+  const adapter = createLocalAdapter({
+    urls: URLS,
+    live: 'blue',
+    launch: async (slot, release) => {
+      slots[slot] = { sha: deployedSha || release.sha, ready: true };
+    }
+  });
+  const { swap } = adapter;
+  adapter.swap = jest.fn(async () => {
+    await swap();
+    if (verifyFailsAfterSwap && adapter.swap.mock.calls.length === 1) {
+      slots.green.ready = false;
+    }
+  });
+
+  let clock = 0;
+  const timing = {
+    logger: silent,
+    smokeSuite: SMOKE_SUITE,
+    sleep: async (ms) => { clock += ms; },
+    now: () => clock,
+    verifyWindowMs: 20000,
+    intervalMs: 5000
+  };
+  return { slots, adapter, timing };
+}
+
+describe('Blue-Green Orchestrator', () => {
+  let dir;
+  let journalFile;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'blue-green-'));
+    journalFile = path.join(dir, 'journal.json');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should deploy, swap and verify the idle slot', async () => {
+    const { adapter, timing } = setup();
+
+    const journal = await runBlueGreen({
+      adapter, release: RELEASE, journalFile, ...timing
+    });
+
+    expect(journal.status).toBe('succeeded');
+    expect(Object.keys(journal.steps)).toEqual(['plan', 'deploy', 'warmup', 'smoke', 'swap', 'verify']);
+    expect(journal.steps.plan.result).toMatchObject({
+      live: { slot: 'blue' }, idle: { slot: 'green' }, previousSha: OLD_SHA
+    });
+    expect(journal.steps.verify.result.checks).toBe(4);
+    expect((await adapter.describe()).live.slot).toBe('green');
+    expect(JSON.parse(fs.readFileSync(journalFile, 'utf8')).status).toBe('succeeded');
+  });
+
+  it('should abort without swapping when smoke checks fail', async () => {
+    const { adapter, timing } = setup({ deployedSha: 'ccccccc' });
+
+    const journal = await runBlueGreen({
+      adapter, release: RELEASE, journalFile, ...timing
+    });
+
+    expect(journal.status).toBe('aborted');
+    expect(journal.steps.smoke.status).toBe('failed');
+    expect(journal.steps.smoke.error).toMatch(/green version: \$.gitSha is "ccccccc"/);
+    expect(adapter.swap).not.toHaveBeenCalled();
+    expect((await adapter.describe()).live.slot).toBe('blue');
+  });
+
+  it('should roll back when the live slot fails verification', async () => {
+    const { adapter, timing } = setup({ verifyFailsAfterSwap: true });
+
+    const journal = await runBlueGreen({
+      adapter, release: RELEASE, journalFile, ...timing
+    });
+
+    expect(journal.status).toBe('rolled-back');
+    expect(journal.steps.verify.error).toMatch(/unhealthy after the swap/);
+    expect(journal.steps.rollback.result).toMatchObject({ live: { slot: 'blue' }, restoredSha: OLD_SHA });
+    expect(adapter.swap).toHaveBeenCalledTimes(2);
+  });
+
+  it('should pause after a step and resume from the journal', async () => {
+    const { adapter, timing } = setup();
+
+    const paused = await runBlueGreen({
+      adapter, release: RELEASE, journalFile, stopAfter: 'smoke', ...timing
+    });
+    expect(paused.status).toBe('paused');
+    expect(adapter.swap).not.toHaveBeenCalled();
+
+    const resumed = await runBlueGreen({
+      adapter, release: RELEASE, journalFile, ...timing
+    });
+    expect(resumed.status).toBe('succeeded');
+    expect(resumed.steps.deploy.startedAt).toBe(paused.steps.deploy.startedAt);
+    expect(adapter.swap).toHaveBeenCalledTimes(1);
+  });
+
+  it('should not swap twice when resuming an interrupted swap', async () => {
+    const { adapter, timing } = setup();
+    await runBlueGreen({
+      adapter, release: RELEASE, journalFile, stopAfter: 'swap', ...timing
+    });
+    // Simulate a crash after the platform swapped but before the journal recorded it
+    const journal = JSON.parse(fs.readFileSync(journalFile, 'utf8'));
+    journal.steps.swap = { status: 'started', startedAt: journal.steps.swap.startedAt };
+    fs.writeFileSync(journalFile, JSON.stringify(journal));
+
+    const resumed = await runBlueGreen({
+      adapter, release: RELEASE, journalFile, ...timing
+    });
+
+    expect(resumed.status).toBe('succeeded');
+    expect(adapter.swap).toHaveBeenCalledTimes(1);
+  });
+
+  it('should refuse to resume an unfinished journal of another release', async () => {
+    const { adapter, timing } = setup();
+    await runBlueGreen({
+      adapter, release: RELEASE, journalFile, stopAfter: 'deploy', ...timing
+    });
+
+    await expect(runBlueGreen({
+      adapter, release: { image: 'gas-app:ccccccc', sha: 'ccccccc' }, journalFile, ...timing
+    })).rejects.toThrow(/unfinished release of bbbbbbb/);
+  });
+
+  it('should swap back on demand', async () => {
+    const { adapter, timing } = setup();
+    await adapter.deploy('green', RELEASE);
+    await adapter.swap();
+
+    const result = await swapBack({ adapter, ...timing });
+
+    expect(result).toEqual({ live: { slot: 'blue', url: URLS.blue }, sha: OLD_SHA });
+  });
+
+  describe('main', () => {
+    const output = () => {
+      const chunks = [];
+      return { write: (chunk) => chunks.push(chunk), text: () => chunks.join('') };
+    };
+
+    it('should print usage and exit 3 without a release', async () => {
+      const stderr = output();
+
+      const code = await main(['--app', 'gas-app', '--resource-group', 'gas-rg'], { stdout: output(), stderr });
+
+      expect(code).toBe(3);
+      expect(stderr.text()).toMatch(/Usage/);
+    });
+
+    it('should map the journal status to the exit code', async () => {
+      const { adapter } = setup({ deployedSha: 'ccccccc' });
+      const stderr = output();
+
+      const suiteFile = path.join(dir, 'smoke.json');
+      fs.writeFileSync(suiteFile, JSON.stringify({ ...SMOKE_SUITE, defaults: { retries: 0 } }));
+
+      const code = await main([
+        '--app', 'gas-app', '--resource-group', 'gas-rg', '--image', RELEASE.image, '--sha', NEW_SHA,
+        '--journal', journalFile, '--smoke-suite', suiteFile, '--warmup-timeout', '0', '--interval', '0'
+      ], { stdout: output(), stderr, createAdapter: () => adapter });
+
+      expect(code).toBe(1);
+      expect(stderr.text()).toMatch(/Blue-green release: aborted/);
+    });
+  });
+});
@@ -0,0 +1,40 @@
+const { getBuildInfo } = require('../../src/build-info');
+const { version } = require('../../package.json');
+
+describe('Build Info Module', () => {
+  it('should report the configured build metadata', () => {
+    const info = getBuildInfo({
+      GIT_SHA: '0123456789abcdef0123456789abcdef01234567',
+      BUILD_TIME: '2024-05-01T12:00:00Z',
+      IMAGE_TAG: 'prod-0123456',
+      SLOT_NAME: 'green',
+      WORKFLOW_RUN_ID: '42',
+      DEPLOYMENT_TYPE: 'stable'
+    });
+
+    expect(info).toEqual({
+      version,
+      gitSha: '0123456789abcdef0123456789abcdef01234567',
+      shortSha: '0123456',
+      buildTime: '2024-05-01T12:00:00Z',
+      imageTag: 'prod-0123456',
+      slot: 'green',
+      workflowRunId: '42',
+      deploymentType: 'stable',
+      nodeVersion: process.version
+    });
+  });
+
+  it('should report unknown for missing metadata', () => {
+    const info = getBuildInfo({ DEPLOYMENT_TYPE: 'local' });
+
+    expect(info).toMatchObject({
+      gitSha: 'unknown',
+      shortSha: 'unknown',
+      buildTime: 'unknown',
+      imageTag: 'unknown',
+      slot: 'unknown',
+      workflowRunId: 'unknown'
+    });
+  });
+});
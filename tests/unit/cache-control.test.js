@@ -0,0 +1,75 @@
+const express = require('express');
+const request = require('supertest');
+const {
+  DEFAULT_CACHE_CONTROL,
+  normalizePolicies,
+  policyFor,
+  createCacheControlMiddleware
+} = require('../../src/cache-control');
+
+describe('Cache-Control Module', () => {
+  describe('policyFor', () => {
+    test('uses the longest matching prefix', () => {
+      expect(policyFor(DEFAULT_CACHE_CONTROL, '/health')).toBe('no-store');
+      expect(policyFor(DEFAULT_CACHE_CONTROL, '/health/ready')).toBe('no-store');
+      expect(policyFor(DEFAULT_CACHE_CONTROL, '/api/openapi.json')).toBe('public, max-age=60');
+      expect(policyFor(DEFAULT_CACHE_CONTROL, '/api/data/1')).toBe('no-cache');
+    });
+
+    test('matches whole path segments only', () => {
+      expect(policyFor(DEFAULT_CACHE_CONTROL, '/healthz')).toBe('no-cache');
+      expect(policyFor({ '/api/': 'private' }, '/api/data')).toBe('private');
+      expect(policyFor({ '/api': 'private' }, '/other')).toBeUndefined();
+    });
+  });
+
+  describe('normalizePolicies', () => {
+    test('merges policies over the defaults', () => {
+      const policies = normalizePolicies({ '/api/data': 'private, max-age=5', '/health': '' });
+
+      expect(policies['/api/data']).toBe('private, max-age=5');
+      expect(policies['/health']).toBe('');
+      expect(policies['/metrics']).toBe(DEFAULT_CACHE_CONTROL['/metrics']);
+    });
+
+    test.each([
+      [[], /must be an object/],
+      [{ api: 'no-cache' }, /"api" must start with \//],
+      [{ '/api': 60 }, /policy for \/api must be a string/]
+    ])('rejects %j', (policies, message) => {
+      expect(() => normalizePolicies(policies)).toThrow(message);
+    });
+  });
+
+  describe('createCacheControlMiddleware', () => {
+    function buildApp(policies) {
+      const app = express();
+      app.use(createCacheControlMiddleware(policies));
+      app.get('/health/live', (req, res) => res.json({ status: 'alive' }));
+      app.get('/api/data', (req, res) => res.json({ data: [] }));
+      app.get('/api/custom', (req, res) => res.set('Cache-Control', 'max-age=5').json({}));
+      app.post('/api/data', (req, res) => res.status(201).json({}));
+      return app;
+    }
+
+    test('sets the policy of GET responses', async () => {
+      const app = buildApp();
+
+      expect((await request(app).get('/health/live')).headers['cache-control']).toBe('no-store');
+      expect((await request(app).get('/api/data')).headers['cache-control']).toBe('no-cache');
+      expect((await request(app).head('/api/data')).headers['cache-control']).toBe('no-cache');
+    });
+
+    test('leaves other methods and handler headers alone', async () => {
+      const app = buildApp();
+
+      expect((await request(app).post('/api/data')).headers['cache-control']).toBeUndefined();
+      expect((await request(app).get('/api/custom')).headers['cache-control']).toBe('max-age=5');
+    });
+
+    test('drops the header for an empty policy', async () => {
+      const response = await request(buildApp({ '/health': '' })).get('/health/live');
+      expect(response.headers['cache-control']).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,206 @@
+const {
+  parsePrometheusText,
+  summarizeSamples,
+  diffSummaries,
+  histogramQuantile,
+  compareWindows,
+  main
+} = require('../../src/canary-analysis');
+
+function exposition(route, { ok = 0, errors = 0, buckets = {} }) {
+  const lines = [
+    '# HELP gas_http_requests_total Total number of HTTP requests',
+    '# TYPE gas_http_requests_total counter',
+    `gas_http_requests_total{method="GET",route="${route}",status_code="200"} ${ok}`,
+    `gas_http_requests_total{method="GET",route="${route}",status_code="500"} ${errors}`
+  ];
+  Object.entries(buckets).forEach(([le, count]) => {
+    const labels = `le="${le}",method="GET",route="${route}",status_code="200"`;
+    lines.push(`gas_http_request_duration_seconds_bucket{${labels}} ${count}`);
+  });
+  return lines.join('\n');
+}
+
+function windowFor(text) {
+  return diffSummaries({}, summarizeSamples(parsePrometheusText(text)));
+}
+
+describe('Canary Analysis Module', () => {
+  describe('parsePrometheusText', () => {
+    it('should parse samples with labels and skip comments', () => {
+      const samples = parsePrometheusText([
+        '# HELP x help',
+        'gas_up 1',
+        'gas_http_requests_total{method="GET",route="/a\\"b",status_code="200"} 12 1700000000000',
+        'gas_http_request_duration_seconds_bucket{le="+Inf",route="/"} 3 # {trace_id="abc"} 0.2'
+      ].join('\n'));
+
+      expect(samples).toEqual([
+        { name: 'gas_up', labels: {}, value: 1 },
+        {
+          name: 'gas_http_requests_total',
+          labels: { method: 'GET', route: '/a"b', status_code: '200' },
+          value: 12
+        },
+        {
+          name: 'gas_http_request_duration_seconds_bucket',
+          labels: { le: '+Inf', route: '/' },
+          value: 3
+        }
+      ]);
+    });
+  });
+
+  describe('histogramQuantile', () => {
+    it('should interpolate within the matching bucket', () => {
+      const buckets = {
+        0.1: 50, 0.5: 90, 1: 100, '+Inf': 100
+      };
+
+      expect(histogramQuantile(0.5, buckets)).toBeCloseTo(0.1);
+      expect(histogramQuantile(0.7, buckets)).toBeCloseTo(0.3);
+      expect(histogramQuantile(0.95, buckets)).toBeCloseTo(0.75);
+    });
+
+    it('should return the highest finite bound for the +Inf bucket', () => {
+      expect(histogramQuantile(0.99, { 1: 1, '+Inf': 10 })).toBe(1);
+    });
+
+    it('should return null without observations', () => {
+      expect(histogramQuantile(0.5, {})).toBeNull();
+      expect(histogramQuantile(0.5, { '+Inf': 0 })).toBeNull();
+    });
+  });
+
+  describe('summarizeSamples and diffSummaries', () => {
+    it('should aggregate per route and skip excluded routes', () => {
+      const text = [
+        exposition('/api', { ok: 8, errors: 2 }),
+        exposition('/metrics', { ok: 100 })
+      ].join('\n');
+
+      const summary = summarizeSamples(parsePrometheusText(text), { excludeRoutes: ['/metrics'] });
+
+      expect(summary['GET /api']).toMatchObject({ requests: 10, errors: 2 });
+      expect(summary['*']).toMatchObject({ requests: 10, errors: 2 });
+      expect(summary['GET /metrics']).toBeUndefined();
+    });
+
+    it('should subtract the window start and tolerate counter resets', () => {
+      const summarize = (ok) => summarizeSamples(parsePrometheusText(
+        exposition('/api', { ok, buckets: { '+Inf': ok } })
+      ));
+      const start = summarize(50);
+      const end = summarize(80);
+      const restarted = summarizeSamples(parsePrometheusText(exposition('/api', { ok: 5 })));
+
+      expect(diffSummaries(start, end)['GET /api']).toEqual({
+        requests: 30, errors: 0, buckets: { '+Inf': 30 }
+      });
+      expect(diffSummaries(start, restarted)['GET /api'].requests).toBe(5);
+    });
+  });
+
+  describe('compareWindows', () => {
+    const fast = {
+      0.01: 100, 0.1: 100, 1: 100, '+Inf': 100
+    };
+    const slow = {
+      0.01: 0, 0.1: 10, 1: 100, '+Inf': 100
+    };
+
+    it('should pass when canary matches stable', () => {
+      const stable = windowFor(exposition('/api', { ok: 100, buckets: fast }));
+      const canary = windowFor(exposition('/api', { ok: 100, buckets: fast }));
+
+      const result = compareWindows(stable, canary);
+
+      expect(result.verdict).toBe('pass');
+      expect(result.reasons).toEqual([]);
+      expect(result.routes[0].checks.every((check) => check.result === 'pass')).toBe(true);
+    });
+
+    it('should fail on an error rate increase', () => {
+      const stable = windowFor(exposition('/api', { ok: 100, buckets: fast }));
+      const canary = windowFor(exposition('/api', { ok: 90, errors: 10, buckets: fast }));
+
+      const result = compareWindows(stable, canary);
+
+      expect(result.verdict).toBe('fail');
+      expect(result.reasons).toContain('GET /api: errorRateIncrease breached threshold 0.01');
+    });
+
+    it('should fail on a latency regression', () => {
+      const stable = windowFor(exposition('/api', { ok: 100, buckets: fast }));
+      const canary = windowFor(exposition('/api', { ok: 100, buckets: slow }));
+
+      const result = compareWindows(stable, canary);
+
+      expect(result.verdict).toBe('fail');
+      const p95 = result.routes[0].checks.find((check) => check.metric === 'latency.p95');
+      expect(p95).toMatchObject({ result: 'fail' });
+      expect(p95.canary).toBeGreaterThan(p95.stable);
+    });
+
+    it('should honour threshold overrides', () => {
+      const stable = windowFor(exposition('/api', { ok: 100, buckets: fast }));
+      const canary = windowFor(exposition('/api', { ok: 100, buckets: slow }));
+
+      const result = compareWindows(stable, canary, { minLatencyDeltaSeconds: 5 });
+
+      expect(result.verdict).toBe('pass');
+    });
+
+    it('should be inconclusive without enough canary traffic', () => {
+      const stable = windowFor(exposition('/api', { ok: 100 }));
+      const canary = windowFor(exposition('/api', { ok: 3 }));
+
+      const result = compareWindows(stable, canary);
+
+      expect(result.verdict).toBe('inconclusive');
+      expect(result.reasons[0]).toMatch(/Canary served 3 requests/);
+    });
+
+    it('should apply the absolute error ceiling to routes only canary serves', () => {
+      const stable = windowFor(exposition('/api', { ok: 100 }));
+      const canary = windowFor([
+        exposition('/api', { ok: 100 }),
+        exposition('/api/new', { errors: 30 })
+      ].join('\n'));
+
+      const result = compareWindows(stable, canary);
+      const route = result.routes.find((entry) => entry.route === 'GET /api/new');
+
+      expect(result.verdict).toBe('fail');
+      expect(route.checks[0]).toMatchObject({ metric: 'errorRate', canary: 1, result: 'fail' });
+    });
+  });
+
+  describe('main', () => {
+    const output = () => {
+      const chunks = [];
+      return { write: (chunk) => chunks.push(chunk), text: () => chunks.join('') };
+    };
+
+    it('should print usage and exit 3 without targets', async () => {
+      const stderr = output();
+
+      const code = await main([], { stdout: output(), stderr });
+
+      expect(code).toBe(3);
+      expect(stderr.text()).toMatch(/Usage/);
+    });
+
+    it('should report scrape failures with exit code 3', async () => {
+      const stderr = output();
+
+      const code = await main(
+        ['--stable', 'http://127.0.0.1:1', '--canary', 'http://127.0.0.1:1', '--window', '0'],
+        { stdout: output(), stderr }
+      );
+
+      expect(code).toBe(3);
+      expect(stderr.text()).toMatch(/Canary analysis failed/);
+    });
+  });
+});
@@ -0,0 +1,235 @@
+const express = require('express');
+const request = require('supertest');
+const {
+  createChaosMiddleware,
+  setChaosConfig,
+  getChaosConfig,
+  loadChaosConfig,
+  releaseMemory,
+  sampleLatency,
+  patternToRegExp
+} = require('../../src/chaos');
+const { getMetrics } = require('../../src/metrics');
+
+function buildApp(options) {
+  const app = express();
+  app.use(createChaosMiddleware(options));
+  app.get('*', (req, res) => res.json({ ok: true }));
+  return app;
+}
+
+async function faultCount(fault, rule) {
+  const { values } = await getMetrics().chaosFaultCounter.get();
+  const match = values.find((value) => value.labels.fault === fault && value.labels.rule === rule);
+  return match ? match.value : 0;
+}
+
+describe('Chaos Module', () => {
+  afterEach(() => {
+    releaseMemory();
+    setChaosConfig({ enabled: false, rules: [] });
+  });
+
+  describe('patternToRegExp', () => {
+    it('should match single and multiple path segments', () => {
+      expect(patternToRegExp('/api/*').test('/api/data')).toBe(true);
+      expect(patternToRegExp('/api/*').test('/api/data/1')).toBe(false);
+      expect(patternToRegExp('/api/**').test('/api/data/1')).toBe(true);
+      expect(patternToRegExp('/api').test('/api/data')).toBe(false);
+    });
+  });
+
+  describe('sampleLatency', () => {
+    it('should sample fixed and uniform delays', () => {
+      expect(sampleLatency({ type: 'fixed', ms: 25 })).toBe(25);
+      expect(sampleLatency({ type: 'uniform', minMs: 10, maxMs: 20 }, () => 0.5)).toBe(15);
+    });
+
+    it('should produce a long tail around the configured median and p99', () => {
+      const latency = {
+        type: 'longtail', medianMs: 50, p99Ms: 1000, maxMs: 10000
+      };
+      const samples = Array.from({ length: 5000 }, () => sampleLatency(latency)).sort((a, b) => a - b);
+
+      expect(samples[2500]).toBeGreaterThan(35);
+      expect(samples[2500]).toBeLessThan(70);
+      expect(samples[4950]).toBeGreaterThan(500);
+      expect(samples[4999]).toBeLessThanOrEqual(10000);
+    });
+  });
+
+  describe('middleware', () => {
+    it('should pass requests through while disabled', async () => {
+      const response = await request(buildApp()).get('/api/data');
+
+      expect(response.status).toBe(200);
+    });
+
+    it('should inject errors with the configured status codes and count them', async () => {
+      setChaosConfig({
+        rules: [{ id: 'errors', route: '/api/**', error: { rate: 100, statusCodes: [503] } }]
+      });
+      const before = await faultCount('error', 'errors');
+
+      const response = await request(buildApp()).get('/api/data');
+
+      expect(response.status).toBe(503);
+      expect(response.headers['x-chaos-fault']).toBe('errors');
+      expect(response.body).toHaveProperty('error', 'Injected fault');
+      expect(await faultCount('error', 'errors')).toBe(before + 1);
+    });
+
+    it('should inject errors at the configured rate', async () => {
+      setChaosConfig({ rules: [{ id: 'partial', route: '/**', error: { rate: 30 } }] });
+      const values = [0.1, 0, 0.5, 0.9];
+      let i = 0;
+      const app = buildApp({
+        random: () => {
+          const value = values[i % values.length];
+          i += 1;
+          return value;
+        }
+      });
+
+      const statuses = [];
+      for (let n = 0; n < 3; n += 1) {
+        statuses.push((await request(app).get('/')).status);
+      }
+
+      expect(statuses).toEqual([500, 200, 200]);
+    });
+
+    it('should only fault matching routes, methods and deployment types', async () => {
+      setChaosConfig({
+        rules: [
+          {
+            id: 'canary', route: '/**', deploymentTypes: ['canary'], error: {}
+          },
+          {
+            id: 'posts', route: '/**', methods: ['post'], error: {}
+          },
+          { id: 'other', route: '/other', error: {} }
+        ]
+      });
+      const app = buildApp({ deploymentType: 'stable' });
+
+      expect((await request(app).get('/api')).status).toBe(200);
+      expect((await request(buildApp({ deploymentType: 'canary' })).get('/api')).status).toBe(500);
+    });
+
+    it('should never fault admin routes', async () => {
+      setChaosConfig({ rules: [{ route: '/**', error: {} }] });
+
+      const response = await request(buildApp()).get('/admin/chaos');
+
+      expect(response.status).toBe(200);
+    });
+
+    it('should delay matching requests', async () => {
+      setChaosConfig({ rules: [{ id: 'slow', route: '/api', latency: { type: 'fixed', ms: 60 } }] });
+
+      const start = Date.now();
+      const response = await request(buildApp()).get('/api');
+
+      expect(response.status).toBe(200);
+      expect(Date.now() - start).toBeGreaterThanOrEqual(55);
+    });
+
+    it('should drop connections', async () => {
+      setChaosConfig({ rules: [{ id: 'drop', route: '/api', drop: { rate: 100 } }] });
+
+      await expect(request(buildApp()).get('/api')).rejects.toThrow(/socket hang up|ECONNRESET/);
+      expect(await faultCount('drop', 'drop')).toBeGreaterThan(0);
+    });
+
+    it('should apply CPU and memory pressure within the memory cap', async () => {
+      setChaosConfig({
+        maxMemoryMb: 3,
+        rules: [{
+          id: 'pressure', route: '/api', cpu: { ms: 20 }, memory: { mb: 2, holdMs: 60000 }
+        }]
+      });
+      const app = buildApp();
+      const before = await faultCount('memory', 'pressure');
+
+      const start = Date.now();
+      await request(app).get('/api');
+      await request(app).get('/api');
+
+      expect(Date.now() - start).toBeGreaterThanOrEqual(38);
+      expect(await faultCount('cpu', 'pressure')).toBeGreaterThanOrEqual(2);
+      expect(await faultCount('memory', 'pressure')).toBe(before + 1);
+    });
+  });
+
+  describe('configuration', () => {
+    it('should reject invalid rules and keep the previous configuration', () => {
+      setChaosConfig({ rules: [{ id: 'keep', route: '/api', error: {} }] });
+
+      expect(() => setChaosConfig({ rules: [{ route: 'api' }] })).toThrow('route');
+      expect(() => setChaosConfig({ rules: [{ route: '/', error: { rate: 101 } }] })).toThrow('percentage');
+      expect(() => setChaosConfig({ rules: [{ route: '/', error: { statusCodes: [200] } }] })).toThrow('4xx/5xx');
+      expect(() => setChaosConfig({ rules: [{ route: '/', latency: { type: 'spiky' } }] })).toThrow('latency.type');
+      expect(() => setChaosConfig({
+        rules: [{ route: '/', latency: { type: 'longtail', medianMs: 100, p99Ms: 10 } }]
+      })).toThrow('p99Ms');
+      expect(() => setChaosConfig({
+        rules: [{ id: 'a', route: '/' }, { id: 'a', route: '/' }]
+      })).toThrow('unique');
+
+      expect(getChaosConfig().rules.map((rule) => rule.id)).toEqual(['keep']);
+    });
+
+    it.each([
+      ['maxMemoryMb that is not a number', { maxMemoryMb: '4096', rules: [] }, 'maxMemoryMb'],
+      ['maxMemoryMb above the limit', { maxMemoryMb: 1e9, rules: [] }, 'between 0 and 2048'],
+      ['cpu.ms above the limit', { rules: [{ route: '/', cpu: { ms: 60000 } }] }, 'cpu.ms must be at most 1000'],
+      [
+        'a uniform latency with minMs above maxMs',
+        { rules: [{ route: '/', latency: { type: 'uniform', minMs: 500, maxMs: 100 } }] },
+        'minMs must not exceed'
+      ],
+      ['methods that are not a list', { rules: [{ route: '/', methods: 'POST', error: {} }] }, 'methods must be'],
+      [
+        'deploymentTypes that are not a list',
+        { rules: [{ route: '/', deploymentTypes: 'canary', error: {} }] },
+        'deploymentTypes must be a list'
+      ],
+      [
+        'a fixed latency longer than a timer can wait',
+        { rules: [{ route: '/', latency: { ms: 2 ** 31 } }] },
+        'latency.ms must be at most 2147483647'
+      ],
+      [
+        'a uniform latency longer than a timer can wait',
+        { rules: [{ route: '/', latency: { type: 'uniform', maxMs: 2 ** 31 } }] },
+        'latency.maxMs must be at most'
+      ],
+      [
+        'a memory hold longer than a timer can wait',
+        { rules: [{ route: '/', memory: { mb: 1, holdMs: 2 ** 31 } }] },
+        'memory.holdMs must be at most'
+      ],
+      [
+        'a longtail latency with a zero median',
+        { rules: [{ route: '/', latency: { type: 'longtail', medianMs: 0, p99Ms: 100 } }] },
+        'medianMs must be a positive number'
+      ]
+    ])('should reject %s', (_, config, message) => {
+      setChaosConfig({ rules: [{ id: 'keep', route: '/api', error: {} }] });
+
+      expect(() => setChaosConfig(config)).toThrow(message);
+
+      expect(getChaosConfig().rules.map((rule) => rule.id)).toEqual(['keep']);
+    });
+
+    it('should load rules from CHAOS_CONFIG and stay disabled without it', async () => {
+      loadChaosConfig({ CHAOS_CONFIG: JSON.stringify({ rules: [{ id: 'env', route: '/**', drop: {} }] }) });
+      expect(getChaosConfig()).toMatchObject({ enabled: true, rules: [{ id: 'env' }] });
+      expect((await getMetrics().chaosEnabled.get()).values[0].value).toBe(1);
+
+      loadChaosConfig({});
+      expect(getChaosConfig()).toMatchObject({ enabled: false, rules: [] });
+    });
+  });
+});
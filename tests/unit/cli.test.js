@@ -0,0 +1,63 @@
+const {
+  assertKnownOptions, isUrl, parseArgs, parseDuration, parseHeaders
+} = require('../../src/cli');
+
+describe('CLI Helpers', () => {
+  describe('parseArgs', () => {
+    it('should parse flags with separate, inline and missing values', () => {
+      expect(parseArgs(['--stable', 'http://a', '--window=5m', '--verbose'])).toEqual({
+        stable: 'http://a',
+        window: '5m',
+        verbose: true
+      });
+    });
+
+    it('should collect repeated flags', () => {
+      expect(parseArgs(['--header', 'a: 1', '--header', 'b: 2'])).toEqual({
+        header: ['a: 1', 'b: 2']
+      });
+    });
+
+    it('should reject positional arguments', () => {
+      expect(() => parseArgs(['oops'])).toThrow('Unexpected argument: oops');
+    });
+  });
+
+  describe('parseDuration', () => {
+    it('should convert units to milliseconds', () => {
+      expect(parseDuration('1500ms')).toBe(1500);
+      expect(parseDuration('90s')).toBe(90000);
+      expect(parseDuration('5m')).toBe(300000);
+      expect(parseDuration('1h')).toBe(3600000);
+      expect(parseDuration('30d')).toBe(2592000000);
+      expect(parseDuration(30)).toBe(30000);
+    });
+
+    it('should reject invalid durations', () => {
+      expect(() => parseDuration('soon')).toThrow('Invalid duration: soon');
+    });
+  });
+
+  describe('parseHeaders', () => {
+    it('should split names and values', () => {
+      expect(parseHeaders(['Authorization: Bearer a:b'])).toEqual({ Authorization: 'Bearer a:b' });
+      expect(parseHeaders(undefined)).toEqual({});
+      expect(() => parseHeaders('nocolon')).toThrow('Invalid header');
+    });
+  });
+
+  describe('assertKnownOptions', () => {
+    it('should reject flags that are not known', () => {
+      expect(() => assertKnownOptions({ check: true }, ['check', 'help'])).not.toThrow();
+      expect(() => assertKnownOptions({ check: true, bogus: true }, ['check'])).toThrow('Unknown option: --bogus');
+    });
+  });
+
+  describe('isUrl', () => {
+    it('should accept absolute URLs only', () => {
+      expect(isUrl('http://127.0.0.1:3000')).toBe(true);
+      expect(isUrl('/api')).toBe(false);
+      expect(isUrl(undefined)).toBe(false);
+    });
+  });
+});
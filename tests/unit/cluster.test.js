@@ -0,0 +1,19 @@
+const { resolveWorkerCount, restartDelay } = require('../../src/cluster');
+
+describe('Cluster Module', () => {
+  describe('resolveWorkerCount', () => {
+    it('should read a worker count or one per CPU', () => {
+      expect(resolveWorkerCount('0')).toBe(0);
+      expect(resolveWorkerCount('3')).toBe(3);
+      expect(resolveWorkerCount('auto', 8)).toBe(8);
+    });
+  });
+
+  describe('restartDelay', () => {
+    it('should double the delay per crash in a row up to the cap', () => {
+      expect([1, 2, 3, 4].map((crashes) => restartDelay(crashes, 1000))).toEqual([1000, 2000, 4000, 8000]);
+      expect(restartDelay(10, 1000)).toBe(30000);
+      expect(restartDelay(3, 0)).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,142 @@
+const zlib = require('zlib');
+const express = require('express');
+const request = require('supertest');
+const { SYNC_MAX_BYTES, createCompressionMiddleware } = require('../../src/compression');
+
+const large = { items: Array.from({ length: 200 }, (_, i) => ({ id: i, name: `item-${i}` })) };
+const huge = 'y'.repeat(SYNC_MAX_BYTES * 2);
+
+// Keep the body as sent; superagent still decodes gzip on its own
+function raw(res, callback) {
+  const chunks = [];
+  res.on('data', (chunk) => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+}
+
+function get(app, path, encoding) {
+  const call = request(app).get(path).buffer(true).parse(raw);
+  return encoding === undefined ? call.set('Accept-Encoding', '') : call.set('Accept-Encoding', encoding);
+}
+
+// `onFinish` receives the uncompressed size left for the metrics
+function buildApp(options, onFinish = () => {}) {
+  const app = express();
+  app.use(createCompressionMiddleware(options));
+  app.use((req, res, next) => {
+    res.on('finish', () => onFinish(res.locals.uncompressedBytes));
+    next();
+  });
+  app.get('/large', (req, res) => res.json(large));
+  app.get('/small', (req, res) => res.json({ ok: true }));
+  app.get('/text', (req, res) => res.type('text/plain').end('x'.repeat(4096), 'utf8'));
+  app.get('/huge', (req, res) => res.type('text/plain').send(huge));
+  app.get('/tagged', (req, res) => res.set('ETag', '"v1"').json(large));
+  app.get('/weak', (req, res) => res.set('ETag', 'W/"v1"').json(large));
+  app.get('/image', (req, res) => res.type('image/png').send(Buffer.alloc(4096)));
+  app.get('/no-transform', (req, res) => res.set('Cache-Control', 'no-transform').json(large));
+  app.get('/encoded', (req, res) => res.set('Content-Encoding', 'gzip').type('json').send(zlib.gzipSync('{}')));
+  return app;
+}
+
+describe('Compression Module', () => {
+  test('compresses with brotli when the client accepts it', async () => {
+    const onFinish = jest.fn();
+    const response = await get(buildApp({}, onFinish), '/large', 'gzip, deflate, br');
+
+    expect(response.headers['content-encoding']).toBe('br');
+    expect(response.headers.vary).toMatch(/Accept-Encoding/);
+    expect(Number(response.headers['content-length'])).toBe(response.body.length);
+    expect(JSON.parse(zlib.brotliDecompressSync(response.body))).toEqual(large);
+    expect(onFinish).toHaveBeenCalledWith(Buffer.byteLength(JSON.stringify(large)));
+  });
+
+  test('falls back to gzip, and uses only gzip when configured so', async () => {
+    const fallback = await get(buildApp(), '/large', 'gzip');
+    expect(fallback.headers['content-encoding']).toBe('gzip');
+    expect(Number(fallback.headers['content-length'])).toBeLessThan(Buffer.byteLength(JSON.stringify(large)));
+    expect(JSON.parse(fallback.body)).toEqual(large);
+
+    const gzipOnly = await get(buildApp({ encodings: 'gzip' }), '/large', 'br, gzip');
+    expect(gzipOnly.headers['content-encoding']).toBe('gzip');
+  });
+
+  test('compresses text sent with res.end', async () => {
+    const response = await get(buildApp(), '/text', 'gzip');
+
+    expect(response.headers['content-encoding']).toBe('gzip');
+    expect(Number(response.headers['content-length'])).toBeLessThan(4096);
+    expect(response.body.toString()).toBe('x'.repeat(4096));
+  });
+
+  test('compresses bodies above the synchronous limit off the event loop', async () => {
+    const gzipSync = jest.spyOn(zlib, 'gzipSync');
+    const small = await get(buildApp(), '/text', 'gzip');
+    const response = await get(buildApp(), '/huge', 'gzip');
+    const syncCalls = gzipSync.mock.calls.length;
+    gzipSync.mockRestore();
+
+    expect(small.headers['content-encoding']).toBe('gzip');
+    expect(response.headers['content-encoding']).toBe('gzip');
+    expect(response.body.toString()).toBe(huge);
+    expect(syncCalls).toBe(1);
+  });
+
+  test('gives compressed responses their own strong ETag', async () => {
+    const app = buildApp();
+
+    const br = await get(app, '/tagged', 'br');
+    const gzip = await get(app, '/tagged', 'gzip');
+    const identity = await get(app, '/tagged');
+    const weak = await get(app, '/weak', 'br');
+
+    expect(br.headers.etag).toBe('"v1-br"');
+    expect(gzip.headers.etag).toBe('"v1-gzip"');
+    expect(identity.headers.etag).toBe('"v1"');
+    expect(weak.headers.etag).toBe('W/"v1"');
+  });
+
+  test('matches conditional requests against the ETag of the uncompressed body', async () => {
+    const app = buildApp();
+
+    const revalidated = await get(app, '/tagged', 'br').set('If-None-Match', '"v1-br"');
+    const otherEncoding = await get(app, '/tagged', 'gzip').set('If-None-Match', '"v1-br"');
+
+    expect(revalidated.status).toBe(304);
+    expect(otherEncoding.status).toBe(304);
+  });
+
+  test.each([
+    ['the client accepts no encoding', '/large', undefined],
+    ['the client refuses the offered ones', '/large', 'br;q=0, gzip;q=0'],
+    ['the body is below the threshold', '/small', 'br'],
+    ['the type is already compressed', '/image', 'br'],
+    ['Cache-Control forbids transforms', '/no-transform', 'br'],
+    ['the body is already encoded', '/encoded', 'br']
+  ])('sends the body as it is when %s', async (_, path, encoding) => {
+    const onFinish = jest.fn();
+    const response = await get(buildApp({}, onFinish), path, encoding);
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-encoding']).toBe(path === '/encoded' ? 'gzip' : undefined);
+    expect(onFinish).toHaveBeenCalledWith(undefined);
+  });
+
+  test('applies the size threshold', async () => {
+    const atThreshold = await get(buildApp({ minBytes: 4096 }), '/text', 'br');
+    expect(atThreshold.headers['content-encoding']).toBe('br');
+
+    const belowThreshold = await get(buildApp({ minBytes: 4097 }), '/text', 'br');
+    expect(belowThreshold.headers['content-encoding']).toBeUndefined();
+  });
+
+  test('leaves HEAD responses alone', async () => {
+    const response = await request(buildApp()).head('/large').set('Accept-Encoding', 'br');
+
+    expect(response.headers['content-encoding']).toBeUndefined();
+    expect(Number(response.headers['content-length'])).toBe(Buffer.byteLength(JSON.stringify(large)));
+  });
+
+  test('rejects unknown encodings', () => {
+    expect(() => createCompressionMiddleware({ encodings: 'zstd' })).toThrow(/Unknown compression "zstd"/);
+  });
+});
@@ -0,0 +1,125 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  loadConfig, resolveConfig, getConfig, describeConfig, configHandler
+} = require('../../src/config');
+
+describe('Config Module', () => {
+  let dir;
+  let dotenvPath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-'));
+    dotenvPath = path.join(dir, '.env');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    loadConfig();
+  });
+
+  it('should apply defaults and coerce types', () => {
+    const config = loadConfig({ env: {}, dotenvPath });
+
+    expect(config).toMatchObject({
+      PORT: 3000, HOST: '0.0.0.0', DEPLOYMENT_TYPE: 'stable', LOG_LEVEL: 'info', SHUTDOWN_TIMEOUT_MS: 30000
+    });
+    expect(config.ADMIN_TOKEN).toBeUndefined();
+    expect(loadConfig({ env: { PORT: '8080' }, dotenvPath }).PORT).toBe(8080);
+  });
+
+  it('should layer env over .env over the config file', () => {
+    const file = path.join(dir, 'config.json');
+    fs.writeFileSync(file, JSON.stringify({ PORT: 4000, LOG_LEVEL: 'warn', HOST: '127.0.0.1' }));
+    fs.writeFileSync(dotenvPath, `CONFIG_FILE=${file}\nLOG_LEVEL=debug\nDEPLOYMENT_TYPE=canary\n`);
+    const env = Object.freeze({ DEPLOYMENT_TYPE: 'blue' });
+
+    const config = loadConfig({ env, dotenvPath });
+
+    expect(config).toMatchObject({
+      PORT: 4000, LOG_LEVEL: 'debug', DEPLOYMENT_TYPE: 'blue', HOST: '127.0.0.1'
+    });
+    expect(describeConfig()).toMatchObject({
+      PORT: { source: 'file' }, LOG_LEVEL: { source: '.env' }, DEPLOYMENT_TYPE: { source: 'env' }
+    });
+    expect(env).toEqual({ DEPLOYMENT_TYPE: 'blue' });
+  });
+
+  it('should report every invalid setting at once', () => {
+    const env = {
+      DEPLOYMENT_TYPE: 'canery', PORT: '70000', SHUTDOWN_TIMEOUT_MS: '-1', CHAOS_CONFIG: '{'
+    };
+
+    let message;
+    try {
+      loadConfig({ env, dotenvPath });
+    } catch (error) {
+      ({ message } = error);
+    }
+
+    expect(message.split('\n')).toEqual([
+      'Invalid configuration:',
+      '  - PORT: "70000" (from env) must be an integer between 1 and 65535',
+      expect.stringContaining('DEPLOYMENT_TYPE: "canery" (from env) must be one of stable, canary'),
+      expect.stringContaining('CHAOS_CONFIG: "{" (from env) must be valid JSON'),
+      '  - SHUTDOWN_TIMEOUT_MS: "-1" (from env) must be an integer of at least 0'
+    ]);
+  });
+
+  it('should check string settings against their pattern', () => {
+    expect(loadConfig({ env: { GIT_SHA: 'abc1234' }, dotenvPath }).GIT_SHA).toBe('abc1234');
+    expect(() => loadConfig({ env: { GIT_SHA: 'main' }, dotenvPath }))
+      .toThrow('GIT_SHA: "main" (from env) must match');
+  });
+
+  it('should reject unknown settings and unreadable config files', () => {
+    const file = path.join(dir, 'config.json');
+    fs.writeFileSync(file, JSON.stringify({ PROT: 4000 }));
+
+    expect(() => loadConfig({ env: { CONFIG_FILE: file }, dotenvPath })).toThrow('PROT: unknown setting');
+    expect(() => loadConfig({ env: { CONFIG_FILE: path.join(dir, 'missing.json') }, dotenvPath }))
+      .toThrow('CONFIG_FILE: cannot read');
+  });
+
+  it('should not echo invalid secrets', () => {
+    const schema = { API_KEY: { type: 'integer', min: 1, secret: true } };
+
+    expect(() => loadConfig({ env: { API_KEY: 'hunter2' }, dotenvPath, schema }))
+      .toThrow('API_KEY: ******** (from env)');
+  });
+
+  it('should redact secrets in the effective configuration', () => {
+    loadConfig({ env: { ADMIN_TOKEN: 'hunter2', PORT: '3001' }, dotenvPath });
+    const res = { json: jest.fn() };
+
+    configHandler({}, res);
+
+    const { config } = res.json.mock.calls[0][0];
+    expect(config.ADMIN_TOKEN).toEqual({
+      value: '********', source: 'env', secret: true, description: expect.any(String)
+    });
+    expect(config.APPLICATIONINSIGHTS_CONNECTION_STRING).toMatchObject({ value: null, source: 'unset' });
+    expect(config.PORT).toMatchObject({ value: 3001, source: 'env' });
+    expect(JSON.stringify(config)).not.toContain('hunter2');
+  });
+
+  it('should resolve injected settings without the environment', () => {
+    const env = { ...process.env };
+
+    const config = resolveConfig({ DEPLOYMENT_TYPE: 'canary', PORT: 8080 });
+
+    expect(config).toMatchObject({ DEPLOYMENT_TYPE: 'canary', PORT: 8080, NODE_ENV: 'development' });
+    expect(resolveConfig(config)).toBe(config);
+    expect(describeConfig(config)).toMatchObject({
+      DEPLOYMENT_TYPE: { value: 'canary', source: 'injected' }, NODE_ENV: { source: 'default' }
+    });
+    expect(getConfig()).not.toBe(config);
+    expect(process.env).toEqual(env);
+    expect(() => resolveConfig({ PROT: 1, PORT: 0 })).toThrow(/PROT: unknown setting\n.*PORT: 0 \(from injected\)/s);
+  });
+
+  it('should load from the process environment on first use', () => {
+    expect(getConfig().NODE_ENV).toBe('test');
+  });
+});
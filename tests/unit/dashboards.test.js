@@ -0,0 +1,199 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  TARGET_LABELS,
+  parseQuery,
+  knownSeries,
+  checkQuery,
+  checkMonitoring,
+  recordingRules,
+  generateDashboards,
+  generateMonitoring,
+  main
+} = require('../../src/dashboards');
+const { getMetricCatalogue } = require('../../src/metrics');
+
+const MONITORING_DIR = path.join(__dirname, '../../infra/monitoring');
+const DASHBOARD_FILES = ['red-metrics.json', 'canary-comparison.json'];
+
+function stream() {
+  let text = '';
+  return { write: (chunk) => { text += chunk; }, text: () => text };
+}
+
+// Recording rules as the committed file defines them, so the check does not
+// depend on the generator that wrote them
+function committedRules() {
+  const text = fs.readFileSync(path.join(MONITORING_DIR, 'recording-rules.yml'), 'utf8');
+  return [...text.matchAll(/- record: (\S+)\n\s+expr: '((?:[^']|'')*)'/g)]
+    .map(([, record, expr]) => ({ record, expr: expr.replace(/''/g, "'") }));
+}
+
+describe('Dashboards Module', () => {
+  const catalogue = getMetricCatalogue();
+
+  describe('parseQuery', () => {
+    it('should find selectors, their labels and grouping labels', () => {
+      const parsed = parseQuery(
+        'histogram_quantile(0.95, sum by (le, deployment) '
+        + '(rate(gas_http_request_duration_seconds_bucket{route=~"/api/.*", method!="POST"}[5m])))'
+      );
+
+      expect(parsed).toEqual({
+        selectors: [{ metric: 'gas_http_request_duration_seconds_bucket', labels: ['route', 'method'] }],
+        grouping: ['le', 'deployment']
+      });
+    });
+
+    it('should handle trailing grouping, binary operators and recording rule names', () => {
+      const parsed = parseQuery(
+        'sum(rate(gas_http_requests_total{status_code=~"5.."}[5m])) by (route)'
+        + ' / on (deployment) group_left deployment:gas_http_requests:rate5m > 0.01'
+      );
+
+      expect(parsed.selectors.map(({ metric }) => metric)).toEqual([
+        'gas_http_requests_total', 'deployment:gas_http_requests:rate5m'
+      ]);
+      expect(parsed.grouping).toEqual(['route', 'deployment']);
+    });
+
+    it('should not mistake label values for names', () => {
+      expect(parseQuery('gas_up{job="gas_http_requests_total", instance=\'a:1\'}').selectors).toEqual([
+        { metric: 'gas_up', labels: ['job', 'instance'] }
+      ]);
+    });
+
+    it('should reject unbalanced expressions', () => {
+      expect(() => parseQuery('sum(rate(gas_up[5m])')).toThrow('unbalanced "("');
+      expect(() => parseQuery('gas_up{job="a"))')).toThrow('unbalanced ")"');
+    });
+  });
+
+  describe('checkQuery', () => {
+    const known = knownSeries(catalogue, recordingRules(catalogue));
+
+    it('should accept registered metrics, their labels and target labels', () => {
+      expect(checkQuery(
+        'sum by (deployment, route) (rate(gas_http_requests_total{status_code="200", environment="local"}[5m]))',
+        known,
+        '{{deployment}} {{route}}'
+      )).toEqual([]);
+      expect(checkQuery('deployment:gas_http_requests:rate5m{deployment="canary"}', known, '{{deployment}}'))
+        .toEqual([]);
+    });
+
+    it.each([
+      ['rate(gas_http_request_total[5m])', '', 'unknown metric gas_http_request_total'],
+      ['gas_http_requests_total{code="500"}', '', 'gas_http_requests_total has no label "code"'],
+      ['sum by (pod) (rate(gas_http_requests_total[5m]))', '', 'groups by unknown label "pod"'],
+      ['deployment:gas_http_requests:rate5m', '{{route}}', 'legend uses unknown label "route"'],
+      ['sum(rate(gas_http_requests_total[5m])', '', 'unbalanced "("']
+    ])('should report %s', (expr, legendFormat, problem) => {
+      expect(checkQuery(expr, known, legendFormat)).toEqual([problem]);
+    });
+  });
+
+  describe('generation', () => {
+    it('should reference only metrics and labels the registry has', () => {
+      const rules = recordingRules(catalogue);
+      const dashboards = Object.values(generateDashboards(catalogue, rules));
+
+      expect(checkMonitoring({ dashboards, rules }, knownSeries(catalogue, rules))).toEqual([]);
+    });
+
+    it('should keep the committed dashboards consistent with the registry', () => {
+      const rules = committedRules();
+      const dashboards = DASHBOARD_FILES
+        .map((file) => JSON.parse(fs.readFileSync(path.join(MONITORING_DIR, 'grafana-dashboards', file), 'utf8')));
+      const known = knownSeries(catalogue, rules.map(({ record }) => ({
+        record,
+        by: recordingRules(catalogue).find((rule) => rule.record === record)?.by || []
+      })));
+
+      expect(rules.length).toBeGreaterThan(0);
+      expect(checkMonitoring({ dashboards, rules }, known)).toEqual([]);
+    });
+
+    it('should keep the committed files in sync with the catalogue', () => {
+      const generated = generateMonitoring(catalogue);
+
+      DASHBOARD_FILES.forEach((file) => {
+        expect(fs.readFileSync(path.join(MONITORING_DIR, 'grafana-dashboards', file), 'utf8'))
+          .toBe(generated.dashboards[file]);
+      });
+      expect(fs.readFileSync(path.join(MONITORING_DIR, 'recording-rules.yml'), 'utf8')).toBe(generated.rules);
+    });
+
+    it('should fail when a dashboard metric is no longer registered', () => {
+      const withoutRejections = catalogue.filter(({ name }) => name !== 'gas_requests_rejected_total');
+      const withoutDurations = catalogue.filter(({ name }) => name !== 'gas_http_request_duration_seconds');
+
+      expect(() => generateMonitoring(withoutRejections))
+        .toThrow('metric gas_requests_rejected_total is not registered');
+      expect(() => generateMonitoring(withoutDurations))
+        .toThrow('metric gas_http_request_duration_seconds_bucket is not registered');
+    });
+
+    it('should fail when a queried label is no longer registered', () => {
+      const renamed = catalogue.map((metric) => (metric.name !== 'gas_http_requests_total' ? metric : {
+        ...metric,
+        series: [{ name: metric.name, labelNames: ['method', 'path', 'status_code'] }]
+      }));
+
+      expect(() => generateMonitoring(renamed)).toThrow(/groups by unknown label "route"/);
+    });
+
+    it('should only rely on target labels Prometheus sets', () => {
+      const config = fs.readFileSync(path.join(MONITORING_DIR, 'prometheus-config.yml'), 'utf8');
+
+      TARGET_LABELS.filter((label) => !['job', 'instance'].includes(label)).forEach((label) => {
+        expect(config).toMatch(new RegExp(`^\\s+${label}: `, 'm'));
+      });
+      expect(config).toContain('- "recording-rules.yml"');
+    });
+  });
+
+  describe('main', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dashboards-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should write the files and report them up to date', () => {
+      const args = ['--dashboards', dir, '--rules', path.join(dir, 'rules.yml')];
+      const stdout = stream();
+
+      expect(main(args, { stdout, stderr: stream() })).toBe(0);
+      expect(fs.readdirSync(dir).sort()).toEqual(['canary-comparison.json', 'red-metrics.json', 'rules.yml']);
+      expect(main([...args, '--check'], { stdout, stderr: stream() })).toBe(0);
+      expect(stdout.text()).toContain('are up to date');
+    });
+
+    it('should fail the check when a file is stale', () => {
+      const stderr = stream();
+      const args = ['--dashboards', dir, '--rules', path.join(dir, 'rules.yml'), '--check'];
+
+      expect(main(args, { stdout: stream(), stderr })).toBe(1);
+      expect(stderr.text()).toContain('out of date');
+    });
+
+    it('should reject unknown options without writing', () => {
+      const stderr = stream();
+      const args = ['--dashboards', dir, '--rules', path.join(dir, 'rules.yml'), '--bogus'];
+
+      expect(main(args, { stdout: stream(), stderr })).toBe(3);
+      expect(stderr.text()).toContain('Unknown option: --bogus');
+      expect(fs.readdirSync(dir)).toEqual([]);
+    });
+
+    it('should pass the check for the committed files', () => {
+      expect(main(['--check'], { stdout: stream(), stderr: stream() })).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,119 @@
+const { validateItem, parseListQuery, queryItems } = require('../../src/data-api');
+
+const items = [
+  {
+    id: 'a', name: 'Alpha', value: 30, tags: ['x'], createdAt: '2024-01-01T00:00:00.000Z'
+  },
+  {
+    id: 'b', name: 'Beta', value: 10, tags: [], createdAt: '2024-01-02T00:00:00.000Z'
+  },
+  {
+    id: 'c', name: 'Gamma', value: 20, tags: ['x', 'y'], createdAt: '2024-01-03T00:00:00.000Z'
+  },
+  {
+    id: 'd', name: 'Delta', value: 20, tags: ['y'], createdAt: '2024-01-04T00:00:00.000Z'
+  }
+];
+
+const ids = (result) => result.data.map((item) => item.id);
+
+describe('Data API Module', () => {
+  describe('validateItem', () => {
+    it('should accept a full item and default tags', () => {
+      expect(validateItem({ name: ' Widget ', value: 5 })).toEqual({
+        fields: { name: 'Widget', value: 5, tags: [] },
+        details: []
+      });
+    });
+
+    it('should list every problem with an item', () => {
+      const { details } = validateItem({
+        name: '', value: 'high', tags: 'a', colour: 'red'
+      });
+
+      expect(details).toEqual([
+        'Unknown field "colour"',
+        expect.stringContaining('name'),
+        'value must be a finite number',
+        expect.stringContaining('tags')
+      ]);
+    });
+
+    it('should ignore read-only fields sent back by clients', () => {
+      expect(validateItem({
+        id: 'a', version: 3, name: 'A', value: 1
+      }).details).toEqual([]);
+    });
+
+    it('should only check present fields of a partial update', () => {
+      expect(validateItem({ value: 2 }, { partial: true })).toEqual({ fields: { value: 2 }, details: [] });
+      expect(validateItem({}, { partial: true }).details).toEqual([expect.stringContaining('At least one')]);
+    });
+
+    it('should reject non-object bodies', () => {
+      expect(validateItem([]).details).toEqual(['Body must be a JSON object']);
+    });
+  });
+
+  describe('parseListQuery', () => {
+    it('should apply defaults', () => {
+      expect(parseListQuery({})).toEqual({ options: { sort: 'createdAt', limit: 20 }, details: [] });
+    });
+
+    it('should reject invalid parameters', () => {
+      const { details } = parseListQuery({
+        limit: '500', sort: 'colour', minValue: 'abc'
+      });
+
+      expect(details).toHaveLength(3);
+    });
+
+    it('should reject parameters given more than once', () => {
+      expect(parseListQuery({ sort: ['name', 'value'], limit: '5' }).details)
+        .toEqual(['sort must be given at most once']);
+    });
+
+    it('should reject cursors issued for another sort order', () => {
+      const { pagination } = queryItems(items, { sort: 'value', limit: 1 });
+
+      expect(parseListQuery({ sort: '-value', cursor: pagination.nextCursor }).details)
+        .toEqual([expect.stringContaining('cursor')]);
+      expect(parseListQuery({ cursor: 'garbage' }).details).toHaveLength(1);
+    });
+  });
+
+  describe('queryItems', () => {
+    it('should filter by name, tag and value range', () => {
+      expect(ids(queryItems(items, { sort: 'id', limit: 10, name: 'ta' }))).toEqual(['b', 'd']);
+      expect(ids(queryItems(items, { sort: 'id', limit: 10, tag: 'y' }))).toEqual(['c', 'd']);
+      expect(ids(queryItems(items, {
+        sort: 'id', limit: 10, minValue: 15, maxValue: 25
+      }))).toEqual(['c', 'd']);
+    });
+
+    it('should sort by a field with the id as tie-breaker', () => {
+      expect(ids(queryItems(items, { sort: 'value', limit: 10 }))).toEqual(['b', 'c', 'd', 'a']);
+      expect(ids(queryItems(items, { sort: '-value', limit: 10 }))).toEqual(['a', 'd', 'c', 'b']);
+    });
+
+    it('should page through results with cursors', () => {
+      const pages = [];
+      let options = { sort: '-value', limit: 3 };
+      for (;;) {
+        const result = queryItems(items, options);
+        pages.push(ids(result));
+        if (!result.pagination.hasMore) break;
+        ({ options } = parseListQuery({ sort: '-value', limit: '3', cursor: result.pagination.nextCursor }));
+      }
+
+      expect(pages).toEqual([['a', 'd', 'c'], ['b']]);
+    });
+
+    it('should keep later pages stable when earlier items are removed', () => {
+      const first = queryItems(items, { sort: 'id', limit: 2 });
+      const { options } = parseListQuery({ sort: 'id', limit: '2', cursor: first.pagination.nextCursor });
+
+      expect(ids(queryItems(items.slice(1), options))).toEqual(['c', 'd']);
+    });
+  });
+});
@@ -0,0 +1,151 @@
+const path = require('path');
+const {
+  loadFlags,
+  setFlags,
+  setFlag,
+  updateFlag,
+  getFlagDefinitions,
+  evaluateFlag,
+  isEnabled,
+  flagsHandler,
+  patchFlagHandler,
+  putFlagHandler
+} = require('../../src/flags');
+const { getMetrics } = require('../../src/metrics');
+
+describe('Feature Flags Module', () => {
+  beforeEach(() => {
+    setFlags({
+      everywhere: { enabled: true },
+      'canary-only': { deploymentTypes: ['canary'] },
+      killed: { enabled: false },
+      half: { rollout: 50 },
+      none: { rollout: 0 }
+    });
+  });
+
+  describe('loadFlags', () => {
+    it('should load the bundled config files', () => {
+      const definitions = loadFlags(path.join(__dirname, '../../config/flags.example.json'));
+
+      expect(definitions).toHaveProperty('new-data-format');
+      expect(definitions['experimental-cache'].enabled).toBe(false);
+      expect(loadFlags()).toEqual({
+        'extended-health-details': expect.objectContaining({ enabled: true, deploymentTypes: ['canary'] })
+      });
+    });
+  });
+
+  describe('evaluateFlag', () => {
+    it('should turn on flags without restrictions', () => {
+      expect(evaluateFlag('everywhere')).toEqual({ enabled: true, reason: 'on' });
+    });
+
+    it('should turn off unknown and kill-switched flags', () => {
+      expect(evaluateFlag('missing')).toEqual({ enabled: false, reason: 'unknown' });
+      expect(evaluateFlag('killed')).toEqual({ enabled: false, reason: 'killed' });
+    });
+
+    it('should target deployment types', () => {
+      expect(evaluateFlag('canary-only', { deploymentType: 'canary' }).enabled).toBe(true);
+      expect(evaluateFlag('canary-only', { deploymentType: 'stable' })).toEqual({
+        enabled: false,
+        reason: 'not-targeted'
+      });
+    });
+
+    it('should roll out to a stable share of keys', () => {
+      const keys = Array.from({ length: 1000 }, (_, i) => `user-${i}`);
+      const first = keys.map((key) => evaluateFlag('half', { key }).enabled);
+      const second = keys.map((key) => evaluateFlag('half', { key }).enabled);
+      const share = first.filter(Boolean).length / keys.length;
+
+      expect(second).toEqual(first);
+      expect(share).toBeGreaterThan(0.4);
+      expect(share).toBeLessThan(0.6);
+      expect(evaluateFlag('none', { key: 'user-1' }).reason).toBe('out-of-rollout');
+      expect(evaluateFlag('half', {}).reason).toBe('no-key');
+    });
+
+    it('should count evaluations per flag and result', async () => {
+      evaluateFlag('everywhere', { deploymentType: 'canary' });
+
+      const { values } = await getMetrics().flagEvaluationCounter.get();
+      expect(values).toEqual(expect.arrayContaining([
+        expect.objectContaining({
+          labels: { flag: 'everywhere', enabled: 'true', deployment_type: 'canary' }
+        })
+      ]));
+    });
+  });
+
+  describe('definition changes', () => {
+    it('should create, update and validate flags', () => {
+      setFlag('new-flag', { rollout: 10 });
+      expect(getFlagDefinitions()['new-flag']).toEqual({
+        description: '', enabled: true, deploymentTypes: null, rollout: 10
+      });
+
+      expect(updateFlag('new-flag', { enabled: false }).enabled).toBe(false);
+      expect(updateFlag('missing', { enabled: false })).toBeNull();
+
+      expect(() => setFlag('bad name', {})).toThrow('Invalid flag name');
+      expect(() => setFlag('x', { rollout: 150 })).toThrow('rollout');
+      expect(() => setFlag('x', { enabled: 'yes' })).toThrow('enabled');
+      expect(() => setFlag('x', { deploymentTypes: 'canary' })).toThrow('deploymentTypes');
+    });
+
+    it('should leave flags untouched when a bulk update is invalid', () => {
+      expect(() => setFlags({ ok: {}, broken: { rollout: -1 } })).toThrow();
+      expect(getFlagDefinitions()).toHaveProperty('everywhere');
+    });
+  });
+
+  describe('handlers', () => {
+    let res;
+
+    beforeEach(() => {
+      res = {
+        status: jest.fn().mockReturnThis(),
+        json: jest.fn().mockReturnThis()
+      };
+    });
+
+    const request = (overrides = {}) => ({
+      get: (header) => (header === 'x-user-id' ? 'user-7' : undefined),
+      query: {},
+      params: {},
+      body: {},
+      ip: '127.0.0.1',
+      ...overrides
+    });
+
+    it('should evaluate every flag for the request', () => {
+      flagsHandler(request(), res);
+
+      const body = res.json.mock.calls[0][0];
+      expect(body.flags.everywhere).toMatchObject({ enabled: true, reason: 'on' });
+      expect(body.flags.killed).toMatchObject({ enabled: false, reason: 'killed' });
+      expect(body).toHaveProperty('deploymentType');
+    });
+
+    it('should check a flag for a request', () => {
+      expect(isEnabled('everywhere', request())).toBe(true);
+      expect(isEnabled('none', request())).toBe(false);
+    });
+
+    it('should flip a kill switch and reject unknown flags', () => {
+      patchFlagHandler(request({ params: { name: 'everywhere' }, body: { enabled: false } }), res);
+      expect(evaluateFlag('everywhere').reason).toBe('killed');
+
+      patchFlagHandler(request({ params: { name: 'missing' }, body: { enabled: false } }), res);
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    it('should reject invalid definitions with 400', () => {
+      putFlagHandler(request({ params: { name: 'x' }, body: { rollout: 'all' } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+  });
+});
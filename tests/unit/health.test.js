@@ -1,4 +1,29 @@
-const { healthCheck, livenessProbe, readinessProbe } = require('../../src/health');
+const {
+  healthCheck,
+  healthHistoryHandler,
+  livenessProbe,
+  readinessProbe,
+  createReadinessProbe,
+  registerReadinessCheck,
+  unregisterReadinessCheck,
+  clearReadinessChecks,
+  runReadinessChecks,
+  configureHealth,
+  resetHealth,
+  evaluateHealth,
+  HEALTH_JSON_TYPE
+} = require('../../src/health');
+const { getMetrics, metricsMiddleware } = require('../../src/metrics');
+
+// Run a fake completed request through the metrics middleware
+function observeRequest(statusCode) {
+  const request = {
+    method: 'GET', path: '/health-test', baseUrl: '', route: { path: '/health-test' }, get: () => undefined
+  };
+  const response = { statusCode, end: () => {}, get: () => undefined };
+  metricsMiddleware(request, response, () => {});
+  response.end();
+}
 
 describe('Health Check Module', () => {
   let req;
@@ -13,8 +38,8 @@ describe('Health Check Module', () => {
   });
 
   describe('healthCheck', () => {
-    it('should return 200 status with health data', () => {
-      healthCheck(req, res);
+    it('should return 200 status with health data', async () => {
+      await healthCheck(req, res);
 
       expect(res.status).toHaveBeenCalledWith(200);
       expect(res.json).toHaveBeenCalled();
@@ -28,8 +53,8 @@ describe('Health Check Module', () => {
       expect(responseData).toHaveProperty('process');
     });
 
-    it('should include system information', () => {
-      healthCheck(req, res);
+    it('should include system information', async () => {
+      await healthCheck(req, res);
 
       const responseData = res.json.mock.calls[0][0];
       expect(responseData.system).toHaveProperty('platform');
@@ -37,8 +62,21 @@ describe('Health Check Module', () => {
       expect(responseData.system).toHaveProperty('nodeVersion');
     });
 
-    it('should include process information', () => {
-      healthCheck(req, res);
+    it('should add resource usage for callers selected by showResources', async () => {
+      await healthCheck(req, res);
+      expect(res.json.mock.calls[0][0]).not.toHaveProperty('resources');
+
+      configureHealth({ showResources: (caller) => caller === req });
+      await healthCheck(req, res);
+      configureHealth();
+
+      const { resources } = res.json.mock.calls[1][0];
+      expect(resources.cpu.userSeconds).toBeGreaterThan(0);
+      expect(resources.maxRss).toMatch(/^\d+ MB$/);
+    });
+
+    it('should include process information', async () => {
+      await healthCheck(req, res);
 
       const responseData = res.json.mock.calls[0][0];
       expect(responseData.process).toHaveProperty('pid');
@@ -46,6 +84,139 @@ describe('Health Check Module', () => {
     });
   });
 
+  describe('health states and history', () => {
+    beforeEach(() => {
+      resetHealth();
+      configureHealth();
+      res.set = jest.fn().mockReturnThis();
+    });
+
+    afterEach(() => {
+      clearReadinessChecks();
+    });
+
+    it('should be unhealthy with 503 when a critical check fails', async () => {
+      registerReadinessCheck('database', async () => {
+        throw new Error('connection refused');
+      });
+
+      await healthCheck(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(503);
+      expect(res.json.mock.calls[0][0]).toMatchObject({
+        status: 'unhealthy',
+        checks: [expect.objectContaining({ name: 'database', status: 'fail' })]
+      });
+    });
+
+    it('should be degraded when a non-critical check fails', async () => {
+      registerReadinessCheck('cache', async () => {
+        throw new Error('cache unavailable');
+      }, { critical: false });
+
+      expect((await evaluateHealth()).status).toBe('degraded');
+    });
+
+    it('should be degraded when the error rate crosses its threshold', async () => {
+      configureHealth({ errorRatePercent: 10 });
+      Array.from({ length: 18 }).forEach(() => observeRequest(200));
+      [500, 503].forEach(observeRequest);
+
+      const { status, indicators } = await evaluateHealth();
+
+      expect(status).toBe('degraded');
+      expect(indicators.find(({ name }) => name === 'http:errorRate')).toMatchObject({
+        status: 'warn', observedValue: 10, observedUnit: 'percent', threshold: 10
+      });
+    });
+
+    it('should not judge the error rate on a handful of requests', async () => {
+      observeRequest(500);
+
+      const { status, indicators } = await evaluateHealth();
+
+      expect(status).toBe('healthy');
+      expect(indicators.find(({ name }) => name === 'http:errorRate')).toMatchObject({
+        status: 'pass', observedValue: 100
+      });
+    });
+
+    it('should be degraded when the event loop lags', async () => {
+      configureHealth({ eventLoopLagMs: 1 });
+      const busyUntil = Date.now() + 50;
+      while (Date.now() < busyUntil) { /* block the event loop */ }
+      await new Promise((resolve) => setTimeout(resolve, 30));
+
+      const { status, indicators } = await evaluateHealth();
+
+      expect(status).toBe('degraded');
+      expect(indicators.find(({ name }) => name === 'eventloop:lag').status).toBe('warn');
+    });
+
+    it('should keep a bounded history and the state transitions', async () => {
+      configureHealth({ historySize: 3 });
+      await evaluateHealth();
+      registerReadinessCheck('database', async () => {
+        throw new Error('connection refused');
+      });
+      await evaluateHealth();
+      clearReadinessChecks();
+      await evaluateHealth();
+      await evaluateHealth();
+
+      healthHistoryHandler(req, res);
+
+      const body = res.json.mock.calls[0][0];
+      expect(body).toMatchObject({ status: 'healthy', capacity: 3 });
+      expect(body.history.map(({ status }) => status)).toEqual(['healthy', 'healthy', 'unhealthy']);
+      expect(body.history[2].reasons).toEqual(['database']);
+      expect(body.transitions.map(({ from, to }) => `${from}->${to}`)).toEqual([
+        'unhealthy->healthy', 'healthy->unhealthy'
+      ]);
+      expect(body.since).toBe(body.transitions[0].timestamp);
+
+      const { values } = await getMetrics().healthStatus.get();
+      expect(values).toEqual(expect.arrayContaining([
+        expect.objectContaining({ labels: { status: 'healthy' }, value: 1 }),
+        expect.objectContaining({ labels: { status: 'unhealthy' }, value: 0 })
+      ]));
+    });
+
+    it('should answer in the health+json format when asked for', async () => {
+      registerReadinessCheck('cache', async () => {
+        throw new Error('cache unavailable');
+      }, { critical: false });
+      req = { headers: { accept: HEALTH_JSON_TYPE } };
+
+      await healthCheck(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.set).toHaveBeenCalledWith('Content-Type', HEALTH_JSON_TYPE);
+      const body = res.json.mock.calls[0][0];
+      expect(body).toMatchObject({ status: 'warn', releaseId: require('../../package.json').version });
+      expect(body.checks['cache:responseTime'][0]).toMatchObject({
+        componentType: 'component', status: 'warn', output: 'cache unavailable', observedUnit: 'ms'
+      });
+      expect(body.checks['memory:utilization'][0]).toMatchObject({ componentType: 'system', status: 'pass' });
+      expect(body.checks.uptime[0].observedUnit).toBe('s');
+    });
+
+    it('should answer readiness in the health+json format', async () => {
+      registerReadinessCheck('database', async () => {
+        throw new Error('connection refused');
+      });
+      req = { headers: { accept: `${HEALTH_JSON_TYPE}, application/json;q=0.9` } };
+
+      await readinessProbe(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(503);
+      expect(res.json.mock.calls[0][0]).toMatchObject({
+        status: 'fail',
+        checks: { 'database:responseTime': [expect.objectContaining({ status: 'fail' })] }
+      });
+    });
+  });
+
   describe('livenessProbe', () => {
     it('should return 200 status with alive status', () => {
       livenessProbe(req, res);
@@ -60,8 +231,12 @@ describe('Health Check Module', () => {
   });
 
   describe('readinessProbe', () => {
-    it('should return 200 status when ready', () => {
-      readinessProbe(req, res);
+    afterEach(() => {
+      clearReadinessChecks();
+    });
+
+    it('should return 200 status when ready', async () => {
+      await readinessProbe(req, res);
 
       expect(res.status).toHaveBeenCalledWith(200);
       expect(res.json).toHaveBeenCalled();
@@ -70,5 +245,140 @@ describe('Health Check Module', () => {
       expect(responseData).toHaveProperty('status', 'ready');
       expect(responseData).toHaveProperty('timestamp');
     });
+
+    it('should return 503 when a critical check fails', async () => {
+      registerReadinessCheck('database', async () => {
+        throw new Error('connection refused');
+      });
+
+      await readinessProbe(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(503);
+      const responseData = res.json.mock.calls[0][0];
+      expect(responseData).toHaveProperty('status', 'not ready');
+      expect(responseData.checks[0]).toMatchObject({
+        name: 'database',
+        status: 'fail',
+        critical: true,
+        error: 'connection refused'
+      });
+    });
+
+    it('should stay available but report degraded when a non-critical check fails', async () => {
+      registerReadinessCheck('cache', async () => {
+        throw new Error('cache unavailable');
+      }, { critical: false });
+      registerReadinessCheck('config', async () => ({ source: 'env' }));
+
+      await readinessProbe(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      const responseData = res.json.mock.calls[0][0];
+      expect(responseData).toHaveProperty('status', 'degraded');
+      expect(responseData.checks).toHaveLength(2);
+      expect(responseData.checks[1]).toMatchObject({ status: 'pass', details: { source: 'env' } });
+    });
+
+    it('should leave out the checks when showChecks is false', async () => {
+      registerReadinessCheck('database', async () => {
+        throw new Error('connection refused');
+      });
+      const probe = createReadinessProbe({ showChecks: (request) => Boolean(request.principal) });
+
+      await probe(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(503);
+      expect(res.json.mock.calls[0][0]).toEqual({ status: 'not ready', timestamp: expect.any(String) });
+    });
+  });
+
+  describe('runReadinessChecks', () => {
+    afterEach(() => {
+      clearReadinessChecks();
+    });
+
+    it('should run checks in parallel and report durations', async () => {
+      const slow = () => new Promise((resolve) => setTimeout(resolve, 50));
+      registerReadinessCheck('a', slow);
+      registerReadinessCheck('b', slow);
+
+      const start = Date.now();
+      const { status, checks } = await runReadinessChecks();
+
+      expect(Date.now() - start).toBeLessThan(95);
+      expect(status).toBe('ready');
+      checks.forEach((check) => {
+        expect(check.durationMs).toBeGreaterThanOrEqual(40);
+      });
+    });
+
+    it('should fail a check that exceeds its timeout and abort it', async () => {
+      let aborted = false;
+      registerReadinessCheck('hanging', ({ signal }) => new Promise(() => {
+        signal.addEventListener('abort', () => { aborted = true; });
+      }), { timeout: 20 });
+
+      const { status, checks } = await runReadinessChecks();
+
+      expect(status).toBe('not ready');
+      expect(checks[0].error).toMatch(/Timed out after 20ms/);
+      expect(aborted).toBe(true);
+    });
+
+    it('should reuse cached results within the cache interval', async () => {
+      const check = jest.fn().mockResolvedValue(undefined);
+      registerReadinessCheck('cached', check, { cacheInterval: 60000 });
+
+      await runReadinessChecks();
+      const { checks } = await runReadinessChecks();
+
+      expect(check).toHaveBeenCalledTimes(1);
+      expect(checks[0].cached).toBe(true);
+    });
+
+    it('should export each check result as a gauge', async () => {
+      registerReadinessCheck('gauge-pass', async () => {});
+      registerReadinessCheck('gauge-fail', async () => {
+        throw new Error('down');
+      }, { critical: false });
+
+      await runReadinessChecks();
+
+      const { values } = await getMetrics().readinessCheckStatus.get();
+      expect(values).toEqual(expect.arrayContaining([
+        expect.objectContaining({ labels: { check: 'gauge-pass', critical: 'true' }, value: 1 }),
+        expect.objectContaining({ labels: { check: 'gauge-fail', critical: 'false' }, value: 0 })
+      ]));
+    });
+
+    it('should drop the series of unregistered checks', async () => {
+      registerReadinessCheck('removed', async () => {});
+      registerReadinessCheck('kept', async () => {});
+      await runReadinessChecks();
+
+      expect(unregisterReadinessCheck('removed')).toBe(true);
+
+      const checks = async (gauge) => (await gauge.get()).values.map(({ labels }) => labels.check);
+      const { readinessCheckStatus, readinessCheckDuration } = getMetrics();
+      expect(await checks(readinessCheckStatus)).toContain('kept');
+      expect(await checks(readinessCheckStatus)).not.toContain('removed');
+      expect(await checks(readinessCheckDuration)).not.toContain('removed');
+    });
+
+    it('should replace the series of a check registered again with another criticality', async () => {
+      registerReadinessCheck('switched', async () => {});
+      await runReadinessChecks();
+      registerReadinessCheck('switched', async () => {}, { critical: false });
+      await runReadinessChecks();
+
+      const { values } = await getMetrics().readinessCheckStatus.get();
+      expect(values.filter(({ labels }) => labels.check === 'switched').map(({ labels }) => labels.critical))
+        .toEqual(['false']);
+    });
+
+    it('should reject invalid registrations', () => {
+      expect(() => registerReadinessCheck('', async () => {})).toThrow(TypeError);
+      expect(() => registerReadinessCheck('x', null)).toThrow(TypeError);
+    });
   });
 });
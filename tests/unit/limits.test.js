@@ -0,0 +1,254 @@
+const express = require('express');
+const request = require('supertest');
+const {
+  createLimitsMiddleware,
+  setLimitsConfig,
+  getLimitsConfig,
+  loadLimits,
+  getLimitsHandler
+} = require('../../src/limits');
+const { createAuth } = require('../../src/auth');
+const { getMetrics } = require('../../src/metrics');
+
+const auth = createAuth({
+  apiKeys: [
+    { name: 'alpha', role: 'viewer', key: 'alpha-key-0123456789' },
+    { name: 'beta', role: 'viewer', key: 'beta-key-01234567890' }
+  ],
+  logger: { warn: () => {} }
+});
+
+function buildApp(options) {
+  const app = express();
+  app.use(auth.attachPrincipal);
+  app.use(createLimitsMiddleware(options));
+  app.get('/admin/limits', getLimitsHandler);
+  app.get('/wait', (req, res) => {
+    setTimeout(() => res.json({ ok: true }), Number(req.query.ms || 50));
+  });
+  app.get('*', (req, res) => res.json({ ok: true }));
+  return app;
+}
+
+async function rejectedCount(reason, rule) {
+  const { values } = await getMetrics().rejectedRequestCounter.get();
+  const match = values.find((value) => value.labels.reason === reason && value.labels.rule === rule);
+  return match ? match.value : 0;
+}
+
+describe('Limits Module', () => {
+  afterEach(() => {
+    setLimitsConfig({ enabled: false });
+  });
+
+  describe('setLimitsConfig', () => {
+    it('should fill in defaults', () => {
+      const config = setLimitsConfig({
+        concurrency: { maxConcurrent: 5 },
+        rateLimits: [{ route: '/api/**', methods: ['get'], perSecond: 2.5 }]
+      });
+
+      expect(config.concurrency).toEqual({
+        maxConcurrent: 5, maxQueue: 100, maxQueueMs: 1000, retryAfterSeconds: 1
+      });
+      expect(config.rateLimits[0]).toEqual({
+        id: 'rate-limit-0', route: '/api/**', methods: ['GET'], key: 'ip', perSecond: 2.5, burst: 3
+      });
+    });
+
+    it('should reject invalid configuration and keep the previous one', () => {
+      setLimitsConfig({ rateLimits: [{ id: 'keep', route: '/api', perSecond: 1 }] });
+
+      expect(() => setLimitsConfig({ rateLimits: [{ route: 'api', perSecond: 1 }] })).toThrow(/route/);
+      expect(() => setLimitsConfig({ rateLimits: [{ route: '/api', perSecond: 0 }] })).toThrow(/perSecond/);
+      expect(() => setLimitsConfig({ rateLimits: [{ route: '/api', perSecond: 1, key: 'user' }] })).toThrow(/key/);
+      expect(() => setLimitsConfig({ rateLimits: [{ route: '/api', perSecond: 1, burst: 0.5 }] })).toThrow(/burst/);
+      expect(() => setLimitsConfig({
+        rateLimits: [{ id: 'a', route: '/a', perSecond: 1 }, { id: 'a', route: '/b', perSecond: 1 }]
+      })).toThrow(/unique/);
+      expect(() => setLimitsConfig({ concurrency: { maxConcurrent: 0 } })).toThrow(/maxConcurrent/);
+      expect(() => setLimitsConfig({ exempt: ['health'] })).toThrow(/exempt/);
+
+      expect(getLimitsConfig().rateLimits.map((rule) => rule.id)).toEqual(['keep']);
+    });
+
+    it('should load the default limits file', () => {
+      const config = loadLimits();
+
+      expect(config.enabled).toBe(true);
+      expect(config.exempt).toEqual(expect.arrayContaining(['/health', '/metrics']));
+      expect(config.rateLimits.map((rule) => rule.id)).toContain('default');
+    });
+  });
+
+  describe('rate limits', () => {
+    let clock;
+    let app;
+
+    beforeEach(() => {
+      clock = 1000000;
+      app = buildApp({ now: () => clock });
+    });
+
+    it('should allow a burst, then answer 429 with Retry-After', async () => {
+      setLimitsConfig({
+        rateLimits: [{
+          id: 'api', route: '/api/**', perSecond: 0.5, burst: 2
+        }]
+      });
+      const before = await rejectedCount('rate_limited', 'api');
+
+      expect((await request(app).get('/api/data')).status).toBe(200);
+      expect((await request(app).get('/api/data')).status).toBe(200);
+      const limited = await request(app).get('/api/data');
+
+      expect(limited.status).toBe(429);
+      expect(limited.headers['retry-after']).toBe('2');
+      expect(limited.body).toMatchObject({ error: 'Too Many Requests' });
+      expect(await rejectedCount('rate_limited', 'api')).toBe(before + 1);
+    });
+
+    it('should refill tokens over time', async () => {
+      setLimitsConfig({ rateLimits: [{ route: '/**', perSecond: 1, burst: 1 }] });
+
+      expect((await request(app).get('/')).status).toBe(200);
+      expect((await request(app).get('/')).status).toBe(429);
+      clock += 1000;
+      expect((await request(app).get('/')).status).toBe(200);
+    });
+
+    it('should apply the first matching rule only', async () => {
+      setLimitsConfig({
+        rateLimits: [
+          {
+            id: 'writes', route: '/api/**', methods: ['POST'], perSecond: 1, burst: 1
+          },
+          {
+            id: 'reads', route: '/api/**', perSecond: 100, burst: 100
+          }
+        ]
+      });
+
+      await request(app).get('/api/data');
+      await request(app).get('/api/data');
+
+      expect((await request(app).get('/api/data')).status).toBe(200);
+    });
+
+    it('should keep separate buckets per API key', async () => {
+      setLimitsConfig({
+        rateLimits: [{
+          route: '/**', key: 'apiKey', perSecond: 1, burst: 1
+        }]
+      });
+
+      expect((await request(app).get('/').set('X-API-Key', 'alpha-key-0123456789')).status).toBe(200);
+      expect((await request(app).get('/').set('X-API-Key', 'alpha-key-0123456789')).status).toBe(429);
+      expect((await request(app).get('/').set('X-API-Key', 'beta-key-01234567890')).status).toBe(200);
+      // Without a key the client IP is used
+      expect((await request(app).get('/')).status).toBe(200);
+      expect((await request(app).get('/')).status).toBe(429);
+    });
+
+    it('should count invented API keys against the client IP', async () => {
+      setLimitsConfig({
+        rateLimits: [{
+          route: '/**', key: 'apiKey', perSecond: 1, burst: 1
+        }]
+      });
+
+      expect((await request(app).get('/').set('X-API-Key', 'made-up-1')).status).toBe(200);
+      expect((await request(app).get('/').set('X-API-Key', 'made-up-2')).status).toBe(429);
+    });
+
+    it('should forget the least recently used clients past maxClients', async () => {
+      setLimitsConfig({
+        maxClients: 1,
+        rateLimits: [{
+          route: '/**', key: 'apiKey', perSecond: 1, burst: 1
+        }]
+      });
+
+      await request(app).get('/').set('X-API-Key', 'alpha-key-0123456789');
+      await request(app).get('/').set('X-API-Key', 'beta-key-01234567890');
+
+      expect((await request(app).get('/').set('X-API-Key', 'alpha-key-0123456789')).status).toBe(200);
+    });
+
+    it('should not limit exempt routes or a disabled configuration', async () => {
+      setLimitsConfig({ exempt: ['/health/**'], rateLimits: [{ route: '/**', perSecond: 1, burst: 1 }] });
+
+      await request(app).get('/health/live');
+      expect((await request(app).get('/health/live')).status).toBe(200);
+
+      setLimitsConfig({ enabled: false, rateLimits: [{ route: '/**', perSecond: 1, burst: 1 }] });
+      await request(app).get('/');
+      expect((await request(app).get('/')).status).toBe(200);
+    });
+  });
+
+  describe('concurrency', () => {
+    let server;
+    let baseUrl;
+
+    beforeEach((done) => {
+      server = buildApp().listen(0, '127.0.0.1', () => {
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+        done();
+      });
+    });
+
+    afterEach((done) => {
+      server.close(done);
+    });
+
+    const get = (path) => fetch(`${baseUrl}${path}`)
+      .then(async (response) => ({ status: response.status, headers: response.headers, body: await response.json() }));
+    // Gives the first request time to take its slot
+    const getLater = (path) => new Promise((resolve) => { setTimeout(resolve, 20); }).then(() => get(path));
+
+    it('should queue requests beyond the cap until a slot frees up', async () => {
+      setLimitsConfig({ exempt: ['/admin/**'], concurrency: { maxConcurrent: 1, maxQueue: 5, maxQueueMs: 2000 } });
+
+      const responses = await Promise.all([get('/wait?ms=100'), getLater('/wait?ms=10'), getLater('/wait?ms=10')]);
+
+      expect(responses.map(({ status }) => status)).toEqual([200, 200, 200]);
+      expect((await request(server).get('/admin/limits')).body).toMatchObject({ active: 0, queued: 0 });
+    });
+
+    it('should shed requests when the queue is full', async () => {
+      setLimitsConfig({ concurrency: { maxConcurrent: 1, maxQueue: 0, retryAfterSeconds: 3 } });
+      const before = await rejectedCount('queue_full', 'concurrency');
+
+      const [first, second] = await Promise.all([get('/wait?ms=200'), getLater('/wait?ms=10')]);
+
+      expect(first.status).toBe(200);
+      expect(second.status).toBe(503);
+      expect(second.headers.get('retry-after')).toBe('3');
+      expect(second.body).toMatchObject({ error: 'Service Unavailable' });
+      expect(await rejectedCount('queue_full', 'concurrency')).toBe(before + 1);
+    });
+
+    it('should shed requests that wait longer than maxQueueMs', async () => {
+      setLimitsConfig({ concurrency: { maxConcurrent: 1, maxQueue: 5, maxQueueMs: 50 } });
+      const before = await rejectedCount('queue_timeout', 'concurrency');
+
+      const [first, second] = await Promise.all([get('/wait?ms=300'), getLater('/wait?ms=10')]);
+
+      expect(first.status).toBe(200);
+      expect(second.status).toBe(503);
+      expect(await rejectedCount('queue_timeout', 'concurrency')).toBe(before + 1);
+
+      const { values } = await getMetrics().limiterActiveRequests.get();
+      expect(values[0].value).toBe(0);
+    });
+
+    it('should not hold slots for exempt routes', async () => {
+      setLimitsConfig({ exempt: ['/wait'], concurrency: { maxConcurrent: 1, maxQueue: 0 } });
+
+      const responses = await Promise.all([get('/wait?ms=100'), get('/wait?ms=10')]);
+
+      expect(responses.map(({ status }) => status)).toEqual([200, 200]);
+    });
+  });
+});
@@ -0,0 +1,315 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  normalizeProfile,
+  loadProfile,
+  pickRoute,
+  percentile,
+  summarize,
+  scheduledRequests,
+  runTarget,
+  compareTargets,
+  runLoad,
+  formatTable,
+  toHtml,
+  main
+} = require('../../src/loadgen');
+
+/**
+ * Answer fetches from a map of path → status after `delayMs`
+ */
+function fakeServer(statuses, delayMs = 0) {
+  return jest.spyOn(global, 'fetch').mockImplementation(async (url) => {
+    await new Promise((resolve) => {
+      setTimeout(resolve, delayMs);
+    });
+    return { status: statuses[new URL(url).pathname] || 404, arrayBuffer: async () => new ArrayBuffer(0) };
+  });
+}
+
+/**
+ * Run a load test on fake timers, moving the clock past its end
+ */
+async function withinFakeTime(run, ms) {
+  const result = run();
+  await jest.advanceTimersByTimeAsync(ms);
+  return result;
+}
+
+const stats = (overrides) => ({
+  requests: 100,
+  errors: 0,
+  errorRate: 0,
+  throughput: 10,
+  statuses: {},
+  latencyMs: { p50: 10, p95: 20, p99: 30 },
+  ...overrides
+});
+
+describe('Load Generator Module', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('normalizeProfile', () => {
+    it('should apply defaults to every route', () => {
+      const profile = normalizeProfile({
+        routes: [{ path: '/api' }, { name: 'err', path: '/api/error', status: 500 }]
+      });
+
+      expect(profile.routes).toEqual([
+        {
+          name: '/api', method: 'GET', path: '/api', weight: 1, headers: {}
+        },
+        {
+          name: 'err', method: 'GET', path: '/api/error', weight: 1, headers: {}, status: [500]
+        }
+      ]);
+      expect(normalizeProfile(profile)).toEqual(profile);
+    });
+
+    it('should reject invalid profiles', () => {
+      expect(() => normalizeProfile({ routes: [] })).toThrow(/non-empty/);
+      expect(() => normalizeProfile({ routes: [{ path: 'api' }] })).toThrow(/starting with \//);
+      expect(() => normalizeProfile({ routes: [{ path: '/' }, { path: '/' }] })).toThrow(/Duplicate/);
+      expect(() => normalizeProfile({ routes: [{ path: '/', weight: 0 }] })).toThrow(/positive number/);
+    });
+
+    it('should load the bundled default profile', () => {
+      expect(loadProfile().routes.map((route) => route.path.split('?')[0]))
+        .toEqual(['/api', '/api/data', '/api/slow', '/api/error']);
+    });
+  });
+
+  describe('pickRoute', () => {
+    it('should pick routes in proportion to their weights', () => {
+      const routes = [{ name: 'a', weight: 3 }, { name: 'b', weight: 1 }];
+
+      expect(pickRoute(routes, () => 0).name).toBe('a');
+      expect(pickRoute(routes, () => 0.74).name).toBe('a');
+      expect(pickRoute(routes, () => 0.75).name).toBe('b');
+      expect(pickRoute(routes, () => 0.9999).name).toBe('b');
+    });
+  });
+
+  describe('summarize', () => {
+    it('should compute nearest-rank percentiles', () => {
+      const sorted = Array.from({ length: 100 }, (_, index) => index + 1);
+
+      expect(percentile(sorted, 50)).toBe(50);
+      expect(percentile(sorted, 99)).toBe(99);
+      expect(percentile([7], 95)).toBe(7);
+      expect(percentile([], 50)).toBeNull();
+    });
+
+    it('should report errors, statuses, throughput and latency', () => {
+      const samples = [
+        { status: 200, durationMs: 10, ok: true },
+        { status: 200, durationMs: 30, ok: true },
+        { status: 503, durationMs: 20, ok: false },
+        {
+          status: null, error: 'timeout', durationMs: 1000, ok: false
+        }
+      ];
+
+      expect(summarize(samples, 2000)).toEqual({
+        requests: 4,
+        errors: 2,
+        errorRate: 50,
+        throughput: 2,
+        statuses: { 200: 2, 503: 1, timeout: 1 },
+        latencyMs: {
+          min: 10, mean: 20, p50: 20, p90: 30, p95: 30, p99: 30, max: 30
+        }
+      });
+    });
+  });
+
+  describe('runTarget', () => {
+    const profile = normalizeProfile({
+      routes: [{ name: 'api', path: '/api', weight: 3 }, { name: 'error', path: '/api/error', status: [500] }]
+    });
+    const api = normalizeProfile({ routes: [{ path: '/api' }] });
+    const target = { name: 'blue', url: 'http://blue' };
+
+    beforeEach(() => {
+      jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('should ramp up to the target rate', () => {
+      expect(scheduledRequests(500, { rps: 100, rampUpMs: 1000 })).toBe(12.5);
+      expect(scheduledRequests(1000, { rps: 100, rampUpMs: 1000 })).toBe(50);
+      expect(scheduledRequests(2000, { rps: 100, rampUpMs: 1000 })).toBe(150);
+      expect(scheduledRequests(2000, { rps: 100, rampUpMs: 0 })).toBe(200);
+    });
+
+    it('should send requests at the target rate and report per route', async () => {
+      fakeServer({ '/api': 200, '/api/error': 500 });
+      let roll = 0;
+      const random = () => {
+        roll = (roll + 0.25) % 1;
+        return roll;
+      };
+      const options = { rps: 100, durationMs: 2000, random };
+
+      const report = await withinFakeTime(() => runTarget(target, profile, options), 2000);
+
+      expect(report.summary).toMatchObject({
+        requests: 200, errors: 0, throughput: 100, skipped: 0, statuses: { 200: 150, 500: 50 }
+      });
+      expect(report.routes.api.requests).toBe(150);
+      expect(report.routes.error).toMatchObject({ requests: 50, errorRate: 0 });
+    });
+
+    it('should skip requests beyond the in-flight limit', async () => {
+      fakeServer({ '/api': 200 }, 1000);
+
+      // Responses take longer than the run, so only the first two start
+      const options = { rps: 100, concurrency: 2, durationMs: 100 };
+
+      const report = await withinFakeTime(() => runTarget(target, api, options), 1010);
+
+      expect(report.summary).toMatchObject({ requests: 2, skipped: 8 });
+    });
+
+    it('should keep a fixed number of clients busy without a rate', async () => {
+      const fetch = fakeServer({ '/api': 503 }, 10);
+
+      const report = await withinFakeTime(() => runTarget(target, api, { concurrency: 3, durationMs: 100 }), 100);
+
+      expect(fetch).toHaveBeenCalledTimes(30);
+      expect(report.summary).toMatchObject({ requests: 30, errorRate: 100, statuses: { 503: 30 } });
+    });
+
+    it('should count connection failures as errors', async () => {
+      jest.spyOn(global, 'fetch').mockImplementation(async () => {
+        await new Promise((resolve) => {
+          setTimeout(resolve, 10);
+        });
+        throw Object.assign(new Error('fetch failed'), { cause: { code: 'ECONNREFUSED' } });
+      });
+
+      const report = await withinFakeTime(() => runTarget(target, profile, { concurrency: 1, durationMs: 30 }), 30);
+
+      expect(report.summary.statuses).toEqual({ ECONNREFUSED: 3 });
+      expect(report.summary.latencyMs.p50).toBeNull();
+    });
+  });
+
+  describe('comparison and reports', () => {
+    const reports = [
+      { name: 'blue', summary: stats(), routes: { api: stats() } },
+      {
+        name: 'green',
+        summary: stats({ latencyMs: { p50: 10.5, p95: 30, p99: 30 } }),
+        routes: { api: stats({ errorRate: 2, throughput: 8 }) }
+      }
+    ];
+
+    it('should compare every target with the first', () => {
+      const rows = compareTargets(reports);
+      const row = (route, metric) => rows.find((candidate) => candidate.route === route && candidate.metric === metric);
+
+      expect(row('all', 'p50')).toMatchObject({
+        values: { blue: 10, green: 10.5 }, change: { green: 5 }, worse: false
+      });
+      expect(row('all', 'p95')).toMatchObject({ change: { green: 50 }, worse: true });
+      expect(row('api', 'errorRate')).toMatchObject({ change: { green: null }, worse: true });
+      expect(row('api', 'throughput')).toMatchObject({ change: { green: -20 }, worse: true });
+    });
+
+    it('should render the comparison as a table and an HTML page', () => {
+      const result = {
+        profile: 'mix',
+        options: {
+          mode: 'rps', rps: 10, concurrency: 100, durationMs: 10000, rampUpMs: 0
+        },
+        startedAt: '2025-01-01T00:00:00.000Z',
+        targets: reports.map((report) => ({
+          ...report, url: `http://${report.name}`, durationMs: 10000, summary: { ...report.summary, skipped: 0 }
+        })),
+        comparison: compareTargets(reports)
+      };
+
+      const table = formatTable(result).split('\n');
+      const html = toHtml(result);
+
+      expect(table[0]).toMatch(/^route\s+metric\s+blue\s+green\s+green vs blue$/);
+      expect(table).toContainEqual(expect.stringMatching(/^all\s+p95 ms\s+20\s+30\s+\+50%\s+WORSE$/));
+      expect(html).toContain('<h2>Comparison</h2>');
+      expect(html).toContain('<tr class="worse"><td>all</td><td>p95 ms</td>');
+      expect(html).toContain('10 req/s (at most 100 in flight)');
+    });
+  });
+
+  describe('runLoad', () => {
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('should put the full load on every target', async () => {
+      jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+      fakeServer({ '/api': 200 });
+
+      const result = await withinFakeTime(() => runLoad({ name: 'mix', routes: [{ path: '/api' }] }, [
+        { name: 'blue', url: 'http://blue' }, { name: 'green', url: 'http://green' }
+      ], { rps: 50, durationMs: 1000 }), 1000);
+
+      expect(result.options).toEqual({
+        mode: 'rps', rps: 50, concurrency: 100, durationMs: 1000, rampUpMs: 0
+      });
+      expect(result.targets.map((report) => report.summary.requests)).toEqual([50, 50]);
+      expect(result.comparison).not.toBeNull();
+    });
+  });
+
+  describe('main', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'loadgen-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const output = () => {
+      const stream = { text: '', write: (chunk) => { stream.text += chunk; } };
+      return stream;
+    };
+
+    it('should reject missing targets and invalid options', async () => {
+      const stderr = output();
+
+      expect(await main([], { stdout: output(), stderr })).toBe(3);
+      expect(await main(['--url', 'http://blue', '--rps', 'fast'], { stdout: output(), stderr })).toBe(3);
+      expect(stderr.text).toContain('--rps must be a positive integer');
+      expect(await main(['--help'], { stdout: output(), stderr: output() })).toBe(0);
+    });
+
+    it('should write the reports and fail above the error rate limit', async () => {
+      jest.spyOn(global, 'fetch').mockResolvedValue({ status: 500, arrayBuffer: async () => new ArrayBuffer(0) });
+      const profile = path.join(dir, 'profile.json');
+      fs.writeFileSync(profile, JSON.stringify({ routes: [{ path: '/api' }] }));
+      const stdout = output();
+      const stderr = output();
+
+      const code = await main([
+        '--url', 'blue=http://blue', '--profile', profile, '--rps', '100', '--duration', '100ms',
+        '--output', path.join(dir, 'report.json'), '--html', path.join(dir, 'report.html'), '--max-error-rate', '5'
+      ], { stdout, stderr });
+
+      expect(code).toBe(1);
+      expect(JSON.parse(stdout.text).targets[0].summary.errorRate).toBe(100);
+      expect(fs.existsSync(path.join(dir, 'report.json'))).toBe(true);
+      expect(fs.readFileSync(path.join(dir, 'report.html'), 'utf8')).toContain('<h2>blue');
+      expect(stderr.text).toContain('FAIL blue: error rate 100% above 5%');
+    });
+  });
+});
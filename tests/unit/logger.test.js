@@ -0,0 +1,184 @@
+const express = require('express');
+const request = require('supertest');
+const winston = require('winston');
+const {
+  REDACTED,
+  createLogger,
+  createRequestLogger,
+  createLogLevelHandlers,
+  resolveLogFormat
+} = require('../../src/logger');
+const { requestContextMiddleware } = require('../../src/request-context');
+
+const MESSAGE = Symbol.for('message');
+
+class MemoryTransport extends winston.Transport {
+  constructor() {
+    super();
+    this.lines = [];
+  }
+
+  log(info, callback) {
+    this.lines.push(info);
+    callback();
+  }
+}
+
+const FIELDS = {
+  service: 'gas-project', version: '1.0.0', deploymentType: 'canary', slot: 'green'
+};
+
+describe('Logger Module', () => {
+  let transport;
+
+  beforeEach(() => {
+    transport = new MemoryTransport();
+  });
+
+  describe('createLogger', () => {
+    it('should write JSON lines with the standard fields', () => {
+      const logger = createLogger({ format: 'json', fields: FIELDS, transports: [transport] });
+
+      logger.info('hello', { extra: 1 });
+
+      expect(JSON.parse(transport.lines[0][MESSAGE])).toMatchObject({
+        level: 'info', message: 'hello', extra: 1, timestamp: expect.any(String), ...FIELDS
+      });
+    });
+
+    it('should keep the pretty format readable and free of standard fields', () => {
+      const logger = createLogger({ format: 'pretty', fields: FIELDS, transports: [transport] });
+
+      logger.warn('careful', { extra: 1 });
+
+      const line = transport.lines[0][MESSAGE];
+      expect(line).toMatch(/careful \{"extra":1\}$/);
+      expect(line).not.toContain('canary');
+    });
+
+    it('should redact sensitive fields at any depth without touching the original', () => {
+      const logger = createLogger({ format: 'json', redact: ['ssn'], transports: [transport] });
+      const headers = { Authorization: 'Bearer abc', 'x-api-key': 'k', accept: 'text/html' };
+
+      logger.info('request', { headers, body: { user: { password: 'p', SSN: '1' }, items: [{ token: 't' }] } });
+
+      const line = JSON.parse(transport.lines[0][MESSAGE]);
+      expect(line.headers).toEqual({ Authorization: REDACTED, 'x-api-key': REDACTED, accept: 'text/html' });
+      expect(line.body).toEqual({ user: { password: REDACTED, SSN: REDACTED }, items: [{ token: REDACTED }] });
+      expect(headers.Authorization).toBe('Bearer abc');
+    });
+
+    it('should refuse unknown formats', () => {
+      expect(() => createLogger({ format: 'xml' })).toThrow(/Unknown log format/);
+    });
+  });
+
+  describe('resolveLogFormat', () => {
+    it('should use JSON in production when set to auto', () => {
+      expect(resolveLogFormat('auto', 'production')).toBe('json');
+      expect(resolveLogFormat('auto', 'development')).toBe('pretty');
+      expect(resolveLogFormat('json', 'development')).toBe('json');
+    });
+  });
+
+  describe('createRequestLogger', () => {
+    function buildApp(logger, options) {
+      const app = express();
+      app.use(requestContextMiddleware);
+      app.use(express.json());
+      app.use(createRequestLogger(logger, options));
+      app.all('/status/:code', (req, res) => res.status(Number(req.params.code)).json({}));
+      return app;
+    }
+
+    it('should log completed requests with status, duration and request ID', async () => {
+      const logger = createLogger({ transports: [transport] });
+
+      const response = await request(buildApp(logger)).get('/status/201');
+
+      expect(transport.lines).toHaveLength(1);
+      expect(transport.lines[0]).toMatchObject({
+        level: 'info',
+        message: 'GET /status/201 201',
+        status: 201,
+        durationMs: expect.any(Number),
+        requestId: response.headers['x-request-id']
+      });
+    });
+
+    it('should sample successes but always log failures', async () => {
+      const logger = createLogger({ transports: [transport] });
+      const app = buildApp(logger, { samplePercent: 10, random: () => 0.5 });
+
+      await request(app).get('/status/200');
+      await request(app).get('/status/404');
+      await request(app).get('/status/503');
+
+      expect(transport.lines.map(({ level, status }) => [level, status])).toEqual([['warn', 404], ['error', 503]]);
+
+      await request(buildApp(logger, { samplePercent: 10, random: () => 0.05 })).get('/status/200');
+      expect(transport.lines[2]).toMatchObject({ status: 200, samplePercent: 10 });
+    });
+
+    it('should include redacted headers and body at debug level only', async () => {
+      const logger = createLogger({ level: 'debug', transports: [transport] });
+
+      await request(buildApp(logger)).post('/status/200').set('X-API-Key', 'secret-key').send({ password: 'p', a: 1 });
+
+      expect(transport.lines[0].headers).toMatchObject({ 'x-api-key': REDACTED });
+      expect(transport.lines[0].body).toEqual({ password: REDACTED, a: 1 });
+      expect(JSON.stringify(transport.lines)).not.toContain('secret-key');
+
+      logger.level = 'info';
+      await request(buildApp(logger)).get('/status/200');
+      expect(transport.lines[1]).not.toHaveProperty('headers');
+    });
+  });
+
+  describe('createLogLevelHandlers', () => {
+    let logger;
+    let app;
+
+    beforeEach(() => {
+      jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+      logger = createLogger({ level: 'info', transports: [transport] });
+      const { getLogLevelHandler, putLogLevelHandler } = createLogLevelHandlers(logger);
+      app = express();
+      app.use(express.json());
+      app.get('/log-level', getLogLevelHandler);
+      app.put('/log-level', putLogLevelHandler);
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('should change the level at runtime', async () => {
+      const response = await request(app).put('/log-level').send({ level: 'debug' });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ level: 'debug', revertsTo: null });
+      expect(logger.isLevelEnabled('debug')).toBe(true);
+      expect(transport.lines[0]).toMatchObject({ level: 'warn', from: 'info', to: 'debug' });
+      expect((await request(app).get('/log-level')).body.level).toBe('debug');
+    });
+
+    it('should revert to the previous level after durationSeconds', async () => {
+      await request(app).put('/log-level').send({ level: 'debug', durationSeconds: 60 });
+      const extended = await request(app).put('/log-level').send({ level: 'silly', durationSeconds: 60 });
+
+      expect(extended.body).toMatchObject({ level: 'silly', revertsTo: 'info', revertsAt: expect.any(String) });
+
+      jest.advanceTimersByTime(60000);
+      expect(logger.level).toBe('info');
+      expect((await request(app).get('/log-level')).body.revertsTo).toBeNull();
+    });
+
+    it('should reject unknown levels and invalid durations', async () => {
+      expect((await request(app).put('/log-level').send({ level: 'loud' })).status).toBe(400);
+      expect((await request(app).put('/log-level').send({ level: 'debug', durationSeconds: -1 })).status).toBe(400);
+      expect((await request(app).put('/log-level').send({ level: 'debug', durationSeconds: 3e6 })).status).toBe(400);
+      expect(logger.level).toBe('info');
+    });
+  });
+});
@@ -1,4 +1,37 @@
-const { getMetrics, metricsHandler } = require('../../src/metrics');
+const promClient = require('prom-client');
+const {
+  createHttpMetrics,
+  getMetrics,
+  metricsHandler,
+  metricsMiddleware,
+  normalizeRoute,
+  configureSeriesLimits,
+  resetSeriesGuard,
+  isPerWorkerMetric,
+  getWorkerMetrics,
+  aggregateMetrics,
+  getMetricCatalogue,
+  UNMATCHED_ROUTE,
+  OVERFLOW_ROUTE,
+  register
+} = require('../../src/metrics');
+
+// Run a fake request through metricsMiddleware and end it
+function track({
+  method = 'GET', path, route, statusCode = 200
+}) {
+  const req = {
+    method, path, baseUrl: '', route, get: () => undefined
+  };
+  const res = { statusCode, end: jest.fn(), get: () => undefined };
+  metricsMiddleware(req, res, () => {});
+  res.end();
+}
+
+async function requestCountsFor(route) {
+  const metric = await register.getSingleMetric('gas_http_requests_total').get();
+  return metric.values.filter((value) => value.labels.route === route);
+}
 
 describe('Metrics Module', () => {
   describe('getMetrics', () => {
@@ -9,9 +42,12 @@ describe('Metrics Module', () => {
       expect(metrics).toHaveProperty('httpRequestDuration');
       expect(metrics).toHaveProperty('httpRequestSize');
       expect(metrics).toHaveProperty('httpResponseSize');
+      expect(metrics).toHaveProperty('httpResponseUncompressedSize');
       expect(metrics).toHaveProperty('activeConnections');
       expect(metrics).toHaveProperty('versionInfo');
       expect(metrics).toHaveProperty('deploymentType');
+      expect(metrics).toHaveProperty('readinessCheckStatus');
+      expect(metrics).toHaveProperty('readinessCheckDuration');
       expect(metrics).toHaveProperty('register');
     });
   });
@@ -21,7 +57,8 @@ describe('Metrics Module', () => {
     let res;
 
     beforeEach(() => {
-      req = {};
+      // Answers Accept negotiation like a scrape without an Accept header
+      req = { accepts: jest.fn((types) => types[0]) };
       res = {
         set: jest.fn(),
         end: jest.fn(),
@@ -32,8 +69,17 @@ describe('Metrics Module', () => {
     it('should return metrics in Prometheus format', async () => {
       await metricsHandler(req, res);
 
-      expect(res.set).toHaveBeenCalledWith('Content-Type', expect.any(String));
-      expect(res.end).toHaveBeenCalled();
+      expect(res.set).toHaveBeenCalledWith('Content-Type', promClient.Registry.PROMETHEUS_CONTENT_TYPE);
+      expect(res.end).toHaveBeenCalledWith(expect.not.stringContaining('# EOF'));
+    });
+
+    it('should return OpenMetrics when the scrape prefers it', async () => {
+      req.accepts.mockImplementation((types) => types[1]);
+
+      await metricsHandler(req, res);
+
+      expect(res.set).toHaveBeenCalledWith('Content-Type', promClient.Registry.OPENMETRICS_CONTENT_TYPE);
+      expect(res.end).toHaveBeenCalledWith(expect.stringMatching(/# EOF\n$/));
     });
 
     it('should handle errors gracefully', async () => {
@@ -50,4 +96,166 @@ describe('Metrics Module', () => {
       expect(errorRes.status).toHaveBeenCalledWith(500);
     });
   });
+
+  describe('normalizeRoute', () => {
+    it('should use the matched route template including the router mount path', () => {
+      expect(normalizeRoute({ baseUrl: '/api', route: { path: '/items/:id' }, path: '/items/7' }))
+        .toBe('/api/items/:id');
+    });
+
+    it('should drop a trailing slash from the template', () => {
+      expect(normalizeRoute({ baseUrl: '/api/data', route: { path: '/' }, path: '/' })).toBe('/api/data');
+      expect(normalizeRoute({ baseUrl: '', route: { path: '/' }, path: '/' })).toBe('/');
+    });
+
+    it('should label requests answered before routing with their documented path', () => {
+      const documentedRoute = (req) => (req.originalUrl.startsWith('/api/data/') ? '/api/data/:id' : null);
+
+      expect(normalizeRoute({ baseUrl: '', originalUrl: '/api/data/7', path: '/api/data/7' }, documentedRoute))
+        .toBe('/api/data/:id');
+    });
+
+    it('should fall back to the mount path of the middleware that answered', () => {
+      expect(normalizeRoute({ baseUrl: '/admin', path: '/x7f3' })).toBe('/admin');
+      expect(normalizeRoute({ baseUrl: '/api/', path: '/x7f3' }, () => null)).toBe('/api');
+    });
+
+    it('should collapse requests no route matched to a fixed label', () => {
+      expect(normalizeRoute({ baseUrl: '', path: '/wp-admin/setup.php' })).toBe(UNMATCHED_ROUTE);
+      expect(normalizeRoute({ baseUrl: '', originalUrl: '/x7f3', path: '/x7f3' }, () => null)).toBe(UNMATCHED_ROUTE);
+    });
+  });
+
+  describe('metricsMiddleware', () => {
+    afterEach(() => {
+      configureSeriesLimits({ default: 1000, perMetric: { gas_http_requests_total: 1000 } });
+      resetSeriesGuard();
+    });
+
+    it('should label unknown methods as OTHER', async () => {
+      track({ method: 'PROPFIND', path: '/dav', route: { path: '/dav' } });
+
+      const values = await requestCountsFor('/dav');
+      expect(values[0].labels.method).toBe('OTHER');
+    });
+
+    it('should move new series to the overflow bucket once the cap is reached', async () => {
+      resetSeriesGuard();
+      configureSeriesLimits({ perMetric: { gas_http_requests_total: 2 } });
+      const { droppedSeriesCounter } = getMetrics();
+      const droppedBefore = (await droppedSeriesCounter.get()).values
+        .find((value) => value.labels.metric === 'gas_http_requests_total');
+
+      ['/cap/a', '/cap/b', '/cap/c', '/cap/a'].forEach((path) => track({ path, route: { path } }));
+
+      expect(await requestCountsFor('/cap/a')).toEqual([expect.objectContaining({ value: 2 })]);
+      expect(await requestCountsFor('/cap/b')).toHaveLength(1);
+      expect(await requestCountsFor('/cap/c')).toHaveLength(0);
+      expect((await requestCountsFor(OVERFLOW_ROUTE))[0].value).toBeGreaterThanOrEqual(1);
+
+      const droppedAfter = (await droppedSeriesCounter.get()).values
+        .find((value) => value.labels.metric === 'gas_http_requests_total');
+      expect(droppedAfter.value - (droppedBefore ? droppedBefore.value : 0)).toBe(1);
+    });
+  });
+
+  describe('createHttpMetrics', () => {
+    it('should track requests and build metadata on a separate registry', async () => {
+      const registry = new promClient.Registry();
+      const { metricsMiddleware: middleware } = createHttpMetrics(registry, { DEPLOYMENT_TYPE: 'canary' });
+      const before = await requestCountsFor('/separate');
+
+      const req = {
+        method: 'GET', path: '/separate', baseUrl: '', route: { path: '/separate' }, get: () => undefined
+      };
+      const res = { statusCode: 200, end: jest.fn(), get: () => undefined };
+      middleware(req, res, () => {});
+      res.end();
+
+      const metrics = await registry.metrics();
+      expect(metrics).toContain('gas_http_requests_total{method="GET",route="/separate",status_code="200"} 1');
+      expect(metrics).toContain('gas_deployment_type{type="canary"} 1');
+      expect(await requestCountsFor('/separate')).toEqual(before);
+    });
+
+    it('should record response sizes as sent and before compression', async () => {
+      const registry = new promClient.Registry();
+      const { metricsMiddleware: middleware } = createHttpMetrics(registry, { DEPLOYMENT_TYPE: 'stable' });
+      const send = (contentLength, locals) => {
+        const req = {
+          method: 'GET', path: '/sizes', baseUrl: '', route: { path: '/sizes' }, get: () => undefined
+        };
+        const res = {
+          statusCode: 200, end: jest.fn(), get: () => String(contentLength), locals
+        };
+        middleware(req, res, () => {});
+        res.end();
+      };
+
+      send(300, { uncompressedBytes: 1200 });
+      send(100, {});
+
+      const metrics = await registry.metrics();
+      expect(metrics).toContain('gas_http_response_size_bytes_sum{method="GET",route="/sizes",status_code="200"} 400');
+      expect(metrics)
+        .toContain('gas_http_response_uncompressed_size_bytes_sum{method="GET",route="/sizes",status_code="200"} 1300');
+    });
+  });
+
+  describe('getMetricCatalogue', () => {
+    it('should list every registered metric with the series it exposes', () => {
+      const catalogue = getMetricCatalogue();
+      const byName = Object.fromEntries(catalogue.map((metric) => [metric.name, metric]));
+
+      const names = catalogue.map(({ name }) => name);
+
+      expect(names).toHaveLength(register.getMetricsAsArray().length);
+      expect(names).toEqual([...names].sort());
+      expect(byName.gas_http_requests_total).toMatchObject({
+        type: 'counter',
+        labelNames: ['method', 'route', 'status_code'],
+        series: [{ name: 'gas_http_requests_total', labelNames: ['method', 'route', 'status_code'] }]
+      });
+      expect(byName.gas_http_request_duration_seconds.series.map(({ name }) => name)).toEqual([
+        'gas_http_request_duration_seconds_bucket',
+        'gas_http_request_duration_seconds_sum',
+        'gas_http_request_duration_seconds_count'
+      ]);
+      expect(byName.gas_http_request_duration_seconds.series[0].labelNames).toContain('le');
+      expect(byName.gas_http_response_size_bytes.series[0].labelNames).toEqual([
+        'method', 'route', 'status_code', 'worker', 'quantile'
+      ]);
+    });
+
+    it('should describe a separate registry', () => {
+      const registry = new promClient.Registry();
+      createHttpMetrics(registry, { DEPLOYMENT_TYPE: 'canary' });
+
+      expect(getMetricCatalogue(registry).map(({ name }) => name)).toContain('gas_deployment_type');
+      expect(getMetricCatalogue(new promClient.Registry())).toEqual([]);
+    });
+  });
+
+  describe('cluster aggregation', () => {
+    it('should keep per-process gauges and summaries per worker', () => {
+      expect(isPerWorkerMetric({ name: 'gas_app_process_resident_memory_bytes', type: 'gauge', aggregator: 'sum' }))
+        .toBe(true);
+      expect(isPerWorkerMetric({ name: 'gas_http_request_size_bytes', type: 'summary', aggregator: 'sum' })).toBe(true);
+      expect(isPerWorkerMetric({ name: 'gas_active_connections', type: 'gauge', aggregator: 'sum' })).toBe(false);
+      expect(isPerWorkerMetric({ name: 'gas_app_version_info', type: 'gauge', aggregator: 'first' })).toBe(false);
+      expect(isPerWorkerMetric({ name: 'gas_http_requests_total', type: 'counter', aggregator: 'sum' })).toBe(false);
+    });
+
+    it('should sum counters and label per-worker metrics', async () => {
+      track({ path: '/cluster-sum', route: { path: '/cluster-sum' } });
+
+      const { contentType, body } = await aggregateMetrics([await getWorkerMetrics('1'), await getWorkerMetrics('2')]);
+
+      expect(contentType).toMatch(/^text\/plain/);
+      expect(body).toContain('gas_http_requests_total{method="GET",route="/cluster-sum",status_code="200"} 2');
+      expect(body).toMatch(/gas_app_process_resident_memory_bytes\{worker="1"\} \d+/);
+      expect(body).toMatch(/gas_app_process_resident_memory_bytes\{worker="2"\} \d+/);
+      expect(body).toMatch(/^gas_app_version_info\{[^}]*\} 1$/m);
+    });
+  });
 });
@@ -0,0 +1,59 @@
+const { MIGRATIONS, runMigrations } = require('../../src/migrations');
+const { createMemoryStore } = require('../../src/storage');
+
+const logger = { info: jest.fn(), warn: jest.fn() };
+
+describe('Migrations Module', () => {
+  let store;
+
+  beforeEach(() => {
+    store = createMemoryStore();
+    jest.clearAllMocks();
+  });
+
+  it('should apply every migration to an empty store', async () => {
+    const result = await runMigrations(store, { logger });
+
+    expect(result).toEqual({ from: 0, to: MIGRATIONS.length, applied: MIGRATIONS.map((m) => m.version) });
+    expect(await store.getSchemaVersion()).toBe(MIGRATIONS.length);
+    const items = await store.list();
+    expect(items).toHaveLength(3);
+    items.forEach((item) => expect(item.tags).toEqual([]));
+  });
+
+  it('should only apply pending migrations', async () => {
+    await runMigrations(store, { migrations: MIGRATIONS.slice(0, 1), logger });
+    expect((await store.get('1')).tags).toBeUndefined();
+
+    const result = await runMigrations(store, { logger });
+
+    expect(result.applied).toEqual([2]);
+    expect((await store.get('1')).tags).toEqual([]);
+    expect((await runMigrations(store, { logger })).applied).toEqual([]);
+  });
+
+  it('should leave a store migrated by a newer release alone', async () => {
+    await store.setSchemaVersion(MIGRATIONS.length + 1);
+
+    const result = await runMigrations(store, { logger });
+
+    expect(result.applied).toEqual([]);
+    expect(await store.getSchemaVersion()).toBe(MIGRATIONS.length + 1);
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('newer than this release'));
+  });
+
+  it('should not record the version of a failed migration', async () => {
+    const migrations = [
+      MIGRATIONS[0],
+      { version: 2, description: 'broken', up: async () => { throw new Error('boom'); } }
+    ];
+
+    await expect(runMigrations(store, { migrations, logger })).rejects.toThrow('boom');
+    expect(await store.getSchemaVersion()).toBe(1);
+  });
+
+  it('should reject gaps in migration versions', async () => {
+    await expect(runMigrations(store, { migrations: [{ version: 2, up: async () => {} }], logger }))
+      .rejects.toThrow('consecutive');
+  });
+});
@@ -0,0 +1,178 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  diffSpecs,
+  readSpec,
+  formatChanges,
+  main
+} = require('../../src/openapi-diff');
+const { loadSpec } = require('../../src/openapi');
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+function captureStream() {
+  const stream = { output: '', write: (chunk) => { stream.output += chunk; } };
+  return stream;
+}
+
+const messages = (report) => report.changes
+  .map((change) => `${[change.operation, change.where].filter(Boolean).join(' ')}: ${change.message}`);
+
+describe('OpenAPI Diff', () => {
+  const base = loadSpec();
+  let next;
+
+  beforeEach(() => {
+    next = clone(base);
+  });
+
+  describe('diffSpecs', () => {
+    test('reports identical documents as compatible', () => {
+      expect(diffSpecs(base, next)).toEqual({ compatible: true, breaking: 0, changes: [] });
+    });
+
+    test('treats added operations and optional fields as compatible', () => {
+      next.paths['/api/new'] = { get: { responses: { 200: { description: 'New' } } } };
+      next.components.schemas.ItemInput.properties.colour = { type: 'string' };
+      next.components.schemas.Item.properties.colour = { type: 'string' };
+
+      const report = diffSpecs(base, next);
+      expect(report.compatible).toBe(true);
+      expect(report.changes.length).toBeGreaterThan(0);
+      expect(report.changes.every((change) => !change.breaking)).toBe(true);
+    });
+
+    test('flags removed operations and required request fields', () => {
+      delete next.paths['/api/error'];
+      next.components.schemas.ItemInput.required.push('tags');
+
+      const report = diffSpecs(base, next);
+      expect(report.compatible).toBe(false);
+      expect(messages(report)).toEqual(expect.arrayContaining([
+        'GET /api/error: operation removed',
+        'POST /api/data request body.tags: became required'
+      ]));
+    });
+
+    test('flags narrowed parameters but not widened ones', () => {
+      next.paths['/api/data'].get.parameters.find((parameter) => parameter.name === 'limit').schema.maximum = 50;
+      expect(messages(diffSpecs(base, next)))
+        .toContain('GET /api/data query.limit: maximum changed from 100 to 50');
+
+      next = clone(base);
+      next.paths['/api/data'].get.parameters.find((parameter) => parameter.name === 'limit').schema.maximum = 500;
+      expect(diffSpecs(base, next).compatible).toBe(true);
+    });
+
+    test('flags changed response types and removed response fields', () => {
+      next.components.schemas.Item.properties.value = { type: 'string' };
+      delete next.components.schemas.Item.properties.tags;
+
+      const report = diffSpecs(base, next);
+      expect(messages(report)).toEqual(expect.arrayContaining([
+        'GET /api/data/{id} response 200 body.data.value: type changed from number to string',
+        expect.stringMatching(/^GET \/api\/data\/\{id\} response 200 body\.data\.tags: .*removed/)
+      ]));
+      expect(report.changes.filter((change) => change.breaking)).toHaveLength(report.breaking);
+    });
+
+    test('matches paths whose parameters were renamed', () => {
+      const pathItem = next.paths['/api/data/{id}'];
+      delete next.paths['/api/data/{id}'];
+      next.paths['/api/data/{itemId}'] = pathItem;
+
+      expect(messages(diffSpecs(base, next)).filter((line) => /operation (added|removed)/.test(line)))
+        .toEqual([]);
+    });
+  });
+
+  describe('formatChanges', () => {
+    test('lists breaking changes first', () => {
+      next.paths['/api/new'] = { get: { responses: { 200: { description: 'New' } } } };
+      delete next.paths['/api/error'];
+
+      const lines = formatChanges(diffSpecs(base, next)).split('\n');
+      expect(lines[0]).toMatch(/^BREAKING\s+GET \/api\/error/);
+      expect(lines[lines.length - 1]).toMatch(/GET \/api\/new/);
+    });
+  });
+
+  describe('readSpec', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('reads the document of an instance', async () => {
+      const fetchSpy = jest.spyOn(global, 'fetch').mockResolvedValue({
+        ok: true, status: 200, text: async () => JSON.stringify(base)
+      });
+
+      const spec = await readSpec('http://blue:3000', { headers: { 'X-API-Key': 'k' } });
+      expect(spec.info.title).toBe(base.info.title);
+      expect(String(fetchSpy.mock.calls[0][0])).toBe('http://blue:3000/api/openapi.json');
+      expect(fetchSpy.mock.calls[0][1].headers).toEqual({ 'X-API-Key': 'k' });
+    });
+
+    test('fails on error responses', async () => {
+      jest.spyOn(global, 'fetch').mockResolvedValue({ ok: false, status: 404, text: async () => '' });
+      await expect(readSpec('http://blue:3000/spec.json')).rejects.toThrow(/404/);
+    });
+  });
+
+  describe('main', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'openapi-diff-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const write = (name, spec) => {
+      const file = path.join(dir, name);
+      fs.writeFileSync(file, JSON.stringify(spec));
+      return file;
+    };
+
+    test('exits 0 for compatible documents and writes the report', async () => {
+      const stdout = captureStream();
+      const stderr = captureStream();
+      const output = path.join(dir, 'report.json');
+
+      const code = await main(['--base', write('a.json', base), '--next', write('b.json', next), '--output', output], {
+        stdout, stderr
+      });
+
+      expect(code).toBe(0);
+      expect(JSON.parse(stdout.output).compatible).toBe(true);
+      expect(JSON.parse(fs.readFileSync(output, 'utf8')).breaking).toBe(0);
+      expect(stderr.output).toContain('OpenAPI diff: compatible - 0 breaking of 0 changes');
+    });
+
+    test('exits 1 for breaking changes', async () => {
+      delete next.paths['/api/error'];
+      const stdout = captureStream();
+      const stderr = captureStream();
+
+      const code = await main(['--base', write('a.json', base), '--next', write('b.json', next)], { stdout, stderr });
+
+      expect(code).toBe(1);
+      expect(stderr.output).toContain('BREAKING  GET /api/error');
+      expect(stderr.output).toContain('OpenAPI diff: incompatible');
+    });
+
+    test('exits 3 on usage and read errors', async () => {
+      const stderr = captureStream();
+      expect(await main(['--base', 'a.json'], { stdout: captureStream(), stderr })).toBe(3);
+      expect(stderr.output).toContain('Usage:');
+
+      expect(await main(['--base', path.join(dir, 'missing.json'), '--next', write('b.json', next)], {
+        stdout: captureStream(), stderr
+      })).toBe(3);
+      expect(stderr.output).toContain('OpenAPI diff failed');
+    });
+  });
+});
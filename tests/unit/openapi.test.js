@@ -0,0 +1,247 @@
+const express = require('express');
+const winston = require('winston');
+const request = require('supertest');
+const {
+  METHODS,
+  parseSpec,
+  loadSpec,
+  validateSchema,
+  findOperation,
+  routeTemplate,
+  validateRequest,
+  validateResponse,
+  createOpenApiValidator,
+  renderDocs,
+  createOpenApiHandlers
+} = require('../../src/openapi');
+const { createApp } = require('../../src/app');
+const { createLogger } = require('../../src/logger');
+
+const spec = loadSpec();
+
+const itemList = () => ({
+  data: [],
+  pagination: { limit: 20, hasMore: false, nextCursor: null },
+  timestamp: new Date().toISOString()
+});
+
+function buildApp(options, handler = (req, res) => res.json(itemList())) {
+  const app = express();
+  app.use(express.json());
+  app.use('/api', createOpenApiValidator(spec, options));
+  app.get('/api/data', handler);
+  app.post('/api/data', (req, res) => res.status(201).json({ ok: true }));
+  return app;
+}
+
+/**
+ * List `METHOD /path` for every route registered on an Express app
+ */
+function registeredRoutes(app) {
+  const routes = [];
+  const walk = (stack, prefix) => stack.forEach((layer) => {
+    if (layer.route) {
+      const routePath = `${prefix}${layer.route.path}`.replace(/(.)\/$/, '$1').replace(/:(\w+)/g, '{$1}');
+      Object.keys(layer.route.methods).forEach((method) => routes.push(`${method.toUpperCase()} ${routePath}`));
+    } else if (layer.name === 'router') {
+      walk(layer.handle.stack, `${prefix}${layer.regexp.source.replace(/^\^|\\\/\?\(\?=.*$/g, '').replace(/\\/g, '')}`);
+    }
+  });
+  // Express 4 has no public API listing routes; its router holds them
+  const { _router: router } = app;
+  walk(router.stack, '');
+  return routes;
+}
+
+describe('OpenAPI Module', () => {
+  describe('loadSpec', () => {
+    test('loads the bundled OpenAPI 3 document', () => {
+      expect(spec.openapi).toMatch(/^3\./);
+      expect(spec.paths['/api/data']).toBeDefined();
+    });
+
+    test('rejects documents without paths', () => {
+      expect(() => parseSpec('{"openapi":"3.0.3"}', 'x.json')).toThrow(/x\.json/);
+      expect(() => parseSpec('not json', 'x.json')).toThrow(/x\.json/);
+    });
+
+    test('documents every route the app registers', () => {
+      const documented = Object.entries(spec.paths).flatMap(([template, pathItem]) => METHODS
+        .filter((method) => pathItem[method])
+        .map((method) => `${method.toUpperCase()} ${template}`));
+
+      const logger = createLogger({ transports: [new winston.transports.Console({ silent: true })] });
+      const app = createApp({ logger });
+      const missing = registeredRoutes(app).filter((route) => !documented.includes(route));
+      expect(missing).toEqual([]);
+    });
+  });
+
+  describe('validateSchema', () => {
+    const schema = {
+      type: 'object',
+      required: ['name'],
+      additionalProperties: false,
+      properties: {
+        name: { type: 'string', minLength: 1 },
+        count: { type: 'integer', minimum: 0 },
+        kind: { type: 'string', enum: ['a', 'b'] },
+        tags: { type: 'array', items: { type: 'string' }, maxItems: 2 },
+        at: { type: 'string', format: 'date-time', nullable: true }
+      }
+    };
+
+    test('accepts a matching value', () => {
+      expect(validateSchema(spec, schema, {
+        name: 'x', count: 2, kind: 'a', tags: ['t'], at: null
+      }, 'body')).toEqual([]);
+    });
+
+    test('reports every mismatch with its location', () => {
+      const problems = validateSchema(spec, schema, {
+        count: 1.5, kind: 'c', tags: ['t', 2, 'u'], at: 'yesterday', extra: true
+      }, 'body');
+
+      expect(problems).toEqual(expect.arrayContaining([
+        'body.name is required',
+        'body.count must be an integer',
+        expect.stringMatching(/^body\.kind must be one of/),
+        'body.tags[1] must be a string',
+        expect.stringMatching(/^body\.tags must have at most 2/),
+        expect.stringMatching(/^body\.at must be a date-time/),
+        'body.extra is not allowed'
+      ]));
+    });
+
+    test('resolves references and skips read-only properties in requests', () => {
+      const input = { name: 'Widget', value: 3, id: 'abc' };
+      expect(validateSchema(spec, { $ref: '#/components/schemas/ItemInput' }, input, 'body'))
+        .toEqual([]);
+      expect(validateSchema(spec, { $ref: '#/components/schemas/ItemInput' }, { name: 'Widget' }, 'body'))
+        .toEqual(['body.value is required']);
+    });
+  });
+
+  describe('findOperation', () => {
+    test('matches templated paths and extracts parameters', () => {
+      const match = findOperation(spec, 'GET', '/api/data/42');
+      expect(match.template).toBe('/api/data/{id}');
+      expect(match.params).toEqual({ id: '42' });
+      expect(match.parameters.map((parameter) => parameter.name)).toEqual(expect.arrayContaining(['id']));
+    });
+
+    test('prefers literal paths over templates', () => {
+      expect(findOperation(spec, 'GET', '/api/openapi.json').template).toBe('/api/openapi.json');
+    });
+
+    test('answers HEAD from GET and ignores unknown routes', () => {
+      expect(findOperation(spec, 'HEAD', '/api/data').method).toBe('get');
+      expect(findOperation(spec, 'GET', '/api/nope')).toBeNull();
+      expect(findOperation(spec, 'POST', '/api/error')).toBeNull();
+    });
+  });
+
+  describe('routeTemplate', () => {
+    test('returns the documented path in Express form, whatever the method', () => {
+      expect(routeTemplate(spec, '/api/data/42')).toBe('/api/data/:id');
+      expect(routeTemplate(spec, '/api/data/')).toBe('/api/data');
+      expect(routeTemplate(spec, '/api/error')).toBe('/api/error');
+    });
+
+    test('returns null for undocumented paths', () => {
+      expect(routeTemplate(spec, '/api/nope')).toBeNull();
+    });
+  });
+
+  describe('validateRequest', () => {
+    test('coerces and checks query parameters', () => {
+      const match = findOperation(spec, 'GET', '/api/data');
+      expect(validateRequest(spec, match, { query: { limit: '10', sort: 'name' } })).toEqual([]);
+      expect(validateRequest(spec, match, { query: { limit: '0' } })).toEqual(['query.limit must be at least 1']);
+      expect(validateRequest(spec, match, { query: { limit: 'ten' } })).toEqual(['query.limit must be an integer']);
+    });
+
+    test('requires a body where the operation does', () => {
+      const match = findOperation(spec, 'POST', '/api/data');
+      expect(validateRequest(spec, match, {})).toEqual(['body is required']);
+      expect(validateRequest(spec, match, { body: { name: 'a', value: 1 } })).toEqual([]);
+    });
+  });
+
+  describe('validateResponse', () => {
+    const { operation } = findOperation(spec, 'GET', '/api/data');
+
+    test('uses the status, then the default response', () => {
+      expect(validateResponse(spec, operation, 200, itemList())).toEqual([]);
+      expect(validateResponse(spec, operation, 200, { ...itemList(), data: 'x' })).not.toEqual([]);
+      expect(validateResponse(spec, operation, 503, {
+        error: 'Service Unavailable', message: 'x', timestamp: new Date().toISOString()
+      })).toEqual([]);
+    });
+  });
+
+  describe('createOpenApiValidator', () => {
+    test('rejects requests that break the contract', async () => {
+      const response = await request(buildApp())
+        .post('/api/data')
+        .send({ name: 5 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Request does not match the API contract');
+      expect(response.body.details)
+        .toEqual(expect.arrayContaining(['body.name must be a string', 'body.value is required']));
+    });
+
+    test('passes valid requests and undocumented routes through', async () => {
+      const app = buildApp();
+      app.get('/api/unknown', (req, res) => res.json({ anything: true }));
+
+      expect((await request(buildApp({ responses: true })).get('/api/data?limit=5')).status).toBe(200);
+      expect((await request(app).get('/api/unknown')).status).toBe(200);
+    });
+
+    test('replaces responses that break the contract when enabled', async () => {
+      const logger = { error: jest.fn() };
+      const handler = (req, res) => res.json({ data: 'oops' });
+
+      const checked = await request(buildApp({ responses: true, logger }, handler)).get('/api/data');
+      expect(checked.status).toBe(500);
+      expect(checked.body.message).toBe('Response does not match the API contract');
+      expect(logger.error).toHaveBeenCalledWith('Response does not match the API contract', expect.objectContaining({
+        route: '/api/data', status: 200
+      }));
+
+      const unchecked = await request(buildApp({ responses: false }, handler)).get('/api/data');
+      expect(unchecked.status).toBe(200);
+    });
+  });
+
+  describe('docs', () => {
+    test('renders every operation and escapes descriptions', () => {
+      const html = renderDocs({
+        ...spec,
+        info: { ...spec.info, description: '<script>alert(1)</script>' }
+      });
+
+      expect(html).toContain('/api/data/{id}');
+      expect(html).toContain('href="openapi.json"');
+      expect(html).not.toContain('<script>alert(1)</script>');
+      expect(html).toContain('&lt;script&gt;');
+    });
+
+    test('serves the document and the docs page', async () => {
+      const { specHandler, docsHandler } = createOpenApiHandlers(spec);
+      const app = express();
+      app.get('/api/openapi.json', specHandler);
+      app.get('/api/docs', docsHandler);
+
+      const json = await request(app).get('/api/openapi.json');
+      expect(json.headers['content-type']).toMatch(/application\/json/);
+      expect(json.body.info.version).toBe(spec.info.version);
+
+      const docs = await request(app).get('/api/docs');
+      expect(docs.headers['content-type']).toMatch(/text\/html/);
+      expect(docs.text).toContain(spec.info.title);
+    });
+  });
+});
@@ -0,0 +1,67 @@
+const { createAzureAdapter, createLocalAdapter } = require('../../src/platform-adapters');
+
+describe('Platform Adapters', () => {
+  describe('createAzureAdapter', () => {
+    const setup = () => {
+      const calls = [];
+      const run = jest.fn(async (args) => {
+        calls.push(args.join(' '));
+        if (args.includes('defaultHostName')) {
+          return args.includes('--slot') ? 'gas-app-blue.azurewebsites.net' : 'gas-app.azurewebsites.net';
+        }
+        return '';
+      });
+      const adapter = createAzureAdapter({ app: 'gas-app', resourceGroup: 'gas-rg', run });
+      return { adapter, calls };
+    };
+
+    it('should treat production as live and the staging slot as idle', async () => {
+      const { adapter } = setup();
+
+      expect(await adapter.describe()).toEqual({
+        live: { slot: 'production', url: 'https://gas-app.azurewebsites.net' },
+        idle: { slot: 'blue', url: 'https://gas-app-blue.azurewebsites.net' }
+      });
+    });
+
+    it('should deploy the image to a slot and swap it with production', async () => {
+      const { adapter, calls } = setup();
+
+      await adapter.deploy('blue', { image: 'acr.io/gas-app:prod-abc1234', sha: 'abc1234' });
+      await adapter.swap();
+
+      expect(calls).toEqual([
+        'webapp config container set --name gas-app --resource-group gas-rg --slot blue '
+          + '--docker-custom-image-name acr.io/gas-app:prod-abc1234',
+        'webapp config appsettings set --name gas-app --resource-group gas-rg --slot blue '
+          + '--settings SLOT_NAME=blue --output none',
+        'webapp deployment slot swap --name gas-app --resource-group gas-rg --slot blue --target-slot production'
+      ]);
+    });
+
+    it('should require an app and a resource group', () => {
+      expect(() => createAzureAdapter({ app: 'gas-app' })).toThrow(/resource group/);
+    });
+  });
+
+  describe('createLocalAdapter', () => {
+    it('should deploy to a slot and flip the live pointer on swap', async () => {
+      const launch = jest.fn(async () => 'http://127.0.0.1:4002');
+      const adapter = createLocalAdapter({ live: 'blue', launch });
+
+      await adapter.deploy('green', { image: 'gas-app:test', sha: 'abc1234' });
+      await adapter.swap();
+
+      expect(launch).toHaveBeenCalledWith('green', { image: 'gas-app:test', sha: 'abc1234' });
+      expect(adapter.releases.green.sha).toBe('abc1234');
+      expect(await adapter.describe()).toEqual({
+        live: { slot: 'green', url: 'http://127.0.0.1:4002' },
+        idle: { slot: 'blue', url: 'http://127.0.0.1:3001' }
+      });
+    });
+
+    it('should reject a live slot it does not know', () => {
+      expect(() => createLocalAdapter({ live: 'red' })).toThrow(/exactly two slots/);
+    });
+  });
+});
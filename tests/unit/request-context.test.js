@@ -0,0 +1,137 @@
+const express = require('express');
+const request = require('supertest');
+const winston = require('winston');
+const {
+  requestContextMiddleware,
+  getRequestContext,
+  requestContextFormat,
+  parseTraceparent,
+  createContext
+} = require('../../src/request-context');
+
+const TRACE_ID = '4bf92f3577b34da6a3ce929d0e0e4736';
+const PARENT_ID = '00f067aa0ba902b7';
+
+class MemoryTransport extends winston.Transport {
+  constructor() {
+    super();
+    this.lines = [];
+  }
+
+  log(info, callback) {
+    this.lines.push(info);
+    callback();
+  }
+}
+
+describe('Request Context Module', () => {
+  describe('parseTraceparent', () => {
+    it('should parse a valid header', () => {
+      expect(parseTraceparent(`00-${TRACE_ID}-${PARENT_ID}-01`)).toEqual({
+        traceId: TRACE_ID,
+        parentId: PARENT_ID,
+        flags: '01'
+      });
+    });
+
+    it('should accept future versions with extra fields', () => {
+      expect(parseTraceparent(`01-${TRACE_ID}-${PARENT_ID}-00-extra`)).toMatchObject({ traceId: TRACE_ID });
+    });
+
+    it('should reject malformed or invalid headers', () => {
+      expect(parseTraceparent(undefined)).toBeNull();
+      expect(parseTraceparent('garbage')).toBeNull();
+      expect(parseTraceparent(`ff-${TRACE_ID}-${PARENT_ID}-01`)).toBeNull();
+      expect(parseTraceparent(`00-${TRACE_ID}-${PARENT_ID}-01-extra`)).toBeNull();
+      expect(parseTraceparent(`00-${'0'.repeat(32)}-${PARENT_ID}-01`)).toBeNull();
+      expect(parseTraceparent(`00-${TRACE_ID}-${'0'.repeat(16)}-01`)).toBeNull();
+    });
+  });
+
+  describe('createContext', () => {
+    it('should continue an incoming trace with a new span', () => {
+      const context = createContext({ traceparent: `00-${TRACE_ID}-${PARENT_ID}-01`, 'x-request-id': 'abc-123' });
+
+      expect(context).toMatchObject({
+        requestId: 'abc-123',
+        traceId: TRACE_ID,
+        parentSpanId: PARENT_ID,
+        flags: '01'
+      });
+      expect(context.spanId).toMatch(/^[0-9a-f]{16}$/);
+      expect(context.spanId).not.toBe(PARENT_ID);
+    });
+
+    it('should generate IDs and ignore unsafe request IDs', () => {
+      const context = createContext({ 'x-request-id': 'bad id\nwith newline' });
+
+      expect(context.requestId).toMatch(/^[0-9a-f-]{36}$/);
+      expect(context.traceId).toMatch(/^[0-9a-f]{32}$/);
+      expect(context.parentSpanId).toBeNull();
+    });
+
+    it('should use the IDs of an active OpenTelemetry span', () => {
+      const spanContext = { traceId: TRACE_ID, spanId: 'aaaaaaaaaaaaaaaa', traceFlags: 1 };
+
+      const context = createContext({ traceparent: `00-${TRACE_ID}-${PARENT_ID}-01` }, spanContext);
+
+      expect(context).toMatchObject({
+        traceId: TRACE_ID, spanId: 'aaaaaaaaaaaaaaaa', parentSpanId: PARENT_ID, flags: '01'
+      });
+    });
+  });
+
+  describe('middleware and log format', () => {
+    let transport;
+    let app;
+
+    beforeEach(() => {
+      transport = new MemoryTransport();
+      const logger = winston.createLogger({
+        format: winston.format.combine(requestContextFormat(), winston.format.json()),
+        transports: [transport]
+      });
+
+      app = express();
+      app.use(requestContextMiddleware);
+      app.use(express.json());
+      app.post('/work', async (req, res) => {
+        logger.info('before await');
+        await new Promise((resolve) => setTimeout(resolve, 5));
+        logger.info('after await');
+        res.json({ context: getRequestContext() });
+      });
+    });
+
+    it('should echo the IDs and tag every log line of the request', async () => {
+      const response = await request(app)
+        .post('/work')
+        .set('traceparent', `00-${TRACE_ID}-${PARENT_ID}-01`)
+        .set('x-request-id', 'req-42')
+        .send({ a: 1 });
+
+      expect(response.headers['x-request-id']).toBe('req-42');
+      expect(response.headers.traceparent).toMatch(new RegExp(`^00-${TRACE_ID}-[0-9a-f]{16}-01$`));
+      expect(response.body.context).toMatchObject({ requestId: 'req-42', traceId: TRACE_ID });
+
+      expect(transport.lines).toHaveLength(2);
+      transport.lines.forEach((line) => {
+        expect(line).toMatchObject({ requestId: 'req-42', traceId: TRACE_ID });
+      });
+    });
+
+    it('should keep concurrent requests apart', async () => {
+      await Promise.all(['a', 'b', 'c'].map((id) => request(app).post('/work').set('x-request-id', id)));
+
+      ['a', 'b', 'c'].forEach((id) => {
+        const lines = transport.lines.filter((line) => line.requestId === id);
+        expect(lines.map((line) => line.message)).toEqual(['before await', 'after await']);
+      });
+    });
+
+    it('should leave log lines outside a request untouched', () => {
+      expect(getRequestContext()).toBeNull();
+      expect(requestContextFormat().transform({ message: 'boot' })).toEqual({ message: 'boot' });
+    });
+  });
+});
@@ -0,0 +1,140 @@
+const http = require('http');
+const express = require('express');
+const { createShutdownManager } = require('../../src/shutdown');
+const { readinessProbe, setDraining } = require('../../src/health');
+const { getMetrics } = require('../../src/metrics');
+
+const silentLogger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+function startServer(options) {
+  const app = express();
+  app.get('/health/ready', readinessProbe);
+  app.get('/slow', (req, res) => setTimeout(() => res.json({ ok: true }), Number(req.query.ms || 100)));
+  app.get('/fast', (req, res) => res.json({ ok: true }));
+
+  const server = http.createServer(app);
+  const manager = createShutdownManager(server, { logger: silentLogger, ...options });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server, manager, baseUrl: `http://127.0.0.1:${server.address().port}` });
+    });
+  });
+}
+
+function get(url, agent) {
+  return new Promise((resolve, reject) => {
+    http.get(url, { agent }, (res) => {
+      let body = '';
+      res.on('data', (chunk) => { body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body }));
+    }).on('error', reject);
+  });
+}
+
+async function currentPhase() {
+  const { values } = await getMetrics().shutdownPhase.get();
+  return values.find((value) => value.value === 1).labels.phase;
+}
+
+describe('Shutdown Module', () => {
+  afterEach(() => {
+    setDraining(false);
+  });
+
+  it('should flip readiness to 503 immediately while still serving requests', async () => {
+    const { server, manager, baseUrl } = await startServer({ preStopDelayMs: 150 });
+
+    expect((await get(`${baseUrl}/health/ready`)).status).toBe(200);
+
+    const done = manager.shutdown('SIGTERM');
+
+    const ready = await get(`${baseUrl}/health/ready`);
+    expect(ready.status).toBe(503);
+    expect(JSON.parse(ready.body)).toHaveProperty('status', 'draining');
+    expect(ready.headers.connection).toBe('close');
+    expect((await get(`${baseUrl}/fast`)).status).toBe(200);
+    expect(manager.getPhase()).toBe('pre-stop');
+    expect(await currentPhase()).toBe('pre-stop');
+
+    expect(await done).toBe(0);
+    expect(manager.getPhase()).toBe('stopped');
+    expect(server.listening).toBe(false);
+  });
+
+  it('should let in-flight requests finish before stopping', async () => {
+    const { manager, baseUrl } = await startServer({ preStopDelayMs: 10 });
+
+    const inflight = get(`${baseUrl}/slow?ms=200`);
+    await new Promise((resolve) => setTimeout(resolve, 30));
+    const done = manager.shutdown('SIGTERM');
+
+    await new Promise((resolve) => setTimeout(resolve, 60));
+    expect(manager.getPhase()).toBe('draining');
+    expect(manager.getInflight()).toBe(1);
+
+    const response = await inflight;
+    expect(response.status).toBe(200);
+    expect(await done).toBe(0);
+  });
+
+  it('should close idle keep-alive sockets when draining', async () => {
+    const { manager, baseUrl } = await startServer({ preStopDelayMs: 0 });
+    const agent = new http.Agent({ keepAlive: true });
+
+    await get(`${baseUrl}/fast`, agent);
+    const [socket] = Object.values(agent.freeSockets)[0];
+    const closed = new Promise((resolve) => socket.once('close', resolve));
+
+    const code = await manager.shutdown('SIGTERM');
+
+    await closed;
+    expect(code).toBe(0);
+    agent.destroy();
+  });
+
+  it('should run close hooks and survive hook failures', async () => {
+    const hook = jest.fn();
+    const failing = jest.fn().mockRejectedValue(new Error('flush failed'));
+    const { manager } = await startServer({ preStopDelayMs: 0, onClose: [failing, hook] });
+
+    expect(await manager.shutdown('SIGINT')).toBe(0);
+    expect(failing).toHaveBeenCalled();
+    expect(hook).toHaveBeenCalled();
+    expect(silentLogger.error).toHaveBeenCalledWith('Shutdown hook failed', { error: 'flush failed' });
+  });
+
+  it('should keep readiness passing when asked to', async () => {
+    const { manager, baseUrl } = await startServer({ preStopDelayMs: 150 });
+
+    const done = manager.shutdown('rolling-restart', { keepReady: true });
+
+    const ready = await get(`${baseUrl}/health/ready`);
+    expect(ready.status).toBe(200);
+    expect(ready.headers.connection).toBe('close');
+    expect(manager.getPhase()).toBe('pre-stop');
+
+    expect(await done).toBe(0);
+  });
+
+  it('should force the shutdown with exit code 1 after the deadline', async () => {
+    const { manager, baseUrl } = await startServer({ preStopDelayMs: 0, timeoutMs: 50 });
+
+    const inflight = get(`${baseUrl}/slow?ms=1000`).catch((error) => error);
+    await new Promise((resolve) => setTimeout(resolve, 20));
+
+    expect(await manager.shutdown('SIGTERM')).toBe(1);
+    expect(await inflight).toMatchObject({ code: 'ECONNRESET' });
+  });
+
+  it('should only shut down once', async () => {
+    const { manager } = await startServer({ preStopDelayMs: 0 });
+
+    const first = manager.shutdown('SIGTERM');
+    const second = manager.shutdown('SIGINT');
+
+    expect(second).toBe(first);
+    expect(silentLogger.warn).toHaveBeenCalledWith('SIGINT received while shutdown is already in progress');
+    await first;
+  });
+});
@@ -0,0 +1,241 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  BURN_RATE_WINDOWS,
+  createSloEngine,
+  setSlos,
+  evaluateSlos,
+  generateAlertRules,
+  errorRatioExpr,
+  main
+} = require('../../src/slo');
+const { register } = require('../../src/metrics');
+
+const availability = {
+  name: 'api-availability', type: 'availability', objective: 99, routes: ['/api/**']
+};
+const latency = {
+  name: 'api-latency', type: 'latency', objective: 90, thresholdMs: 500, routes: ['/api/**'], methods: ['get']
+};
+
+function observe(engine, count, observation) {
+  for (let i = 0; i < count; i += 1) {
+    engine.record({
+      method: 'GET', route: '/api/data', statusCode: 200, durationSeconds: 0.01, ...observation
+    });
+  }
+}
+
+function stream() {
+  let text = '';
+  return { write: (chunk) => { text += chunk; }, text: () => text };
+}
+
+describe('SLO Module', () => {
+  describe('validation', () => {
+    it('should fill in defaults', () => {
+      const [slo] = createSloEngine([{ name: 'all', type: 'availability', objective: 99.9 }]).getSlos();
+
+      expect(slo).toMatchObject({
+        routes: ['/**'], methods: null, window: '30d', description: ''
+      });
+    });
+
+    it('should reject invalid definitions', () => {
+      expect(() => createSloEngine([{ name: 'x', type: 'uptime', objective: 99 }])).toThrow('type must be one of');
+      expect(() => createSloEngine([{ name: 'x', type: 'availability', objective: 100 }])).toThrow('objective');
+      expect(() => createSloEngine([{ ...availability, window: 'forever' }])).toThrow('Invalid duration');
+      expect(() => createSloEngine([{ ...availability, routes: ['api'] }])).toThrow('routes');
+      expect(() => createSloEngine([availability, availability])).toThrow('unique');
+    });
+
+    it('should require latency thresholds that match a histogram bucket', () => {
+      expect(() => createSloEngine([{ ...latency, thresholdMs: 300 }])).toThrow('latency buckets');
+    });
+  });
+
+  describe('createSloEngine', () => {
+    let clock;
+    let engine;
+
+    beforeEach(() => {
+      clock = Date.UTC(2024, 0, 1);
+      engine = createSloEngine([availability, latency], { now: () => clock });
+    });
+
+    it('should report a full budget without traffic', () => {
+      const [report] = engine.evaluate();
+
+      expect(report).toMatchObject({
+        sli: 1,
+        events: { total: 0, good: 0 },
+        errorBudget: { allowed: 0.01, consumed: 0, remaining: 1 },
+        status: 'ok',
+        alerts: []
+      });
+      expect(Object.keys(report.burnRates)).toEqual(BURN_RATE_WINDOWS);
+    });
+
+    it('should compute SLIs, budget and burn rates from observations', () => {
+      observe(engine, 995, {});
+      observe(engine, 5, { statusCode: 503 });
+
+      const [report] = engine.evaluate();
+
+      expect(report.sli).toBeCloseTo(0.995);
+      expect(report.errorBudget.consumed).toBeCloseTo(0.5);
+      expect(report.errorBudget.remaining).toBeCloseTo(0.5);
+      expect(report.burnRates['5m']).toBeCloseTo(0.5);
+      expect(report.status).toBe('ok');
+    });
+
+    it('should count only matching routes and methods', () => {
+      observe(engine, 10, { route: '/health', statusCode: 500 });
+      observe(engine, 10, { method: 'POST', durationSeconds: 2 });
+
+      const [availabilityReport, latencyReport] = engine.evaluate();
+
+      expect(availabilityReport.events.total).toBe(10);
+      expect(latencyReport.events.total).toBe(0);
+    });
+
+    it('should judge latency against the threshold', () => {
+      observe(engine, 8, { durationSeconds: 0.5 });
+      observe(engine, 2, { durationSeconds: 0.7 });
+
+      expect(engine.evaluate()[1].sli).toBeCloseTo(0.8);
+    });
+
+    it('should fire a page alert when both windows burn fast', () => {
+      observe(engine, 80, {});
+      observe(engine, 20, { statusCode: 500 });
+
+      const [report] = engine.evaluate();
+
+      expect(report.burnRates['1h']).toBeCloseTo(20);
+      expect(report.alerts).toContainEqual(expect.objectContaining({ severity: 'page', longWindow: '1h' }));
+      expect(report.status).toBe('critical');
+    });
+
+    it('should stop alerting once the short window recovers', () => {
+      observe(engine, 30, { statusCode: 500 });
+      clock += 20 * 60 * 1000;
+      observe(engine, 1000, {});
+
+      const [report] = engine.evaluate();
+
+      expect(report.burnRates['5m']).toBe(0);
+      expect(report.alerts.find((alert) => alert.longWindow === '1h')).toBeUndefined();
+    });
+
+    it('should forget events older than the compliance window', () => {
+      const engine7d = createSloEngine([{ ...availability, window: '7d' }], { now: () => clock });
+      observe(engine7d, 10, { statusCode: 500 });
+      clock += 8 * 24 * 60 * 60 * 1000;
+      observe(engine7d, 10, {});
+
+      const [report] = engine7d.evaluate();
+
+      expect(report.events).toEqual({ total: 10, good: 10 });
+    });
+  });
+
+  describe('default engine', () => {
+    it('should publish gauges when metrics are scraped', async () => {
+      setSlos([availability]);
+
+      const { metricsHandler } = require('../../src/metrics');
+      const res = { set: jest.fn(), end: jest.fn(), status: jest.fn().mockReturnThis() };
+      await metricsHandler({ accepts: (types) => types[0] }, res);
+
+      const [text] = res.end.mock.calls[0];
+      expect(text).toContain('gas_slo_objective_ratio{slo="api-availability"} 0.99');
+      expect(text).toContain('gas_slo_error_budget_remaining_ratio{slo="api-availability"} 1');
+      expect(text).toContain('gas_slo_burn_rate{slo="api-availability",window="1h"} 0');
+      expect(evaluateSlos()).toHaveLength(1);
+      expect(await register.getSingleMetric('gas_slo_sli_ratio').get())
+        .toMatchObject({ values: [{ value: 1, labels: { slo: 'api-availability' } }] });
+    });
+  });
+
+  describe('generateAlertRules', () => {
+    it('should generate recording rules and multi-window alerts', () => {
+      const rules = generateAlertRules([availability]);
+
+      expect(rules).toContain("- name: 'slo-api-availability'");
+      BURN_RATE_WINDOWS.forEach((window) => {
+        expect(rules).toContain(`- record: gas_slo:error_ratio:rate${window}`);
+      });
+      expect(rules).toContain('gas_slo:error_ratio:rate1h{slo="api-availability"} > (14.4 * 0.01)'
+        + ' and gas_slo:error_ratio:rate5m{slo="api-availability"} > (14.4 * 0.01)');
+      expect(rules.match(/- alert: GasSloErrorBudgetBurn/g)).toHaveLength(4);
+    });
+
+    it('should build PromQL selectors from route patterns, methods and thresholds', () => {
+      const [slo] = createSloEngine([latency]).getSlos();
+
+      expect(errorRatioExpr(slo, '5m')).toBe(
+        '1 - (sum by (deployment) (rate(gas_http_request_duration_seconds_bucket'
+        + '{route=~"/api/.*",method=~"GET",le="0.5"}[5m]))'
+        + ' / sum by (deployment) (rate(gas_http_request_duration_seconds_count{route=~"/api/.*",method=~"GET"}[5m])))'
+      );
+    });
+
+    it('should keep the committed rules file in sync with config/slos.json', () => {
+      const { slos } = JSON.parse(fs.readFileSync(path.join(__dirname, '../../config/slos.json'), 'utf8'));
+      const committed = fs.readFileSync(path.join(__dirname, '../../infra/monitoring/slo-alerts.yml'), 'utf8');
+
+      expect(committed).toBe(generateAlertRules(slos));
+    });
+  });
+
+  describe('main', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'slo-'));
+      fs.writeFileSync(path.join(dir, 'slos.json'), JSON.stringify({ slos: [availability] }));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should write the rules file and report it up to date', () => {
+      const args = ['--config', path.join(dir, 'slos.json'), '--output', path.join(dir, 'rules.yml')];
+      const stdout = stream();
+
+      expect(main(args, { stdout, stderr: stream() })).toBe(0);
+      expect(fs.readFileSync(path.join(dir, 'rules.yml'), 'utf8')).toBe(generateAlertRules([availability]));
+      expect(main([...args, '--check'], { stdout, stderr: stream() })).toBe(0);
+      expect(stdout.text()).toContain('is up to date');
+    });
+
+    it('should fail the check when the rules file is stale', () => {
+      const stderr = stream();
+      const args = ['--config', path.join(dir, 'slos.json'), '--output', path.join(dir, 'missing.yml'), '--check'];
+      const code = main(args, { stdout: stream(), stderr });
+
+      expect(code).toBe(1);
+      expect(stderr.text()).toContain('out of date');
+    });
+
+    it('should report invalid configuration', () => {
+      fs.writeFileSync(path.join(dir, 'slos.json'), JSON.stringify({ slos: [{ name: 'x' }] }));
+      const stderr = stream();
+
+      expect(main(['--config', path.join(dir, 'slos.json')], { stdout: stream(), stderr })).toBe(2);
+      expect(stderr.text()).toContain('SLO rule generation failed');
+    });
+
+    it('should reject unknown options without writing', () => {
+      const stderr = stream();
+      const args = ['--config', path.join(dir, 'slos.json'), '--output', path.join(dir, 'rules.yml'), '--bogus'];
+
+      expect(main(args, { stdout: stream(), stderr })).toBe(3);
+      expect(stderr.text()).toContain('Unknown option: --bogus');
+      expect(fs.existsSync(path.join(dir, 'rules.yml'))).toBe(false);
+    });
+  });
+});
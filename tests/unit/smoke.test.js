@@ -0,0 +1,225 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  normalizeSuite, loadSuite, resolvePath, evaluateAssertion, runSuite, formatFailures, toJUnitXml, parseTargets, main
+} = require('../../src/smoke');
+
+/**
+ * Answer fetches from a map of path → { status, body }
+ */
+function fakeServer(routes) {
+  return jest.spyOn(global, 'fetch').mockImplementation(async (url) => {
+    const route = routes[new URL(url).pathname] || { status: 404, body: { error: 'Not Found' } };
+    return {
+      status: route.status || 200,
+      text: async () => (typeof route.body === 'string' ? route.body : JSON.stringify(route.body))
+    };
+  });
+}
+
+const noSleep = async () => {};
+
+describe('Smoke Runner Module', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('normalizeSuite', () => {
+    it('should apply defaults and check overrides', () => {
+      const suite = normalizeSuite({
+        defaults: { retries: 5 },
+        checks: [{ path: '/' }, {
+          name: 'api', path: '/api', status: [200, 204], retries: 0
+        }]
+      });
+
+      expect(suite.checks[0]).toMatchObject({
+        name: '/', method: 'GET', status: [200], retries: 5, latencyBudgetMs: 1000
+      });
+      expect(suite.checks[1]).toMatchObject({ name: 'api', status: [200, 204], retries: 0 });
+    });
+
+    it('should reject invalid suites', () => {
+      expect(() => normalizeSuite({ checks: [] })).toThrow(/non-empty/);
+      expect(() => normalizeSuite({ checks: [{ path: 'api' }] })).toThrow(/starting with \//);
+      expect(() => normalizeSuite({ checks: [{ path: '/' }, { path: '/' }] })).toThrow(/Duplicate/);
+      expect(() => normalizeSuite({ checks: [{ path: '/', json: [{ path: '$.a' }] }] })).toThrow(/needs one of/);
+    });
+
+    it('should load the bundled default suite', () => {
+      const names = loadSuite().checks.map((check) => check.path);
+
+      expect(names).toEqual(expect.arrayContaining([
+        '/', '/health', '/health/live', '/health/ready', '/metrics', '/api'
+      ]));
+    });
+  });
+
+  describe('resolvePath', () => {
+    it('should follow keys and indexes', () => {
+      const body = { data: [{ id: 'a' }], 'odd key': 1 };
+
+      expect(resolvePath(body, '$.data[0].id')).toEqual({ found: true, value: 'a' });
+      expect(resolvePath(body, "$['odd key']")).toEqual({ found: true, value: 1 });
+      expect(resolvePath(body, '$.data[1].id')).toEqual({ found: false });
+      expect(() => resolvePath(body, '$..id')).toThrow(/Unsupported/);
+    });
+  });
+
+  describe('evaluateAssertion', () => {
+    const body = { status: 'ready', count: 3, tags: [] };
+
+    it('should apply each operator', () => {
+      expect(evaluateAssertion(body, { path: '$.status', equals: 'ready' }).passed).toBe(true);
+      expect(evaluateAssertion(body, { path: '$.status', oneOf: ['ready', 'degraded'] }).passed).toBe(true);
+      expect(evaluateAssertion(body, { path: '$.status', matches: '^rea' }).passed).toBe(true);
+      expect(evaluateAssertion(body, { path: '$.missing', exists: false }).passed).toBe(true);
+      expect(evaluateAssertion(body, { path: '$.tags', type: 'array' }).passed).toBe(true);
+      expect(evaluateAssertion(body, { path: '$.count', equals: 4 }).message).toBe('$.count is 3, expected 4');
+    });
+
+    it('should substitute variables and skip assertions without them', () => {
+      const assertion = { path: '$.status', equals: '{{expected}}' };
+
+      expect(evaluateAssertion(body, assertion, { expected: 'ready' }).passed).toBe(true);
+      expect(evaluateAssertion(body, assertion, {}).skipped).toBe(true);
+    });
+  });
+
+  describe('runSuite', () => {
+    it('should report passing and failing checks per target', async () => {
+      fakeServer({
+        '/': { body: { deploymentType: 'blue' } },
+        '/metrics': { body: 'gas_http_requests_total 1' }
+      });
+      const suite = {
+        defaults: { retries: 0 },
+        checks: [
+          { name: 'root', path: '/', json: [{ path: '$.deploymentType', equals: '{{deploymentType}}' }] },
+          { name: 'metrics', path: '/metrics', contains: 'gas_http_requests_total' },
+          { name: 'missing', path: '/missing' }
+        ]
+      };
+
+      const report = await runSuite(suite, parseTargets(['blue=http://blue.test', 'green=http://green.test']), {
+        sleep: noSleep
+      });
+
+      expect(report.summary).toEqual({ total: 6, passed: 3, failed: 3 });
+      expect(formatFailures(report)).toEqual([
+        'blue missing: status 404, expected 200',
+        'green root: $.deploymentType is "blue", expected "green"',
+        'green missing: status 404, expected 200'
+      ]);
+    });
+
+    it('should retry failures with exponential backoff', async () => {
+      const fetch = fakeServer({ '/': { status: 503, body: {} } });
+      const delays = [];
+
+      const report = await runSuite({ checks: [{ path: '/', retries: 3, backoffMs: 100 }] }, [
+        { name: 'target', url: 'http://target.test' }
+      ], { sleep: async (ms) => delays.push(ms) });
+
+      expect(fetch).toHaveBeenCalledTimes(4);
+      expect(delays).toEqual([100, 200, 400]);
+      expect(report.targets[0].checks[0]).toMatchObject({ passed: false, attempts: 4, status: 503 });
+    });
+
+    it('should fail checks over their latency budget', async () => {
+      fakeServer({ '/': { body: {} } });
+
+      const report = await runSuite({ checks: [{ path: '/', retries: 0, latencyBudgetMs: -1 }] }, [
+        { name: 'target', url: 'http://target.test' }
+      ], { sleep: noSleep });
+
+      expect(report.targets[0].checks[0].failures[0]).toMatch(/budget -1ms/);
+    });
+  });
+
+  describe('toJUnitXml', () => {
+    it('should render one test suite per target with escaped failures', () => {
+      const xml = toJUnitXml({
+        suite: 'smoke',
+        startedAt: '2024-01-01T00:00:00.000Z',
+        durationMs: 1500,
+        summary: { total: 2, passed: 1, failed: 1 },
+        targets: [{
+          name: 'blue',
+          url: 'http://blue.test',
+          durationMs: 1500,
+          checks: [
+            {
+              name: 'root', method: 'GET', path: '/', passed: true, durationMs: 20, attempts: 1, failures: []
+            },
+            {
+              name: 'api',
+              method: 'GET',
+              path: '/api',
+              passed: false,
+              durationMs: 30,
+              attempts: 3,
+              failures: ['body <b>']
+            }
+          ]
+        }]
+      });
+
+      expect(xml).toContain('<testsuites name="smoke" tests="2" failures="1" time="1.500">');
+      expect(xml).toContain('<testsuite name="smoke.blue" tests="2" failures="1"');
+      expect(xml).toContain('<testcase classname="smoke.blue" name="GET / (root)" time="0.020"/>');
+      expect(xml).toContain('<failure message="body &lt;b&gt;">body &lt;b&gt;\n(after 3 attempts)</failure>');
+    });
+  });
+
+  describe('parseTargets', () => {
+    it('should derive deploymentType from slot names and apply variables', () => {
+      const targets = parseTargets(
+        ['blue=http://blue.test', 'http://other.test'],
+        ['gitSha=abc1234', 'blue.region=eu']
+      );
+
+      expect(targets).toEqual([
+        {
+          name: 'blue', url: 'http://blue.test', vars: { deploymentType: 'blue', gitSha: 'abc1234', region: 'eu' }
+        },
+        { name: 'http://other.test', url: 'http://other.test', vars: { gitSha: 'abc1234' } }
+      ]);
+      expect(() => parseTargets(['blue=http://blue.test'], ['green.x=1'])).toThrow(/unknown target/);
+    });
+  });
+
+  describe('main', () => {
+    const output = () => {
+      const chunks = [];
+      return { write: (chunk) => chunks.push(chunk), text: () => chunks.join('') };
+    };
+
+    it('should print usage and exit 3 without targets', async () => {
+      const stderr = output();
+
+      expect(await main([], { stdout: output(), stderr })).toBe(3);
+      expect(stderr.text()).toMatch(/Usage/);
+    });
+
+    it('should write JSON and JUnit reports and exit 1 on failures', async () => {
+      fakeServer({ '/': { status: 500, body: {} } });
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'smoke-'));
+      const suiteFile = path.join(dir, 'suite.json');
+      fs.writeFileSync(suiteFile, JSON.stringify({ checks: [{ name: 'root', path: '/' }] }));
+      const stderr = output();
+
+      const code = await main([
+        '--url', 'blue=http://blue.test', '--suite', suiteFile, '--retries', '0',
+        '--junit', path.join(dir, 'junit.xml'), '--output', path.join(dir, 'report.json')
+      ], { stdout: output(), stderr });
+
+      expect(code).toBe(1);
+      expect(stderr.text()).toContain('FAIL blue root: status 500, expected 200');
+      expect(fs.readFileSync(path.join(dir, 'junit.xml'), 'utf8')).toContain('failures="1"');
+      expect(JSON.parse(fs.readFileSync(path.join(dir, 'report.json'), 'utf8')).passed).toBe(false);
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+  });
+});
@@ -0,0 +1,120 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMemoryStore, createFileStore, createStore } = require('../../src/storage');
+
+const item = {
+  id: 'a', name: 'A', value: 1, version: 1
+};
+
+describe('Storage Module', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe.each([
+    ['memory', () => createMemoryStore()],
+    ['file', () => createFileStore(path.join(dir, 'data.json'))]
+  ])('%s store', (driver, create) => {
+    let store;
+
+    beforeEach(async () => {
+      store = create();
+      await store.init();
+    });
+
+    afterEach(() => store.close());
+
+    it('should create, read, list and delete records', async () => {
+      await store.put(item);
+
+      expect(await store.get('a')).toEqual(item);
+      expect(await store.list()).toEqual([item]);
+      expect(await store.delete('a')).toBe(true);
+      expect(await store.get('a')).toBeNull();
+      expect(await store.delete('a')).toBe(false);
+    });
+
+    it('should return copies so callers cannot change stored records', async () => {
+      const stored = await store.put(item);
+      stored.name = 'changed';
+
+      expect((await store.get('a')).name).toBe('A');
+    });
+
+    it('should reject writes against a stale version', async () => {
+      await store.put(item);
+      await store.put({ ...item, version: 2 }, { ifVersion: 1 });
+
+      await expect(store.put({ ...item, version: 3 }, { ifVersion: 1 }))
+        .rejects.toMatchObject({ code: 'EVERSION', currentVersion: 2 });
+      await expect(store.delete('a', { ifVersion: 1 })).rejects.toMatchObject({ code: 'EVERSION' });
+      expect((await store.get('a')).version).toBe(2);
+    });
+
+    it('should track the schema version', async () => {
+      expect(await store.getSchemaVersion()).toBe(0);
+      await store.setSchemaVersion(2);
+      expect(await store.getSchemaVersion()).toBe(2);
+    });
+  });
+
+  describe('createFileStore', () => {
+    it('should persist records and the schema version across restarts', async () => {
+      const file = path.join(dir, 'nested', 'data.json');
+      const first = createFileStore(file);
+      await first.init();
+      await first.put(item);
+      await first.setSchemaVersion(3);
+      await first.close();
+
+      const second = createFileStore(file);
+      await second.init();
+
+      expect(await second.get('a')).toEqual(item);
+      expect(await second.getSchemaVersion()).toBe(3);
+      await expect(second.ping()).resolves.toBeUndefined();
+    });
+
+    it('should fail to open a corrupt file', async () => {
+      const file = path.join(dir, 'data.json');
+      fs.writeFileSync(file, '{ not json');
+
+      await expect(createFileStore(file).init()).rejects.toThrow();
+    });
+
+    it('should undo changes in memory when writing them fails', async () => {
+      const store = createFileStore(path.join(dir, 'data.json'));
+      await store.init();
+      await store.put(item);
+      const rename = jest.spyOn(fs.promises, 'rename').mockRejectedValue(new Error('disk full'));
+
+      try {
+        await expect(store.put({ ...item, value: 2, version: 2 })).rejects.toThrow('disk full');
+        await expect(store.put({ ...item, id: 'b' })).rejects.toThrow('disk full');
+        await expect(store.delete('a')).rejects.toThrow('disk full');
+        await expect(store.setSchemaVersion(2)).rejects.toThrow('disk full');
+      } finally {
+        rename.mockRestore();
+      }
+
+      expect(await store.list()).toEqual([item]);
+      expect(await store.getSchemaVersion()).toBe(0);
+    });
+  });
+
+  describe('createStore', () => {
+    it('should pick the driver from STORAGE_DRIVER', () => {
+      expect(createStore({}).driver).toBe('memory');
+      expect(createStore({ STORAGE_DRIVER: 'file', STORAGE_FILE: path.join(dir, 'x.json') }))
+        .toMatchObject({ driver: 'file', file: path.join(dir, 'x.json') });
+      expect(() => createStore({ STORAGE_DRIVER: 'sqlite' })).toThrow('Unknown STORAGE_DRIVER "sqlite"');
+    });
+  });
+});
@@ -0,0 +1,31 @@
+const { buildResource } = require('../../src/telemetry');
+
+describe('Telemetry Module', () => {
+  describe('buildResource', () => {
+    it('should describe the service and deployment', () => {
+      const resource = buildResource({
+        serviceName: 'gas-project',
+        serviceVersion: '1.2.3',
+        deploymentType: 'canary',
+        environment: 'production',
+        slot: 'green'
+      });
+
+      expect(resource.attributes).toEqual({
+        'service.name': 'gas-project',
+        'service.version': '1.2.3',
+        'deployment.type': 'canary',
+        'deployment.environment.name': 'production',
+        'deployment.slot': 'green'
+      });
+    });
+
+    it('should leave out an unknown slot', () => {
+      const resource = buildResource({
+        serviceName: 'gas-project', serviceVersion: '1.2.3', deploymentType: 'stable', environment: 'test'
+      });
+
+      expect(resource.attributes).not.toHaveProperty('deployment.slot');
+    });
+  });
+});
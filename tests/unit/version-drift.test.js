@@ -0,0 +1,103 @@
+const { parseTargets, checkDrift, pollDrift } = require('../../src/version-drift');
+
+const SHA_A = 'aaaaaaa1111111111111111111111111111111111';
+const SHA_B = 'bbbbbbb2222222222222222222222222222222222';
+
+describe('Version Drift Module', () => {
+  describe('parseTargets', () => {
+    it('should accept named and bare URLs', () => {
+      expect(parseTargets(['blue=http://blue:3000', 'http://green:3000'])).toEqual([
+        { name: 'blue', url: 'http://blue:3000' },
+        { name: 'http://green:3000', url: 'http://green:3000' }
+      ]);
+    });
+
+    it('should reject invalid URLs', () => {
+      expect(() => parseTargets(['blue=not a url'])).toThrow(/Invalid URL for blue/);
+    });
+  });
+
+  describe('checkDrift', () => {
+    it('should be consistent when every instance runs the expected SHA', () => {
+      const report = checkDrift([
+        { name: 'blue', gitSha: SHA_A },
+        { name: 'green', gitSha: SHA_A }
+      ], { expectSha: 'AAAAAAA' });
+
+      expect(report.verdict).toBe('consistent');
+      expect(report.shas).toEqual({ [SHA_A]: ['blue', 'green'] });
+    });
+
+    it('should report drift between instances', () => {
+      const report = checkDrift([
+        { name: 'blue', gitSha: SHA_A },
+        { name: 'green', gitSha: SHA_B },
+        { name: 'canary', error: 'connect ECONNREFUSED' }
+      ]);
+
+      expect(report.verdict).toBe('drift');
+    });
+
+    it('should report an unexpected SHA', () => {
+      const report = checkDrift([{ name: 'production', gitSha: SHA_B }], { expectSha: SHA_A });
+
+      expect(report.verdict).toBe('unexpected');
+      expect(report.reason).toMatch(/expected aaaaaaa/);
+    });
+
+    it('should be inconclusive when an instance is unreachable or has no SHA', () => {
+      expect(checkDrift([
+        { name: 'blue', gitSha: SHA_A },
+        { name: 'green', error: 'timeout' }
+      ]).verdict).toBe('inconclusive');
+      expect(checkDrift([{ name: 'blue', gitSha: 'unknown' }]).verdict).toBe('inconclusive');
+    });
+  });
+
+  describe('pollDrift', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should poll until the instances agree', async () => {
+      const responses = [SHA_B, SHA_A];
+      jest.spyOn(global, 'fetch').mockImplementation(async () => ({
+        ok: true,
+        json: async () => ({ gitSha: responses.shift() || SHA_A })
+      }));
+      let clock = 0;
+
+      const report = await pollDrift({
+        targets: [{ name: 'production', url: 'http://production' }],
+        expectSha: SHA_A,
+        waitMs: 60000,
+        intervalMs: 10000,
+        sleep: async (ms) => { clock += ms; },
+        now: () => clock
+      });
+
+      expect(report.verdict).toBe('consistent');
+      expect(report.attempts).toBe(2);
+    });
+
+    it('should give up at the deadline', async () => {
+      jest.spyOn(global, 'fetch').mockImplementation(async () => ({
+        ok: true,
+        json: async () => ({ gitSha: SHA_B })
+      }));
+      let clock = 0;
+
+      const report = await pollDrift({
+        targets: [{ name: 'production', url: 'http://production' }],
+        expectSha: SHA_A,
+        waitMs: 30000,
+        intervalMs: 10000,
+        sleep: async (ms) => { clock += ms; },
+        now: () => clock
+      });
+
+      expect(report.verdict).toBe('unexpected');
+      expect(report.attempts).toBe(4);
+    });
+  });
+});